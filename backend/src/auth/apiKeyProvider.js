@@ -0,0 +1,54 @@
+/**
+ * API Key Provider
+ *
+ * Authenticates integrations (CI jobs, support widgets, dashboards) by the
+ * `X-API-Key` header. Each key has a name, which becomes the owner of the
+ * reports it submits, and a role.
+ */
+
+const crypto = require('crypto');
+const { unauthorized } = require('../utils/errors');
+
+/**
+ * Keys are compared by digest so the comparison takes the same time for every key
+ */
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Create the API key provider
+ * @param {Object} config - Provider configuration
+ * @param {Object[]} config.keys - [{ name, role, key }]
+ * @returns {Object} - Auth provider ({ name, authenticate })
+ */
+function createApiKeyProvider(config) {
+  const keys = config.keys.map(entry => ({ ...entry, digest: digest(entry.key) }));
+
+  return {
+    name: 'api-key',
+
+    async authenticate(req) {
+      const presented = req.get('x-api-key');
+      if (!presented) {
+        return null;
+      }
+
+      const presentedDigest = digest(presented);
+      const match = keys.find(entry => crypto.timingSafeEqual(entry.digest, presentedDigest));
+      if (!match) {
+        throw unauthorized('Invalid API key', 'INVALID_API_KEY');
+      }
+
+      return {
+        id: `api-key:${match.name}`,
+        type: 'api-key',
+        role: match.role,
+        name: match.name,
+        email: null
+      };
+    }
+  };
+}
+
+module.exports = createApiKeyProvider;
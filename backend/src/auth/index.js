@@ -0,0 +1,221 @@
+/**
+ * Authentication Registry
+ *
+ * Builds the configured auth providers and the Express middleware that
+ * identifies every API request. Every provider exposes the same interface:
+ *
+ * - name
+ * - authenticate(req) -> principal, null when the request carries no
+ *   credentials for this provider, or throws a 401 ApiError for bad ones
+ *
+ * where a principal is { id, type, role, email, name }. Providers:
+ * `report-link` (follow-up links emailed to reporters), `api-key`
+ * (integrations) and `jwt` (OIDC or self-signed web form sessions).
+ *
+ * Roles: `reporter` principals see only the reports they submitted;
+ * `triager` principals see every report and the triage endpoints (crash
+ * groups, reindexing). Report link principals are reporters limited to the
+ * one report their link opens.
+ */
+
+const createApiKeyProvider = require('./apiKeyProvider');
+const createJwtProvider = require('./jwtProvider');
+const createReportLinkProvider = require('./reportLinkProvider');
+const { unauthorized, forbidden } = require('../utils/errors');
+
+const ROLES = ['reporter', 'triager'];
+
+/**
+ * Principal used for every request when authentication is disabled (local
+ * development): it can see everything, like the API before authentication
+ */
+const ANONYMOUS = Object.freeze({ id: 'anonymous', type: 'anonymous', role: 'triager', email: null, name: null });
+
+let providers = [];
+let mode = 'required';
+
+/**
+ * Split a comma separated list
+ */
+function toList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse `name:role:key` API key entries (comma separated)
+ * @param {string} value - API_KEYS value
+ * @returns {Object[]} - [{ name, role, key }]
+ */
+function parseApiKeys(value) {
+  return toList(value).map(entry => {
+    const [name, role, ...key] = entry.split(':');
+    if (!name || !role || !key.join(':')) {
+      throw new Error(`Invalid API key entry "${name}": expected name:role:key`);
+    }
+    return { name, role, key: key.join(':') };
+  });
+}
+
+/**
+ * Auth settings from environment variables
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} - Config for initializeAuth
+ */
+function configFromEnv(env) {
+  return {
+    mode: env.AUTH_MODE,
+    apiKeys: parseApiKeys(env.API_KEYS),
+    jwt: {
+      secret: env.JWT_SECRET,
+      issuer: env.OIDC_ISSUER,
+      jwksUri: env.OIDC_JWKS_URI,
+      audience: env.OIDC_AUDIENCE,
+      rolesClaim: env.OIDC_ROLES_CLAIM,
+      triagerRoles: toList(env.OIDC_TRIAGER_ROLES),
+      triagerEmails: toList(env.TRIAGER_EMAILS)
+    },
+    reportLinks: {
+      secret: env.NOTIFICATION_SECRET
+    }
+  };
+}
+
+/**
+ * Initialize the auth providers
+ * @param {Object} config - Configuration object
+ * @param {string} [config.mode] - `required` (default) or `disabled` (every request is anonymous)
+ * @param {Object[]} [config.apiKeys] - [{ name, role, key }]
+ * @param {Object} [config.jwt] - JWT provider configuration (enabled by a secret, issuer or JWKS URL)
+ * @param {Object} [config.reportLinks] - { secret } of emailed follow-up links (enabled by the secret)
+ * @returns {string[]} - Names of the enabled providers
+ */
+function initializeAuth(config = {}) {
+  mode = config.mode === 'disabled' ? 'disabled' : 'required';
+  providers = [];
+
+  if (mode === 'disabled') {
+    console.warn('Authentication is disabled: every API request can read and file every report');
+    return [];
+  }
+
+  // Follow-up links go first: a reporter opening one may also be signed in as someone else
+  const reportLinks = config.reportLinks || {};
+  if (reportLinks.secret) {
+    providers.push(createReportLinkProvider(reportLinks));
+  }
+
+  const apiKeys = config.apiKeys || [];
+  const invalid = apiKeys.find(entry => !ROLES.includes(entry.role));
+  if (invalid) {
+    throw new Error(`API key ${invalid.name} has unknown role ${invalid.role} (expected ${ROLES.join(' or ')})`);
+  }
+  if (apiKeys.length > 0) {
+    providers.push(createApiKeyProvider({ keys: apiKeys }));
+  }
+
+  const jwt = config.jwt || {};
+  if (jwt.secret || jwt.issuer || jwt.jwksUri) {
+    if (jwt.secret && jwt.secret.length < 32) {
+      console.warn('JWT secret is shorter than 32 characters; use a longer random secret');
+    }
+    providers.push(createJwtProvider(jwt));
+  }
+
+  // Follow-up links alone only open follow-up questions
+  if (providers.every(provider => provider.name === 'report-link')) {
+    console.error('No authentication is configured: set API_KEYS, JWT_SECRET or OIDC_ISSUER ' +
+      '(or AUTH_MODE=disabled for local development). Every API request will be rejected.');
+  }
+  return providers.map(provider => provider.name);
+}
+
+/**
+ * Send an auth error response
+ */
+function sendError(res, error) {
+  if (error.statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  res.status(error.statusCode).json({ message: error.message, code: error.code });
+}
+
+/**
+ * Middleware: identify the request and set `req.user`, or reject it with 401
+ */
+async function authenticate(req, res, next) {
+  if (mode === 'disabled') {
+    req.user = ANONYMOUS;
+    return next();
+  }
+
+  try {
+    for (const provider of providers) {
+      const principal = await provider.authenticate(req);
+      if (principal) {
+        req.user = principal;
+        return next();
+      }
+    }
+    throw unauthorized('Authentication required');
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Authentication error:', error);
+      return res.status(500).json({ message: 'An error occurred while authenticating the request' });
+    }
+    sendError(res, error);
+  }
+}
+
+/**
+ * Middleware factory: allow only principals with one of the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, unauthorized('Authentication required'));
+    }
+    if (!roles.includes(req.user.role)) {
+      return sendError(res, forbidden('You do not have access to this resource'));
+    }
+    next();
+  };
+}
+
+/**
+ * Whether a principal may read and act on a report
+ * @param {Object} user - Principal
+ * @param {Object} report - Stored report
+ * @returns {boolean}
+ */
+function canAccessReport(user, report) {
+  if (!user || !report) {
+    return false;
+  }
+  if (user.role === 'triager') {
+    return true;
+  }
+  if (user.type === 'report-link') {
+    return report.id === user.reportId;
+  }
+  return Boolean(report.reporter_id) && report.reporter_id === user.id;
+}
+
+/**
+ * Whether authentication is enforced
+ * @returns {boolean}
+ */
+function isAuthRequired() {
+  return mode === 'required';
+}
+
+module.exports = {
+  ROLES,
+  configFromEnv,
+  initializeAuth,
+  authenticate,
+  requireRole,
+  canAccessReport,
+  isAuthRequired
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { initializeAuth, authenticate, requireRole, canAccessReport } = require('./index');
+const { createToken } = require('../utils/signedTokens');
+
+const JWT_SECRET = 'test-session-secret-that-is-long-enough';
+const LINK_SECRET = 'test-notification-secret';
+const ISSUER = 'https://id.example.com';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let jwks;
+let app;
+
+/**
+ * Compact JWT signed with the session secret (HS256) or the issuer's key (RS256)
+ */
+function signToken(claims, options = {}) {
+  const alg = options.alg || 'HS256';
+  const header = { alg, typ: 'JWT', ...(alg === 'RS256' ? { kid: 'key-1' } : {}) };
+  const payload = { sub: 'sam', exp: Math.floor(Date.now() / 1000) + 3600, ...claims };
+  const input = [header, payload].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+
+  let signature = '';
+  if (alg === 'HS256') {
+    signature = crypto.createHmac('sha256', options.secret || JWT_SECRET).update(input).digest('base64url');
+  } else if (alg === 'RS256') {
+    signature = crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url');
+  }
+  return `${input}.${signature}`;
+}
+
+/**
+ * Local stand-in for the identity provider's signing keys
+ */
+function startJwks() {
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ keys: [jwk] }));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+beforeAll(async () => {
+  jwks = await startJwks();
+  initializeAuth({
+    apiKeys: [
+      { name: 'support-widget', role: 'reporter', key: 'reporter-key' },
+      { name: 'triage-bot', role: 'triager', key: 'triager-key' }
+    ],
+    jwt: {
+      secret: JWT_SECRET,
+      issuer: ISSUER,
+      jwksUri: `http://127.0.0.1:${jwks.address().port}/keys`,
+      audience: 'bug-report-form',
+      triagerEmails: ['Lead@Example.com']
+    },
+    reportLinks: { secret: LINK_SECRET }
+  });
+
+  app = express();
+  app.use(authenticate);
+  app.get('/api/triage', requireRole('triager'), (req, res) => res.json(req.user));
+  app.all('*', (req, res) => res.json(req.user));
+});
+
+afterAll(async () => {
+  initializeAuth({ mode: 'disabled' });
+  await new Promise(resolve => jwks.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Request the test app with a bearer token
+ */
+function withToken(token, path = '/api/bug-report') {
+  return request(app).get(path).set('Authorization', `Bearer ${token}`);
+}
+
+describe('authentication', () => {
+  test('rejects requests without credentials', async () => {
+    const response = await request(app).get('/api/bug-report');
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  test('identifies integrations by API key with the key\'s role', async () => {
+    const reporter = await request(app).get('/api/bug-report').set('X-API-Key', 'reporter-key');
+    const triager = await request(app).get('/api/triage').set('X-API-Key', 'triager-key');
+    const invalid = await request(app).get('/api/bug-report').set('X-API-Key', 'guessed-key');
+
+    expect(reporter.body).toEqual({ id: 'api-key:support-widget', type: 'api-key', role: 'reporter', name: 'support-widget', email: null });
+    expect(triager.status).toBe(200);
+    expect(invalid.status).toBe(401);
+    expect(invalid.body.code).toBe('INVALID_API_KEY');
+  });
+
+  test('keeps reporters out of triager routes', async () => {
+    const response = await request(app).get('/api/triage').set('X-API-Key', 'reporter-key');
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('session tokens', () => {
+  test('make users reporters unless a roles claim or a verified listed email makes them triagers', async () => {
+    const reporter = await withToken(signToken({ email: 'sam@example.com', name: 'Sam' }));
+    const byRole = await withToken(signToken({ roles: ['viewer', 'triager'] }));
+    const byEmail = await withToken(signToken({ email: 'lead@example.com', email_verified: true }));
+
+    expect(reporter.body).toEqual({ id: 'user:sam', type: 'user', role: 'reporter', email: 'sam@example.com', name: 'Sam' });
+    expect(byRole.body.role).toBe('triager');
+    expect(byEmail.body.role).toBe('triager');
+  });
+
+  test('don\'t grant a listed email the triager role unless it is marked verified', async () => {
+    const unverified = await withToken(signToken({ email: 'lead@example.com', email_verified: false }));
+    const unknown = await withToken(signToken({ email: 'lead@example.com' }));
+
+    expect(unverified.body.role).toBe('reporter');
+    expect(unknown.body.role).toBe('reporter');
+  });
+
+  test('are rejected when expired, wrongly signed, unsigned or without a subject', async () => {
+    const expired = await withToken(signToken({ exp: Math.floor(Date.now() / 1000) - 120 }));
+    const wrongSecret = await withToken(signToken({}, { secret: 'another-secret-that-is-long-enough-too' }));
+    const unsigned = await withToken(signToken({ roles: ['triager'] }, { alg: 'none' }));
+    const noSubject = await withToken(signToken({ sub: undefined }));
+
+    expect(expired.status).toBe(401);
+    expect(expired.body.code).toBe('TOKEN_EXPIRED');
+    expect(wrongSecret.status).toBe(401);
+    expect(wrongSecret.body.code).toBe('INVALID_TOKEN');
+    expect(unsigned.status).toBe(401);
+    expect(noSubject.status).toBe(401);
+  });
+
+  test('from the identity provider are checked against its keys, issuer and audience', async () => {
+    const valid = await withToken(signToken({ iss: ISSUER, aud: 'bug-report-form' }, { alg: 'RS256' }));
+    const otherAudience = await withToken(signToken({ iss: ISSUER, aud: 'another-app' }, { alg: 'RS256' }));
+    const otherIssuer = await withToken(signToken({ iss: 'https://evil.example.com', aud: 'bug-report-form' }, { alg: 'RS256' }));
+
+    expect(valid.body).toEqual(expect.objectContaining({ id: 'user:sam', role: 'reporter' }));
+    expect(otherAudience.status).toBe(401);
+    expect(otherIssuer.status).toBe(401);
+  });
+});
+
+describe('report links', () => {
+  const token = createToken('follow_up', { report: 'report-7' }, LINK_SECRET, { expiresInSeconds: 3600 });
+
+  test('open only the follow-up endpoints of their report', async () => {
+    const followUp = await request(app).get('/api/bug-report/report-7/follow-up').set('X-Report-Token', token);
+    const otherEndpoint = await request(app).get('/api/bug-report/report-7').set('X-Report-Token', token);
+    const otherReport = await request(app).get('/api/bug-report/report-8/follow-up').set('X-Report-Token', token);
+
+    expect(followUp.body).toEqual(expect.objectContaining({ type: 'report-link', role: 'reporter', reportId: 'report-7' }));
+    expect(otherEndpoint.status).toBe(403);
+    expect(otherReport.status).toBe(403);
+  });
+
+  test('are rejected when forged', async () => {
+    const forged = createToken('follow_up', { report: 'report-7' }, 'guessed-secret');
+    const response = await request(app).get('/api/bug-report/report-7/follow-up').set('X-Report-Token', forged);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_REPORT_LINK');
+  });
+});
+
+describe('canAccessReport', () => {
+  const report = { id: 'report-7', reporter_id: 'user:sam' };
+
+  test('lets triagers access every report', () => {
+    expect(canAccessReport({ id: 'user:lee', role: 'triager' }, report)).toBe(true);
+  });
+
+  test('lets reporters access only their own reports', () => {
+    expect(canAccessReport({ id: 'user:sam', type: 'user', role: 'reporter' }, report)).toBe(true);
+    expect(canAccessReport({ id: 'user:kim', type: 'user', role: 'reporter' }, report)).toBe(false);
+    expect(canAccessReport({ id: 'user:sam', type: 'user', role: 'reporter' }, { id: 'report-8', reporter_id: null })).toBe(false);
+  });
+
+  test('lets report links access only the report they open', () => {
+    const link = { id: 'report-link:report-7', type: 'report-link', role: 'reporter', reportId: 'report-7' };
+
+    expect(canAccessReport(link, report)).toBe(true);
+    expect(canAccessReport(link, { id: 'report-8', reporter_id: 'report-link:report-7' })).toBe(false);
+  });
+
+  test('denies missing principals and reports', () => {
+    expect(canAccessReport(null, report)).toBe(false);
+    expect(canAccessReport({ id: 'user:sam', role: 'reporter' }, null)).toBe(false);
+  });
+});
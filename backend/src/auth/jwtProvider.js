@@ -0,0 +1,90 @@
+/**
+ * JWT Provider
+ *
+ * Authenticates web form sessions by the `Authorization: Bearer <token>`
+ * header. Tokens are either ID/access tokens from an OIDC identity provider,
+ * verified against the issuer's published signing keys (JWKS), or tokens the
+ * hosting app signs itself with a shared HMAC secret (see the JWT verifier
+ * for how the key is chosen). Verified claims map to the user's role.
+ */
+
+const createJwtVerifier = require('../utils/jwtVerifier');
+const { unauthorized } = require('../utils/errors');
+
+/**
+ * Read a claim by dotted path (e.g. `realm_access.roles`)
+ */
+function readClaim(payload, claimPath) {
+  return claimPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), payload);
+}
+
+/**
+ * Roles from a claim holding an array or a space/comma separated string
+ */
+function toRoleList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : [];
+}
+
+/**
+ * Create the JWT provider
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.secret] - Shared HMAC secret for self-signed session tokens
+ * @param {string} [config.issuer] - OIDC issuer URL (required `iss` claim of issuer-signed tokens; its JWKS is discovered)
+ * @param {string} [config.jwksUri] - Signing key URL, when the issuer doesn't publish discovery metadata
+ * @param {string} [config.audience] - Required `aud` claim (e.g. the OIDC client ID)
+ * @param {string} [config.rolesClaim] - Claim holding the user's roles (default `roles`)
+ * @param {string[]} [config.triagerRoles] - Role names that grant the triager role (default ['triager'])
+ * @param {string[]} [config.triagerEmails] - Emails that are always triagers when the token marks them verified
+ *   (`email_verified: true`)
+ * @param {number} [config.clockToleranceSeconds] - Allowed clock skew for exp/nbf (default 60)
+ * @returns {Object} - Auth provider ({ name, authenticate })
+ */
+function createJwtProvider(config) {
+  const rolesClaim = config.rolesClaim || 'roles';
+  const triagerRoles = new Set(config.triagerRoles && config.triagerRoles.length > 0 ? config.triagerRoles : ['triager']);
+  const triagerEmails = new Set((config.triagerEmails || []).map(email => email.toLowerCase()));
+  const verifier = createJwtVerifier(config);
+
+  /**
+   * Map the token's claims to a role
+   */
+  function resolveRole(payload) {
+    if (toRoleList(readClaim(payload, rolesClaim)).some(role => triagerRoles.has(role))) {
+      return 'triager';
+    }
+    // Only emails the token marks as verified can grant a role
+    if (payload.email && payload.email_verified === true && triagerEmails.has(String(payload.email).toLowerCase())) {
+      return 'triager';
+    }
+    return 'reporter';
+  }
+
+  return {
+    name: 'jwt',
+
+    async authenticate(req) {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+      if (!match) {
+        return null;
+      }
+
+      const { payload } = await verifier.verify(match[1]);
+      if (!payload.sub) {
+        throw unauthorized('Token has no subject', 'INVALID_TOKEN');
+      }
+
+      return {
+        id: `user:${payload.sub}`,
+        type: 'user',
+        role: resolveRole(payload),
+        email: payload.email || null,
+        name: payload.name || payload.preferred_username || null
+      };
+    }
+  };
+}
+
+module.exports = createJwtProvider;
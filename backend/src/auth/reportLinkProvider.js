@@ -0,0 +1,66 @@
+/**
+ * Report Link Provider
+ *
+ * Authenticates reporters who follow the link in a "we need more
+ * information" email, by the `X-Report-Token` header the follow-up form
+ * sends. A token opens one report and only its follow-up endpoints (reading
+ * the questions and answering them), so a forwarded email can't be used to
+ * file, read or change anything else. Tokens are signed with the
+ * notification secret and expire (see the reporter links service).
+ */
+
+const { verifyFollowUpToken } = require('../services/reporterLinks');
+const { unauthorized, forbidden } = require('../utils/errors');
+
+/**
+ * Endpoints of the report a follow-up link opens (under `<basePath>/<report id>/`)
+ */
+const FOLLOW_UP_ENDPOINTS = [
+  { method: 'GET', path: 'follow-up' },
+  { method: 'POST', path: 'additional-info' }
+];
+
+/**
+ * Create the report link provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.secret - Notification secret the links are signed with
+ * @param {string} [config.basePath] - Path of the report routes (default /api/bug-report)
+ * @returns {Object} - Auth provider ({ name, authenticate })
+ */
+function createReportLinkProvider(config) {
+  const basePath = config.basePath || '/api/bug-report';
+
+  return {
+    name: 'report-link',
+
+    async authenticate(req) {
+      const token = req.get('x-report-token');
+      if (!token) {
+        return null;
+      }
+
+      const reportId = verifyFollowUpToken(token, config.secret);
+      if (!reportId) {
+        throw unauthorized('This link is invalid or has expired', 'INVALID_REPORT_LINK');
+      }
+
+      const pathname = req.originalUrl.split('?')[0];
+      const allowed = FOLLOW_UP_ENDPOINTS.some(endpoint =>
+        endpoint.method === req.method && pathname === `${basePath}/${encodeURIComponent(reportId)}/${endpoint.path}`);
+      if (!allowed) {
+        throw forbidden('This link only opens the follow-up questions of its report');
+      }
+
+      return {
+        id: `report-link:${reportId}`,
+        type: 'report-link',
+        role: 'reporter',
+        email: null,
+        name: null,
+        reportId
+      };
+    }
+  };
+}
+
+module.exports = createReportLinkProvider;
@@ -0,0 +1,120 @@
+/**
+ * Chat Integration Registry
+ *
+ * Builds the configured chat adapters (bug intake and team notifications in
+ * chat tools). Every adapter exposes the same interface:
+ *
+ * - name / displayName
+ * - usage -> how a reporter files a bug on the platform
+ * - verifyRequest(rawBody, headers) -> whether a request was sent by the platform
+ * - parseRequest(rawBody, headers) -> { response: { status, body }, interaction }
+ * - reply(context, message) -> answers the reporter in the conversation
+ * - openFollowUp(context, analysis) -> asks the report's follow-up questions
+ * - notify(message) -> announces to the team's channel, or returns false when none is configured
+ *
+ * where `response` is what the platform gets right away (it expects an
+ * answer within seconds; the work happens afterwards), `interaction` is
+ * { action, user, text, reportId, responses, context } with `action` one of
+ * report, confirm, add_info, answer or help (or null when there's nothing
+ * to do), `context` is the platform's reference to the conversation and
+ * `message` is built by chat/messages.
+ */
+
+const createSlackAdapter = require('./slackAdapter');
+const createTeamsAdapter = require('./teamsAdapter');
+
+/**
+ * Adapter factories and the config keys each one requires
+ */
+const CHAT_FACTORIES = {
+  slack: { create: createSlackAdapter, required: ['signingSecret', 'botToken'] },
+  teams: { create: createTeamsAdapter, required: ['appId', 'appPassword'] }
+};
+
+const adapters = new Map();
+let intake = {};
+
+/**
+ * Chat settings from environment variables
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} - Config for initializeChat
+ */
+function configFromEnv(env) {
+  return {
+    project: env.CHAT_PROJECT,
+    repoPath: env.CHAT_REPO_PATH,
+    slack: {
+      signingSecret: env.SLACK_SIGNING_SECRET,
+      botToken: env.SLACK_BOT_TOKEN,
+      notifyChannel: env.SLACK_NOTIFY_CHANNEL
+    },
+    teams: {
+      appId: env.TEAMS_APP_ID,
+      appPassword: env.TEAMS_APP_PASSWORD,
+      tenantId: env.TEAMS_TENANT_ID,
+      notifyWebhookUrl: env.TEAMS_NOTIFY_WEBHOOK_URL
+    }
+  };
+}
+
+/**
+ * Initialize every chat adapter that has complete configuration
+ * @param {Object} config - Configuration object
+ * @param {string} [config.project] - Project reports from chat belong to, unless the message starts with a project key
+ * @param {string} [config.repoPath] - Repository analyzed when no project registry is configured
+ * @param {Object} [config.slack] - { signingSecret, botToken, notifyChannel }
+ * @param {Object} [config.teams] - { appId, appPassword, tenantId, notifyWebhookUrl }
+ * @returns {string[]} - Names of the initialized adapters
+ */
+function initializeChat(config = {}) {
+  adapters.clear();
+  intake = { project: config.project, repoPath: config.repoPath };
+
+  for (const [name, factory] of Object.entries(CHAT_FACTORIES)) {
+    const chatConfig = config[name];
+    if (!chatConfig || !factory.required.every(key => chatConfig[key])) {
+      continue;
+    }
+
+    try {
+      adapters.set(name, factory.create(chatConfig));
+      console.log(`${name} chat integration initialized successfully`);
+    } catch (error) {
+      console.error(`Failed to initialize ${name} chat integration:`, error);
+    }
+  }
+  return [...adapters.keys()];
+}
+
+/**
+ * Get a chat adapter by name
+ * @param {string} name - Platform name (slack, teams)
+ * @returns {Object|null} - Chat adapter or null if not configured
+ */
+function getChatAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+/**
+ * All configured chat adapters
+ * @returns {Object[]}
+ */
+function getChatAdapters() {
+  return [...adapters.values()];
+}
+
+/**
+ * Default project settings for reports filed from chat
+ * @returns {Object} - { project, repoPath }
+ */
+function getIntakeDefaults() {
+  return intake;
+}
+
+module.exports = {
+  configFromEnv,
+  initializeChat,
+  getChatAdapter,
+  getChatAdapters,
+  getIntakeDefaults
+};
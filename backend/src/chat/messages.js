@@ -0,0 +1,145 @@
+/**
+ * Chat Messages
+ *
+ * The messages the chat integrations post, built once in a platform-neutral
+ * shape that each adapter renders (Slack blocks, Teams Adaptive Cards):
+ *
+ * { text, title, lines, fields, questions, link, actions }
+ *
+ * where `text` is the plain-text fallback (notifications, screen readers),
+ * `lines` are paragraphs, `fields` are [{ label, value }], `questions` are
+ * follow-up questions, `link` is { label, url } and `actions` are buttons
+ * [{ action, label, reportId, primary }] with `action` one of ACTIONS.
+ */
+
+/**
+ * Buttons a reporter can press on a report summary
+ */
+const ACTIONS = {
+  confirm: 'confirm_report',
+  addInfo: 'add_info'
+};
+
+/**
+ * How to file a bug from chat
+ * @param {string} usage - Platform-specific way to start (e.g. "/bug <description>")
+ * @returns {Object}
+ */
+function usageMessage(usage) {
+  return {
+    text: `Describe the bug you ran into: ${usage}`,
+    title: null,
+    lines: [`Describe the bug you ran into: ${usage}`],
+    fields: [],
+    questions: [],
+    link: null,
+    actions: []
+  };
+}
+
+/**
+ * Shown while a report is analyzed
+ * @returns {Object}
+ */
+function analyzingMessage() {
+  const text = 'Thanks! Analyzing your bug report; this can take a minute or two.';
+  return { text, title: null, lines: [text], fields: [], questions: [], link: null, actions: [] };
+}
+
+/**
+ * Analysis summary with Confirm (and Add info when there are follow-up questions) buttons
+ * @param {Object} analysis - Analysis response of the report controller
+ * @returns {Object}
+ */
+function summaryMessage(analysis) {
+  const report = analysis.report_json || {};
+  const questions = analysis.needs_more_info ? analysis.needs_more_info.requests.map(request => request.question) : [];
+  const fields = [
+    ...(analysis.severity ? [{ label: 'Severity', value: `${analysis.severity.level} (priority ${analysis.severity.priority})` }] : []),
+    ...(analysis.project ? [{ label: 'Product area', value: analysis.project }] : []),
+    ...(analysis.duplicates && analysis.duplicates.length > 0
+      ? [{ label: 'Possible duplicates', value: analysis.duplicates.slice(0, 3).map(duplicate => duplicate.title).join('; ') }]
+      : [])
+  ];
+
+  return {
+    text: `Bug report: ${report.title}`,
+    title: report.title,
+    lines: [
+      ...(report.suspected_root_cause ? [`Suspected cause: ${report.suspected_root_cause}`] : []),
+      ...(questions.length > 0 ? ['Answering a few questions would help us reproduce it:'] : [])
+    ],
+    fields,
+    questions,
+    link: null,
+    actions: [
+      ...(questions.length > 0 ? [{ action: ACTIONS.addInfo, label: 'Add info', reportId: analysis.id, primary: true }] : []),
+      { action: ACTIONS.confirm, label: 'Confirm & file', reportId: analysis.id, primary: questions.length === 0 }
+    ]
+  };
+}
+
+/**
+ * Result of confirming a report
+ * @param {Object} confirmation - Confirmation response of the report controller
+ * @returns {Object}
+ */
+function confirmationMessage(confirmation) {
+  const issue = confirmation.tracker_issue;
+  const title = confirmation.report_json ? confirmation.report_json.title : 'Your bug report';
+  const text = issue
+    ? `${confirmation.already_confirmed ? 'Already filed' : 'Filed'} as ${issue.tracker_name} issue #${issue.number}: ${title}`
+    : `Confirmed: ${title}`;
+  return {
+    text,
+    title: null,
+    lines: [text],
+    fields: [],
+    questions: [],
+    link: issue && issue.url ? { label: 'Open issue', url: issue.url } : null,
+    actions: []
+  };
+}
+
+/**
+ * Something went wrong handling a chat interaction
+ * @param {string} message - What went wrong, for the reporter
+ * @returns {Object}
+ */
+function errorMessage(message) {
+  const text = `Sorry, something went wrong: ${message}`;
+  return { text, title: null, lines: [text], fields: [], questions: [], link: null, actions: [] };
+}
+
+/**
+ * Announcement of a new tracker issue for the team's channel
+ * @param {Object} report - Stored report
+ * @param {Object} issue - { trackerName, number, url }
+ * @returns {Object}
+ */
+function issueCreatedMessage(report, issue) {
+  return {
+    text: `New ${issue.trackerName} issue #${issue.number}: ${report.title}`,
+    title: `New ${issue.trackerName} issue #${issue.number}: ${report.title}`,
+    lines: [],
+    fields: [
+      ...(report.severity ? [{ label: 'Severity', value: report.severity.level }] : []),
+      ...(report.project ? [{ label: 'Product area', value: report.project }] : []),
+      ...(report.routing && report.routing.component ? [{ label: 'Component', value: report.routing.component }] : []),
+      ...(report.reporter_name ? [{ label: 'Reported by', value: report.reporter_name }] : [])
+    ],
+    questions: [],
+    link: issue.url ? { label: 'Open issue', url: issue.url } : null,
+    actions: []
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  usageMessage,
+  analyzingMessage,
+  summaryMessage,
+  confirmationMessage,
+  errorMessage,
+  issueCreatedMessage
+};
@@ -0,0 +1,321 @@
+/**
+ * Slack Chat Adapter
+ *
+ * Bug intake from a Slack app: the `/bug <description>` slash command and a
+ * "Report a bug" message shortcut (the message becomes the description)
+ * both post to `POST /chat/slack`, as do the app's interactivity requests
+ * (button presses and the follow-up modal). Requests are verified with the
+ * app's signing secret.
+ *
+ * Replies go to the interaction's `response_url` as messages only the
+ * reporter sees. Follow-up questions open in a modal, and new tracker issues
+ * are announced in the configured channel, both with the bot token.
+ */
+
+const { requestJson } = require('../utils/httpClient');
+const { verifyHmac } = require('../utils/webhookSignature');
+const { ACTIONS } = require('./messages');
+
+/**
+ * Requests older than this are rejected (replayed deliveries)
+ */
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+/**
+ * Callback ID of the follow-up questions modal
+ */
+const FOLLOW_UP_VIEW = 'bug_report_follow_up';
+
+/**
+ * Slack limits (block text and option lengths)
+ */
+const MAX_TEXT_LENGTH = 2900;
+const MAX_OPTION_LENGTH = 75;
+
+/**
+ * Escape text for Slack mrkdwn
+ */
+function escapeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .substring(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Plain text object, truncated to a length limit
+ */
+function plainText(value, limit = MAX_TEXT_LENGTH) {
+  return { type: 'plain_text', text: String(value).substring(0, limit), emoji: true };
+}
+
+/**
+ * Render a chat message as Slack blocks
+ * @param {Object} message - Platform-neutral message (see chat/messages)
+ * @returns {Object[]}
+ */
+function toBlocks(message) {
+  const blocks = [];
+  if (message.title) {
+    blocks.push({ type: 'header', text: plainText(message.title, 150) });
+  }
+  for (const line of message.lines) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escapeText(line) } });
+  }
+  if (message.fields.length > 0) {
+    blocks.push({
+      type: 'section',
+      fields: message.fields.slice(0, 10).map(field => ({
+        type: 'mrkdwn',
+        text: `*${escapeText(field.label)}*\n${escapeText(field.value)}`
+      }))
+    });
+  }
+  if (message.questions.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: escapeText(message.questions.map(question => `• ${question}`).join('\n')) }
+    });
+  }
+  if (message.link) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `<${message.link.url}|${escapeText(message.link.label)}>` }
+    });
+  }
+  if (message.actions.length > 0) {
+    blocks.push({
+      type: 'actions',
+      elements: message.actions.map(action => ({
+        type: 'button',
+        action_id: action.action,
+        text: plainText(action.label, 75),
+        value: action.reportId,
+        ...(action.primary ? { style: 'primary' } : {})
+      }))
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Input element for a follow-up question's answer type
+ */
+function answerElement(request) {
+  if (request.answer_type === 'choice' && request.options && request.options.length > 0) {
+    return {
+      type: 'static_select',
+      action_id: 'answer',
+      options: request.options.slice(0, 100).map(option => ({
+        text: plainText(option, MAX_OPTION_LENGTH),
+        value: String(option).substring(0, 150)
+      }))
+    };
+  }
+  // Files are answered with a link (Slack modals can't upload to our storage)
+  return {
+    type: 'plain_text_input',
+    action_id: 'answer',
+    multiline: request.answer_type !== 'url' && request.answer_type !== 'file'
+  };
+}
+
+/**
+ * Answers from a submitted follow-up modal, keyed by question type
+ */
+function readAnswers(view) {
+  const responses = {};
+  for (const [type, inputs] of Object.entries((view.state && view.state.values) || {})) {
+    const input = inputs.answer || {};
+    const value = input.selected_option ? input.selected_option.value : input.value;
+    if (value) {
+      responses[type] = value;
+    }
+  }
+  return responses;
+}
+
+/**
+ * Create the Slack adapter
+ * @param {Object} config - Slack configuration
+ * @param {string} config.signingSecret - App signing secret
+ * @param {string} config.botToken - Bot token (xoxb-...) for modals and channel announcements
+ * @param {string} [config.notifyChannel] - Channel ID new tracker issues are announced in
+ * @param {string} [config.apiUrl] - Slack Web API URL (for testing)
+ * @returns {Object} - Chat adapter
+ */
+function createSlackAdapter(config) {
+  const apiUrl = (config.apiUrl || 'https://slack.com/api').replace(/\/$/, '');
+
+  /**
+   * Call a Slack Web API method
+   */
+  async function callApi(method, body) {
+    const result = await requestJson(`${apiUrl}/${method}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${config.botToken}` },
+      body
+    });
+    if (!result || !result.ok) {
+      throw new Error(`Slack ${method} failed: ${result ? result.error : 'empty response'}`);
+    }
+    return result;
+  }
+
+  /**
+   * Principal for a Slack user (reports are owned per workspace and user)
+   */
+  function slackUser(teamId, user) {
+    return {
+      id: `slack:${teamId}:${user.id}`,
+      type: 'chat',
+      role: 'reporter',
+      email: null,
+      name: user.name || user.username || null
+    };
+  }
+
+  /**
+   * Interaction for an interactivity payload (buttons, shortcuts, modals)
+   */
+  function parseInteraction(payload) {
+    const teamId = payload.team ? payload.team.id : payload.user.team_id;
+    const user = slackUser(teamId, payload.user);
+    const context = {
+      responseUrl: payload.response_url || null,
+      channelId: payload.channel ? payload.channel.id : null,
+      triggerId: payload.trigger_id || null
+    };
+
+    switch (payload.type) {
+      case 'message_action':
+        return { action: 'report', user, text: payload.message ? payload.message.text : '', context };
+      case 'block_actions': {
+        const action = (payload.actions || [])[0];
+        if (!action) {
+          return null;
+        }
+        if (action.action_id === ACTIONS.confirm) {
+          return { action: 'confirm', user, reportId: action.value, context };
+        }
+        if (action.action_id === ACTIONS.addInfo) {
+          return { action: 'add_info', user, reportId: action.value, context };
+        }
+        return null;
+      }
+      case 'view_submission': {
+        if (payload.view.callback_id !== FOLLOW_UP_VIEW) {
+          return null;
+        }
+        // The modal carries the conversation it was opened from
+        const metadata = JSON.parse(payload.view.private_metadata || '{}');
+        return {
+          action: 'answer',
+          user,
+          reportId: metadata.reportId,
+          responses: readAnswers(payload.view),
+          context: { responseUrl: metadata.responseUrl || null, channelId: metadata.channelId || null, triggerId: null }
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  return {
+    name: 'slack',
+    displayName: 'Slack',
+    usage: '/bug <what went wrong>, or the "Report a bug" shortcut on a message',
+
+    async verifyRequest(rawBody, headers) {
+      const timestamp = parseInt(headers['x-slack-request-timestamp'], 10);
+      if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > MAX_REQUEST_AGE_SECONDS) {
+        return false;
+      }
+      return verifyHmac(`v0:${timestamp}:${rawBody.toString('utf8')}`, config.signingSecret,
+        headers['x-slack-signature'], { prefix: 'v0=' });
+    },
+
+    parseRequest(rawBody) {
+      const params = new URLSearchParams(rawBody.toString('utf8'));
+
+      // Interactivity requests carry a JSON payload
+      if (params.has('payload')) {
+        const payload = JSON.parse(params.get('payload'));
+        return { response: { status: 200, body: '' }, interaction: parseInteraction(payload) };
+      }
+
+      // Slash command
+      const context = {
+        responseUrl: params.get('response_url'),
+        channelId: params.get('channel_id'),
+        triggerId: params.get('trigger_id')
+      };
+      const user = slackUser(params.get('team_id'), { id: params.get('user_id'), name: params.get('user_name') });
+      const text = (params.get('text') || '').trim();
+      return {
+        response: { status: 200, body: '' },
+        interaction: text
+          ? { action: 'report', user, text, context }
+          : { action: 'help', user, context }
+      };
+    },
+
+    async reply(context, message) {
+      if (context.responseUrl) {
+        const response = await fetch(context.responseUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            response_type: 'ephemeral',
+            replace_original: false,
+            text: message.text,
+            blocks: toBlocks(message)
+          })
+        });
+        if (!response.ok) {
+          throw new Error(`Slack response URL rejected the reply (${response.status})`);
+        }
+        return;
+      }
+      await callApi('chat.postMessage', { channel: context.channelId, text: message.text, blocks: toBlocks(message) });
+    },
+
+    async openFollowUp(context, analysis) {
+      const requests = analysis.needs_more_info ? analysis.needs_more_info.requests : [];
+      await callApi('views.open', {
+        trigger_id: context.triggerId,
+        view: {
+          type: 'modal',
+          callback_id: FOLLOW_UP_VIEW,
+          private_metadata: JSON.stringify({
+            reportId: analysis.id,
+            responseUrl: context.responseUrl,
+            channelId: context.channelId
+          }),
+          title: plainText('Add information', 24),
+          submit: plainText('Send answers', 24),
+          close: plainText('Cancel', 24),
+          blocks: requests.map(request => ({
+            type: 'input',
+            block_id: request.type,
+            optional: true,
+            label: plainText(request.question, 2000),
+            element: answerElement(request)
+          }))
+        }
+      });
+    },
+
+    async notify(message) {
+      if (!config.notifyChannel) {
+        return false;
+      }
+      await callApi('chat.postMessage', { channel: config.notifyChannel, text: message.text, blocks: toBlocks(message) });
+      return true;
+    }
+  };
+}
+
+module.exports = createSlackAdapter;
@@ -0,0 +1,300 @@
+/**
+ * Microsoft Teams Chat Adapter
+ *
+ * Bug intake from a Teams bot (Bot Framework): mentioning the bot with a
+ * description, or its "Report a bug" message action (the message becomes
+ * the description), posts an activity to `POST /chat/teams`, as do Adaptive
+ * Card button presses. Activities are verified with the Bot Framework's
+ * signed token for the bot's app ID.
+ *
+ * Replies and follow-up question cards are posted into the conversation
+ * through the Bot Connector API; new tracker issues are announced through a
+ * channel's incoming webhook.
+ */
+
+const createJwtVerifier = require('../utils/jwtVerifier');
+const { requestJson } = require('../utils/httpClient');
+const { ACTIONS } = require('./messages');
+
+/**
+ * Bot Framework token issuer and signing keys
+ */
+const BOT_FRAMEWORK_ISSUER = 'https://api.botframework.com';
+const BOT_FRAMEWORK_JWKS_URI = 'https://login.botframework.com/v1/.well-known/keys';
+
+/**
+ * Adaptive Card content type and schema version
+ */
+const ADAPTIVE_CARD = 'application/vnd.microsoft.card.adaptive';
+const CARD_VERSION = '1.4';
+
+/**
+ * Renew the connector token this long before it expires
+ */
+const TOKEN_RENEWAL_MS = 5 * 60 * 1000;
+
+/**
+ * Text of a Teams message, without HTML formatting and bot mentions
+ */
+function plainText(value) {
+  return String(value || '')
+    .replace(/<at>[^<]*<\/at>/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Render a chat message as an Adaptive Card
+ * @param {Object} message - Platform-neutral message (see chat/messages)
+ * @returns {Object}
+ */
+function toCard(message) {
+  const body = [];
+  if (message.title) {
+    body.push({ type: 'TextBlock', text: message.title, size: 'Medium', weight: 'Bolder', wrap: true });
+  }
+  for (const line of message.lines) {
+    body.push({ type: 'TextBlock', text: line, wrap: true });
+  }
+  if (message.fields.length > 0) {
+    body.push({ type: 'FactSet', facts: message.fields.map(field => ({ title: field.label, value: String(field.value) })) });
+  }
+  for (const question of message.questions) {
+    body.push({ type: 'TextBlock', text: `- ${question}`, wrap: true, spacing: 'None' });
+  }
+
+  const actions = message.actions.map(action => ({
+    type: 'Action.Submit',
+    title: action.label,
+    data: { action: action.action, reportId: action.reportId },
+    ...(action.primary ? { style: 'positive' } : {})
+  }));
+  if (message.link) {
+    actions.push({ type: 'Action.OpenUrl', title: message.link.label, url: message.link.url });
+  }
+
+  return { type: 'AdaptiveCard', version: CARD_VERSION, body, actions };
+}
+
+/**
+ * Activity carrying an Adaptive Card
+ */
+function cardActivity(text, card) {
+  return {
+    type: 'message',
+    text,
+    attachments: [{ contentType: ADAPTIVE_CARD, content: card }]
+  };
+}
+
+/**
+ * Input for a follow-up question's answer type
+ */
+function answerInput(request) {
+  if (request.answer_type === 'choice' && request.options && request.options.length > 0) {
+    return {
+      type: 'Input.ChoiceSet',
+      id: request.type,
+      label: request.question,
+      choices: request.options.map(option => ({ title: String(option), value: String(option) }))
+    };
+  }
+  // Files are answered with a link (cards can't upload to our storage)
+  return {
+    type: 'Input.Text',
+    id: request.type,
+    label: request.question,
+    isMultiline: request.answer_type !== 'url' && request.answer_type !== 'file'
+  };
+}
+
+/**
+ * Create the Teams adapter
+ * @param {Object} config - Teams configuration
+ * @param {string} config.appId - Bot's Microsoft app ID
+ * @param {string} config.appPassword - Bot's client secret
+ * @param {string} [config.tenantId] - Tenant of a single-tenant bot (default: multi-tenant)
+ * @param {string} [config.notifyWebhookUrl] - Incoming webhook new tracker issues are announced through
+ * @param {string} [config.jwksUri] - Token signing key URL (for testing)
+ * @param {string} [config.tokenUrl] - Connector token URL (for testing)
+ * @returns {Object} - Chat adapter
+ */
+function createTeamsAdapter(config) {
+  const verifier = createJwtVerifier({
+    issuer: BOT_FRAMEWORK_ISSUER,
+    jwksUri: config.jwksUri || BOT_FRAMEWORK_JWKS_URI,
+    audience: config.appId,
+    clockToleranceSeconds: 300
+  });
+  const tokenUrl = config.tokenUrl
+    || `https://login.microsoftonline.com/${config.tenantId || 'botframework.com'}/oauth2/v2.0/token`;
+
+  let connectorToken = null;
+
+  /**
+   * Access token for the Bot Connector API (client credentials, cached)
+   */
+  async function getConnectorToken() {
+    if (connectorToken && connectorToken.expiresAt - TOKEN_RENEWAL_MS > Date.now()) {
+      return connectorToken.value;
+    }
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: config.appId,
+        client_secret: config.appPassword,
+        scope: 'https://api.botframework.com/.default'
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Teams token request failed (${response.status})`);
+    }
+    const result = await response.json();
+    connectorToken = { value: result.access_token, expiresAt: Date.now() + result.expires_in * 1000 };
+    return connectorToken.value;
+  }
+
+  /**
+   * Post an activity into a conversation
+   */
+  async function sendActivity(context, activity) {
+    const serviceUrl = context.serviceUrl.replace(/\/$/, '');
+    await requestJson(`${serviceUrl}/v3/conversations/${encodeURIComponent(context.conversationId)}/activities`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${await getConnectorToken()}` },
+      body: { ...activity, ...(context.activityId ? { replyToId: context.activityId } : {}) }
+    });
+  }
+
+  /**
+   * Principal for the activity's sender (the Entra ID object ID when Teams provides it)
+   */
+  function teamsUser(from = {}) {
+    return {
+      id: `teams:${from.aadObjectId || from.id}`,
+      type: 'chat',
+      role: 'reporter',
+      email: null,
+      name: from.name || null
+    };
+  }
+
+  /**
+   * Interaction for a card button press
+   */
+  function parseSubmit(value, user, context) {
+    if (value.action === ACTIONS.confirm) {
+      return { action: 'confirm', user, reportId: value.reportId, context };
+    }
+    if (value.action === ACTIONS.addInfo) {
+      return { action: 'add_info', user, reportId: value.reportId, context };
+    }
+    if (value.action === 'answer') {
+      const { action, reportId, ...answers } = value;
+      const responses = Object.fromEntries(Object.entries(answers).filter(([, answer]) => answer));
+      return { action: 'answer', user, reportId, responses, context };
+    }
+    return null;
+  }
+
+  return {
+    name: 'teams',
+    displayName: 'Microsoft Teams',
+    usage: 'mention the bot with what went wrong, or use "Report a bug" on a message',
+
+    async verifyRequest(rawBody, headers) {
+      const authorization = headers.authorization || '';
+      if (!authorization.startsWith('Bearer ')) {
+        return false;
+      }
+      try {
+        const { payload } = await verifier.verify(authorization.slice('Bearer '.length));
+        // The token is only valid for activities from the service it names
+        const activity = JSON.parse(rawBody.toString('utf8'));
+        return Boolean(payload.serviceurl) && payload.serviceurl === activity.serviceUrl;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    parseRequest(rawBody) {
+      const activity = JSON.parse(rawBody.toString('utf8'));
+      const user = teamsUser(activity.from);
+      const context = {
+        serviceUrl: activity.serviceUrl,
+        conversationId: activity.conversation ? activity.conversation.id : null,
+        activityId: activity.id || null
+      };
+
+      // Message action: the bot answers the invoke and replies in the conversation
+      if (activity.type === 'invoke' && activity.name === 'composeExtension/submitAction') {
+        const message = activity.value && activity.value.messagePayload;
+        const text = plainText(message && message.body ? message.body.content : '');
+        return {
+          response: {
+            status: 200,
+            body: { composeExtension: { type: 'message', text: text ? 'Thanks! Analyzing your bug report.' : 'That message has no text to report.' } }
+          },
+          interaction: text ? { action: 'report', user, text, context: { ...context, activityId: null } } : null
+        };
+      }
+
+      if (activity.type !== 'message') {
+        return { response: { status: 200, body: '' }, interaction: null };
+      }
+      if (activity.value && typeof activity.value === 'object') {
+        return { response: { status: 200, body: '' }, interaction: parseSubmit(activity.value, user, context) };
+      }
+
+      const text = plainText(activity.text);
+      return {
+        response: { status: 200, body: '' },
+        interaction: text
+          ? { action: 'report', user, text, context }
+          : { action: 'help', user, context }
+      };
+    },
+
+    async reply(context, message) {
+      await sendActivity(context, cardActivity(message.text, toCard(message)));
+    },
+
+    async openFollowUp(context, analysis) {
+      const requests = analysis.needs_more_info ? analysis.needs_more_info.requests : [];
+      await sendActivity(context, cardActivity('Add information to your bug report', {
+        type: 'AdaptiveCard',
+        version: CARD_VERSION,
+        body: [
+          { type: 'TextBlock', text: 'Add information', size: 'Medium', weight: 'Bolder' },
+          ...requests.map(answerInput)
+        ],
+        actions: [{ type: 'Action.Submit', title: 'Send answers', data: { action: 'answer', reportId: analysis.id } }]
+      }));
+    },
+
+    async notify(message) {
+      if (!config.notifyWebhookUrl) {
+        return false;
+      }
+      const response = await fetch(config.notifyWebhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(cardActivity(message.text, toCard(message)))
+      });
+      if (!response.ok) {
+        throw new Error(`Teams webhook rejected the notification (${response.status})`);
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = createTeamsAdapter;
@@ -2,145 +2,324 @@
  * Bug Report AI Controller
  * 
  * Handles the processing and analysis of bug reports using AI.
- * This controller integrates with OpenAI for analysis, Supabase for storage,
- * and optionally with Linear for ticket creation.
+ * This controller integrates with an LLM provider for analysis, the configured storage backend,
+ * and optionally with an issue tracker (Linear, GitHub, Jira, GitLab) for ticket creation.
  */
 
-const { createClient } = require('@supabase/supabase-js');
-const OpenAI = require('openai');
-const { LinearClient } = require('@linear/sdk');
+const crypto = require('crypto');
+const llm = require('../llm');
+const { FILE_SELECTION_SCHEMA, BUG_REPORT_SCHEMA } = require('../llm/schemas');
+const { initializeTrackers, getTracker } = require('../trackers');
+const { rankFiles } = require('../services/retrieval');
+const { extractSnippets, DEFAULT_TOKEN_BUDGET } = require('../services/snippets');
+const { parseStackTrace, resolveFrames } = require('../services/stackTrace');
+const {
+  getProject,
+  hasProjects,
+  createAdHocProject,
+  matchesProject
+} = require('../services/projectRegistry');
+const { resolveRepoPath } = require('../services/fileAccess');
+const { createRedactor } = require('../services/redaction');
+const { stackSignature, extractFilePaths, findDuplicates, searchKeywords } = require('../services/duplicates');
+const { computeFingerprint } = require('../services/fingerprint');
+const { classifySeverity, SEVERITY_LEVELS } = require('../services/severity');
+const { routeReport } = require('../services/routing');
+const { findRegressionCandidates } = require('../services/gitHistory');
+const crashGroups = require('../services/crashGroups');
+const lifecycle = require('../services/lifecycle');
+const notifications = require('../services/notifications');
+const reporterLinks = require('../services/reporterLinks');
+const { createEmailChannel } = require('../services/emailChannel');
+const { createChatChannel } = require('../services/chatChannel');
+const { initializeChat } = require('../chat');
+const email = require('../email');
+const storage = require('../storage');
+const { badRequest, conflict } = require('../utils/errors');
 
 /**
- * Initialize clients based on environment variables
+ * Token budget for code snippets in the analysis prompt
  */
-let openai = null;
-let supabase = null;
-let linearClient = null;
+let snippetTokenBudget = DEFAULT_TOKEN_BUDGET;
 
 /**
- * In-memory storage fallback when Supabase is unavailable
+ * Directories searched for bundle source maps (null = defaults)
  */
-const inMemoryReports = new Map();
+let sourceMapDirs = null;
+
+/**
+ * Stack frames turned into snippet windows, and lines either side of each frame
+ */
+const MAX_STACK_FRAMES = 8;
+const STACK_FRAME_CONTEXT_LINES = 15;
+
+/**
+ * Follow-up rounds after which re-analysis stops asking the reporter questions
+ */
+let maxFollowUpRounds = 2;
+
+/**
+ * Version of the analysis prompt, recorded on every report revision.
+ * Bump it whenever the system prompt or the user message layout changes.
+ */
+const ANALYSIS_PROMPT_VERSION = 5;
+
+/**
+ * Stored reports per duplicate query (same crash, same stack, a title term)
+ * and tracker search results compared with each new report
+ */
+const MAX_DUPLICATE_REPORTS = 50;
+const MAX_DUPLICATE_ISSUES = 20;
+
+/**
+ * Reports listed with a crash group
+ */
+const MAX_CRASH_GROUP_REPORTS = 200;
+
+/**
+ * Triage actions that can be applied to many reports at once, and the report
+ * fields triagers can edit
+ */
+const BULK_ACTIONS = ['confirm', 'reject', 'merge'];
+const MAX_BULK_REPORTS = 100;
+const EDITABLE_FIELDS = ['title', 'suspected_root_cause'];
+
+/**
+ * Page size of the report list
+ */
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
 
 /**
  * Initialize the controller with configuration
  * @param {Object} config - Configuration object
  */
 function initialize(config) {
-  // Initialize OpenAI
-  if (config.openaiApiKey) {
-    try {
-      openai = new OpenAI({ apiKey: config.openaiApiKey });
-      console.log('OpenAI client initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize OpenAI client:', error);
-    }
+  // Initialize the LLM provider (OpenAI, Azure OpenAI, Anthropic, local or recorded responses)
+  llm.initializeLlm(config.llm || { openai: { apiKey: config.openaiApiKey } });
+
+  // Initialize report and crash group storage (SQLite, Postgres, Supabase or memory)
+  storage.initializeStorage(config.storage || {
+    supabaseUrl: config.supabaseUrl,
+    supabaseKey: config.supabaseKey
+  });
+  
+  crashGroups.configure({ thresholds: config.crashGroupThresholds });
+
+  if (config.snippetTokenBudget) {
+    snippetTokenBudget = config.snippetTokenBudget;
   }
 
-  // Initialize Supabase
-  if (config.supabaseUrl && config.supabaseKey) {
-    try {
-      supabase = createClient(config.supabaseUrl, config.supabaseKey);
-      console.log('Supabase client initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Supabase client:', error);
-    }
+  if (config.sourceMapDirs && config.sourceMapDirs.length > 0) {
+    sourceMapDirs = config.sourceMapDirs;
   }
 
-  // Initialize Linear (optional)
-  if (config.linearApiKey) {
-    try {
-      linearClient = new LinearClient({ apiKey: config.linearApiKey });
-      console.log('Linear client initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Linear client:', error);
+  if (Number.isInteger(config.maxFollowUpRounds) && config.maxFollowUpRounds >= 0) {
+    maxFollowUpRounds = config.maxFollowUpRounds;
+  }
+
+  // Initialize issue trackers (optional)
+  initializeTrackers(config.trackers, config.defaultTracker);
+  
+  // Email reporters about their reports (optional)
+  reporterLinks.configure(config.reporterLinks || {});
+  if (email.initializeEmail(config.email || {}) && !reporterLinks.isConfigured()) {
+    console.warn('NOTIFICATION_SECRET is not set; reporter emails go out without follow-up and unsubscribe links');
+  }
+  
+  // Take bug reports from Slack and Teams and announce new issues there (optional)
+  initializeChat(config.chat || {});
+  notifications.configure({ channels: [createEmailChannel(), createChatChannel()] });
+}
+
+/**
+ * Maximum number of index candidates offered to the model for file selection
+ */
+const MAX_CANDIDATE_FILES = 200;
+
+/**
+ * Number of code chunks retrieved for each bug description
+ */
+const RETRIEVAL_TOP_K = 30;
+
+/**
+ * Resolve the project a bug report belongs to
+ * @param {Object} data - Request data with a project key (or a repoPath when no registry is configured)
+ * @returns {Object} - Project with repoPaths, globs, tracker, labels and prompt overrides
+ * @throws {ApiError} - 400 for unknown projects and repository paths outside the allow-list
+ */
+function resolveProject(data) {
+  if (data.project) {
+    const project = getProject(data.project);
+    if (!project) {
+      throw badRequest(`Unknown project: ${data.project}`, 'UNKNOWN_PROJECT');
     }
+    return project;
   }
+  
+  if (hasProjects()) {
+    throw badRequest("Project is required", 'PROJECT_REQUIRED');
+  }
+  
+  if (!data.repoPath) {
+    throw badRequest("Repository path is required", 'REPO_PATH_REQUIRED');
+  }
+  
+  return createAdHocProject(resolveRepoPath(data.repoPath));
+}
+
+/**
+ * Run a per-repository query across every repository of a project,
+ * keeping only results that pass the project's include/exclude globs
+ * @param {Object} project - Project
+ * @param {Function} query - async (repoPath) => results with a `path` field
+ * @returns {Promise<Object[]>} - Combined results sorted by score
+ */
+async function queryProjectRepos(project, query) {
+  const results = [];
+  for (const repoPath of project.repoPaths) {
+    const repoResults = await query(repoPath);
+    results.push(...repoResults.filter(result => matchesProject(project, repoPath, result.path)));
+  }
+  return results.sort((a, b) => b.score - a.score);
 }
 
 /**
- * Search the codebase for relevant files based on the bug report
+ * Search the codebase for relevant files and code chunks based on the bug report
  * @param {string} bugReport - User submitted bug report
- * @param {string} repoPath - Path to the repository
- * @returns {Promise<string[]>} - Array of relevant file paths
+ * @param {Object} project - Project whose repositories are searched
+ * @param {Object} fileSystem - File system interface backed by the repository index
+ * @returns {Promise<{files: string[], chunks: Object[]}>} - Relevant file paths and scored chunks
  */
-async function searchCodebase(bugReport, repoPath, fileSystem) {
+async function searchCodebase(bugReport, project, fileSystem) {
   try {
-    // Get list of all files in the repository
-    const allFiles = await fileSystem.listFiles(repoPath);
+    // Retrieve the best-matching code chunks by content
+    const chunks = (await queryProjectRepos(project, repoPath =>
+      fileSystem.searchChunks(repoPath, bugReport, RETRIEVAL_TOP_K))).slice(0, RETRIEVAL_TOP_K);
+    const retrievedFiles = rankFiles(chunks);
     
-    // If OpenAI API is available, use it for intelligent file selection
-    if (openai) {
+    // Query the repository index for path/symbol candidates instead of the full file list
+    const indexCandidates = (await queryProjectRepos(project, repoPath =>
+      fileSystem.searchFiles(repoPath, bugReport, MAX_CANDIDATE_FILES))).slice(0, MAX_CANDIDATE_FILES);
+    
+    // If an LLM is available, use it for intelligent file selection
+    if (llm.isLlmConfigured()) {
       try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4.1",
+        const exportsByPath = new Map(indexCandidates.map(entry => [entry.path, entry.exports]));
+        const candidatePaths = [...new Set([...retrievedFiles, ...indexCandidates.map(entry => entry.path)])]
+          .slice(0, MAX_CANDIDATE_FILES);
+        const candidateList = candidatePaths
+          .map(filePath => {
+            const exports = exportsByPath.get(filePath) || [];
+            return exports.length > 0
+              ? `${filePath} (exports: ${exports.slice(0, 10).join(', ')})`
+              : filePath;
+          })
+          .join('\n');
+        
+        const selection = await llm.completeJson('fileSelection', {
           messages: [
             {
               role: "system",
-              content: `You are a code analysis expert. Based on the bug report, identify which files in the repository are most likely to be relevant. Output ONLY a JSON array of file paths, with no explanations or other text.`
+              content: `You are a code analysis expert. Based on the bug report, identify which files in the repository are most likely to be relevant. Output ONLY a JSON object of the form {"files": ["path", ...]} using paths from the candidate list, with no explanations or other text.` +
+                (project.prompts.fileSelection ? `\n\n${project.prompts.fileSelection}` : '')
             },
             {
               role: "user",
-              content: `Bug report: ${bugReport}\n\nAvailable files: ${JSON.stringify(allFiles)}`
+              content: `Bug report: ${bugReport}\n\nCandidate files (most relevant by content first):\n${candidateList}`
             }
           ],
-          response_format: { type: "json_object" },
           temperature: 0.2,
-        });
+        }, FILE_SELECTION_SCHEMA);
         
-        // Parse the response
-        const parsedResponse = JSON.parse(completion.choices[0].message.content);
-        return parsedResponse.files.slice(0, 10);
+        // Keep only files the index knows about; an unrepairable response falls through to retrieval ranking
+        if (selection.valid) {
+          const knownPaths = new Set(candidatePaths);
+          return {
+            files: selection.value.files.filter(file => knownPaths.has(file)).slice(0, 10),
+            chunks
+          };
+        }
+        console.warn('File selection response could not be repaired, using retrieval ranking');
       } catch (error) {
-        console.error('Error using OpenAI for file selection:', error);
-        // Fall through to simple keyword-based matching
+        console.error('Error using LLM for file selection:', error);
+        // Fall through to retrieval ranking
       }
     }
     
-    // Simple keyword-based matching as fallback
-    console.log('Using simple keyword matching for file selection');
-    const keywords = bugReport.toLowerCase().split(/\s+/);
-    
-    // Score files based on keyword matches in their paths
-    const scoredFiles = allFiles.map(file => {
-      const lowerPath = file.toLowerCase();
-      const score = keywords.reduce((sum, keyword) => 
-        sum + (lowerPath.includes(keyword) ? 1 : 0), 0);
-      return { file, score };
-    });
-    
-    // Sort by score (descending) and take top 10
-    return scoredFiles
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10)
-      .map(item => item.file);
+    // Content retrieval ranking (semantic, or BM25 when embeddings are unavailable),
+    // topped up with index path/symbol matches
+    console.log('Using content retrieval ranking for file selection');
+    return {
+      files: [...new Set([...retrievedFiles, ...indexCandidates.map(entry => entry.path)])].slice(0, 10),
+      chunks
+    };
   } catch (error) {
     console.error('Error searching codebase:', error);
-    return [];
+    return { files: [], chunks: [] };
   }
 }
 
 /**
- * Read code snippets from files
- * @param {string[]} filePaths - Array of file paths
+ * Parse stack traces in the logs and resolve their frames against the repository
+ * @param {string} logs - Error logs or pasted stack trace
+ * @param {Object} project - Project whose repositories frames are resolved against
  * @param {Object} fileSystem - File system interface
- * @returns {Promise<Object>} - Object with file paths as keys and content as values
+ * @returns {Promise<Object>} - { errors, frames, files, ranges } where ranges are line windows around in-repo frames
  */
-async function readCodeSnippets(filePaths, fileSystem) {
+async function analyzeStackTrace(logs, project, fileSystem) {
+  const empty = { errors: [], frames: [], files: [], ranges: [] };
+  
   try {
-    const codeSnippets = {};
+    const { frames, errors } = parseStackTrace(logs);
+    if (frames.length === 0) {
+      return { ...empty, errors };
+    }
     
-    for (const filePath of filePaths) {
-      try {
-        const content = await fileSystem.readFile(filePath);
-        codeSnippets[filePath] = content;
-      } catch (error) {
-        console.error(`Error reading file ${filePath}:`, error);
-        codeSnippets[filePath] = `Error reading file: ${error.message}`;
-      }
+    const repoFiles = [];
+    for (const repoPath of project.repoPaths) {
+      const files = await fileSystem.listFiles(repoPath);
+      repoFiles.push(...files.filter(filePath => matchesProject(project, repoPath, filePath)));
     }
+    const resolved = await resolveFrames(frames, project.repoPaths, repoFiles, { sourceMapDirs: sourceMapDirs || undefined });
     
-    return codeSnippets;
+    // The innermost in-repo frames are the most likely culprits
+    const repoFrames = resolved.filter(frame => frame.resolvedFile).slice(0, MAX_STACK_FRAMES);
+    
+    return {
+      errors,
+      frames: resolved,
+      files: [...new Set(repoFrames.map(frame => frame.resolvedFile))],
+      ranges: repoFrames.map(frame => ({
+        path: frame.resolvedFile,
+        startLine: Math.max(1, frame.resolvedLine - STACK_FRAME_CONTEXT_LINES),
+        endLine: frame.resolvedLine + STACK_FRAME_CONTEXT_LINES,
+        reason: 'stack_frame'
+      }))
+    };
+  } catch (error) {
+    console.error('Error analyzing stack trace:', error);
+    return empty;
+  }
+}
+
+/**
+ * Read budgeted, line-numbered code snippets from files
+ * @param {string[]} filePaths - Array of file paths
+ * @param {Object} fileSystem - File system interface
+ * @param {Object} options - Extraction options
+ * @param {Object[]} [options.ranges] - Line ranges included ahead of retrieved chunks (e.g. stack frames)
+ * @param {Object[]} [options.chunks] - Retrieved chunks used to pick line ranges
+ * @param {number} [options.tokenBudget] - Token budget across all files
+ * @returns {Promise<Object>} - { snippets: { [filePath]: content }, ranges, tokensUsed, tokenBudget }
+ */
+async function readCodeSnippets(filePaths, fileSystem, options = {}) {
+  try {
+    return await extractSnippets(filePaths, fileSystem, {
+      ranges: options.ranges,
+      chunks: options.chunks,
+      tokenBudget: options.tokenBudget || snippetTokenBudget
+    });
   } catch (error) {
     console.error('Error reading code snippets:', error);
     throw error;
@@ -150,27 +329,57 @@ async function readCodeSnippets(filePaths, fileSystem) {
 /**
  * Generate AI-powered bug report from user description and code
  * 
- * @param {Object} bugData - Bug information from user (description, logs, steps, screenshots)
+ * @param {Object} bugData - Bug information from user (description, logs, steps, screenshots), parsed
+ *   stack frames, follow-up answers and suspected regression commits
  * @param {Object} codeSnippets - Relevant code extracted from the codebase
- * @returns {Promise<Object>} - Structured bug report object
+ * @param {Object} options - Generation options
+ * @param {string} [options.promptAppendix] - Project-specific instructions appended to the system prompt
+ * @returns {Promise<Object>} - { reportJson, model, provider } (model is null for the offline fallback)
  */
-async function generateBugReport(bugData, codeSnippets) {
+async function generateBugReport(bugData, codeSnippets, options = {}) {
   try {
     // Create a prompt for the AI with the bug data and code snippets
     const snippetsText = Object.entries(codeSnippets)
       .map(([filePath, content]) => `File: ${filePath}\n\n${content}\n\n`)
       .join('---\n');
     
+    // Format resolved stack frames if the logs contained a trace
+    const stackFramesText = bugData.stackFrames && bugData.stackFrames.length > 0
+      ? `Parsed Stack Frames (innermost first):\n${bugData.stackFrames
+        .slice(0, 20)
+        .map(frame => `- ${frame.function || '<anonymous>'} at ${frame.resolvedFile || frame.file}:${frame.resolvedLine || frame.line}${frame.external ? ' (external)' : ''}`)
+        .join('\n')}\n\n`
+      : '';
+    
     // Format screenshot URLs if provided
     const screenshotsText = bugData.screenshots && bugData.screenshots.length > 0 
       ? `\n\nScreenshots: ${bugData.screenshots.join('\n')}`
       : '';
     
-    // If OpenAI API is available, use it for report generation
-    if (openai) {
+    // Recent commits to the implicated code that may have introduced the bug
+    const regressionsText = bugData.regressions && bugData.regressions.length > 0
+      ? `Suspected Regression Commits (most likely first):\n${bugData.regressions
+        .map(commit => `- ${commit.short_hash} by ${commit.author} on ${commit.date.substring(0, 10)}: ${commit.message}\n` +
+          `  Why: ${commit.reasons.join('; ')}` +
+          (commit.diff_excerpt ? `\n  Diff:\n${commit.diff_excerpt}` : ''))
+        .join('\n')}\n\n`
+      : '';
+    
+    // On re-analysis, include the previous report and the reporter's answers
+    const followUpText = bugData.followUp
+      ? `Previous Analysis (revision ${bugData.followUp.revision}):\n${bugData.followUp.previousMarkdown}\n\n` +
+        `Answers to Follow-up Questions:\n${bugData.followUp.answers
+          .map(answer => `- ${answer.question}\n  Answer: ${answer.answer}`)
+          .join('\n')}\n\n` +
+        'Revise the previous analysis using these answers. Do not ask again for information the reporter has now provided.' +
+        (bugData.followUp.allowQuestions ? '' : ' This is the final round: return an empty information_gaps list.') +
+        '\n\n'
+      : '';
+    
+    // If an LLM is available, use it for report generation
+    if (llm.isLlmConfigured()) {
       try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4.1",
+        const analysis = await llm.completeJson('analysis', {
           messages: [
             {
               role: "system",
@@ -187,10 +396,11 @@ Your role is to bridge the gap between user-reported bugs and technical solution
 
 ## Analysis Guidelines
 - Interpret business terms in their technical context
-- Reference specific files, functions, and line numbers when possible
+- Reference specific files, functions, and line numbers when possible (code snippets are prefixed with their real line numbers)
 - Identify patterns and anti-patterns in the code
 - Consider potential edge cases and interactions between components
 - If screenshots are provided, incorporate insights from them into your analysis
+- If suspected regression commits are listed, say in the root cause or evidence whether one of them likely introduced the bug, citing its short hash
 
 ## Response Structure
 Return a JSON object with this exact schema:
@@ -198,36 +408,67 @@ Return a JSON object with this exact schema:
     "title": "Clear, concise bug title",
     "suspected_root_cause": "Technical explanation with code structure references",
     "evidence": ["Specific file/line references", "Code patterns found", "Error conditions", "Visual evidence from screenshots"],
-    "next_steps": ["Precise technical actions for developers"]
+    "next_steps": ["Precise technical actions for developers"],
+    "confidence": 0.0,
+    "information_gaps": [
+        {
+            "id": "short_snake_case_id",
+            "gap": "What is missing and why it matters for the diagnosis",
+            "question": "One targeted question for the reporter, in non-technical language",
+            "answer_type": "text | choice | file | url",
+            "options": ["Only for choice questions"]
+        }
+    ],
+    "severity": {
+        "level": "critical | high | medium | low",
+        "reason": "One sentence on the user and business impact"
+    }
 }
 
-Focus on being specific, actionable, and technically accurate while making the bug understandable to developers who didn't write the original code.`
+## Confidence and Information Gaps
+- "confidence" is the probability (0 to 1) that the suspected root cause is correct. Use 0.8 or more only when the code snippets or stack trace directly show the fault; 0.4 to 0.7 when the cause is plausible but unconfirmed; below 0.4 when you are guessing.
+- List at most 5 information gaps, and only those whose answers would change the diagnosis or the fix. Return an empty list when the evidence is sufficient.
+- Never ask for something the reporter already provided. Use "choice" with options for discrete answers (browser, plan, platform), "file" for screenshots, recordings or exports, and "url" for links to the affected page.
+
+## Severity
+- "critical": data loss, security exposure, or a core flow (sign-in, checkout, payments) broken for everyone
+- "high": a core flow broken for some users, or a crash without a workaround
+- "medium": a feature misbehaves but a workaround exists
+- "low": cosmetic issues and minor inconveniences
+
+Focus on being specific, actionable, and technically accurate while making the bug understandable to developers who didn't write the original code.` +
+                (options.promptAppendix ? `\n\n## Project Context\n${options.promptAppendix}` : '')
             },
             {
               role: "user",
               content: `Bug Report: ${bugData.description}\n\n` + 
                         `Error Log/Trace: ${bugData.logs || 'None provided'}\n\n` +
+                        stackFramesText +
+                        regressionsText +
                         `Reproduction Steps: ${bugData.steps || 'None provided'}\n\n` +
                         `${screenshotsText}\n\n` +
+                        followUpText +
                         `Code Snippets:\n${snippetsText}`
             }
           ],
-          response_format: { type: "json_object" },
           temperature: 0.2,
-        });
+        }, BUG_REPORT_SCHEMA);
         
-        // Parse the AI-generated report
-        return JSON.parse(completion.choices[0].message.content);
+        // Validated report, or the schema's typed fallback when repair failed
+        if (!analysis.valid) {
+          console.warn(`Bug report response could not be repaired after ${analysis.attempts} attempts, using defaults for invalid fields`);
+        }
+        return { reportJson: analysis.value, model: analysis.model, provider: analysis.provider };
       } catch (error) {
-        console.error('Error using OpenAI for report generation:', error);
+        console.error('Error using LLM for report generation:', error);
         // Fall through to mock report if AI fails
       }
     }
     
-    // Generate a simple mock report when OpenAI isn't available
+    // Generate a simple mock report when no LLM is available
     console.log('Using fallback bug report generation (no AI)');
     
-    return {
+    const reportJson = {
       "title": bugData.description.substring(0, 50) + (bugData.description.length > 50 ? '...' : ''),
       "suspected_root_cause": "Unable to generate detailed analysis without AI integration.",
       "evidence": [
@@ -241,17 +482,42 @@ Focus on being specific, actionable, and technically accurate while making the b
         "Implement proper error handling and validation"
       ]
     };
+    return { reportJson, model: null, provider: 'fallback' };
   } catch (error) {
     console.error('Error generating bug report:', error);
     
     // Return a minimal fallback report
-    return {
+    const reportJson = {
       "title": "Bug Report Analysis",
       "suspected_root_cause": "Analysis could not be completed due to a technical issue.",
       "evidence": ["Error during bug report generation"],
       "next_steps": ["Try again later or contact support for assistance"]
     };
+    return { reportJson, model: null, provider: 'fallback' };
+  }
+}
+
+/**
+ * Upper bounds on the model's confidence when the analysis had little to go on
+ */
+const CONFIDENCE_CAP_WITHOUT_CODE = 0.4;
+const CONFIDENCE_CAP_WITHOUT_EVIDENCE = 0.5;
+
+/**
+ * Calibrate the model's self-reported confidence against what it actually saw
+ * @param {number} confidence - Confidence reported by the model (0-1)
+ * @param {Object} context - { snippetCount, evidenceCount }
+ * @returns {number} - Calibrated confidence rounded to two decimals
+ */
+function calibrateConfidence(confidence, context) {
+  let calibrated = Math.min(1, Math.max(0, confidence));
+  if (context.snippetCount === 0) {
+    calibrated = Math.min(calibrated, CONFIDENCE_CAP_WITHOUT_CODE);
+  }
+  if (context.evidenceCount === 0) {
+    calibrated = Math.min(calibrated, CONFIDENCE_CAP_WITHOUT_EVIDENCE);
   }
+  return Math.round(calibrated * 100) / 100;
 }
 
 /**
@@ -270,9 +536,14 @@ function generateMarkdownReport(reportJson) {
     })
     .filter(Boolean); // Remove nulls
     
+  const gaps = Array.isArray(reportJson.information_gaps) ? reportJson.information_gaps : [];
+  const regressions = reportJson.suspected_regressions || [];
+    
   // Create a clean, developer-friendly markdown report
   return `# Bug Report: ${reportJson.title}
-
+${typeof reportJson.confidence === 'number' ? `
+**Confidence:** ${Math.round(reportJson.confidence * 100)}%
+` : ''}
 ## Suspected Root Cause
 ${reportJson.suspected_root_cause}
 
@@ -281,11 +552,22 @@ ${reportJson.evidence.map(item => `- ${item}`).join('\n')}
 
 ## Recommended Next Steps for Developers
 ${reportJson.next_steps.map(item => `- ${item}`).join('\n')}
-
+${gaps.length > 0 ? `
+## Open Questions
+${gaps.map(gap => `- ${gap.gap}`).join('\n')}
+` : ''}
 ${filePaths.length > 0 ? `
 ## Files Involved
 ${filePaths.map(file => `- \`${file}\``).join('\n')}
-` : ''}
+` : ''}${regressions.length > 0 ? `
+## Suspected Regression Commits
+${regressions.map(commit => `### \`${commit.short_hash}\` ${commit.message}
+${commit.author}, ${commit.date.substring(0, 10)} (score ${commit.score}): ${commit.reasons.join('; ')}
+${commit.diff_excerpt ? `
+\`\`\`diff
+${commit.diff_excerpt}
+\`\`\`
+` : ''}`).join('\n')}` : ''}
 
 ---
 Report generated by Bug Report AI
@@ -293,12 +575,56 @@ Report generated by Bug Report AI
 }
 
 /**
- * Check if the bug report needs additional information from the user
+ * Check if the bug report needs additional information from the user,
+ * using the information gaps identified by the analysis stage
  * 
  * @param {Object} reportJson - JSON bug report
  * @returns {Object|null} - Additional information request or null if not needed
  */
 function checkIfNeedsMoreInfo(reportJson) {
+  // Without model-identified gaps (no LLM, or an unrepairable response), fall back to heuristics
+  if (!Array.isArray(reportJson.information_gaps)) {
+    return inferInformationGaps(reportJson);
+  }
+  
+  if (reportJson.information_gaps.length === 0) {
+    return null;
+  }
+  
+  // Gap ids key the reporter's answers, so keep them unique and form-safe
+  const usedTypes = new Set();
+  const requests = reportJson.information_gaps.map((gap, index) => {
+    let type = gap.id.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `gap_${index + 1}`;
+    if (usedTypes.has(type)) {
+      type = `${type}_${index + 1}`;
+    }
+    usedTypes.add(type);
+    
+    const options = gap.options || [];
+    return {
+      type,
+      gap: gap.gap,
+      question: gap.question,
+      // A choice without options can only be answered as free text
+      answer_type: gap.answer_type === 'choice' && options.length === 0 ? 'text' : gap.answer_type,
+      options
+    };
+  });
+  
+  return {
+    needs_more_info: true,
+    confidence: reportJson.confidence,
+    requests
+  };
+}
+
+/**
+ * Offline fallback: infer follow-up questions from keywords in the report
+ * 
+ * @param {Object} reportJson - JSON bug report
+ * @returns {Object|null} - Additional information request or null if not needed
+ */
+function inferInformationGaps(reportJson) {
   // Enhanced validation of report quality to determine if we need more info
   
   // Keywords indicating uncertainty in the analysis or vague descriptions
@@ -341,7 +667,8 @@ function checkIfNeedsMoreInfo(reportJson) {
         reportJson.next_steps.some(step => step.toLowerCase().includes('reproduce'))) {
       requests.push({
         type: 'reproduction_steps',
-        question: 'Please provide specific steps to reproduce this issue. What were you doing right before the problem occurred?'
+        question: 'Please provide specific steps to reproduce this issue. What were you doing right before the problem occurred?',
+        answer_type: 'text'
       });
     }
     
@@ -351,7 +678,8 @@ function checkIfNeedsMoreInfo(reportJson) {
         reportJson.next_steps.some(step => step.toLowerCase().includes('environment'))) {
       requests.push({
         type: 'environment',
-        question: 'What environment are you experiencing this issue in? (browser, OS, device, screen size, etc.)'
+        question: 'What environment are you experiencing this issue in? (browser, OS, device, screen size, etc.)',
+        answer_type: 'text'
       });
     }
     
@@ -360,7 +688,8 @@ function checkIfNeedsMoreInfo(reportJson) {
         reportJson.next_steps.some(step => step.toLowerCase().includes('version'))) {
       requests.push({
         type: 'version',
-        question: 'What version of the software are you using? Is this a recent change?'
+        question: 'What version of the software are you using? Is this a recent change?',
+        answer_type: 'text'
       });
     }
     
@@ -369,7 +698,8 @@ function checkIfNeedsMoreInfo(reportJson) {
         rootCause.toLowerCase().includes('user')) {
       requests.push({
         type: 'user_context',
-        question: 'What were you trying to accomplish when you encountered this bug? What is your user role?'
+        question: 'What were you trying to accomplish when you encountered this bug? What is your user role?',
+        answer_type: 'text'
       });
     }
     
@@ -378,7 +708,8 @@ function checkIfNeedsMoreInfo(reportJson) {
         reportJson.evidence.some(e => e.toLowerCase().includes('data'))) {
       requests.push({
         type: 'data_context',
-        question: 'What kind of data were you working with when the issue occurred? Any specific inputs that trigger the problem?'
+        question: 'What kind of data were you working with when the issue occurred? Any specific inputs that trigger the problem?',
+        answer_type: 'text'
       });
     }
     
@@ -386,13 +717,14 @@ function checkIfNeedsMoreInfo(reportJson) {
     if (!reportJson.evidence.some(e => e.toLowerCase().includes('screenshot'))) {
       requests.push({
         type: 'screenshot',
-        question: 'Could you provide a screenshot or screen recording that shows the issue?'
+        question: 'Could you provide a screenshot or screen recording that shows the issue?',
+        answer_type: 'file'
       });
     }
     
     return {
       needs_more_info: true,
-      confidence: hasUncertainty ? 'low' : (vagueEvidence ? 'medium-low' : 'medium'),
+      confidence: hasUncertainty ? 0.3 : (vagueEvidence ? 0.45 : 0.55),
       requests: requests
     };
   }
@@ -401,193 +733,357 @@ function checkIfNeedsMoreInfo(reportJson) {
 }
 
 /**
- * Create a Linear issue from the bug report
+ * Create an issue in the configured tracker from the bug report
  * 
  * @param {Object} reportJson - JSON bug report
  * @param {string} reportMarkdown - Markdown formatted report
  * @param {Array} files - List of files analyzed
- * @param {Object} config - Configuration object with team ID
- * @returns {Promise<Object>} - Linear issue data or null if Linear is not configured
+ * @param {Array} screenshots - List of screenshot URLs
+ * @param {Object} config - Configuration object with tracker name, team ID, extra labels, assignee, tracker
+ *   overrides, the report's redactor, its severity classification and its ownership routing
+ * @returns {Promise<Object>} - Tracker issue data or null if no tracker is configured
  */
-async function createLinearIssue(reportJson, reportMarkdown, files, screenshots = [], config = {}) {
-  if (!linearClient) {
-    console.log('Linear integration not configured. Skipping issue creation.');
+async function createTrackerIssue(reportJson, reportMarkdown, files, screenshots = [], config = {}) {
+  const tracker = getTracker(config.tracker, config.trackerOverrides);
+  
+  if (!tracker) {
+    console.log('Issue tracker integration not configured. Skipping issue creation.');
     return null;
   }
 
   try {
-    // Get default team ID from config or fetch the first team
-    let teamId = config.teamId;
-    
-    if (!teamId) {
-      try {
-        const teams = await linearClient.teams();
-        if (teams.nodes.length > 0) {
-          teamId = teams.nodes[0].id;
-        } else {
-          console.warn('No teams found in Linear account. Cannot create issue.');
-          return null;
-        }
-      } catch (error) {
-        console.error('Error fetching Linear teams:', error);
-        return null;
-      }
-    }
+    // Redact the model's output again so nothing sensitive reaches the tracker
+    const redactor = config.redactor || createRedactor();
+    const title = redactor.redact(reportJson.title, 'tracker_title');
+    const analysis = redactor.redact(reportMarkdown, 'tracker_description');
     
     // Prepare a description including the AI analysis and files examined
-    const filesList = files.map(file => `- \`${file}\``).join('\\n');
+    const filesList = files.map(file => `- \`${file}\``).join('\n');
     
     // Add screenshots section if screenshots provided
     const screenshotsSection = screenshots && screenshots.length > 0
-      ? `\\n\\n## Screenshots\\n${screenshots.map(url => `![Screenshot](${url})`).join('\\n')}`
+      ? `\n\n## Screenshots\n${screenshots.map(url => `![Screenshot](${url})`).join('\n')}`
+      : '';
+    
+    // Explain the severity so triagers can see why the issue got its priority
+    const severitySection = config.severity
+      ? `\n\n## Severity\n${redactor.redact(config.severity.justification, 'tracker_description')}`
       : '';
     
-    const description = `## AI Bug Analysis\\n${reportMarkdown}\\n\\n## Files Examined\\n${filesList}${screenshotsSection}`;
+    // Point triagers at the code owners and the people who last changed the code
+    const ownershipSection = config.routing ? formatOwnership(config.routing) : '';
     
-    // Prepare labels based on suspected root cause
-    let labelIds = [];
-    try {
-      const labels = await linearClient.issueLabels();
-      const bugLabel = labels.nodes.find(label => label.name.toLowerCase() === 'bug');
-      if (bugLabel) {
-        labelIds.push(bugLabel.id);
-      }
-      
-      // Add priority labels if appropriate
-      if (reportJson.suspected_root_cause.toLowerCase().includes('crash') || 
-          reportJson.suspected_root_cause.toLowerCase().includes('critical')) {
-        const priorityLabel = labels.nodes.find(label => 
-          label.name.toLowerCase() === 'high' || 
-          label.name.toLowerCase() === 'urgent'
-        );
-        if (priorityLabel) {
-          labelIds.push(priorityLabel.id);
-        }
-      }
-    } catch (labelError) {
-      console.error('Error fetching labels, continuing without labels:', labelError);
-    }
+    const description = `## AI Bug Analysis\n${analysis}${severitySection}${ownershipSection}\n\n## Files Examined\n${filesList}${screenshotsSection}`;
     
-    // Create the issue
-    const issue = await linearClient.createIssue({
-      teamId,
-      title: reportJson.title,
+    // Priority from the severity classification (reports analyzed before it existed
+    // fall back to raising priority when the root cause points at a crash)
+    const rootCause = reportJson.suspected_root_cause.toLowerCase();
+    const priority = config.severity
+      ? config.severity.priority
+      : rootCause.includes('crash') || rootCause.includes('critical') ? 'high' : 'medium';
+    
+    const issue = await tracker.createIssue({
+      teamId: config.teamId,
+      title,
       description,
-      labelIds,
-      priority: 2 // Medium priority by default
+      labels: ['bug', ...(config.labels || [])],
+      priority,
+      assignee: config.assignee || null
     });
     
     // Return with the correct structure for frontend display
     return {
+      tracker: tracker.name,
+      tracker_name: tracker.displayName,
       id: issue.id,
       number: issue.number,
       url: issue.url,
-      title: issue.title || reportJson.title
+      title: issue.title || title
     };
   } catch (error) {
-    console.error('Error in Linear issue creation process:', error);
+    console.error(`Error in ${tracker.displayName} issue creation process:`, error);
     return null;
   }
 }
 
+/**
+ * Ownership section of a tracker issue description
+ * @param {Object} routing - Report routing (owners, recent committers)
+ * @returns {string} - Markdown section, empty when nothing is known
+ */
+function formatOwnership(routing) {
+  const lines = [];
+  if (routing.owners && routing.owners.length > 0) {
+    lines.push(`- Code owners: ${routing.owners.join(', ')}`);
+  }
+  if (routing.recent_committers && routing.recent_committers.length > 0) {
+    const committers = routing.recent_committers
+      .map(committer => `${committer.name} (${committer.lines} line${committer.lines === 1 ? '' : 's'}, ${committer.last_commit_at.substring(0, 10)})`)
+      .join(', ');
+    lines.push(`- Recently changed by: ${committers}`);
+  }
+  return lines.length > 0 ? `\n\n## Ownership\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Who changed a report: a triager, the reporter when known, otherwise the system
+ * @param {Object} [person] - Triager principal ({ role, id, email, name }), { email, name }
+ *   or a stored report with reporter fields
+ * @returns {Object} - { type, email, name } (triagers also have an id)
+ */
+function revisionActor(person = {}) {
+  if (person.role === 'triager') {
+    return { type: 'triager', id: person.id, email: person.email || null, name: person.name || null };
+  }
+  const email = person.email || person.reporter_email;
+  if (!email) {
+    return { type: 'system' };
+  }
+  return { type: 'reporter', email, name: person.name || person.reporter_name || null };
+}
+
+/**
+ * Append an entry to a report's revision log
+ * @param {Object[]} revisions - Existing revisions (never modified)
+ * @param {string} trigger - What changed the report (analysis, follow_up, confirmation, duplicate,
+ *   edit, rejection, merge)
+ * @param {Object} reportJson - Full report JSON after the change
+ * @param {string} reportMarkdown - Markdown report after the change
+ * @param {Object} [details] - actor, generation ({ model, provider, prompt_version }) and trigger-specific fields
+ * @returns {Object[]} - New revision log with the entry appended
+ */
+function appendRevision(revisions, trigger, reportJson, reportMarkdown, details = {}) {
+  const { actor, generation, ...fields } = details;
+  const previous = revisions && revisions.length > 0 ? revisions[revisions.length - 1] : null;
+
+  return [...revisions || [], {
+    revision: previous ? previous.revision + 1 : 1,
+    trigger,
+    actor: actor || revisionActor(),
+    model: generation ? generation.model : null,
+    provider: generation ? generation.provider : null,
+    prompt_version: generation ? generation.prompt_version : null,
+    ...fields,
+    content_json: JSON.parse(JSON.stringify(reportJson)),
+    content_markdown: reportMarkdown,
+    created_at: new Date().toISOString()
+  }];
+}
+
 /**
  * Store bug report data in database or in-memory fallback
  * 
  * @param {Object} reportJson - Generated report in JSON format
  * @param {string} reportMarkdown - Markdown version of the report
- * @param {Object|null} linearIssue - Created Linear issue data (if available)
- * @param {Object} userData - User information like email, name
+ * @param {Object|null} trackerIssue - Created tracker issue data (if available)
+ * @param {Object} userData - User information like id (the owning principal), email, name
  * @param {Array} filesAnalyzed - List of code files analyzed 
  * @param {Array} screenshots - List of screenshot URLs uploaded by user
+ * @param {Object} extras - Additional report fields (e.g. snippet ranges), plus the `generation`
+ *   ({ model, provider, prompt_version }) recorded on the first revision
  * @returns {Promise<Object>} - Stored report data
  */
-async function storeBugReport(reportJson, reportMarkdown, linearIssue = null, userData = {}, filesAnalyzed = [], screenshots = []) {
+async function storeBugReport(reportJson, reportMarkdown, trackerIssue = null, userData = {}, filesAnalyzed = [], screenshots = [], extras = {}) {
+  const { generation, ...fields } = extras;
+  
   try {
     // Add timestamp
     reportJson.created_at = new Date().toISOString();
     
-    // Add Linear issue information if available
-    const linearData = linearIssue ? {
-      linear_issue_id: linearIssue.id,
-      linear_issue_number: linearIssue.number,
-      linear_issue_url: linearIssue.url
+    // Add tracker issue information if available
+    const trackerData = trackerIssue ? {
+      tracker: trackerIssue.tracker,
+      tracker_issue_id: trackerIssue.id,
+      tracker_issue_number: trackerIssue.number,
+      tracker_issue_url: trackerIssue.url
     } : {};
     
     // Add user information
     const userFields = userData.email ? {
       reporter_email: userData.email,
       reporter_name: userData.name || null,
-      status: 'open',
       feedback_requested: false
     } : {};
     
+    // Start the revision log with the generated report
+    const revisions = appendRevision([], 'analysis', reportJson, reportMarkdown, {
+      actor: revisionActor(userData),
+      generation
+    });
+    
     // Prepare report data
+    // IDs are random so a report can't be found by guessing
     const reportData = {
-      id: `report-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      id: `report-${crypto.randomUUID()}`,
       title: reportJson.title,
       content_json: reportJson,
       content_markdown: reportMarkdown,
       created_at: reportJson.created_at,
-      ...linearData,
+      ...trackerData,
+      reporter_id: userData.id || null,
       ...userFields,
       files_analyzed: filesAnalyzed,
-      screenshots: screenshots // Store screenshot URLs
+      screenshots: screenshots, // Store screenshot URLs
+      revision: 1,
+      revisions,
+      ...fields,
+      // Reports with follow-up questions wait for the reporter's answers
+      ...lifecycle.enterState(null, fields.needs_more_info ? 'needs_info' : 'open', {
+        actor: revisionActor(userData),
+        at: reportJson.created_at
+      })
     };
     
-    // Use Supabase if available, otherwise use in-memory storage
-    if (supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('bug_reports')
-          .insert([reportData])
-          .select()
-          .single();
-          
-        if (!error && data) {
-          return data;
-        }
-        // Fall through to in-memory storage if Supabase fails
-      } catch (supabaseError) {
-        console.log('Using in-memory storage as fallback:', supabaseError);
-      }
-    } else {
-      console.log('Using in-memory storage (Supabase not configured)');
-    }
-    
-    // In-memory storage fallback
-    inMemoryReports.set(reportData.id, reportData);
-    
-    return reportData;
+    return await storage.reports.create(reportData);
   } catch (error) {
     console.error('Error storing bug report:', error);
-    
-    // Last resort fallback - create a minimal report object
-    const fallbackReport = {
-      id: `fallback-${Date.now()}`,
-      title: reportJson.title || 'Bug Report',
-      content_json: reportJson,
-      content_markdown: reportMarkdown,
-      created_at: new Date().toISOString(),
-      files_analyzed: filesAnalyzed,
-      screenshots: screenshots
-    };
-    
-    inMemoryReports.set(fallbackReport.id, fallbackReport);
-    
-    return fallbackReport;
+    throw error;
+  }
+}
+
+/**
+ * Run the analysis pipeline on redacted bug inputs
+ * @param {Object} inputs - Redacted { description, logs, steps, additionalContext }
+ * @param {Object} project - Resolved project
+ * @param {Object} fileSystem - File system interface
+ * @param {Object} redactor - Report redactor, also applied to code snippets
+ * @param {Object} [options] - { screenshots, reportedAt, followUp: { revision, previousMarkdown, answers, allowQuestions } }
+ * @returns {Promise<Object>} - Report JSON and Markdown, follow-up questions, files, snippet ranges, stack trace
+ *   and the model that generated the report
+ */
+async function runAnalysis(inputs, project, fileSystem, redactor, options = {}) {
+  const screenshots = options.screenshots || [];
+  const followUp = options.followUp || null;
+  
+  // Step 1: Parse stack traces in the logs and resolve them to repository files and lines
+  const stackTrace = await analyzeStackTrace(inputs.logs, project, fileSystem);
+  
+  // Step 2: Search the codebase for relevant files, with stack frame files ahead of the AI's picks
+  const searchQuery = followUp
+    ? [inputs.description, ...followUp.answers.map(answer => answer.answer)].join('\n')
+    : inputs.description;
+  const { files: searchedFiles, chunks } = await searchCodebase(searchQuery, project, fileSystem);
+  const relevantFiles = [...new Set([...stackTrace.files, ...searchedFiles])];
+  
+  // Step 3: Read budgeted code snippets (frame windows first, then relevant chunks)
+  const {
+    snippets: codeSnippets,
+    ranges: snippetRanges,
+    tokensUsed,
+    tokenBudget
+  } = await readCodeSnippets(relevantFiles, fileSystem, { ranges: stackTrace.ranges, chunks });
+  const redactedSnippets = Object.fromEntries(Object.entries(codeSnippets)
+    .map(([filePath, content]) => [filePath, redactor.redact(content, `snippet:${filePath}`)]));
+  
+  // Step 4: Rank commits to the implicated lines that may have introduced the bug
+  const regressions = await findRegressions({
+    files: relevantFiles,
+    snippetRanges,
+    frames: stackTrace.frames,
+    text: [searchQuery, ...stackTrace.errors.map(error => `${error.type} ${error.message}`)].join('\n'),
+    reportedAt: options.reportedAt,
+    project
+  }, redactor);
+  
+  // Step 5: Generate the bug report using AI
+  const bugData = { 
+    ...inputs,
+    stackFrames: stackTrace.frames,
+    screenshots,
+    followUp,
+    regressions
+  };
+  const { reportJson, model, provider } = await generateBugReport(bugData, redactedSnippets, {
+    promptAppendix: project.prompts.analysis
+  });
+  if (typeof reportJson.confidence === 'number') {
+    reportJson.confidence = calibrateConfidence(reportJson.confidence, {
+      snippetCount: Object.keys(redactedSnippets).length,
+      evidenceCount: reportJson.evidence.length
+    });
+  }
+  reportJson.suspected_regressions = regressions;
+  
+  // Step 6: Generate a Markdown version of the report
+  const reportMarkdown = generateMarkdownReport(reportJson);
+  
+  // Step 7: Check if we need to request additional information (unless the follow-up rounds are used up)
+  const needsMoreInfo = !followUp || followUp.allowQuestions ? checkIfNeedsMoreInfo(reportJson) : null;
+  
+  return {
+    reportJson,
+    reportMarkdown,
+    needsMoreInfo,
+    files: relevantFiles,
+    snippetRanges,
+    snippetTokens: { used: tokensUsed, budget: tokenBudget },
+    stackTrace: { errors: stackTrace.errors, frames: stackTrace.frames },
+    generation: { model, provider, prompt_version: ANALYSIS_PROMPT_VERSION }
+  };
+}
+
+/**
+ * Suspected regression commits for the implicated code, with redacted diffs
+ * @param {Object} context - { files, snippetRanges, text, reportedAt, project }
+ * @param {Object} redactor - Report redactor
+ * @returns {Promise<Object[]>} - Candidates, empty when git history is unavailable
+ */
+async function findRegressions(context, redactor) {
+  try {
+    const candidates = await findRegressionCandidates(context);
+    return candidates.map(candidate => ({
+      ...candidate,
+      message: redactor.redact(candidate.message, `commit:${candidate.short_hash}`),
+      diff_excerpt: redactor.redact(candidate.diff_excerpt, `commit:${candidate.short_hash}`)
+    }));
+  } catch (error) {
+    console.error('Error correlating git history, continuing without regression candidates:', error);
+    return [];
   }
 }
 
 /**
- * Analyze a bug report without creating a Linear issue
+ * Format a stored report as the analysis response returned for confirmation
+ * @param {Object} report - Stored report
+ * @returns {Object}
+ */
+function formatAnalysisResponse(report) {
+  return {
+    id: report.id,
+    project: report.project,
+    report_json: report.content_json,
+    report_markdown: report.content_markdown,
+    files_analyzed: report.files_analyzed || [],
+    snippet_ranges: report.snippet_ranges,
+    stack_trace: report.stack_trace,
+    redactions: report.redactions,
+    screenshots: report.screenshots || [],
+    needs_more_info: report.needs_more_info || null,
+    duplicates: report.duplicates || [],
+    severity: report.severity || null,
+    routing: report.routing || null,
+    fingerprint: report.fingerprint || null,
+    revision: report.revision || 1,
+    follow_up_rounds: report.follow_up_rounds || 0,
+    status: lifecycle.currentState(report),
+    status_timestamps: report.status_timestamps || {},
+    timestamp: new Date().toISOString(),
+    pending_confirmation: lifecycle.PENDING_STATES.includes(lifecycle.currentState(report))
+  };
+}
+
+/**
+ * Analyze a bug report without creating a tracker issue
+ * @param {Object} data - Report inputs from the request body
+ * @param {Object} fileSystem - File system interface
+ * @param {Object} [reporter] - Authenticated principal ({ id, type, email, name }); owns the report
  */
-async function analyzeBugReport(data, fileSystem) {
+async function analyzeBugReport(data, fileSystem, reporter = null) {
   try {
     const { 
       description, 
       logs, 
       steps, 
-      repoPath,
       email,
       name,
       additionalContext,
@@ -596,56 +1092,96 @@ async function analyzeBugReport(data, fileSystem) {
     
     // Input validation
     if (!description) {
-      throw new Error("Bug description is required");
-    }
-    
-    if (!repoPath) {
-      throw new Error("Repository path is required");
+      throw badRequest("Bug description is required", 'DESCRIPTION_REQUIRED');
     }
     
-    // Step 1: Search the codebase for relevant files
-    const relevantFiles = await searchCodebase(description, repoPath, fileSystem);
-    
-    // Step 2: Read code snippets from the relevant files
-    const codeSnippets = await readCodeSnippets(relevantFiles, fileSystem);
+    // Resolve the project (repositories, globs, tracker and prompt overrides)
+    const project = resolveProject(data);
     
-    // Step 3: Generate the bug report using AI
-    const bugData = { 
-      description, 
-      logs, 
-      steps,
-      additionalContext,
-      screenshots: screenshots || []
+    // Redact secrets and personal data before any input reaches the model or the tracker
+    const redactor = createRedactor();
+    const redacted = {
+      description: redactor.redact(description, 'description'),
+      logs: redactor.redact(logs, 'logs'),
+      steps: redactor.redact(steps, 'steps'),
+      additionalContext: redactor.redact(additionalContext, 'additional_context')
     };
-    const reportJson = await generateBugReport(bugData, codeSnippets);
     
-    // Step 4: Generate a Markdown version of the report
-    const reportMarkdown = generateMarkdownReport(reportJson);
-    
-    // Step 5: Check if we need to request additional information
-    const needsMoreInfo = checkIfNeedsMoreInfo(reportJson);
+    // Run the analysis pipeline
+    const analysis = await runAnalysis(redacted, project, fileSystem, redactor, {
+      screenshots: screenshots || []
+    });
     
-    // Step 6: Store the report in the database
-    const userData = { email, name };
+    // Look for existing reports and open tracker issues describing the same problem
+    const crash = computeFingerprint(analysis.stackTrace);
+    const stackTraceSignature = stackSignature(analysis.stackTrace);
+    const duplicates = await findLikelyDuplicates({
+      project: project.key,
+      content_json: analysis.reportJson,
+      fingerprint: crash && crash.fingerprint,
+      stack_signature: stackTraceSignature,
+      files_analyzed: analysis.files
+    }, project);
+    
+    // Classify severity from the analysis, the crash group and the duplicates
+    const severity = await assessSeverity({
+      content_json: analysis.reportJson,
+      inputs: redacted,
+      fingerprint: crash && crash.fingerprint,
+      duplicates,
+      files_analyzed: analysis.files
+    }, project);
+    
+    // Route to a team, component and assignee from the files the analysis touched
+    const routing = await routeIssue({
+      files_analyzed: analysis.files,
+      snippet_ranges: analysis.snippetRanges
+    }, project, fileSystem);
+    
+    // Store the report in the database, keeping the redacted inputs for re-analysis.
+    // Signed-in users are identified by their session; integrations pass the reporter along.
+    const signedIn = reporter && reporter.type === 'user';
+    const userData = {
+      id: reporter ? reporter.id : null,
+      email: (signedIn && reporter.email) || email,
+      name: (signedIn && reporter.name) || name
+    };
     const storedReport = await storeBugReport(
-      reportJson, 
-      reportMarkdown, 
+      analysis.reportJson, 
+      analysis.reportMarkdown, 
       null, 
       userData, 
-      relevantFiles, 
-      screenshots || []
+      analysis.files, 
+      screenshots || [],
+      {
+        project: project.key,
+        repo_paths: project.repoPaths,
+        inputs: redacted,
+        snippet_ranges: analysis.snippetRanges,
+        snippet_tokens: analysis.snippetTokens,
+        stack_trace: analysis.stackTrace,
+        stack_signature: stackTraceSignature,
+        fingerprint: crash && crash.fingerprint,
+        duplicates,
+        severity,
+        routing,
+        redactions: redactor.getAudit(),
+        needs_more_info: analysis.needsMoreInfo,
+        follow_up_rounds: 0,
+        generation: analysis.generation
+      }
     );
     
-    // Step 7: Return the report for confirmation
+    // Count the report as an occurrence of its crash group
+    const crashGroup = crash ? await recordCrashOccurrence(crash, storedReport, project) : null;
+    
+    // Let the reporter know the report arrived (with any follow-up questions)
+    await notifications.notify('received', storedReport);
+    
+    // Return the report for confirmation
     return {
-      id: storedReport.id,
-      report_json: reportJson,
-      report_markdown: reportMarkdown,
-      files_analyzed: relevantFiles,
-      screenshots: screenshots || [],
-      needs_more_info: needsMoreInfo,
-      timestamp: new Date().toISOString(),
-      pending_confirmation: true
+      ...formatAnalysisResponse(storedReport),
+      crash_group: crashGroup && summarizeCrashGroup(crashGroup)
     };
   } catch (error) {
     console.error('Error analyzing bug report:', error);
@@ -654,42 +1190,98 @@ async function analyzeBugReport(data, fileSystem) {
 }
 
 /**
- * Confirm a bug report and create a Linear issue
+ * Actor recorded when someone acts on a report through the API: triagers handling
+ * someone else's report are recorded as themselves, otherwise the reporter is
+ * @param {Object} [user] - Authenticated principal
+ * @param {Object} reportData - Stored report
+ * @returns {Object}
+ */
+function actorFor(user, reportData) {
+  const triaging = user && user.role === 'triager' && user.type !== 'anonymous' && user.id !== reportData.reporter_id;
+  return revisionActor(triaging ? user : reportData);
+}
+
+/**
+ * Confirmations in progress, so a double submit waits for the first one
+ * instead of filing a second issue
+ */
+const pendingConfirmations = new Map();
+
+/**
+ * Confirm a bug report and create a tracker issue. Confirming a report that is
+ * already filed returns the issue it was filed under.
+ * @param {string} reportId - Bug report ID
+ * @param {Object} config - Tracker configuration ({ tracker })
+ * @param {Object} [user] - Principal confirming the report
+ * @throws {ApiError} - 409 when the report was merged into another report or can't be confirmed from its state
+ */
+async function confirmBugReport(reportId, config, user = null) {
+  if (pendingConfirmations.has(reportId)) {
+    return pendingConfirmations.get(reportId);
+  }
+  
+  const confirmation = fileBugReport(reportId, config, user)
+    .finally(() => pendingConfirmations.delete(reportId));
+  pendingConfirmations.set(reportId, confirmation);
+  return confirmation;
+}
+
+/**
+ * Confirmation response for a filed report
+ * @param {Object} reportData - Stored report
+ * @param {Object|null} trackerIssue - Issue it is filed under ({ tracker, tracker_name, id, number, url })
+ * @param {boolean} [alreadyConfirmed] - Whether the report was filed by an earlier request
+ * @returns {Object}
+ */
+function confirmationResponse(reportData, trackerIssue, alreadyConfirmed = false) {
+  return {
+    id: reportData.id,
+    report_json: reportData.content_json,
+    report_markdown: reportData.content_markdown,
+    files_analyzed: reportData.files_analyzed || [],
+    screenshots: reportData.screenshots || [],
+    tracker_issue: trackerIssue ? {
+      tracker: trackerIssue.tracker,
+      tracker_name: trackerIssue.tracker_name,
+      id: trackerIssue.id,
+      number: trackerIssue.number,
+      url: trackerIssue.url
+    } : null,
+    status: lifecycle.currentState(reportData),
+    status_timestamps: reportData.status_timestamps || {},
+    timestamp: new Date().toISOString(),
+    confirmed: true,
+    already_confirmed: alreadyConfirmed
+  };
+}
+
+/**
+ * File a report as a new tracker issue (see confirmBugReport)
  */
-async function confirmBugReport(reportId, config) {
+async function fileBugReport(reportId, config, user) {
   try {
     if (!reportId) {
       throw new Error("Report ID is required");
     }
     
     // Get the stored report
-    let reportData;
-    
-    // Try Supabase first if available
-    if (supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('bug_reports')
-          .select('*')
-          .eq('id', reportId)
-          .single();
-          
-        if (!error && data) {
-          reportData = data;
-        }
-      } catch (supabaseError) {
-        console.warn('Supabase retrieval failed, checking in-memory:', supabaseError);
-      }
-    }
-    
-    // Check in-memory storage if not found in Supabase
-    if (!reportData && inMemoryReports.has(reportId)) {
-      reportData = inMemoryReports.get(reportId);
-    }
-    
-    if (!reportData) {
-      throw new Error("Bug report not found");
-    }
+    const reportData = await storage.reports.get(reportId);
+    if (!reportData) {
+      throw new Error("Bug report not found");
+    }
+    if (reportData.tracker_issue_id || lifecycle.currentState(reportData) === 'confirmed') {
+      const tracker = reportData.tracker_issue_id ? getTracker(reportData.tracker) : null;
+      return confirmationResponse(reportData, reportData.tracker_issue_id ? {
+        tracker: reportData.tracker,
+        tracker_name: tracker ? tracker.displayName : reportData.tracker,
+        id: reportData.tracker_issue_id,
+        number: reportData.tracker_issue_number,
+        url: reportData.tracker_issue_url
+      } : null, true);
+    }
+    if (reportData.merged_into) {
+      throw conflict("Bug report has been merged into another report", 'MERGED');
+    }
     
     // Extract the report data
     const reportJson = reportData.content_json;
@@ -697,74 +1289,82 @@ async function confirmBugReport(reportId, config) {
     const filesAnalyzed = reportData.files_analyzed || [];
     const screenshots = reportData.screenshots || [];
     
-    // Create a Linear issue
-    const linearIssue = await createLinearIssue(
+    // Route to the project's tracker destination when the report belongs to a project
+    const project = reportData.project ? getProject(reportData.project) : null;
+    const trackerConfig = project ? {
+      ...config,
+      tracker: project.tracker.type || config.tracker,
+      teamId: project.tracker.teamId || config.teamId,
+      labels: project.labels,
+      trackerOverrides: project.tracker
+    } : config;
+    
+    // Ownership routing picks the team, adds the component label and assigns the owner
+    const routing = reportData.routing || {};
+    const routedConfig = {
+      ...trackerConfig,
+      teamId: routing.team_id || trackerConfig.teamId,
+      labels: [...(trackerConfig.labels || []), ...(routing.component ? [routing.component] : [])],
+      assignee: routing.assignee || null
+    };
+    
+    // Claim the report before creating the issue, so another server confirming it
+    // at the same time fails the status check instead of filing a second issue
+    const actor = actorFor(user, reportData);
+    const claimed = await transitionBugReport(reportData, 'confirmed', { actor });
+    
+    // Create a tracker issue, keeping the report's redaction placeholders stable
+    const redactor = createRedactor(reportData.redactions);
+    const trackerIssue = await createTrackerIssue(
       reportJson, 
       reportMarkdown, 
       filesAnalyzed,
       screenshots,
-      config
+      { ...routedConfig, redactor, severity: reportData.severity, routing: reportData.routing }
     );
     
-    // Update the report with Linear issue data
-    let updatedReport;
-    
-    if (supabase) {
-      try {
-        const linearData = linearIssue ? {
-          linear_issue_id: linearIssue.id,
-          linear_issue_number: linearIssue.number,
-          linear_issue_url: linearIssue.url
-        } : {};
-        
-        const { data, error } = await supabase
-          .from('bug_reports')
-          .update({
-            ...linearData,
-            status: 'confirmed',
-            last_updated: new Date().toISOString()
-          })
-          .eq('id', reportId)
-          .select()
-          .single();
-          
-        if (!error) {
-          updatedReport = data;
-        }
-      } catch (supabaseError) {
-        console.warn('Supabase update failed, falling back to in-memory:', supabaseError);
-      }
+    // Release the claim when the configured tracker couldn't create the issue, so it can be retried
+    if (!trackerIssue && getTracker(routedConfig.tracker, routedConfig.trackerOverrides)) {
+      await storage.reports.update(reportId, {
+        status: reportData.status,
+        status_timestamps: reportData.status_timestamps,
+        status_history: reportData.status_history
+      }, { status: 'confirmed' });
+      throw new Error("Failed to create the tracker issue");
     }
     
-    // Update in-memory storage if Supabase update failed or not available
-    if (!updatedReport && inMemoryReports.has(reportId)) {
-      const report = inMemoryReports.get(reportId);
-      updatedReport = {
-        ...report,
-        linear_issue_id: linearIssue?.id,
-        linear_issue_number: linearIssue?.number,
-        linear_issue_url: linearIssue?.url,
-        status: 'confirmed',
-        last_updated: new Date().toISOString()
-      };
-      inMemoryReports.set(reportId, updatedReport);
+    // Update the report with tracker issue data and record the confirmation as a revision
+    const trackerData = trackerIssue ? {
+      tracker: trackerIssue.tracker,
+      tracker_issue_id: trackerIssue.id,
+      tracker_issue_number: trackerIssue.number,
+      tracker_issue_url: trackerIssue.url
+    } : {};
+    const revisions = appendRevision(reportData.revisions, 'confirmation', reportJson, reportMarkdown, {
+      actor,
+      tracker_issue_url: trackerIssue ? trackerIssue.url : null
+    });
+    const updatedReport = await updateBugReport(claimed, {
+      ...trackerData,
+      redactions: redactor.getAudit(),
+      revision: revisions[revisions.length - 1].revision,
+      revisions,
+      last_updated: new Date().toISOString()
+    });
+    
+    // File the report's crash group, and the reports merged into it, under the new issue
+    await linkCrashGroup(reportData, trackerIssue);
+    await fileMergedReports(reportData, trackerIssue, project);
+    
+    if (trackerIssue) {
+      await notifications.notify('ticket_created', updatedReport, {
+        issue: { trackerName: trackerIssue.tracker_name, number: trackerIssue.number, url: trackerIssue.url },
+        duplicate: false
+      });
     }
     
     // Return the updated report
-    return {
-      id: reportId,
-      report_json: reportJson,
-      report_markdown: reportMarkdown,
-      files_analyzed: filesAnalyzed,
-      screenshots: screenshots,
-      linear_issue: linearIssue ? {
-        id: linearIssue.id,
-        number: linearIssue.number,
-        url: linearIssue.url
-      } : null,
-      timestamp: new Date().toISOString(),
-      confirmed: true
-    };
+    return confirmationResponse(updatedReport, trackerIssue);
   } catch (error) {
     console.error('Error confirming bug report:', error);
     throw error;
@@ -772,9 +1372,468 @@ async function confirmBugReport(reportId, config) {
 }
 
 /**
- * Submit additional information for a bug report
+ * Move a stored report to another lifecycle state. The update only applies
+ * while the report is still in the state it was read in, so two requests
+ * can't both move it.
+ * @param {Object} reportData - Report as currently stored
+ * @param {string} to - State to move to
+ * @param {Object} [details] - { actor, reason, updates (other fields to store with the move),
+ *   expected (other column values the report must still have) }
+ * @returns {Promise<Object>} - Updated report
+ * @throws {ApiError} - 409 when the move isn't allowed or the report changed meanwhile
+ */
+async function transitionBugReport(reportData, to, details = {}) {
+  const { updates = {}, expected = {}, ...transitionDetails } = details;
+  const stateFields = lifecycle.transition(reportData, to, transitionDetails);
+  const updatedReport = await storage.reports.update(reportData.id, {
+    last_updated: stateFields.status_history[stateFields.status_history.length - 1].at,
+    ...updates,
+    ...stateFields
+  }, { ...expected, status: reportData.status === undefined ? null : reportData.status });
+  
+  if (!updatedReport) {
+    throw conflict("Bug report was updated by another request; reload it and try again", 'CONCURRENT_UPDATE');
+  }
+  return updatedReport;
+}
+
+/**
+ * Update a stored report
+ * @param {Object} reportData - Report as currently stored
+ * @param {Object} updates - Fields to change
+ * @param {Object} [expected] - Column values the report must still have ({ column: value })
+ * @returns {Promise<Object>} - Updated report
+ * @throws {ApiError} - 409 when the report no longer has the expected values
+ */
+async function updateBugReport(reportData, updates, expected) {
+  const updatedReport = await storage.reports.update(reportData.id, updates, expected);
+  if (!updatedReport && expected) {
+    throw conflict("Bug report was updated by another request; reload it and try again", 'CONCURRENT_UPDATE');
+  }
+  if (!updatedReport) {
+    throw new Error("Bug report not found");
+  }
+  return updatedReport;
+}
+
+/**
+ * List stored reports, newest first
+ * @param {Object} [options] - Filters and limit, see storage reports.list
+ * @returns {Promise<Object[]>}
+ */
+async function listBugReports(options = {}) {
+  return storage.reports.list(options);
+}
+
+/**
+ * Stored reports that may describe the same problem as a report: those with
+ * its crash fingerprint or stack signature, and those mentioning any of its
+ * title keywords, whatever their age
+ * @param {Object} report - Report fields (project, fingerprint, stack_signature)
+ * @param {string[]} keywords - Title keywords
+ * @returns {Promise<Object[]>}
+ */
+async function findCandidateReports(report, keywords) {
+  const queries = [
+    ...(report.fingerprint ? [{ fingerprint: report.fingerprint }] : []),
+    ...(report.stack_signature ? [{ stackSignature: report.stack_signature }] : []),
+    // Search terms must all match, so each keyword is its own query
+    ...keywords.map(keyword => ({ search: keyword }))
+  ];
+  
+  // Reports without a project (no registry) are compared with each other
+  const project = report.project === undefined ? null : report.project;
+  const results = await Promise.all(queries.map(query =>
+    listBugReports({ ...query, project, limit: MAX_DUPLICATE_REPORTS })));
+  const reports = new Map();
+  for (const other of results.flat()) {
+    reports.set(other.id, other);
+  }
+  return [...reports.values()];
+}
+
+/**
+ * Find stored reports and open tracker issues that likely describe the same
+ * problem. Filed reports and tracker issues are offered to attach the report
+ * to (`action: 'attach'`); reports still waiting to be filed are offered to
+ * merge it into (`action: 'merge'`).
+ * @param {Object} report - Report fields (id, project, content_json, fingerprint, stack_signature, files_analyzed)
+ * @param {Object|null} project - Project whose tracker is searched
+ * @returns {Promise<Object[]>} - Likely duplicates as { key, source, action, tracker, issue_id, issue_number,
+ *   issue_url, title, report_id, score, reasons }, best first
+ */
+async function findLikelyDuplicates(report, project) {
+  const target = {
+    title: report.content_json.title,
+    rootCause: report.content_json.suspected_root_cause,
+    signature: report.stack_signature,
+    files: report.files_analyzed || []
+  };
+  const keywords = searchKeywords(target.title);
+  const candidates = new Map();
+  
+  // Stored reports: filed ones under their tracker issue, unfiled ones on their own
+  for (const other of await findCandidateReports(report, keywords)) {
+    const pending = !other.tracker_issue_id;
+    const key = pending ? `report:${other.id}` : `${other.tracker}:${other.tracker_issue_id}`;
+    if (other.id === report.id || candidates.has(key)) {
+      continue;
+    }
+    // Only reports that can still be filed are merge targets
+    if (pending && (other.merged_into || !lifecycle.PENDING_STATES.includes(lifecycle.currentState(other)))) {
+      continue;
+    }
+    candidates.set(key, {
+      key,
+      source: 'report',
+      action: pending ? 'merge' : 'attach',
+      report_id: other.id,
+      tracker: other.tracker || null,
+      issue_id: other.tracker_issue_id || null,
+      issue_number: other.tracker_issue_number || null,
+      issue_url: other.tracker_issue_url || null,
+      title: other.content_json.title,
+      text: other.content_json.suspected_root_cause,
+      signature: other.stack_signature || stackSignature(other.stack_trace),
+      files: other.files_analyzed || []
+    });
+  }
+  
+  // Open tracker issues matching the report title
+  const tracker = getTracker(project && project.tracker.type, project ? project.tracker : {});
+  if (tracker && tracker.searchIssues) {
+    try {
+      const issues = await tracker.searchIssues(keywords, { limit: MAX_DUPLICATE_ISSUES });
+      for (const issue of issues) {
+        const key = `${tracker.name}:${issue.id}`;
+        if (!candidates.has(key)) {
+          candidates.set(key, {
+            key,
+            source: 'tracker',
+            action: 'attach',
+            report_id: null,
+            tracker: tracker.name,
+            issue_id: issue.id,
+            issue_number: issue.number,
+            issue_url: issue.url,
+            title: issue.title,
+            text: issue.description,
+            signature: null,
+            files: extractFilePaths(issue.description)
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Error searching ${tracker.displayName} for duplicate issues:`, error);
+    }
+  }
+  
+  const duplicates = findDuplicates(target, [...candidates.values()]);
+  
+  // The issue a crash group is filed under is a certain duplicate
+  const crashGroup = report.fingerprint ? await crashGroups.getGroup(report.fingerprint) : null;
+  if (crashGroup && crashGroup.tracker_issue_id) {
+    const key = `${crashGroup.tracker}:${crashGroup.tracker_issue_id}`;
+    return [{
+      key,
+      source: 'crash_group',
+      action: 'attach',
+      report_id: null,
+      tracker: crashGroup.tracker,
+      issue_id: crashGroup.tracker_issue_id,
+      issue_number: crashGroup.tracker_issue_number,
+      issue_url: crashGroup.tracker_issue_url,
+      title: crashGroup.title,
+      score: 1,
+      reasons: [`Same crash fingerprint (${crashGroup.occurrence_count} report${crashGroup.occurrence_count === 1 ? '' : 's'})`]
+    }, ...duplicates.filter(duplicate => duplicate.key !== key)];
+  }
+  
+  return duplicates;
+}
+
+/**
+ * Classify a report's severity from its analysis, crash group and likely duplicates
+ * @param {Object} report - Report fields (id, content_json, inputs, fingerprint, duplicates, files_analyzed)
+ * @param {Object|null} project - Project with critical paths and priority overrides
+ * @returns {Promise<Object>} - { level, priority, score, signals, justification }
+ */
+async function assessSeverity(report, project) {
+  // Count this report as an occurrence unless its crash group already has it
+  const crashGroup = report.fingerprint ? await crashGroups.getGroup(report.fingerprint) : null;
+  const occurrences = crashGroup
+    ? crashGroup.occurrence_count + (crashGroup.report_ids.includes(report.id) ? 0 : 1)
+    : 1;
+  
+  return classifySeverity({
+    reportJson: report.content_json,
+    inputs: report.inputs,
+    files: report.files_analyzed || [],
+    occurrences,
+    duplicateCount: (report.duplicates || []).length,
+    project
+  });
+}
+
+/**
+ * Route a report from the files and line ranges its analysis touched
+ * @param {Object} report - Report fields (files_analyzed, snippet_ranges)
+ * @param {Object|null} project - Project with repositories and routing rules
+ * @param {Object} fileSystem - File system interface
+ * @returns {Promise<Object|null>} - { team_id, component, assignee, owners, recent_committers, matches, reasons }
+ */
+async function routeIssue(report, project, fileSystem) {
+  if (!project) {
+    return null;
+  }
+  
+  try {
+    return await routeReport({
+      files: report.files_analyzed || [],
+      snippetRanges: report.snippet_ranges || [],
+      project
+    }, fileSystem);
+  } catch (error) {
+    console.error('Error routing bug report, continuing without routing:', error);
+    return null;
+  }
+}
+
+/**
+ * Public view of a crash group
+ * @param {Object} group - Stored crash group
+ * @returns {Object}
+ */
+function summarizeCrashGroup(group) {
+  return {
+    fingerprint: group.fingerprint,
+    project: group.project,
+    title: group.title,
+    error_type: group.error_type,
+    message: group.message,
+    frames: group.frames,
+    occurrence_count: group.occurrence_count,
+    reporter_count: group.reporters.length,
+    first_seen: group.first_seen,
+    last_seen: group.last_seen,
+    tracker_issue: group.tracker_issue_id ? {
+      tracker: group.tracker,
+      id: group.tracker_issue_id,
+      number: group.tracker_issue_number,
+      url: group.tracker_issue_url
+    } : null
+  };
+}
+
+/**
+ * Comment on a crash group's tracker issue when it crosses an occurrence threshold
+ * @param {Object} group - Crash group
+ * @param {Object|null} project - Project whose tracker overrides apply
+ * @returns {Promise<Object>} - Group, with the announced thresholds marked
+ */
+async function notifyCrashGroup(group, project) {
+  if (!group.tracker_issue_id || crashGroups.pendingThresholds(group).length === 0) {
+    return group;
+  }
+  
+  const tracker = getTracker(group.tracker, project && project.tracker.type === group.tracker ? project.tracker : {});
+  if (!tracker) {
+    return group;
+  }
+  
+  // Thresholds are claimed first, so a concurrent analysis of the same crash doesn't announce them too
+  const { group: claimed, reached } = await crashGroups.claimThresholds(group);
+  if (reached.length === 0) {
+    return claimed;
+  }
+  
+  try {
+    await tracker.addComment(
+      claimed.tracker_issue_id,
+      `## Crash Group Update\n\nThis crash has now been reported ${claimed.occurrence_count} times ` +
+        `(${claimed.reporters.length} identified reporter${claimed.reporters.length === 1 ? '' : 's'}).\n\n` +
+        `- Error: \`${claimed.title}\`\n` +
+        `- First seen: ${claimed.first_seen}\n` +
+        `- Last seen: ${claimed.last_seen}\n` +
+        `- Fingerprint: \`${claimed.fingerprint}\``
+    );
+    return claimed;
+  } catch (trackerError) {
+    console.error(`Error commenting on ${tracker.displayName} issue for crash group:`, trackerError);
+    return await crashGroups.releaseThresholds(claimed, reached);
+  }
+}
+
+/**
+ * Count a report as an occurrence of its crash group
+ * @param {Object} crash - Fingerprint from computeFingerprint
+ * @param {Object} report - Stored report
+ * @param {Object|null} project - Report project
+ * @returns {Promise<Object|null>} - Updated group, or null when it could not be recorded
  */
-async function submitAdditionalInfo(reportId, responses) {
+async function recordCrashOccurrence(crash, report, project) {
+  try {
+    const group = await crashGroups.recordOccurrence(crash, report);
+    return await notifyCrashGroup(group, project);
+  } catch (error) {
+    console.error('Error recording crash occurrence:', error);
+    return null;
+  }
+}
+
+/**
+ * File a report's crash group under the issue the report was filed under, unless it already has one
+ * @param {Object} reportData - Stored report
+ * @param {Object|null} issue - { tracker, id, number, url }
+ */
+async function linkCrashGroup(reportData, issue) {
+  if (!reportData.fingerprint || !issue) {
+    return;
+  }
+  
+  try {
+    const group = await crashGroups.getGroup(reportData.fingerprint);
+    if (group && !group.tracker_issue_id) {
+      await crashGroups.linkIssue(group, issue);
+    }
+  } catch (error) {
+    console.error('Error linking crash group to tracker issue:', error);
+  }
+}
+
+/**
+ * Tracker adapter for an issue, using the project's tracker overrides when the issue lives in its tracker
+ * @param {string} name - Tracker name
+ * @param {Object|null} project - Project of the report
+ * @returns {Object|null}
+ */
+function issueTracker(name, project) {
+  return getTracker(name, project && project.tracker.type === name ? project.tracker : {});
+}
+
+/**
+ * Tracker comment adding a report to an existing issue, redacted like a new issue would be
+ * @param {Object} reportData - Stored report
+ * @param {Object} redactor - Redactor with the report's placeholders
+ * @returns {string}
+ */
+function duplicateReportComment(reportData, redactor) {
+  const analysis = redactor.redact(reportData.content_markdown, 'tracker_comment');
+  const screenshots = reportData.screenshots || [];
+  const screenshotsSection = screenshots.length > 0
+    ? `\n\n## Screenshots\n${screenshots.map(url => `![Screenshot](${url})`).join('\n')}`
+    : '';
+  return `## Duplicate Report\n\nAnother user reported what looks like the same problem.\n\n${analysis}${screenshotsSection}`;
+}
+
+/**
+ * Add a report to an existing tracker issue as a comment and file it under that issue as a duplicate
+ * @param {Object} reportData - Stored report
+ * @param {Object} tracker - Tracker adapter of the issue
+ * @param {Object} issue - { key, id, number, url } (`key` is `tracker:issueId`)
+ * @param {Object} [details] - actor, plus extra report fields to store (e.g. merged_into)
+ * @returns {Promise<Object>} - Updated report
+ */
+async function fileUnderIssue(reportData, tracker, issue, details = {}) {
+  const { actor = revisionActor(reportData), ...fields } = details;
+  
+  // Reports merged into an unfiled report are already duplicates; others are checked
+  // before anything is posted to the tracker
+  const alreadyDuplicate = lifecycle.currentState(reportData) === 'duplicate';
+  if (!alreadyDuplicate && !lifecycle.canTransition(lifecycle.currentState(reportData), 'duplicate')) {
+    throw conflict(`A ${lifecycle.currentState(reportData).replace('_', ' ')} report can't be filed as a duplicate`, 'INVALID_TRANSITION');
+  }
+  
+  const redactor = createRedactor(reportData.redactions);
+  await tracker.addComment(issue.id, duplicateReportComment(reportData, redactor));
+  
+  const revisions = appendRevision(reportData.revisions, 'duplicate', reportData.content_json, reportData.content_markdown, {
+    actor,
+    duplicate_of: issue.key,
+    tracker_issue_url: issue.url
+  });
+  const updates = {
+    tracker: tracker.name,
+    tracker_issue_id: issue.id,
+    tracker_issue_number: issue.number,
+    tracker_issue_url: issue.url,
+    duplicate_of: issue.key,
+    redactions: redactor.getAudit(),
+    revision: revisions[revisions.length - 1].revision,
+    revisions,
+    last_updated: new Date().toISOString(),
+    ...fields
+  };
+  const updatedReport = alreadyDuplicate
+    ? await updateBugReport(reportData, updates)
+    : await transitionBugReport(reportData, 'duplicate', { actor, updates });
+  await linkCrashGroup(reportData, { tracker: tracker.name, id: issue.id, number: issue.number, url: issue.url });
+  await notifications.notify('ticket_created', updatedReport, {
+    issue: { trackerName: tracker.displayName, number: issue.number, url: issue.url },
+    duplicate: true
+  });
+  return updatedReport;
+}
+
+/**
+ * File the reports merged into a report under the issue it was just filed as
+ * @param {Object} reportData - Report that was filed
+ * @param {Object|null} trackerIssue - Created issue ({ tracker, id, number, url })
+ * @param {Object|null} project - Project of the report
+ */
+async function fileMergedReports(reportData, trackerIssue, project) {
+  if (!trackerIssue) {
+    return;
+  }
+  
+  const merged = await listBugReports({ mergedInto: reportData.id, limit: MAX_BULK_REPORTS });
+  const tracker = issueTracker(trackerIssue.tracker, project);
+  for (const mergedReport of merged.filter(candidate => !candidate.tracker_issue_id)) {
+    try {
+      await fileUnderIssue(mergedReport, tracker, {
+        key: `${trackerIssue.tracker}:${trackerIssue.id}`,
+        id: trackerIssue.id,
+        number: trackerIssue.number,
+        url: trackerIssue.url
+      }, { actor: revisionActor(), merged_into: reportData.id });
+    } catch (error) {
+      console.error(`Error filing merged report ${mergedReport.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Project a stored report was analyzed against
+ * @param {Object} reportData - Stored report
+ * @returns {Object|null} - Registry project, an ad-hoc project for its repository, or null
+ */
+function projectForReport(reportData) {
+  if (reportData.project && getProject(reportData.project)) {
+    return getProject(reportData.project);
+  }
+  
+  const repoPath = reportData.repo_paths && reportData.repo_paths[0];
+  if (!repoPath) {
+    return null;
+  }
+  
+  try {
+    return createAdHocProject(resolveRepoPath(repoPath));
+  } catch (error) {
+    console.warn(`Repository ${repoPath} is no longer available for re-analysis: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Submit answers to follow-up questions and re-run the analysis with them
+ * @param {string} reportId - Bug report ID
+ * @param {Object} responses - Answers keyed by follow-up question id
+ * @param {Object} [fileSystem] - File system interface; without it the answers are only stored
+ * @returns {Promise<Object>} - Updated analysis response (with a new revision when re-analysis ran)
+ * @throws {ApiError} - 409 when the report was rejected or closed, or another submission was stored first
+ */
+async function submitAdditionalInfo(reportId, responses, fileSystem = null) {
   try {
     if (!reportId) {
       throw new Error("Bug report ID is required");
@@ -784,108 +1843,143 @@ async function submitAdditionalInfo(reportId, responses) {
       throw new Error("Additional information is required");
     }
     
-    let reportData;
-    let updatedReport;
+    const reportData = await getBugReport(reportId);
+    if (!lifecycle.acceptsAnswers(reportData)) {
+      throw conflict(`A ${lifecycle.currentState(reportData)} report doesn't take additional information`, 'INVALID_STATE');
+    }
+    
+    // Redact the answers with the report's placeholders before they are stored, analyzed or sent to the tracker
+    const redactor = createRedactor(reportData.redactions);
+    const safeResponses = redactor.redactFields(responses, 'additional_info');
+    const submittedAt = new Date().toISOString();
+    
+    // Pair each answer with the question that was asked
+    const askedQuestions = (reportData.needs_more_info && reportData.needs_more_info.requests) || [];
+    const answers = Object.entries(safeResponses)
+      .filter(([, answer]) => answer)
+      .map(([type, answer]) => {
+        const request = askedQuestions.find(asked => asked.type === type);
+        return {
+          type,
+          question: request ? request.question : type.charAt(0).toUpperCase() + type.slice(1).replace(/_/g, ' '),
+          answer
+        };
+      });
     
-    // First try to get the report from Supabase
-    if (supabase) {
+    const additionalInfo = {
+      ...reportData.content_json.additional_info || {},
+      ...safeResponses,
+      submitted_at: submittedAt
+    };
+    const followUpRounds = (reportData.follow_up_rounds || 0) + 1;
+    const updates = {
+      content_json: { ...reportData.content_json, additional_info: additionalInfo },
+      needs_more_info: null,
+      follow_up_rounds: followUpRounds,
+      feedback_requested: false,
+      last_updated: submittedAt
+    };
+    
+    // Re-run the analysis with the previous report and the answers
+    const project = fileSystem && reportData.inputs ? projectForReport(reportData) : null;
+    let generation = null;
+    if (project) {
       try {
-        const { data, error } = await supabase
-          .from('bug_reports')
-          .select('*')
-          .eq('id', reportId)
-          .single();
-          
-        if (!error && data) {
-          reportData = data;
-          
-          // Update the content with additional information
-          const updatedContentJson = { 
-            ...reportData.content_json,
-            additional_info: {
-              ...reportData.content_json.additional_info || {},
-              ...responses,
-              submitted_at: new Date().toISOString()
-            }
-          };
-          
-          // Update in Supabase
-          const { data: updatedData, error: updateError } = await supabase
-            .from('bug_reports')
-            .update({
-              content_json: updatedContentJson,
-              feedback_requested: false,
-              last_updated: new Date().toISOString()
-            })
-            .eq('id', reportId)
-            .select()
-            .single();
-            
-          if (!updateError) {
-            updatedReport = updatedData;
+        const analysis = await runAnalysis(reportData.inputs, project, fileSystem, redactor, {
+          screenshots: reportData.screenshots || [],
+          reportedAt: reportData.created_at,
+          followUp: {
+            revision: reportData.revision || 1,
+            previousMarkdown: reportData.content_markdown,
+            answers,
+            allowQuestions: followUpRounds < maxFollowUpRounds
           }
+        });
+        const contentJson = { ...analysis.reportJson, created_at: submittedAt, additional_info: additionalInfo };
+        
+        Object.assign(updates, {
+          title: contentJson.title,
+          content_json: contentJson,
+          content_markdown: analysis.reportMarkdown,
+          files_analyzed: analysis.files,
+          snippet_ranges: analysis.snippetRanges,
+          snippet_tokens: analysis.snippetTokens,
+          stack_trace: analysis.stackTrace,
+          stack_signature: stackSignature(analysis.stackTrace),
+          needs_more_info: analysis.needsMoreInfo
+        });
+        if (!reportData.tracker_issue_id) {
+          updates.duplicates = await findLikelyDuplicates({ ...reportData, ...updates }, project);
+        }
+        updates.severity = await assessSeverity({ ...reportData, ...updates }, project);
+        if (!reportData.tracker_issue_id) {
+          updates.routing = await routeIssue(updates, project, fileSystem);
         }
-      } catch (supabaseError) {
-        console.warn('Supabase operations failed, using in-memory:', supabaseError);
+        generation = analysis.generation;
+      } catch (analysisError) {
+        console.error('Error re-analyzing bug report with additional information:', analysisError);
+        // Keep the answers even when the re-analysis fails
       }
     }
     
-    // Try in-memory if Supabase failed or isn't available
-    if (!reportData && inMemoryReports.has(reportId)) {
-      reportData = inMemoryReports.get(reportId);
-    }
-    
-    // If we still don't have a report, it's not found
-    if (!reportData) {
-      throw new Error("Bug report not found");
+    // Record the answers (and the re-analysis, if it ran) as a new revision
+    const reanalyzed = generation !== null;
+    updates.revisions = appendRevision(reportData.revisions, 'follow_up', updates.content_json,
+      updates.content_markdown || reportData.content_markdown, {
+        actor: revisionActor(reportData),
+        generation,
+        answers,
+        reanalyzed
+      });
+    updates.revision = updates.revisions[updates.revisions.length - 1].revision;
+    updates.redactions = redactor.getAudit();
+    
+    // Unfiled reports wait for answers again only when the re-analysis asked new questions.
+    // The answers are stored only onto the revision they were given for, so concurrent
+    // submissions can't overwrite each other's answers.
+    const state = lifecycle.currentState(reportData);
+    const nextState = updates.needs_more_info ? 'needs_info' : 'open';
+    const expected = { revision: reportData.revision === undefined ? null : reportData.revision };
+    const updatedReport = lifecycle.PENDING_STATES.includes(state) && state !== nextState
+      ? await transitionBugReport(reportData, nextState, { actor: revisionActor(reportData), updates, expected })
+      : await updateBugReport(reportData, updates, expected);
+    
+    // Ask the reporter the re-analysis' new questions
+    if (updates.needs_more_info) {
+      await notifications.notify('needs_info', updatedReport);
     }
     
-    // If we haven't updated the report in Supabase, update it in memory
-    if (!updatedReport) {
-      // Update the content with additional information
-      const updatedContentJson = { 
-        ...reportData.content_json,
-        additional_info: {
-          ...reportData.content_json.additional_info || {},
-          ...responses,
-          submitted_at: new Date().toISOString()
-        }
-      };
-      
-      // Create updated report
-      updatedReport = {
-        ...reportData,
-        content_json: updatedContentJson,
-        feedback_requested: false,
-        last_updated: new Date().toISOString()
-      };
-      
-      // Store in memory
-      inMemoryReports.set(reportId, updatedReport);
-    }
-    
-    // Update the Linear issue with the additional information if available
-    if (reportData.linear_issue_id && linearClient) {
+    // Update the tracker issue with the additional information if available
+    const tracker = reportData.tracker_issue_id
+      ? getTracker(reportData.tracker, project && project.tracker.type === reportData.tracker ? project.tracker : {})
+      : null;
+    if (tracker) {
       try {
-        // Format the responses for the Linear issue
-        const formattedResponses = Object.entries(responses)
-          .map(([type, response]) => `### ${type.charAt(0).toUpperCase() + type.slice(1).replace('_', ' ')}\n${response}`)
+        // Format the responses for the tracker issue
+        const formattedResponses = answers
+          .map(answer => `### ${answer.question}\n${answer.answer}`)
           .join('\n\n');
+        const revisedAnalysis = reanalyzed
+          ? `\n\n## Updated Analysis (revision ${updatedReport.revision})\n\n${redactor.redact(updatedReport.content_markdown, 'tracker_comment')}`
+          : '';
         
-        // Add a comment to the Linear issue
-        await linearClient.issueComment({
-          issueId: reportData.linear_issue_id,
-          body: `## Additional Information From User\n\n${formattedResponses}`
-        });
-      } catch (linearError) {
-        console.error('Error updating Linear issue:', linearError);
-        // Don't fail the whole request if Linear update fails
+        // Add a comment to the tracker issue
+        await tracker.addComment(
+          reportData.tracker_issue_id,
+          `## Additional Information From User\n\n${formattedResponses}${revisedAnalysis}`
+        );
+      } catch (trackerError) {
+        console.error(`Error updating ${tracker.displayName} issue:`, trackerError);
+        // Don't fail the whole request if the tracker update fails
       }
     }
     
     return {
-      message: "Additional information submitted successfully",
-      id: updatedReport.id
+      ...formatAnalysisResponse(updatedReport),
+      message: reanalyzed
+        ? "Additional information submitted and the report was re-analyzed"
+        : "Additional information submitted successfully",
+      reanalyzed
     };
   } catch (error) {
     console.error('Error submitting additional information:', error);
@@ -893,6 +1987,539 @@ async function submitAdditionalInfo(reportId, responses) {
   }
 }
 
+/**
+ * File a report as a comment on an existing issue it duplicates instead of creating a new issue
+ * @param {string} reportId - Bug report ID
+ * @param {string} duplicateKey - Key of one of the report's likely duplicates
+ * @param {Object} [user] - Principal filing the report
+ * @returns {Promise<Object>} - Report with the existing tracker issue
+ * @throws {ApiError} - 400 when the issue is not one of its filed duplicates, 409 when the report is already filed or merged
+ */
+async function attachToExistingIssue(reportId, duplicateKey, user = null) {
+  try {
+    if (!duplicateKey) {
+      throw badRequest("Duplicate issue is required", 'DUPLICATE_REQUIRED');
+    }
+    
+    const reportData = await getBugReport(reportId);
+    if (reportData.tracker_issue_id) {
+      throw conflict("Bug report has already been filed", 'ALREADY_FILED');
+    }
+    if (reportData.merged_into) {
+      throw conflict("Bug report has been merged into another report", 'MERGED');
+    }
+    
+    // Only issues offered as likely duplicates can be commented on
+    const duplicate = (reportData.duplicates || []).find(candidate => candidate.key === duplicateKey);
+    if (!duplicate) {
+      throw badRequest("Issue is not a likely duplicate of this report", 'UNKNOWN_DUPLICATE');
+    }
+    if (!duplicate.issue_id) {
+      throw badRequest("The duplicate report isn't filed yet; merge into it instead", 'NOT_FILED');
+    }
+    
+    const project = reportData.project ? getProject(reportData.project) : null;
+    const tracker = issueTracker(duplicate.tracker, project);
+    if (!tracker) {
+      throw new Error(`Issue tracker ${duplicate.tracker} is not configured`);
+    }
+    
+    const updatedReport = await fileUnderIssue(reportData, tracker, {
+      key: duplicate.key,
+      id: duplicate.issue_id,
+      number: duplicate.issue_number,
+      url: duplicate.issue_url
+    }, { actor: actorFor(user, reportData) });
+    
+    return {
+      id: reportId,
+      report_json: reportData.content_json,
+      report_markdown: reportData.content_markdown,
+      files_analyzed: reportData.files_analyzed || [],
+      screenshots: reportData.screenshots || [],
+      tracker_issue: {
+        tracker: tracker.name,
+        tracker_name: tracker.displayName,
+        id: duplicate.issue_id,
+        number: duplicate.issue_number,
+        url: duplicate.issue_url
+      },
+      duplicate_of: duplicate,
+      status: updatedReport.status,
+      status_timestamps: updatedReport.status_timestamps || {},
+      timestamp: new Date().toISOString(),
+      confirmed: true
+    };
+  } catch (error) {
+    console.error('Error attaching bug report to existing issue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge a report into a likely duplicate report that isn't filed yet; it is
+ * added to that report's issue once the report is filed
+ * @param {string} reportId - Bug report ID
+ * @param {string} duplicateKey - Key of one of the report's likely duplicates
+ * @param {Object} [user] - Principal merging the report
+ * @returns {Promise<Object>} - Merged report, with the tracker issue when the duplicate was filed meanwhile
+ * @throws {ApiError} - 400 when the report is not one of its duplicates or can't be merged into, 409 when
+ *   the report is already filed or merged
+ */
+async function mergeIntoDuplicate(reportId, duplicateKey, user = null) {
+  try {
+    if (!duplicateKey) {
+      throw badRequest("Duplicate report is required", 'DUPLICATE_REQUIRED');
+    }
+    
+    const reportData = await getBugReport(reportId);
+    if (reportData.merged_into) {
+      throw conflict("Bug report has been merged into another report", 'MERGED');
+    }
+    
+    // Only reports offered as likely duplicates can be merged into
+    const duplicate = (reportData.duplicates || []).find(candidate => candidate.key === duplicateKey);
+    if (!duplicate || !duplicate.report_id) {
+      throw badRequest("Report is not a likely duplicate of this report", 'UNKNOWN_DUPLICATE');
+    }
+    
+    await mergeBugReport(reportId, duplicate.report_id, user);
+    const updatedReport = await getBugReport(reportId);
+    const tracker = updatedReport.tracker_issue_id ? issueTracker(updatedReport.tracker, projectForReport(updatedReport)) : null;
+    
+    return {
+      id: reportId,
+      report_json: updatedReport.content_json,
+      report_markdown: updatedReport.content_markdown,
+      files_analyzed: updatedReport.files_analyzed || [],
+      screenshots: updatedReport.screenshots || [],
+      tracker_issue: updatedReport.tracker_issue_id ? {
+        tracker: updatedReport.tracker,
+        tracker_name: tracker ? tracker.displayName : updatedReport.tracker,
+        id: updatedReport.tracker_issue_id,
+        number: updatedReport.tracker_issue_number,
+        url: updatedReport.tracker_issue_url
+      } : null,
+      duplicate_of: duplicate,
+      merged_into: updatedReport.merged_into,
+      status: lifecycle.currentState(updatedReport),
+      status_timestamps: updatedReport.status_timestamps || {},
+      timestamp: new Date().toISOString(),
+      confirmed: Boolean(updatedReport.tracker_issue_id)
+    };
+  } catch (error) {
+    console.error('Error merging bug report into duplicate report:', error);
+    throw error;
+  }
+}
+
+/**
+ * Edit a report's title or suspected root cause before it is filed
+ * @param {string} reportId - Bug report ID
+ * @param {Object} changes - New values keyed by field (title, suspected_root_cause)
+ * @param {Object} [user] - Triager making the edit
+ * @returns {Promise<Object>} - Updated analysis response, with a new revision
+ * @throws {ApiError} - 400 when nothing editable changed or a value is empty, 409 when the report is already filed
+ */
+async function editBugReport(reportId, changes = {}, user = null) {
+  const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+  if (fields.length === 0) {
+    throw badRequest(`Nothing to update (editable fields: ${EDITABLE_FIELDS.join(', ')})`, 'NO_CHANGES');
+  }
+  const empty = fields.find(field => typeof changes[field] !== 'string' || !changes[field].trim());
+  if (empty) {
+    throw badRequest(`${empty} cannot be empty`, 'INVALID_FIELD');
+  }
+  
+  const reportData = await getBugReport(reportId);
+  if (reportData.tracker_issue_id) {
+    throw conflict("Bug report has already been filed", 'ALREADY_FILED');
+  }
+  
+  // Edits reach the tracker, so they are redacted like everything else
+  const redactor = createRedactor(reportData.redactions);
+  const reportJson = { ...reportData.content_json };
+  for (const field of fields) {
+    reportJson[field] = redactor.redact(changes[field].trim(), 'triage_edit');
+  }
+  const reportMarkdown = generateMarkdownReport(reportJson);
+  
+  const revisions = appendRevision(reportData.revisions, 'edit', reportJson, reportMarkdown, {
+    actor: actorFor(user, reportData),
+    fields
+  });
+  const updatedReport = await updateBugReport(reportData, {
+    title: reportJson.title,
+    content_json: reportJson,
+    content_markdown: reportMarkdown,
+    redactions: redactor.getAudit(),
+    revision: revisions[revisions.length - 1].revision,
+    revisions,
+    last_updated: new Date().toISOString()
+  });
+  
+  return formatAnalysisResponse(updatedReport);
+}
+
+/**
+ * Reject a report that won't be filed (not a bug, can't reproduce, spam)
+ * @param {string} reportId - Bug report ID
+ * @param {string} reason - Why the report was rejected
+ * @param {Object} [user] - Triager rejecting the report
+ * @returns {Promise<Object>} - Report summary
+ * @throws {ApiError} - 400 without a reason, 409 when the report is already filed or rejected
+ */
+async function rejectBugReport(reportId, reason, user = null) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw badRequest("A reason is required to reject a report", 'REASON_REQUIRED');
+  }
+  
+  const reportData = await getBugReport(reportId);
+  const actor = actorFor(user, reportData);
+  const redactor = createRedactor(reportData.redactions);
+  const rejectionReason = redactor.redact(reason.trim(), 'rejection_reason');
+  const revisions = appendRevision(reportData.revisions, 'rejection', reportData.content_json, reportData.content_markdown, {
+    actor,
+    reason: rejectionReason
+  });
+  const updatedReport = await transitionBugReport(reportData, 'rejected', {
+    actor,
+    reason: rejectionReason,
+    updates: {
+      rejection_reason: rejectionReason,
+      redactions: redactor.getAudit(),
+      revision: revisions[revisions.length - 1].revision,
+      revisions
+    }
+  });
+  
+  await notifications.notify('status_changed', updatedReport, {
+    from: lifecycle.currentState(reportData),
+    to: 'rejected',
+    reason: rejectionReason,
+    actor
+  });
+  return summarizeReport(updatedReport);
+}
+
+/**
+ * Ask the reporter a follow-up question before the report is filed
+ * @param {string} reportId - Bug report ID
+ * @param {string} question - Question for the reporter
+ * @param {Object} [user] - Triager asking
+ * @returns {Promise<Object>} - Updated analysis response
+ * @throws {ApiError} - 400 without a question, 409 when the report is no longer open
+ */
+async function requestMoreInfo(reportId, question, user = null) {
+  if (typeof question !== 'string' || !question.trim()) {
+    throw badRequest("A question is required", 'QUESTION_REQUIRED');
+  }
+  
+  const reportData = await getBugReport(reportId);
+  const state = lifecycle.currentState(reportData);
+  if (!lifecycle.PENDING_STATES.includes(state)) {
+    throw conflict(`A ${state} report can't be moved to needs info`, 'INVALID_TRANSITION');
+  }
+  
+  // The question is added to any the analysis asked; the reporter answers them all at once
+  const redactor = createRedactor(reportData.redactions);
+  const pending = reportData.needs_more_info || { needs_more_info: true, requests: [] };
+  const request = {
+    type: `triager_${pending.requests.filter(asked => asked.type.startsWith('triager_')).length + 1}`,
+    gap: null,
+    question: redactor.redact(question.trim(), 'triage_question'),
+    answer_type: 'text',
+    options: [],
+    asked_by: actorFor(user, reportData)
+  };
+  const updates = {
+    needs_more_info: { ...pending, needs_more_info: true, requests: [...pending.requests, request] },
+    feedback_requested: true,
+    redactions: redactor.getAudit()
+  };
+  
+  const updatedReport = state === 'needs_info'
+    ? await updateBugReport(reportData, { ...updates, last_updated: new Date().toISOString() })
+    : await transitionBugReport(reportData, 'needs_info', { actor: request.asked_by, reason: request.question, updates });
+  
+  await notifications.notify('needs_info', updatedReport, { question: request.question });
+  return formatAnalysisResponse(updatedReport);
+}
+
+/**
+ * Move a report to another state, recording the (redacted) reason with the move
+ */
+async function moveBugReport(reportData, to, reason, user, updates = {}) {
+  const redactor = createRedactor(reportData.redactions);
+  const actor = actorFor(user, reportData);
+  const redactedReason = reason ? redactor.redact(String(reason), 'status_reason') : null;
+  const updatedReport = await transitionBugReport(reportData, to, {
+    actor,
+    reason: redactedReason,
+    updates: { ...updates, redactions: redactor.getAudit() }
+  });
+  
+  await notifications.notify('status_changed', updatedReport, {
+    from: lifecycle.currentState(reportData),
+    to,
+    reason: redactedReason,
+    actor
+  });
+  return summarizeReport(updatedReport);
+}
+
+/**
+ * Mark a filed report resolved (its issue was fixed)
+ * @param {string} reportId - Bug report ID
+ * @param {string} [reason] - Note recorded with the move (e.g. the fixing release)
+ * @param {Object} [user] - Triager resolving the report
+ * @returns {Promise<Object>} - Report summary
+ * @throws {ApiError} - 409 when the report isn't confirmed or a duplicate
+ */
+async function resolveBugReport(reportId, reason, user = null) {
+  return moveBugReport(await getBugReport(reportId), 'resolved', reason, user);
+}
+
+/**
+ * Close a report; nothing more happens to it
+ * @param {string} reportId - Bug report ID
+ * @param {string} [reason] - Note recorded with the move
+ * @param {Object} [user] - Triager closing the report
+ * @returns {Promise<Object>} - Report summary
+ * @throws {ApiError} - 409 when the report hasn't been filed, rejected or resolved yet
+ */
+async function closeBugReport(reportId, reason, user = null) {
+  return moveBugReport(await getBugReport(reportId), 'closed', reason, user);
+}
+
+/**
+ * Reopen a rejected report (back to open) or a resolved one (back to confirmed or duplicate)
+ * @param {string} reportId - Bug report ID
+ * @param {string} [reason] - Why the report was reopened
+ * @param {Object} [user] - Triager reopening the report
+ * @returns {Promise<Object>} - Report summary
+ * @throws {ApiError} - 409 when the report isn't rejected or resolved
+ */
+async function reopenBugReport(reportId, reason, user = null) {
+  const reportData = await getBugReport(reportId);
+  const to = lifecycle.reopenState(reportData);
+  if (!to) {
+    throw conflict(`A ${lifecycle.currentState(reportData).replace('_', ' ')} report can't be reopened`, 'INVALID_TRANSITION');
+  }
+  return moveBugReport(reportData, to, reason, user, to === 'open' ? { rejection_reason: null } : {});
+}
+
+/**
+ * Merge a report into another report describing the same problem. When the
+ * target is filed, the report is added to its issue right away; otherwise it
+ * is added when the target is confirmed. Reports merged into this one move
+ * along to the target.
+ * @param {string} reportId - Bug report ID
+ * @param {string} targetId - Report it is merged into
+ * @param {Object} [user] - Triager merging the reports
+ * @returns {Promise<Object>} - Report summary
+ * @throws {ApiError} - 400 when the target is invalid, 409 when the report is already filed or can't be merged from its state
+ */
+async function mergeBugReport(reportId, targetId, user = null) {
+  if (!targetId) {
+    throw badRequest("Target report is required", 'TARGET_REQUIRED');
+  }
+  if (reportId === targetId) {
+    throw badRequest("A report can't be merged into itself", 'INVALID_TARGET');
+  }
+  
+  const reportData = await getBugReport(reportId);
+  const target = await getBugReport(targetId);
+  if (reportData.tracker_issue_id) {
+    throw conflict("Bug report has already been filed", 'ALREADY_FILED');
+  }
+  if (target.merged_into || ['rejected', 'closed'].includes(lifecycle.currentState(target))) {
+    throw badRequest("Reports can only be merged into open or filed reports", 'INVALID_TARGET');
+  }
+  
+  const actor = actorFor(user, reportData);
+  let updatedReport;
+  if (target.tracker_issue_id) {
+    const tracker = issueTracker(target.tracker, projectForReport(target));
+    if (!tracker) {
+      throw new Error(`Issue tracker ${target.tracker} is not configured`);
+    }
+    updatedReport = await fileUnderIssue(reportData, tracker, {
+      key: `${target.tracker}:${target.tracker_issue_id}`,
+      id: target.tracker_issue_id,
+      number: target.tracker_issue_number,
+      url: target.tracker_issue_url
+    }, { actor, merged_into: target.id });
+  } else {
+    const revisions = appendRevision(reportData.revisions, 'merge', reportData.content_json, reportData.content_markdown, {
+      actor,
+      merged_into: target.id
+    });
+    const updates = {
+      merged_into: target.id,
+      revision: revisions[revisions.length - 1].revision,
+      revisions,
+      last_updated: new Date().toISOString()
+    };
+    // Reports already merged into another report move without changing state
+    updatedReport = lifecycle.currentState(reportData) === 'duplicate'
+      ? await updateBugReport(reportData, updates)
+      : await transitionBugReport(reportData, 'duplicate', { actor, updates });
+  }
+  
+  // Reports previously merged into this one follow it
+  const mergedReports = await listBugReports({ mergedInto: reportId, limit: MAX_BULK_REPORTS });
+  for (const mergedReport of mergedReports.filter(candidate => !candidate.tracker_issue_id)) {
+    await mergeBugReport(mergedReport.id, target.id, user);
+  }
+  
+  return summarizeReport(updatedReport);
+}
+
+/**
+ * Apply a triage action to many reports. Reports are handled one at a time
+ * (tracker rate limits) and a failure doesn't stop the rest.
+ * @param {string} action - confirm, reject or merge
+ * @param {string[]} reportIds - Reports to act on
+ * @param {Object} [options] - { config (tracker config for confirm), reason (reject), targetId (merge), user }
+ * @returns {Promise<Object>} - { action, results: [{ id, ok, report | error, code }], succeeded, failed }
+ * @throws {ApiError} - 400 for an unknown action, an empty or oversized selection or a rejection without a reason
+ */
+async function bulkUpdateBugReports(action, reportIds, options = {}) {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw badRequest(`Unknown action ${action} (expected ${BULK_ACTIONS.join(', ')})`, 'INVALID_ACTION');
+  }
+  if (!Array.isArray(reportIds) || reportIds.length === 0) {
+    throw badRequest("Select at least one report", 'REPORTS_REQUIRED');
+  }
+  if (reportIds.length > MAX_BULK_REPORTS) {
+    throw badRequest(`At most ${MAX_BULK_REPORTS} reports can be updated at once`, 'TOO_MANY_REPORTS');
+  }
+  if (action === 'reject' && (typeof options.reason !== 'string' || !options.reason.trim())) {
+    throw badRequest("A reason is required to reject reports", 'REASON_REQUIRED');
+  }
+  
+  // The merge target may be part of the selection; it stays as it is
+  const ids = [...new Set(reportIds)].filter(id => action !== 'merge' || id !== options.targetId);
+  
+  const results = [];
+  for (const id of ids) {
+    try {
+      let report;
+      if (action === 'confirm') {
+        await confirmBugReport(id, options.config || {}, options.user);
+        report = summarizeReport(await getBugReport(id));
+      } else if (action === 'reject') {
+        report = await rejectBugReport(id, options.reason, options.user);
+      } else {
+        report = await mergeBugReport(id, options.targetId, options.user);
+      }
+      results.push({ id, ok: true, report });
+    } catch (error) {
+      results.push({ id, ok: false, error: error.message, code: error.code });
+    }
+  }
+  
+  const succeeded = results.filter(result => result.ok).length;
+  return { action, results, succeeded, failed: results.length - succeeded };
+}
+
+/**
+ * Summary of a report for the triage queue
+ * @param {Object} report - Stored report
+ * @returns {Object}
+ */
+function summarizeReport(report) {
+  return {
+    id: report.id,
+    title: report.title,
+    project: report.project || null,
+    status: lifecycle.currentState(report),
+    status_timestamps: report.status_timestamps || {},
+    severity: report.severity_level || (report.severity && report.severity.level) || null,
+    reporter_email: report.reporter_email || null,
+    reporter_name: report.reporter_name || null,
+    fingerprint: report.fingerprint || null,
+    tracker: report.tracker || null,
+    tracker_issue_number: report.tracker_issue_number || null,
+    tracker_issue_url: report.tracker_issue_url || null,
+    duplicate_of: report.duplicate_of || null,
+    merged_into: report.merged_into || null,
+    rejection_reason: report.rejection_reason || null,
+    needs_more_info: Boolean(report.needs_more_info),
+    revision: report.revision || 1,
+    created_at: report.created_at,
+    last_updated: report.last_updated || null
+  };
+}
+
+/**
+ * Parse a date filter; a bare `to` date includes the whole day
+ */
+function parseDateFilter(value, endOfDay = false) {
+  if (!value) {
+    return undefined;
+  }
+  const text = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw badRequest(`Invalid date: ${value}`, 'INVALID_DATE');
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Search reports for the triage queue, newest first
+ * @param {Object} [options] - { search, status, project, severity, reporter (email), reporterId, from, to,
+ *   hasTrackerIssue, page, pageSize }
+ * @returns {Promise<Object>} - { reports, total, page, page_size }
+ * @throws {ApiError} - 400 for an unknown status or severity, or an invalid date
+ */
+async function searchBugReports(options = {}) {
+  if (options.status && !lifecycle.STATES.includes(options.status)) {
+    throw badRequest(`Unknown status ${options.status} (expected ${lifecycle.STATES.join(', ')})`, 'INVALID_STATUS');
+  }
+  if (options.severity && !SEVERITY_LEVELS.includes(options.severity)) {
+    throw badRequest(`Unknown severity ${options.severity} (expected ${SEVERITY_LEVELS.join(', ')})`, 'INVALID_SEVERITY');
+  }
+  
+  const page = Math.max(1, options.page || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, options.pageSize || DEFAULT_PAGE_SIZE));
+  const filters = {
+    search: options.search,
+    status: options.status || undefined,
+    project: options.project || undefined,
+    severity: options.severity || undefined,
+    reporterEmail: options.reporter || undefined,
+    reporterId: options.reporterId,
+    hasTrackerIssue: options.hasTrackerIssue,
+    createdFrom: parseDateFilter(options.from),
+    createdTo: parseDateFilter(options.to, true)
+  };
+  
+  const [reports, total] = await Promise.all([
+    storage.reports.list({ ...filters, limit: pageSize, offset: (page - 1) * pageSize }),
+    storage.reports.count(filters)
+  ]);
+  
+  return {
+    reports: reports.map(summarizeReport),
+    total,
+    page,
+    page_size: pageSize
+  };
+}
+
+/**
+ * Get a report's follow-up questions as the reporter sees them in the form
+ * (opened from the link in a follow-up email)
+ * @param {string} reportId - Bug report ID
+ * @returns {Promise<Object>} - Analysis response
+ */
+async function getFollowUp(reportId) {
+  return formatAnalysisResponse(await getBugReport(reportId));
+}
+
 /**
  * Get a bug report by ID
  */
@@ -902,48 +2529,103 @@ async function getBugReport(reportId) {
       throw new Error("Bug report ID is required");
     }
     
-    // Try Supabase first if available
-    if (supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('bug_reports')
-          .select('*')
-          .eq('id', reportId)
-          .single();
-          
-        if (!error && data) {
-          return data;
-        }
-        // Fall through to in-memory if no results or error
-      } catch (supabaseError) {
-        console.warn('Supabase retrieval failed, checking in-memory:', supabaseError);
-      }
-    }
-    
-    // Check in-memory storage
-    if (inMemoryReports.has(reportId)) {
-      return inMemoryReports.get(reportId);
+    const reportData = await storage.reports.get(reportId);
+    if (!reportData) {
+      throw new Error("Bug report not found");
     }
-    
-    throw new Error("Bug report not found");
+    return reportData;
   } catch (error) {
     console.error('Error fetching bug report:', error);
     throw error;
   }
 }
 
+/**
+ * Get the revision log of a bug report
+ * @param {string} reportId - Bug report ID
+ * @returns {Promise<Object>} - { id, revision, revisions } with revisions oldest first
+ */
+async function getReportRevisions(reportId) {
+  const reportData = await getBugReport(reportId);
+  
+  // Reports stored before revisions were recorded only have their current content
+  const revisions = reportData.revisions && reportData.revisions.length > 0
+    ? reportData.revisions
+    : appendRevision([], 'analysis', reportData.content_json, reportData.content_markdown, {
+      actor: revisionActor(reportData)
+    }).map(revision => ({ ...revision, created_at: reportData.created_at }));
+  
+  return {
+    id: reportData.id,
+    revision: revisions[revisions.length - 1].revision,
+    revisions
+  };
+}
+
+/**
+ * List crash groups, most recently seen first
+ * @param {Object} [options] - { project, limit }
+ * @returns {Promise<Object[]>}
+ */
+async function listCrashGroups(options = {}) {
+  const groups = await crashGroups.listGroups(options);
+  return groups.map(summarizeCrashGroup);
+}
+
+/**
+ * Get a crash group with its reporters and reports
+ * @param {string} fingerprint - Crash fingerprint
+ * @returns {Promise<Object>}
+ */
+async function getCrashGroup(fingerprint) {
+  const group = await crashGroups.getGroup(fingerprint);
+  if (!group) {
+    throw new Error("Crash group not found");
+  }
+  
+  const reports = await listBugReports({ fingerprint, limit: MAX_CRASH_GROUP_REPORTS });
+  return {
+    ...summarizeCrashGroup(group),
+    reporters: group.reporters,
+    reports: reports.map(report => ({
+      id: report.id,
+      title: report.title,
+      status: report.status || null,
+      reporter_email: report.reporter_email || null,
+      created_at: report.created_at
+    }))
+  };
+}
+
 // Export all functions for modularity
 module.exports = {
   initialize,
   analyzeBugReport,
   confirmBugReport,
   submitAdditionalInfo,
+  attachToExistingIssue,
+  mergeIntoDuplicate,
+  editBugReport,
+  rejectBugReport,
+  requestMoreInfo,
+  resolveBugReport,
+  closeBugReport,
+  reopenBugReport,
+  mergeBugReport,
+  bulkUpdateBugReports,
+  searchBugReports,
   getBugReport,
+  getFollowUp,
+  listCrashGroups,
+  getCrashGroup,
+  getReportRevisions,
   storeBugReport,
   generateBugReport,
   generateMarkdownReport,
   checkIfNeedsMoreInfo,
-  createLinearIssue,
+  createTrackerIssue,
+  resolveProject,
   searchCodebase,
+  analyzeStackTrace,
   readCodeSnippets
 };
\ No newline at end of file
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const controller = require('./bugReportController');
+const repoIndex = require('../services/repoIndex');
+const fileAccess = require('../services/fileAccess');
+const gitHistory = require('../services/gitHistory');
+const routing = require('../services/routing');
+const fileSystem = require('../services/repoFileSystem');
+const notifications = require('../services/notifications');
+const llm = require('../llm');
+const storage = require('../storage');
+
+const REPO_PATH = path.join(__dirname, '../services/retrieval/__fixtures__/repo');
+const CART_FILE = path.join(REPO_PATH, 'src/cart.js');
+
+const ANALYSIS = {
+  title: 'Checkout total ignores the discount code',
+  suspected_root_cause: 'checkoutSummary shows calculateTotal instead of the discounted total from applyDiscount.',
+  evidence: ['checkoutSummary calls calculateTotal(cart)'],
+  next_steps: ['Show the discounted total in checkoutSummary'],
+  confidence: 0.9,
+  information_gaps: []
+};
+
+const BROWSER_GAP = {
+  id: 'browser',
+  gap: 'The browser the checkout was used in',
+  question: 'Which browser were you using?',
+  answer_type: 'text'
+};
+
+const REPORTER = { id: 'user:sam', type: 'user', role: 'reporter', email: 'sam@example.com', name: 'Sam' };
+
+let indexDir;
+let github;
+let createdIssues;
+
+/**
+ * Local stand-in for the GitHub REST API: records created issues and accepts comments
+ */
+function startGithub() {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST' && req.url === '/repos/acme/shop/issues') {
+          const issue = { ...JSON.parse(body), number: createdIssues.length + 1 };
+          createdIssues.push(issue);
+          return res.end(JSON.stringify({ ...issue, html_url: `https://github.test/acme/shop/issues/${issue.number}` }));
+        }
+        if (req.method === 'POST' && /^\/repos\/acme\/shop\/issues\/\d+\/comments$/.test(req.url)) {
+          return res.end(JSON.stringify({ id: 1, body: JSON.parse(body).body }));
+        }
+        if (req.url.startsWith('/search/issues')) {
+          return res.end(JSON.stringify({ items: [] }));
+        }
+        if (req.url.startsWith('/repos/acme/shop/labels')) {
+          return res.end(JSON.stringify([{ name: 'bug' }]));
+        }
+        res.statusCode = 404;
+        res.end(JSON.stringify({ message: 'Not Found' }));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  indexDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'controller-test-'));
+  github = await startGithub();
+
+  repoIndex.configure({ indexDir });
+  fileAccess.configure({ allowedRoots: [REPO_PATH] });
+  gitHistory.configure({ enabled: false });
+  routing.configure({ blame: false });
+
+  controller.initialize({
+    llm: {
+      provider: 'stub',
+      stub: { responses: { fileSelection: { files: [CART_FILE] }, analysis: ANALYSIS } }
+    },
+    storage: { driver: 'memory' },
+    defaultTracker: 'github',
+    trackers: {
+      github: { token: 'test-token', owner: 'acme', repo: 'shop', apiUrl: `http://127.0.0.1:${github.address().port}` }
+    }
+  });
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await new Promise(resolve => github.close(resolve));
+  await fs.promises.rm(indexDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  createdIssues = [];
+});
+
+/**
+ * Answer the stages with the given analysis
+ */
+function useAnalysis(analysis) {
+  llm.initializeLlm({
+    provider: 'stub',
+    stub: { responses: { fileSelection: { files: [CART_FILE] }, analysis } }
+  });
+}
+
+/**
+ * Analyze a report against the fixture repository
+ */
+function analyze(description = 'The checkout total ignores my discount code') {
+  return controller.analyzeBugReport({ description, repoPath: REPO_PATH }, fileSystem, REPORTER);
+}
+
+describe('analyzeBugReport', () => {
+  test('analyzes a report with the recorded model responses and stores it', async () => {
+    const result = await analyze();
+
+    expect(result.id).toMatch(/^report-/);
+    expect(result.report_json).toEqual(expect.objectContaining({
+      title: ANALYSIS.title,
+      suspected_root_cause: ANALYSIS.suspected_root_cause
+    }));
+    expect(result.files_analyzed).toContain(CART_FILE);
+    expect(result.status).toBe('open');
+    expect(result.pending_confirmation).toBe(true);
+    expect(result.needs_more_info).toBeNull();
+    expect(result.revision).toBe(1);
+
+    const stored = await controller.getBugReport(result.id);
+    expect(stored).toEqual(expect.objectContaining({
+      reporter_id: REPORTER.id,
+      reporter_email: REPORTER.email,
+      title: ANALYSIS.title
+    }));
+  });
+
+  test('asks heuristic follow-up questions when the model keeps returning invalid gaps', async () => {
+    useAnalysis({ ...ANALYSIS, confidence: 'high', information_gaps: [{ gap: 'The browser in use', question: 'Which browser?' }] });
+    try {
+      const result = await analyze();
+
+      expect(result.report_json).not.toHaveProperty('information_gaps');
+      expect(result.needs_more_info).toEqual(expect.objectContaining({ needs_more_info: true }));
+      expect(result.status).toBe('needs_info');
+    } finally {
+      useAnalysis(ANALYSIS);
+    }
+  });
+
+  test('rejects a report without a description', async () => {
+    await expect(controller.analyzeBugReport({ repoPath: REPO_PATH }, fileSystem, REPORTER))
+      .rejects.toEqual(expect.objectContaining({ statusCode: 400, code: 'DESCRIPTION_REQUIRED' }));
+  });
+
+  test('rejects repositories outside the allowed roots', async () => {
+    await expect(controller.analyzeBugReport({ description: 'Broken', repoPath: os.tmpdir() }, fileSystem, REPORTER))
+      .rejects.toEqual(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('confirmBugReport', () => {
+  test('files the analyzed report as a tracker issue', async () => {
+    const { id } = await analyze();
+
+    const result = await controller.confirmBugReport(id, { tracker: 'github' }, REPORTER);
+
+    expect(result.confirmed).toBe(true);
+    expect(result.already_confirmed).toBe(false);
+    expect(result.status).toBe('confirmed');
+    expect(result.tracker_issue).toEqual(expect.objectContaining({
+      tracker: 'github',
+      tracker_name: 'GitHub',
+      number: 1,
+      url: 'https://github.test/acme/shop/issues/1'
+    }));
+
+    expect(createdIssues).toHaveLength(1);
+    expect(createdIssues[0].title).toBe(ANALYSIS.title);
+    expect(createdIssues[0].body).toContain(ANALYSIS.suspected_root_cause);
+    expect(createdIssues[0].body).toContain(CART_FILE);
+
+    const stored = await controller.getBugReport(id);
+    expect(stored.tracker_issue_url).toBe('https://github.test/acme/shop/issues/1');
+    expect(stored.revisions.map(revision => revision.trigger)).toEqual(['analysis', 'confirmation']);
+  });
+
+  test('returns the existing issue when a filed report is confirmed again', async () => {
+    const { id } = await analyze();
+    await controller.confirmBugReport(id, { tracker: 'github' }, REPORTER);
+
+    const again = await controller.confirmBugReport(id, { tracker: 'github' }, REPORTER);
+
+    expect(again.already_confirmed).toBe(true);
+    expect(again.tracker_issue.url).toBe('https://github.test/acme/shop/issues/1');
+    expect(createdIssues).toHaveLength(1);
+  });
+
+  test('files one issue for concurrent confirmations', async () => {
+    const { id } = await analyze();
+
+    const results = await Promise.all([
+      controller.confirmBugReport(id, { tracker: 'github' }, REPORTER),
+      controller.confirmBugReport(id, { tracker: 'github' }, REPORTER)
+    ]);
+
+    expect(results[0].tracker_issue.url).toBe(results[1].tracker_issue.url);
+    expect(createdIssues).toHaveLength(1);
+  });
+
+  test('refuses to confirm a rejected report', async () => {
+    const { id } = await analyze();
+    await controller.rejectBugReport(id, 'Not a bug', { id: 'api-key:triage', type: 'api-key', role: 'triager', name: 'triage' });
+
+    await expect(controller.confirmBugReport(id, { tracker: 'github' }, REPORTER))
+      .rejects.toEqual(expect.objectContaining({ statusCode: 409 }));
+    expect(createdIssues).toHaveLength(0);
+  });
+});
+
+describe('submitAdditionalInfo', () => {
+  beforeAll(() => {
+    useAnalysis({ ...ANALYSIS, information_gaps: [BROWSER_GAP] });
+  });
+
+  afterAll(() => {
+    useAnalysis(ANALYSIS);
+  });
+
+  afterEach(() => {
+    notifications.notify.mockRestore();
+  });
+
+  test('asks the reporter the questions of the re-analysis', async () => {
+    const { id } = await analyze();
+    const notify = jest.spyOn(notifications, 'notify');
+
+    const result = await controller.submitAdditionalInfo(id, { browser: 'Firefox 128' }, fileSystem);
+
+    expect(result.status).toBe('needs_info');
+    expect(result.revision).toBe(2);
+    expect(notify).toHaveBeenCalledWith('needs_info', expect.objectContaining({ id, status: 'needs_info' }));
+  });
+
+  test('stores only the first of concurrent submissions', async () => {
+    const { id } = await analyze();
+    jest.spyOn(notifications, 'notify');
+
+    const results = await Promise.allSettled([
+      controller.submitAdditionalInfo(id, { browser: 'Firefox 128' }, fileSystem),
+      controller.submitAdditionalInfo(id, { browser: 'Safari 17' }, fileSystem)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const rejected = results.find(result => result.status === 'rejected');
+    expect(rejected.reason).toEqual(expect.objectContaining({ statusCode: 409, code: 'CONCURRENT_UPDATE' }));
+
+    const stored = await controller.getBugReport(id);
+    expect(stored.revision).toBe(2);
+    expect(stored.revisions).toHaveLength(2);
+  });
+});
+
+describe.each([
+  ['memory', { driver: 'memory' }],
+  ['sqlite', { driver: 'sqlite', sqlitePath: ':memory:' }]
+])('likely duplicates on %s storage', (name, storageConfig) => {
+  const AVATAR_ANALYSIS = {
+    ...ANALYSIS,
+    title: 'Avatar upload rejects large images',
+    suspected_root_cause: 'The avatar upload handler rejects images above its size limit instead of resizing them.',
+    evidence: ['The upload handler checks the image size'],
+    next_steps: ['Resize large avatars before the size check']
+  };
+
+  beforeAll(() => {
+    storage.initializeStorage(storageConfig);
+    useAnalysis(AVATAR_ANALYSIS);
+  });
+
+  afterAll(async () => {
+    await storage.getStorage().close();
+    storage.initializeStorage({ driver: 'memory' });
+    useAnalysis(ANALYSIS);
+  });
+
+  test('offers unfiled reports to merge into, however many reports came after them', async () => {
+    const first = await analyze('Uploading a large avatar fails');
+    for (let index = 0; index < 60; index += 1) {
+      await storage.reports.create({
+        id: `report-unrelated-${index}`,
+        title: 'Search results are empty',
+        content_json: { title: 'Search results are empty', suspected_root_cause: 'The index is stale.' },
+        content_markdown: '# Bug Report: Search results are empty',
+        status: 'open',
+        created_at: new Date(Date.now() + 1000 + index).toISOString()
+      });
+    }
+
+    const second = await analyze('My avatar upload is rejected');
+
+    expect(second.duplicates).toEqual([expect.objectContaining({
+      key: `report:${first.id}`,
+      source: 'report',
+      action: 'merge',
+      report_id: first.id,
+      issue_id: null,
+      title: AVATAR_ANALYSIS.title
+    })]);
+  });
+
+  test('merges a report into an unfiled duplicate, and files it with that report', async () => {
+    const first = await analyze('Uploading a large avatar fails');
+    const second = await analyze('My avatar upload is rejected');
+    const key = `report:${first.id}`;
+
+    await expect(controller.attachToExistingIssue(second.id, key, REPORTER))
+      .rejects.toEqual(expect.objectContaining({ statusCode: 400, code: 'NOT_FILED' }));
+
+    const merged = await controller.mergeIntoDuplicate(second.id, key, REPORTER);
+    expect(merged).toEqual(expect.objectContaining({
+      merged_into: first.id,
+      status: 'duplicate',
+      tracker_issue: null,
+      confirmed: false
+    }));
+
+    await controller.confirmBugReport(first.id, { tracker: 'github' }, REPORTER);
+    const filed = await controller.getBugReport(second.id);
+    expect(filed.tracker_issue_url).toBe('https://github.test/acme/shop/issues/1');
+  });
+
+  test('offers filed reports to attach to', async () => {
+    const first = await analyze('Uploading a large avatar fails');
+    await controller.confirmBugReport(first.id, { tracker: 'github' }, REPORTER);
+
+    const second = await analyze('My avatar upload is rejected');
+
+    expect(second.duplicates).toContainEqual(expect.objectContaining({
+      source: 'report',
+      action: 'attach',
+      report_id: first.id,
+      issue_url: 'https://github.test/acme/shop/issues/1'
+    }));
+    await expect(controller.mergeIntoDuplicate(second.id, 'report:unknown', REPORTER))
+      .rejects.toEqual(expect.objectContaining({ statusCode: 400, code: 'UNKNOWN_DUPLICATE' }));
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Console Email Transport
+ *
+ * Logs every message instead of sending it, for local development.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a console transport
+ * @returns {Object} - Email transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    /**
+     * Log one message
+     * @param {Object} message - { from, to, subject, text, html, headers }
+     * @returns {Promise<{id: string}>}
+     */
+    async send(message) {
+      const id = `<${crypto.randomUUID()}@console>`;
+      const to = message.to && typeof message.to === 'object' ? `${message.to.name} <${message.to.address}>` : message.to;
+      console.log([
+        `Email ${id}`,
+        `From: ${message.from}`,
+        `To: ${to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text
+      ].join('\n'));
+      return { id };
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
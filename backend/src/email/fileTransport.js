@@ -0,0 +1,42 @@
+/**
+ * File Email Transport
+ *
+ * Writes every message to a directory as an `.eml` file instead of sending
+ * it, for local development and testing. The files open in any mail client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a file transport
+ * @param {Object} config - File transport configuration
+ * @param {string} config.dir - Directory messages are written to (created when missing)
+ * @returns {Object} - Email transport
+ */
+function createFileTransport(config) {
+  // Builds the raw message without sending it
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    /**
+     * Write one message
+     * @param {Object} message - { from, to, subject, text, html, headers }
+     * @returns {Promise<{id: string, path: string}>}
+     */
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      const filePath = path.join(config.dir, fileName);
+
+      await fs.promises.mkdir(config.dir, { recursive: true });
+      await fs.promises.writeFile(filePath, info.message);
+      return { id: info.messageId, path: filePath };
+    }
+  };
+}
+
+module.exports = createFileTransport;
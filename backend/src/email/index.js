@@ -0,0 +1,135 @@
+/**
+ * Email Transport Registry
+ *
+ * Builds the configured email transport. Every transport exposes the same
+ * interface:
+ *
+ * - name
+ * - send(message) -> { id }
+ *
+ * where `message` is { from, to, subject, text, html, headers }.
+ * Transports: `smtp`, `file` (writes .eml files, for testing) and `console`
+ * (logs messages, for local development). Any object with that interface
+ * can be passed as `config.transport` instead of a name.
+ */
+
+const path = require('path');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+/**
+ * Transport factories and the config keys each one requires
+ */
+const TRANSPORT_FACTORIES = {
+  smtp: { create: createSmtpTransport, required: ['host'] },
+  file: { create: createFileTransport, required: ['dir'] },
+  console: { create: createConsoleTransport, required: [] }
+};
+
+/**
+ * Where the file transport writes messages when no directory is configured
+ */
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../../data/emails');
+
+let transport = null;
+let defaultFrom = null;
+
+/**
+ * Email settings from environment variables
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} - Config for initializeEmail
+ */
+function configFromEnv(env) {
+  return {
+    transport: env.EMAIL_TRANSPORT,
+    from: env.EMAIL_FROM,
+    smtp: {
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : undefined,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      password: env.SMTP_PASSWORD
+    },
+    file: {
+      dir: env.EMAIL_OUTPUT_DIR || DEFAULT_OUTPUT_DIR
+    }
+  };
+}
+
+/**
+ * Initialize the email transport
+ * @param {Object} config - Configuration object
+ * @param {string|Object} [config.transport] - smtp, file or console, or a transport object
+ *   (defaults to smtp when an SMTP host is configured; otherwise no email is sent)
+ * @param {string} [config.from] - Sender address (e.g. "Bug Reports <bugs@example.com>")
+ * @param {Object} [config.smtp] - { host, port, secure, user, password }
+ * @param {Object} [config.file] - { dir }
+ * @returns {string|null} - Name of the transport, or null when email is off
+ */
+function initializeEmail(config = {}) {
+  transport = null;
+  defaultFrom = config.from || 'Bug Reports <no-reply@localhost>';
+
+  if (config.transport && typeof config.transport === 'object') {
+    transport = config.transport;
+    return transport.name;
+  }
+
+  const name = config.transport || (config.smtp && config.smtp.host ? 'smtp' : null);
+  if (!name) {
+    return null;
+  }
+
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    console.error(`Unknown email transport: ${name}`);
+    return null;
+  }
+
+  const transportConfig = config[name] || {};
+  const missing = factory.required.filter(key => !transportConfig[key]);
+  if (missing.length > 0) {
+    console.error(`Email transport ${name} is missing configuration: ${missing.join(', ')}`);
+    return null;
+  }
+
+  try {
+    transport = factory.create(transportConfig);
+    if (name === 'smtp' && !config.from) {
+      console.warn('EMAIL_FROM is not set; reporter emails are sent from no-reply@localhost');
+    }
+    console.log(`Email transport ${name} initialized successfully`);
+    return name;
+  } catch (error) {
+    console.error(`Failed to initialize ${name} email transport:`, error);
+    return null;
+  }
+}
+
+/**
+ * Whether email can be sent
+ * @returns {boolean}
+ */
+function isEmailConfigured() {
+  return transport !== null;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html, headers } and optionally `from`
+ * @returns {Promise<Object>} - { id } from the transport
+ */
+async function sendEmail(message) {
+  if (!transport) {
+    throw new Error('No email transport configured');
+  }
+  return transport.send({ from: defaultFrom, ...message });
+}
+
+module.exports = {
+  configFromEnv,
+  initializeEmail,
+  isEmailConfigured,
+  sendEmail
+};
@@ -0,0 +1,43 @@
+/**
+ * SMTP Email Transport
+ *
+ * Delivers email through an SMTP server (a mail provider's relay, or a local
+ * MTA) with nodemailer.
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP transport
+ * @param {Object} config - SMTP configuration
+ * @param {string} config.host - SMTP server host
+ * @param {number} [config.port] - Port (default 587, or 465 with TLS)
+ * @param {boolean} [config.secure] - Connect over TLS from the start (port 465); otherwise STARTTLS is used when offered
+ * @param {string} [config.user] - Username
+ * @param {string} [config.password] - Password
+ * @returns {Object} - Email transport
+ */
+function createSmtpTransport(config) {
+  const transporter = nodemailer.createTransport({
+    host: config.host,
+    port: config.port || (config.secure ? 465 : 587),
+    secure: Boolean(config.secure),
+    auth: config.user ? { user: config.user, pass: config.password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Send one message
+     * @param {Object} message - { from, to, subject, text, html, headers }
+     * @returns {Promise<{id: string}>}
+     */
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
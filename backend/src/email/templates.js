@@ -0,0 +1,141 @@
+/**
+ * Email Templates
+ *
+ * The emails reporters get about their reports, each rendered as plain text
+ * and HTML from the same content:
+ *
+ * - received: the report was analyzed (with its follow-up questions, if any)
+ * - needs_info: a triager or the re-analysis of the reporter's answers asked follow-up questions
+ * - ticket_created: the report was filed as a new issue or added to an existing one
+ * - fixed: the issue the report is filed under was fixed
+ *
+ * Report titles and questions are the redacted ones stored on the report.
+ */
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Tracker issue reference, e.g. "GitHub issue #42"
+ */
+function issueReference(issue) {
+  if (!issue) {
+    return 'our issue tracker';
+  }
+  const number = issue.number !== undefined && issue.number !== null ? ` #${issue.number}` : '';
+  return `${issue.trackerName || 'tracker'} issue${number}`;
+}
+
+/**
+ * Email content by template name: (context) -> { subject, paragraphs, questions, action }
+ * where context is { report, details, followUpUrl }
+ */
+const TEMPLATES = {
+  received: ({ report, followUpUrl }) => {
+    const questions = report.status === 'needs_info' && report.needs_more_info
+      ? report.needs_more_info.requests.map(request => request.question)
+      : [];
+    return {
+      subject: `We received your bug report: ${report.title}`,
+      paragraphs: [
+        `Thanks for reporting "${report.title}". We analyzed your report and will look into it.`,
+        ...(questions.length > 0 ? ['To help us reproduce the problem, please answer a few questions:'] : [])
+      ],
+      questions,
+      action: questions.length > 0 && followUpUrl ? { label: 'Answer the questions', url: followUpUrl } : null
+    };
+  },
+
+  needs_info: ({ report, followUpUrl }) => ({
+    subject: `We need more information about your bug report: ${report.title}`,
+    paragraphs: [
+      `We're looking into "${report.title}" and need a little more information from you:`
+    ],
+    questions: ((report.needs_more_info && report.needs_more_info.requests) || []).map(request => request.question),
+    action: followUpUrl ? { label: 'Answer the questions', url: followUpUrl } : null
+  }),
+
+  ticket_created: ({ report, details }) => ({
+    subject: `Your bug report was filed: ${report.title}`,
+    paragraphs: details.duplicate
+      ? [
+        `"${report.title}" matches a problem we already track, so your report was added to ${issueReference(details.issue)}.`,
+        'We\'ll let you know when it is fixed.'
+      ]
+      : [
+        `"${report.title}" was filed as ${issueReference(details.issue)}.`,
+        'We\'ll let you know when it is fixed.'
+      ],
+    questions: [],
+    action: null
+  }),
+
+  fixed: ({ report }) => ({
+    subject: `Fixed: ${report.title}`,
+    paragraphs: [
+      `Good news: the problem you reported, "${report.title}", has been fixed.`,
+      'If you still run into it, please submit a new report.'
+    ],
+    questions: [],
+    action: null
+  })
+};
+
+/**
+ * Render an email
+ * @param {string} name - Template name (received, needs_info, ticket_created, fixed)
+ * @param {Object} context - { report, details, followUpUrl, unsubscribeUrl }
+ * @returns {Object} - { subject, text, html }
+ * @throws {Error} - For an unknown template
+ */
+function renderEmail(name, context) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const { report, unsubscribeUrl } = context;
+  const content = template({ details: {}, ...context });
+  const greeting = report.reporter_name ? `Hi ${report.reporter_name},` : 'Hi,';
+  const footer = 'You are receiving this email because you reported a bug.';
+
+  const text = [
+    greeting,
+    ...content.paragraphs,
+    ...(content.questions.length > 0 ? [content.questions.map(question => `- ${question}`).join('\n')] : []),
+    ...(content.action ? [`${content.action.label}: ${content.action.url}`] : []),
+    `--\n${footer}${unsubscribeUrl ? `\nUnsubscribe: ${unsubscribeUrl}` : ''}`
+  ].join('\n\n');
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: sans-serif; line-height: 1.5; color: #222;">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...content.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(content.questions.length > 0
+      ? [`<ul>${content.questions.map(question => `<li>${escapeHtml(question)}</li>`).join('')}</ul>`]
+      : []),
+    ...(content.action
+      ? [`<p><a href="${escapeHtml(content.action.url)}">${escapeHtml(content.action.label)}</a></p>`]
+      : []),
+    `<p style="font-size: 12px; color: #777;">${escapeHtml(footer)}` +
+      `${unsubscribeUrl ? ` <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>` : ''}</p>`,
+    '</body></html>'
+  ].join('\n');
+
+  return { subject: content.subject, text, html };
+}
+
+module.exports = {
+  escapeHtml,
+  renderEmail
+};
@@ -8,22 +8,47 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
-const bugReportRoutes = require('./routes/bugReportRoutes');
 
-// Load environment variables
+// Load environment variables (before the routes read their configuration)
 dotenv.config();
 
+const bugReportRoutes = require('./routes/bugReportRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const crashGroupRoutes = require('./routes/crashGroupRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const { getStorage } = require('./storage');
+const { getChatAdapters } = require('./chat');
+const auth = require('./auth');
+
+// Identify API callers (API keys for integrations, JWT sessions for the web form)
+const authProviders = auth.initializeAuth(auth.configFromEnv(process.env));
+
 // Create Express application
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
+
+// Tracker webhooks and chat requests are verified against their raw body, so they are parsed by their own routes
+app.use('/webhooks', webhookRoutes);
+app.use('/chat', chatRoutes);
+
 app.use(express.json());
 app.use(morgan('dev'));
 
+// Unsubscribe links from reporter emails carry their own signed token
+app.use('/notifications', notificationRoutes);
+
+// Every API route requires an authenticated caller
+app.use('/api', auth.authenticate);
+
 // API Routes
 app.use('/api/bug-report', bugReportRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/crash-groups', crashGroupRoutes);
 
 // Root endpoint for health check
 app.get('/', (req, res) => {
@@ -50,9 +75,16 @@ app.listen(PORT, () => {
   
   // Log configuration status
   console.log('\nConfiguration status:');
-  console.log(`- OpenAI API Key: ${process.env.OPENAI_API_KEY ? 'Configured ✅' : 'Not configured ❌'}`);
-  console.log(`- Supabase: ${process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY ? 'Configured ✅' : 'Not configured ❌'}`);
+  console.log(`- LLM: ${process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'Not configured ❌')}`);
+  console.log(`- Storage: ${getStorage().name}`);
+  console.log(`- Auth: ${auth.isAuthRequired() ? (authProviders.join(', ') || 'Not configured ❌') : 'Disabled ⚠️'}`);
   console.log(`- Linear: ${process.env.LINEAR_API_KEY ? 'Configured ✅' : 'Not configured ❌'}`);
+  console.log(`- GitHub Issues: ${process.env.GITHUB_TOKEN && process.env.GITHUB_REPO ? 'Configured ✅' : 'Not configured ❌'}`);
+  console.log(`- Jira: ${process.env.JIRA_BASE_URL && process.env.JIRA_API_TOKEN ? 'Configured ✅' : 'Not configured ❌'}`);
+  console.log(`- GitLab: ${process.env.GITLAB_TOKEN && process.env.GITLAB_PROJECT_ID ? 'Configured ✅' : 'Not configured ❌'}`);
+  console.log(`- Reporter emails: ${process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'Not configured ❌')}`);
+  console.log(`- Chat: ${getChatAdapters().map(adapter => adapter.displayName).join(', ') || 'Not configured ❌'}`);
+  console.log(`- Tracker sync: ${process.env.TRACKER_SYNC_INTERVAL_MINUTES ? `every ${process.env.TRACKER_SYNC_INTERVAL_MINUTES} minutes` : 'Webhooks only'}`);
 });
 
 module.exports = app; // For testing
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Anthropic LLM Provider
+ *
+ * Chat completions through the Anthropic Messages API.
+ */
+
+const { requestJson } = require('../utils/httpClient');
+
+/**
+ * Create an Anthropic provider
+ * @param {Object} config - Anthropic configuration
+ * @param {string} config.apiKey - Anthropic API key
+ * @param {string} [config.baseUrl] - API base URL
+ * @param {number} [config.maxTokens] - Maximum output tokens
+ * @returns {Object} - LLM provider
+ */
+function createAnthropicProvider(config) {
+  const baseUrl = (config.baseUrl || 'https://api.anthropic.com').replace(/\/$/, '');
+  const headers = {
+    'x-api-key': config.apiKey,
+    'anthropic-version': '2023-06-01'
+  };
+
+  return {
+    name: 'anthropic',
+    displayName: 'Anthropic',
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { model, messages, json, temperature }
+     * @returns {Promise<{content: string, model: string}>}
+     */
+    async complete(request) {
+      // System prompts go in a separate field
+      const system = request.messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+      const messages = request.messages.filter(message => message.role !== 'system');
+
+      // No JSON mode: prefill the opening brace so the reply is a bare object
+      if (request.json) {
+        messages.push({ role: 'assistant', content: '{' });
+      }
+
+      const response = await requestJson(`${baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers,
+        body: {
+          model: request.model,
+          system: system || undefined,
+          messages,
+          max_tokens: config.maxTokens || 4096,
+          temperature: request.temperature
+        }
+      });
+
+      const text = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        content: request.json ? `{${text}` : text,
+        model: response.model || request.model
+      };
+    }
+  };
+}
+
+module.exports = createAnthropicProvider;
@@ -0,0 +1,192 @@
+/**
+ * LLM Provider Registry
+ *
+ * Builds the configured chat model provider and picks the model for each
+ * pipeline stage. Every provider exposes the same interface:
+ *
+ * - name / displayName
+ * - complete(request) -> { content, model }
+ *
+ * where `request` is { stage, model, messages, json, temperature } and
+ * `messages` are OpenAI-style { role, content } objects. `completeJson`
+ * adds schema validation and repair on top of any provider.
+ */
+
+const { createOpenAIProvider, createAzureOpenAIProvider } = require('./openaiProvider');
+const createAnthropicProvider = require('./anthropicProvider');
+const { createStubProvider, withRecording } = require('./stubProvider');
+const { validate, applyDefaults, formatErrors } = require('./validation');
+
+/**
+ * Re-prompts allowed after a response fails schema validation
+ */
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Provider factories, the config keys each one requires, and its default model
+ */
+const PROVIDER_FACTORIES = {
+  openai: { create: createOpenAIProvider, required: ['apiKey'], defaultModel: 'gpt-4.1' },
+  azure: { create: createAzureOpenAIProvider, required: ['endpoint', 'apiKey'], defaultModel: 'gpt-4.1' },
+  anthropic: { create: createAnthropicProvider, required: ['apiKey'], defaultModel: 'claude-3-5-sonnet-latest' },
+  local: {
+    create: config => createOpenAIProvider({
+      ...config,
+      baseUrl: config.baseUrl || 'http://localhost:11434/v1',
+      name: 'local',
+      displayName: 'Local model'
+    }),
+    required: [],
+    defaultModel: 'llama3.1'
+  },
+  stub: { create: createStubProvider, required: [], defaultModel: 'stub' }
+};
+
+/**
+ * Active provider and per-stage models
+ */
+let provider = null;
+let models = {};
+
+/**
+ * Initialize the LLM provider
+ * @param {Object} config - Configuration object
+ * @param {string} [config.provider] - openai, azure, anthropic, local or stub (defaults to openai when it has an API key)
+ * @param {Object} [config.models] - Models keyed by stage (e.g. fileSelection, analysis) plus `default`
+ * @param {string} [config.recordPath] - Record every response to this file (for building stub fixtures)
+ * @param {Object} [config.openai] - { apiKey }
+ * @param {Object} [config.azure] - { endpoint, apiKey, apiVersion }
+ * @param {Object} [config.anthropic] - { apiKey, baseUrl }
+ * @param {Object} [config.local] - { baseUrl, apiKey, jsonMode }
+ * @param {Object} [config.stub] - { recordingsPath, responses }
+ */
+function initializeLlm(config = {}) {
+  provider = null;
+
+  const name = config.provider || (config.openai && config.openai.apiKey ? 'openai' : null);
+  if (!name) {
+    console.log('No LLM provider configured, using fallback analysis');
+    return;
+  }
+
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    console.error(`Unknown LLM provider: ${name}`);
+    return;
+  }
+
+  const providerConfig = config[name] || {};
+  const missing = factory.required.filter(key => !providerConfig[key]);
+  if (missing.length > 0) {
+    console.error(`LLM provider ${name} is missing configuration: ${missing.join(', ')}`);
+    return;
+  }
+
+  try {
+    provider = factory.create(providerConfig);
+    if (config.recordPath) {
+      provider = withRecording(provider, config.recordPath);
+    }
+    models = { ...config.models, default: (config.models && config.models.default) || factory.defaultModel };
+    console.log(`${provider.displayName} LLM provider initialized successfully (model: ${models.default})`);
+  } catch (error) {
+    console.error(`Failed to initialize ${name} LLM provider:`, error);
+  }
+}
+
+/**
+ * Whether a provider is available
+ * @returns {boolean}
+ */
+function isLlmConfigured() {
+  return provider !== null;
+}
+
+/**
+ * Model used for a pipeline stage
+ * @param {string} stage - Stage name (e.g. fileSelection, analysis)
+ * @returns {string}
+ */
+function getModel(stage) {
+  return models[stage] || models.default;
+}
+
+/**
+ * Run a chat completion for a pipeline stage
+ * @param {string} stage - Stage name, selects the model and stub recording
+ * @param {Object} request - { messages, json, temperature }
+ * @returns {Promise<{content: string, model: string, provider: string}>}
+ */
+async function complete(stage, request) {
+  if (!provider) {
+    throw new Error('No LLM provider configured');
+  }
+
+  const result = await provider.complete({ ...request, stage, model: getModel(stage) });
+  return { ...result, provider: provider.name };
+}
+
+/**
+ * Parse a JSON reply, tolerating Markdown code fences around it
+ * @param {string} content - Model reply
+ * @returns {*}
+ */
+function parseJson(content) {
+  const fenced = String(content).trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : content);
+}
+
+/**
+ * Run a completion whose JSON reply must match a schema, re-prompting with the
+ * validation errors until it does. When repair fails the value falls back to the
+ * schema defaults for every invalid field.
+ * @param {string} stage - Stage name
+ * @param {Object} request - { messages, temperature }
+ * @param {Object} schema - Schema from ./schemas
+ * @returns {Promise<{value: Object, valid: boolean, errors: Object[], attempts: number, model: string, provider: string}>}
+ */
+async function completeJson(stage, request, schema) {
+  const messages = [...request.messages];
+  const schemaText = JSON.stringify(schema, (key, value) => key === 'default' ? undefined : value);
+  let parsed;
+  let errors = [];
+  let result;
+  let attempts = 0;
+
+  while (attempts <= MAX_REPAIR_ATTEMPTS) {
+    attempts++;
+    result = await complete(stage, { ...request, messages, json: true });
+
+    try {
+      parsed = parseJson(result.content);
+      errors = validate(parsed, schema);
+    } catch (error) {
+      parsed = undefined;
+      errors = [{ path: '(root)', message: `is not valid JSON (${error.message})` }];
+    }
+
+    if (errors.length === 0) {
+      return { value: parsed, valid: true, errors, attempts, model: result.model, provider: result.provider };
+    }
+
+    console.warn(`Invalid ${stage} response (attempt ${attempts}):\n${formatErrors(errors)}`);
+    messages.push(
+      { role: 'assistant', content: String(result.content) },
+      {
+        role: 'user',
+        content: `Your response does not match the required JSON schema:\n${formatErrors(errors)}\n\n` +
+          `Schema:\n${schemaText}\n\nReply with the corrected JSON object only.`
+      }
+    );
+  }
+
+  return { value: applyDefaults(parsed, schema), valid: false, errors, attempts, model: result.model, provider: result.provider };
+}
+
+module.exports = {
+  initializeLlm,
+  isLlmConfigured,
+  getModel,
+  complete,
+  completeJson
+};
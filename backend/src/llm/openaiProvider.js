@@ -0,0 +1,74 @@
+/**
+ * OpenAI LLM Provider
+ *
+ * Chat completions through the OpenAI SDK. Also serves Azure OpenAI and
+ * OpenAI-compatible local servers (Ollama, llama.cpp, vLLM) via a base URL.
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.apiKey] - API key (local servers usually accept any value)
+ * @param {string} [config.baseUrl] - API base URL, e.g. http://localhost:11434/v1 for Ollama
+ * @param {string} [config.name] - Provider name reported with responses
+ * @param {string} [config.displayName] - Human-readable provider name
+ * @param {boolean} [config.jsonMode] - Whether the server supports response_format json_object (defaults to true)
+ * @param {Object} [config.client] - Prebuilt client (used for Azure OpenAI)
+ * @returns {Object} - LLM provider
+ */
+function createOpenAIProvider(config = {}) {
+  const client = config.client || new OpenAI({
+    apiKey: config.apiKey || 'not-needed',
+    baseURL: config.baseUrl || undefined
+  });
+  const jsonMode = config.jsonMode !== false;
+
+  return {
+    name: config.name || 'openai',
+    displayName: config.displayName || 'OpenAI',
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { model, messages, json, temperature }
+     * @returns {Promise<{content: string, model: string}>}
+     */
+    async complete(request) {
+      const completion = await client.chat.completions.create({
+        model: request.model,
+        messages: request.messages,
+        response_format: request.json && jsonMode ? { type: 'json_object' } : undefined,
+        temperature: request.temperature
+      });
+
+      return {
+        content: completion.choices[0].message.content,
+        model: completion.model || request.model
+      };
+    }
+  };
+}
+
+/**
+ * Create an Azure OpenAI provider (the model name is the deployment name)
+ * @param {Object} config - Azure configuration
+ * @param {string} config.endpoint - Resource endpoint, e.g. https://my-resource.openai.azure.com
+ * @param {string} config.apiKey - Azure OpenAI API key
+ * @param {string} [config.apiVersion] - API version
+ * @returns {Object} - LLM provider
+ */
+function createAzureOpenAIProvider(config) {
+  const client = new OpenAI.AzureOpenAI({
+    endpoint: config.endpoint,
+    apiKey: config.apiKey,
+    apiVersion: config.apiVersion || '2024-10-21'
+  });
+
+  return createOpenAIProvider({ client, name: 'azure', displayName: 'Azure OpenAI' });
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createAzureOpenAIProvider
+};
@@ -0,0 +1,93 @@
+/**
+ * Model Output Schemas
+ *
+ * The JSON shape every pipeline stage expects back from the model. Property
+ * defaults form the typed fallback used when a response cannot be repaired.
+ */
+
+/**
+ * fileSelection: files relevant to the bug, chosen from the candidate list
+ */
+const FILE_SELECTION_SCHEMA = {
+  type: 'object',
+  required: ['files'],
+  properties: {
+    files: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      default: []
+    }
+  }
+};
+
+/**
+ * Answer types a follow-up question can ask for
+ */
+const ANSWER_TYPES = ['text', 'choice', 'file', 'url'];
+
+/**
+ * analysis: the structured bug report. `confidence` and `information_gaps`
+ * have no defaults, so an unrepairable report drops them and falls back to
+ * the offline follow-up heuristic. `severity` is optional; the severity classifier
+ * scores the report from its other signals when it is missing.
+ */
+const BUG_REPORT_SCHEMA = {
+  type: 'object',
+  required: ['title', 'suspected_root_cause', 'evidence', 'next_steps', 'confidence', 'information_gaps'],
+  properties: {
+    title: {
+      type: 'string',
+      minLength: 1,
+      default: 'Bug Report Analysis'
+    },
+    suspected_root_cause: {
+      type: 'string',
+      minLength: 1,
+      default: 'Analysis could not be completed because the model returned an invalid report.'
+    },
+    evidence: {
+      type: 'array',
+      items: { type: 'string' },
+      default: []
+    },
+    next_steps: {
+      type: 'array',
+      items: { type: 'string' },
+      default: ['Review the reported description and the analyzed files manually']
+    },
+    confidence: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1
+    },
+    information_gaps: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['id', 'gap', 'question', 'answer_type'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          gap: { type: 'string', minLength: 1 },
+          question: { type: 'string', minLength: 1 },
+          answer_type: { type: 'string', enum: ANSWER_TYPES },
+          options: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    severity: {
+      type: 'object',
+      required: ['level', 'reason'],
+      properties: {
+        level: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+        reason: { type: 'string', minLength: 1 }
+      }
+    }
+  }
+};
+
+module.exports = {
+  ANSWER_TYPES,
+  FILE_SELECTION_SCHEMA,
+  BUG_REPORT_SCHEMA
+};
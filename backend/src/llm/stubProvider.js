@@ -0,0 +1,131 @@
+/**
+ * Recorded-Response LLM Provider
+ *
+ * Replays recorded responses so the whole pipeline runs without network
+ * access, and records responses from a real provider to build those fixtures.
+ *
+ * Recordings file:
+ * {
+ *   "responses": {
+ *     "analysis:3f2a1c9d0b7e4a61": { "title": "...", ... },   // exact request
+ *     "analysis": { "title": "...", ... },                    // any request for the stage
+ *     "fileSelection": { "files": ["/srv/repos/app/src/cart.js"] }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Responses used when no recording matches a stage
+ */
+const DEFAULT_RESPONSES = {
+  fileSelection: { files: [] },
+  analysis: {
+    title: 'Recorded analysis',
+    suspected_root_cause: 'Stub provider response; no model was called.',
+    evidence: ['Recorded response'],
+    next_steps: ['Replace the stub provider with a real model to analyze this report'],
+    confidence: 0.5,
+    information_gaps: []
+  }
+};
+
+/**
+ * Stable key for a request: stage plus a hash of model-independent input
+ * @param {Object} request - { stage, messages }
+ * @returns {string}
+ */
+function recordingKey(request) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify(request.messages))
+    .digest('hex')
+    .substring(0, 16);
+  return `${request.stage}:${hash}`;
+}
+
+/**
+ * Read a recordings file
+ * @param {string} recordingsPath - Path to the recordings JSON file
+ * @returns {Object} - Responses keyed by recording key or stage
+ */
+function loadRecordings(recordingsPath) {
+  if (!recordingsPath || !fs.existsSync(recordingsPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(recordingsPath, 'utf8')).responses || {};
+}
+
+/**
+ * Create a provider that replays recorded responses
+ * @param {Object} config - Stub configuration
+ * @param {string} [config.recordingsPath] - Recordings JSON file
+ * @param {Object} [config.responses] - Responses keyed by recording key or stage (merged over the file)
+ * @returns {Object} - LLM provider
+ */
+function createStubProvider(config = {}) {
+  const responses = { ...loadRecordings(config.recordingsPath), ...config.responses };
+
+  return {
+    name: 'stub',
+    displayName: 'Recorded responses',
+
+    /**
+     * Return the recording for the exact request, else for its stage, else the default
+     * @param {Object} request - { stage, model, messages, json }
+     * @returns {Promise<{content: string, model: string}>}
+     */
+    async complete(request) {
+      const key = recordingKey(request);
+      const response = responses[key] !== undefined ? responses[key]
+        : responses[request.stage] !== undefined ? responses[request.stage]
+          : DEFAULT_RESPONSES[request.stage] || {};
+
+      return {
+        content: typeof response === 'string' ? response : JSON.stringify(response),
+        model: 'stub'
+      };
+    }
+  };
+}
+
+/**
+ * Wrap a provider so every response is appended to a recordings file
+ * @param {Object} provider - LLM provider
+ * @param {string} recordPath - Recordings JSON file to write
+ * @returns {Object} - LLM provider
+ */
+function withRecording(provider, recordPath) {
+  return {
+    ...provider,
+
+    async complete(request) {
+      const result = await provider.complete(request);
+
+      try {
+        const responses = loadRecordings(recordPath);
+        let content = result.content;
+        try {
+          content = JSON.parse(result.content);
+        } catch (error) {
+          // Keep non-JSON responses as strings
+        }
+        responses[recordingKey(request)] = content;
+        await fs.promises.mkdir(path.dirname(path.resolve(recordPath)), { recursive: true });
+        await fs.promises.writeFile(recordPath, JSON.stringify({ responses }, null, 2));
+      } catch (error) {
+        console.warn(`Warning: Could not record LLM response to ${recordPath}: ${error.message}`);
+      }
+
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createStubProvider,
+  withRecording,
+  recordingKey
+};
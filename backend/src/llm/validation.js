@@ -0,0 +1,137 @@
+/**
+ * Model Output Validation
+ *
+ * Validates parsed model output against a JSON Schema subset (type,
+ * properties, required, items, enum, minimum, maximum, minLength, minItems,
+ * maxItems) with field-level errors, and fills invalid fields from schema
+ * defaults.
+ */
+
+/**
+ * JSON type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Whether a value has the schema's type
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - JSON Schema subset
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {Object[]} - Errors as { path, message }; empty when valid
+ */
+function validate(value, schema, path = '') {
+  const label = path || '(root)';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path: label, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: label, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: label, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push({ path: label, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: label, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push({ path: label, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Replace missing or invalid top-level fields with schema defaults, and drop
+ * invalid fields without one so callers fall back as if the model had left
+ * them out (used as the typed fallback when repair fails)
+ * @param {*} value - Parsed model output (may be anything)
+ * @param {Object} schema - Object schema whose properties declare `default`
+ * @returns {Object} - Value whose declared fields are valid or absent
+ */
+function applyDefaults(value, schema) {
+  const source = typeOf(value) === 'object' ? value : {};
+  const result = { ...source };
+
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    const valid = source[key] !== undefined && validate(source[key], propertySchema).length === 0;
+    if (valid) {
+      continue;
+    }
+    if (propertySchema.default !== undefined) {
+      result[key] = JSON.parse(JSON.stringify(propertySchema.default));
+    } else {
+      delete result[key];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format errors as a bulleted list for a repair prompt or log line
+ * @param {Object[]} errors - Validation errors
+ * @returns {string}
+ */
+function formatErrors(errors) {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  validate,
+  applyDefaults,
+  formatErrors
+};
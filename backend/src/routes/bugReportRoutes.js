@@ -8,48 +8,71 @@ const express = require('express');
 const router = express.Router();
 const bugReportController = require('../controllers/bugReportController');
 const rateLimit = require('express-rate-limit');
-const fs = require('fs');
-const path = require('path');
-
-// Create a simplified file system interface for the controller
-const fileSystem = {
-  async listFiles(repoPath) {
-    const getAllFiles = (dir, fileList = []) => {
-      try {
-        const files = fs.readdirSync(dir);
-        
-        for (const file of files) {
-          const filePath = path.join(dir, file);
-          const stat = fs.statSync(filePath);
-          
-          // Skip node_modules, .git, etc.
-          if (file === 'node_modules' || file === '.git' || file === 'dist') {
-            continue;
-          }
-          
-          if (stat.isDirectory()) {
-            getAllFiles(filePath, fileList);
-          } else {
-            // Only include relevant file types
-            if (/\.(js|jsx|ts|tsx|css|html|json)$/.test(file)) {
-              fileList.push(filePath);
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(`Warning: Could not read directory ${dir}: ${error.message}`);
-      }
-      
-      return fileList;
-    };
-    
-    return getAllFiles(repoPath);
-  },
-  
-  async readFile(filePath) {
-    return fs.promises.readFile(filePath, 'utf8');
+const repoIndex = require('../services/repoIndex');
+const retrieval = require('../services/retrieval');
+const projectRegistry = require('../services/projectRegistry');
+const fileAccess = require('../services/fileAccess');
+const redaction = require('../services/redaction');
+const duplicates = require('../services/duplicates');
+const routing = require('../services/routing');
+const gitHistory = require('../services/gitHistory');
+const storage = require('../storage');
+const trackerSync = require('../services/trackerSync');
+const email = require('../email');
+const chat = require('../chat');
+const { requireRole, canAccessReport } = require('../auth');
+
+// Load the project registry (repositories, globs, tracker destinations, prompts)
+projectRegistry.loadProjects(process.env.PROJECTS_CONFIG || 'projects.json');
+
+// Only registry repositories and explicitly allowed roots may be read
+fileAccess.configure({
+  allowedRoots: [
+    ...projectRegistry.listProjects().flatMap(project => project.repoPaths),
+    ...(process.env.ALLOWED_REPO_PATHS ? process.env.ALLOWED_REPO_PATHS.split(',') : [])
+  ],
+  denyPatterns: process.env.FILE_DENY_PATTERNS ? process.env.FILE_DENY_PATTERNS.split(',') : undefined
+});
+
+// Redact secrets and personal data from everything sent to the model or tracker
+redaction.configure({
+  enabled: process.env.REDACTION_ENABLED !== 'false',
+  salt: process.env.REDACTION_SALT
+});
+
+// Configure the persistent repository index
+repoIndex.configure({
+  indexDir: process.env.REPO_INDEX_DIR,
+  watch: process.env.REPO_INDEX_WATCH === 'true'
+});
+
+// Configure the embedder used for semantic code retrieval
+retrieval.configure({
+  embedder: {
+    type: process.env.RETRIEVAL_EMBEDDER || 'hash',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.RETRIEVAL_EMBEDDING_MODEL
   }
-};
+});
+
+// How similar a report must be to an existing one to be offered as a duplicate
+duplicates.configure({
+  threshold: process.env.DUPLICATE_THRESHOLD ? parseFloat(process.env.DUPLICATE_THRESHOLD) : undefined
+});
+
+// Whether routing suggests recent committers from git blame
+routing.configure({
+  blame: process.env.ROUTING_GIT_BLAME !== 'false'
+});
+
+// How far back to look for commits that may have introduced a reported bug
+gitHistory.configure({
+  enabled: process.env.GIT_HISTORY_ENABLED !== 'false',
+  lookbackDays: parseInt(process.env.GIT_HISTORY_LOOKBACK_DAYS, 10) || undefined
+});
+
+// File system interface for the controller, backed by the repository index and the file sandbox
+const fileSystem = require('../services/repoFileSystem');
 
 // Set up rate limiting
 const apiLimiter = rateLimit({
@@ -62,22 +85,115 @@ const apiLimiter = rateLimit({
 
 // Initialize the controller with config from environment
 bugReportController.initialize({
-  openaiApiKey: process.env.OPENAI_API_KEY,
-  supabaseUrl: process.env.SUPABASE_URL,
-  supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
-  linearApiKey: process.env.LINEAR_API_KEY,
-  linearTeamId: process.env.LINEAR_TEAM_ID
+  llm: {
+    provider: process.env.LLM_PROVIDER,
+    models: {
+      default: process.env.LLM_MODEL,
+      fileSelection: process.env.LLM_MODEL_FILE_SELECTION,
+      analysis: process.env.LLM_MODEL_ANALYSIS
+    },
+    recordPath: process.env.LLM_RECORD_PATH,
+    openai: { apiKey: process.env.OPENAI_API_KEY },
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION
+    },
+    anthropic: { apiKey: process.env.ANTHROPIC_API_KEY },
+    local: {
+      baseUrl: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      jsonMode: process.env.LLM_JSON_MODE !== 'false'
+    },
+    stub: { recordingsPath: process.env.LLM_RECORDINGS_PATH }
+  },
+  storage: storage.configFromEnv(process.env),
+  snippetTokenBudget: parseInt(process.env.SNIPPET_TOKEN_BUDGET, 10) || undefined,
+  sourceMapDirs: process.env.SOURCE_MAP_DIRS ? process.env.SOURCE_MAP_DIRS.split(',') : undefined,
+  maxFollowUpRounds: process.env.MAX_FOLLOW_UP_ROUNDS ? parseInt(process.env.MAX_FOLLOW_UP_ROUNDS, 10) : undefined,
+  crashGroupThresholds: process.env.CRASH_GROUP_THRESHOLDS
+    ? process.env.CRASH_GROUP_THRESHOLDS.split(',').map(value => parseInt(value, 10))
+    : undefined,
+  defaultTracker: process.env.ISSUE_TRACKER,
+  trackers: {
+    linear: {
+      apiKey: process.env.LINEAR_API_KEY,
+      teamId: process.env.LINEAR_TEAM_ID,
+      webhookSecret: process.env.LINEAR_WEBHOOK_SECRET
+    },
+    github: {
+      token: process.env.GITHUB_TOKEN,
+      owner: process.env.GITHUB_OWNER,
+      repo: process.env.GITHUB_REPO,
+      apiUrl: process.env.GITHUB_API_URL,
+      webhookSecret: process.env.GITHUB_WEBHOOK_SECRET
+    },
+    jira: {
+      baseUrl: process.env.JIRA_BASE_URL,
+      email: process.env.JIRA_EMAIL,
+      apiToken: process.env.JIRA_API_TOKEN,
+      projectKey: process.env.JIRA_PROJECT_KEY,
+      issueType: process.env.JIRA_ISSUE_TYPE,
+      webhookSecret: process.env.JIRA_WEBHOOK_SECRET
+    },
+    gitlab: {
+      baseUrl: process.env.GITLAB_BASE_URL,
+      token: process.env.GITLAB_TOKEN,
+      projectId: process.env.GITLAB_PROJECT_ID,
+      webhookSecret: process.env.GITLAB_WEBHOOK_SECRET
+    }
+  },
+  email: email.configFromEnv(process.env),
+  reporterLinks: {
+    secret: process.env.NOTIFICATION_SECRET,
+    appUrl: process.env.APP_URL,
+    apiUrl: process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`,
+    followUpDays: parseInt(process.env.FOLLOW_UP_LINK_DAYS, 10) || undefined
+  },
+  chat: chat.configFromEnv(process.env)
 });
 
+/**
+ * Check the caller may act on the report named by `:id` (or `reportId` in the body).
+ * Reports belonging to someone else are answered like missing ones, so IDs can't be probed.
+ */
+async function authorizeReport(req, res, next) {
+  const reportId = req.params.id || req.body.reportId;
+  if (!reportId) {
+    return res.status(400).json({ message: "Report ID is required" });
+  }
+  
+  let report = null;
+  try {
+    report = await bugReportController.getBugReport(reportId);
+  } catch (error) {
+    if (error.message !== "Bug report not found") {
+      console.error('Route error - authorize bug report access:', error);
+      return res.status(500).json({ 
+        message: "An error occurred while loading the bug report",
+        error: error.message 
+      });
+    }
+  }
+  
+  if (!canAccessReport(req.user, report)) {
+    return res.status(404).json({ message: "Bug report not found" });
+  }
+  next();
+}
+
 /**
  * POST /api/bug-report/analyze
  * Analyze bug report without creating a ticket
  */
 router.post('/analyze', apiLimiter, async (req, res) => {
   try {
-    const result = await bugReportController.analyzeBugReport(req.body, fileSystem);
+    const result = await bugReportController.analyzeBugReport(req.body, fileSystem, req.user);
     res.json(result);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
     console.error('Route error - analyze bug report:', error);
     res.status(500).json({ 
       message: "An error occurred while analyzing the bug report",
@@ -87,24 +203,130 @@ router.post('/analyze', apiLimiter, async (req, res) => {
 });
 
 /**
- * POST /api/bug-report/confirm
- * Confirm a bug report and create a Linear ticket
+ * POST /api/bug-report/reindex
+ * Refresh a project's repository indexes (incrementally, or fully with { full: true }); triagers only
  */
-router.post('/confirm', async (req, res) => {
+router.post('/reindex', requireRole('triager'), apiLimiter, async (req, res) => {
   try {
-    const { reportId } = req.body;
+    const { full } = req.body;
+    
+    const project = bugReportController.resolveProject(req.body);
     
-    if (!reportId) {
-      return res.status(400).json({ message: "Report ID is required" });
+    const results = [];
+    for (const repoPath of project.repoPaths) {
+      results.push(await repoIndex.reindex(repoPath, { full: Boolean(full) }));
     }
+    res.json({ project: project.key, repositories: results });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error('Route error - reindex repository:', error);
+    res.status(500).json({ 
+      message: "An error occurred while reindexing the repository",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/bug-report/tracker-sync
+ * Poll the tracker issues of filed reports now instead of waiting for the next reconciliation; triagers only
+ */
+router.post('/tracker-sync', requireRole('triager'), async (req, res) => {
+  try {
+    const result = await trackerSync.reconcile();
+    res.json(result);
+  } catch (error) {
+    console.error('Route error - sync tracker issues:', error);
+    res.status(500).json({ 
+      message: "An error occurred while syncing tracker issues",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/bug-report
+ * Search reports, newest first: ?q=text&status=&project=&severity=&reporter=email&from=&to=&has_issue=true|false
+ * &page=&page_size=. Reporters only get their own reports.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, status, project, severity, reporter, from, to, has_issue: hasIssue } = req.query;
+    
+    const result = await bugReportController.searchBugReports({
+      search: q,
+      status,
+      project,
+      severity,
+      reporter,
+      from,
+      to,
+      hasTrackerIssue: hasIssue === undefined || hasIssue === '' ? undefined : hasIssue === 'true',
+      reporterId: req.user.role === 'triager' ? undefined : req.user.id,
+      page: parseInt(req.query.page, 10) || undefined,
+      pageSize: parseInt(req.query.page_size, 10) || undefined
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error('Route error - list bug reports:', error);
+    res.status(500).json({ 
+      message: "An error occurred while listing bug reports",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/bug-report/bulk
+ * Confirm, reject ({ reason }) or merge ({ targetId }) many reports: { action, reportIds }; triagers only
+ */
+router.post('/bulk', requireRole('triager'), async (req, res) => {
+  try {
+    const { action, reportIds, reason, targetId } = req.body;
+    
+    const result = await bugReportController.bulkUpdateBugReports(action, reportIds, {
+      config: { tracker: process.env.ISSUE_TRACKER },
+      reason,
+      targetId,
+      user: req.user
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error('Route error - bulk update bug reports:', error);
+    res.status(500).json({ 
+      message: "An error occurred while updating the bug reports",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/bug-report/confirm
+ * POST /api/bug-report/:id/confirm
+ * Confirm a bug report and create a tracker ticket (confirming a filed report returns its ticket)
+ */
+router.post(['/confirm', '/:id/confirm'], authorizeReport, async (req, res) => {
+  try {
+    const reportId = req.params.id || req.body.reportId;
     
     const config = {
-      teamId: process.env.LINEAR_TEAM_ID
+      tracker: process.env.ISSUE_TRACKER
     };
     
-    const result = await bugReportController.confirmBugReport(reportId, config);
+    const result = await bugReportController.confirmBugReport(reportId, config, req.user);
     res.json(result);
   } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
     console.error('Route error - confirm bug report:', error);
     res.status(500).json({ 
       message: "An error occurred while confirming the bug report",
@@ -117,7 +339,7 @@ router.post('/confirm', async (req, res) => {
  * POST /api/bug-report/:id/additional-info
  * Submit additional information for a bug report
  */
-router.post('/:id/additional-info', async (req, res) => {
+router.post('/:id/additional-info', authorizeReport, async (req, res) => {
   try {
     const { id } = req.params;
     const { responses } = req.body;
@@ -126,9 +348,13 @@ router.post('/:id/additional-info', async (req, res) => {
       return res.status(400).json({ message: "Additional information is required" });
     }
     
-    const result = await bugReportController.submitAdditionalInfo(id, responses);
+    // Re-analyze the report with the answers
+    const result = await bugReportController.submitAdditionalInfo(id, responses, fileSystem);
     res.json(result);
   } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ message: error.message, code: error.code });
+    }
     console.error('Route error - submit additional info:', error);
     res.status(500).json({ 
       message: "An error occurred while submitting additional information",
@@ -137,11 +363,178 @@ router.post('/:id/additional-info', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/bug-report/:id/attach
+ * Add a report to an existing issue it duplicates instead of creating a new ticket
+ */
+router.post('/:id/attach', authorizeReport, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateKey } = req.body;
+    
+    const result = await bugReportController.attachToExistingIssue(id, duplicateKey, req.user);
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Route error - attach bug report to existing issue:', error);
+    res.status(500).json({ 
+      message: "An error occurred while adding the report to the existing issue",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/bug-report/:id/merge
+ * Merge a report into a likely duplicate report that isn't filed yet
+ */
+router.post('/:id/merge', authorizeReport, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateKey } = req.body;
+    
+    const result = await bugReportController.mergeIntoDuplicate(id, duplicateKey, req.user);
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Route error - merge bug report into duplicate report:', error);
+    res.status(500).json({ 
+      message: "An error occurred while merging the report",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * Route handler moving a report through its lifecycle with `{ reason }` (or `{ question }`) from the body;
+ * illegal moves are answered with 409
+ * @param {Function} move - Controller function (reportId, text, user)
+ * @param {string} field - Body field passed along
+ * @param {string} description - Action, for error messages
+ * @returns {Function} - Express handler
+ */
+function lifecycleRoute(move, field, description) {
+  return async (req, res) => {
+    try {
+      const result = await move(req.params.id, req.body[field], req.user);
+      res.json(result);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ message: error.message, code: error.code });
+      }
+      console.error(`Route error - ${description}:`, error);
+      res.status(500).json({ 
+        message: `An error occurred while trying to ${description}`,
+        error: error.message 
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/bug-report/:id/reject
+ * Reject a report that won't be filed: { reason } (required); triagers only
+ */
+router.post('/:id/reject', requireRole('triager'), authorizeReport,
+  lifecycleRoute(bugReportController.rejectBugReport, 'reason', 'reject the bug report'));
+
+/**
+ * POST /api/bug-report/:id/request-info
+ * Ask the reporter a follow-up question: { question }; triagers only
+ */
+router.post('/:id/request-info', requireRole('triager'), authorizeReport,
+  lifecycleRoute(bugReportController.requestMoreInfo, 'question', 'request more information'));
+
+/**
+ * POST /api/bug-report/:id/resolve
+ * Mark a filed report resolved: { reason } (optional); triagers only
+ */
+router.post('/:id/resolve', requireRole('triager'), authorizeReport,
+  lifecycleRoute(bugReportController.resolveBugReport, 'reason', 'resolve the bug report'));
+
+/**
+ * POST /api/bug-report/:id/close
+ * Close a filed, rejected or resolved report: { reason } (optional); triagers only
+ */
+router.post('/:id/close', requireRole('triager'), authorizeReport,
+  lifecycleRoute(bugReportController.closeBugReport, 'reason', 'close the bug report'));
+
+/**
+ * POST /api/bug-report/:id/reopen
+ * Reopen a rejected or resolved report: { reason } (optional); triagers only
+ */
+router.post('/:id/reopen', requireRole('triager'), authorizeReport,
+  lifecycleRoute(bugReportController.reopenBugReport, 'reason', 'reopen the bug report'));
+
+/**
+ * GET /api/bug-report/:id/revisions
+ * Get the revision log of a bug report (oldest first)
+ */
+router.get('/:id/revisions', authorizeReport, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await bugReportController.getReportRevisions(id);
+    res.json(result);
+  } catch (error) {
+    console.error('Route error - get bug report revisions:', error);
+    res.status(404).json({ 
+      message: "Bug report not found",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/bug-report/:id/follow-up
+ * Get a report's follow-up questions (also opens with the report link from a follow-up email)
+ */
+router.get('/:id/follow-up', authorizeReport, async (req, res) => {
+  try {
+    const result = await bugReportController.getFollowUp(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Route error - get follow-up questions:', error);
+    res.status(404).json({ 
+      message: "Bug report not found",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * PATCH /api/bug-report/:id
+ * Edit the title or suspected root cause of a report that isn't filed yet; triagers only
+ */
+router.patch('/:id', requireRole('triager'), authorizeReport, async (req, res) => {
+  try {
+    const { title, suspected_root_cause: suspectedRootCause } = req.body;
+    
+    const result = await bugReportController.editBugReport(req.params.id, {
+      title,
+      suspected_root_cause: suspectedRootCause
+    }, req.user);
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Route error - edit bug report:', error);
+    res.status(500).json({ 
+      message: "An error occurred while editing the bug report",
+      error: error.message 
+    });
+  }
+});
+
 /**
  * GET /api/bug-report/:id
  * Get a bug report by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorizeReport, async (req, res) => {
   try {
     const { id } = req.params;
     const report = await bugReportController.getBugReport(id);
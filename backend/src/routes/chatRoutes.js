@@ -0,0 +1,160 @@
+/**
+ * Chat Routes
+ *
+ * Bug intake from Slack and Microsoft Teams. The platforms call these
+ * routes for commands, message shortcuts and button presses; requests are
+ * authenticated by the platform's signature instead of an API key or
+ * session, so the routes are mounted outside `/api`.
+ *
+ * Platforms expect an answer within seconds, so each request is answered
+ * right away and the reporter gets the results (analysis summary, filed
+ * issue) as replies in the conversation. Chat users own the reports they
+ * file from chat, like signed-in users own the reports they file in the app.
+ */
+
+const express = require('express');
+const router = express.Router();
+const bugReportController = require('../controllers/bugReportController');
+const fileSystem = require('../services/repoFileSystem');
+const { getProject } = require('../services/projectRegistry');
+const { getChatAdapter, getIntakeDefaults } = require('../chat');
+const messages = require('../chat/messages');
+const { canAccessReport } = require('../auth');
+
+// Signatures are computed over the body exactly as sent
+router.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+/**
+ * Report inputs for a description from chat: a leading project key
+ * ("checkout: the total is wrong") picks the project, otherwise the
+ * configured chat project (or repository) is used
+ * @param {string} text - Message text
+ * @param {Object} user - Chat principal
+ * @returns {Object} - Request data for analyzeBugReport
+ */
+function reportInputs(text, user) {
+  const defaults = getIntakeDefaults();
+  const match = text.match(/^([\w-]+):\s+([\s\S]+)$/);
+  const keyed = match && getProject(match[1]) ? match : null;
+  const project = keyed ? keyed[1] : defaults.project;
+  return {
+    description: keyed ? keyed[2] : text,
+    project,
+    repoPath: project ? undefined : defaults.repoPath,
+    name: user.name
+  };
+}
+
+/**
+ * Load a report the chat user may act on
+ * @throws {Error} - "Bug report not found" for missing reports and reports of other users
+ */
+async function loadOwnReport(reportId, user) {
+  let report = null;
+  try {
+    report = await bugReportController.getBugReport(reportId);
+  } catch (error) {
+    if (error.message !== "Bug report not found") {
+      throw error;
+    }
+  }
+  if (!canAccessReport(user, report)) {
+    throw new Error("Bug report not found");
+  }
+  return report;
+}
+
+/**
+ * Carry out a chat interaction and reply with the outcome
+ * @param {Object} adapter - Chat adapter the interaction came from
+ * @param {Object} interaction - Parsed interaction (see chat/index)
+ */
+async function handleInteraction(adapter, interaction) {
+  const { user, context } = interaction;
+
+  switch (interaction.action) {
+    case 'help':
+      return adapter.reply(context, messages.usageMessage(adapter.usage));
+
+    case 'report': {
+      await adapter.reply(context, messages.analyzingMessage());
+      const analysis = await bugReportController.analyzeBugReport(reportInputs(interaction.text, user), fileSystem, user);
+      return adapter.reply(context, messages.summaryMessage(analysis));
+    }
+
+    case 'confirm': {
+      await loadOwnReport(interaction.reportId, user);
+      const confirmation = await bugReportController.confirmBugReport(interaction.reportId, {
+        tracker: process.env.ISSUE_TRACKER
+      }, user);
+      return adapter.reply(context, messages.confirmationMessage(confirmation));
+    }
+
+    case 'add_info': {
+      await loadOwnReport(interaction.reportId, user);
+      const followUp = await bugReportController.getFollowUp(interaction.reportId);
+      if (!followUp.needs_more_info || !followUp.pending_confirmation) {
+        return adapter.reply(context, messages.summaryMessage(followUp));
+      }
+      return adapter.openFollowUp(context, followUp);
+    }
+
+    case 'answer': {
+      await loadOwnReport(interaction.reportId, user);
+      if (Object.keys(interaction.responses).length === 0) {
+        return adapter.reply(context, messages.errorMessage("Answer at least one question"));
+      }
+      const result = await bugReportController.submitAdditionalInfo(interaction.reportId, interaction.responses, fileSystem);
+      return adapter.reply(context, messages.summaryMessage(result));
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * POST /chat/:platform
+ * Commands, shortcuts and button presses from slack or teams
+ */
+router.post('/:platform', async (req, res) => {
+  const adapter = getChatAdapter(req.params.platform);
+  if (!adapter) {
+    return res.status(404).json({ message: "Chat integration not configured" });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!(await adapter.verifyRequest(rawBody, req.headers))) {
+    return res.status(401).json({ message: "Invalid request signature", code: 'INVALID_SIGNATURE' });
+  }
+
+  let request;
+  try {
+    request = adapter.parseRequest(rawBody, req.headers);
+  } catch (error) {
+    return res.status(400).json({ message: "Malformed chat request" });
+  }
+  res.status(request.response.status).send(request.response.body);
+
+  if (!request.interaction) {
+    return;
+  }
+  try {
+    await handleInteraction(adapter, request.interaction);
+  } catch (error) {
+    // Reporters see what they can fix (validation, state conflicts, unknown reports), not internals
+    const known = error.statusCode === 400 || error.statusCode === 409 || error.message === "Bug report not found";
+    if (!known) {
+      console.error(`Route error - ${adapter.displayName} ${request.interaction.action}:`, error);
+    }
+    try {
+      await adapter.reply(request.interaction.context, messages.errorMessage(
+        known ? error.message : "We couldn't process that. Please try again later."
+      ));
+    } catch (replyError) {
+      console.error(`Error replying in ${adapter.displayName}:`, replyError);
+    }
+  }
+});
+
+module.exports = router;
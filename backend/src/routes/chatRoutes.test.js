@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const chatRoutes = require('./chatRoutes');
+const storage = require('../storage');
+const { initializeChat } = require('../chat');
+const { ACTIONS } = require('../chat/messages');
+
+const SIGNING_SECRET = 'test-slack-signing-secret';
+const TEAMS_APP_ID = 'test-teams-app';
+const SERVICE_URL = 'https://smba.trafficmanager.net/emea/';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const app = express();
+app.use('/chat', chatRoutes);
+
+let platform;
+let replies;
+let replyWaiters;
+
+/**
+ * Local stand-in for Slack response URLs and the Bot Framework's signing keys
+ */
+function startPlatform() {
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'bot-key', use: 'sig', alg: 'RS256' };
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/keys') {
+          return res.end(JSON.stringify({ keys: [jwk] }));
+        }
+        replies.push(JSON.parse(body));
+        replyWaiters.splice(0).forEach(wake => wake());
+        res.end('{}');
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  platform = await startPlatform();
+  storage.initializeStorage({ driver: 'memory' });
+  initializeChat({
+    slack: { signingSecret: SIGNING_SECRET, botToken: 'xoxb-test' },
+    teams: { appId: TEAMS_APP_ID, appPassword: 'test-password', jwksUri: `http://127.0.0.1:${platform.address().port}/keys` }
+  });
+});
+
+afterAll(async () => {
+  initializeChat({});
+  jest.restoreAllMocks();
+  await new Promise(resolve => platform.close(resolve));
+});
+
+beforeEach(() => {
+  replies = [];
+  replyWaiters = [];
+});
+
+/**
+ * Resolve once the reporter got a reply
+ */
+function nextReply() {
+  return replies.length > 0 ? Promise.resolve() : new Promise(resolve => replyWaiters.push(resolve));
+}
+
+/**
+ * Post a Slack request signed at a given time
+ */
+function postSlack(body, options = {}) {
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', options.secret || SIGNING_SECRET).update(`v0:${timestamp}:${body}`).digest('hex');
+  return request(app)
+    .post('/chat/slack')
+    .set('Content-Type', 'application/x-www-form-urlencoded')
+    .set('X-Slack-Request-Timestamp', String(timestamp))
+    .set('X-Slack-Signature', `v0=${signature}`)
+    .send(body);
+}
+
+/**
+ * Slack button press on a report by a workspace user
+ */
+function buttonPress(actionId, reportId, userId) {
+  return new URLSearchParams({
+    payload: JSON.stringify({
+      type: 'block_actions',
+      team: { id: 'T1' },
+      user: { id: userId, name: userId },
+      response_url: `http://127.0.0.1:${platform.address().port}/respond`,
+      actions: [{ action_id: actionId, value: reportId }]
+    })
+  }).toString();
+}
+
+/**
+ * Bot Framework token for activities from a service URL
+ */
+function botToken(serviceUrl) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'RS256', typ: 'JWT', kid: 'bot-key' };
+  const payload = { iss: 'https://api.botframework.com', aud: TEAMS_APP_ID, sub: 'bot', serviceurl: serviceUrl, exp: now + 3600 };
+  const input = [header, payload].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+/**
+ * Slack `/bug` command without a description
+ */
+function helpCommand() {
+  return new URLSearchParams({
+    team_id: 'T1',
+    user_id: 'U1',
+    user_name: 'sam',
+    text: '',
+    response_url: `http://127.0.0.1:${platform.address().port}/respond`
+  }).toString();
+}
+
+describe('slack requests', () => {
+  test('are answered when signed with the signing secret', async () => {
+    const response = await postSlack(helpCommand());
+    await nextReply();
+
+    expect(response.status).toBe(200);
+    expect(replies).toHaveLength(1);
+  });
+
+  test('are rejected when their timestamp is stale', async () => {
+    const response = await postSlack(helpCommand(), { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_SIGNATURE');
+  });
+
+  test('are rejected when their signature is wrong', async () => {
+    const response = await postSlack(helpCommand(), { secret: 'guessed-signing-secret' });
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('teams activities', () => {
+  const activity = serviceUrl => JSON.stringify({ type: 'conversationUpdate', serviceUrl });
+
+  test('are answered when the token names their service', async () => {
+    const response = await request(app)
+      .post('/chat/teams')
+      .set('Content-Type', 'application/json')
+      .set('Authorization', `Bearer ${botToken(SERVICE_URL)}`)
+      .send(activity(SERVICE_URL));
+
+    expect(response.status).toBe(200);
+  });
+
+  test('are rejected when the token names another service', async () => {
+    const response = await request(app)
+      .post('/chat/teams')
+      .set('Content-Type', 'application/json')
+      .set('Authorization', `Bearer ${botToken(SERVICE_URL)}`)
+      .send(activity('https://attacker.example.com/'));
+
+    expect(response.status).toBe(401);
+  });
+
+  test('are rejected without a token', async () => {
+    const response = await request(app).post('/chat/teams').set('Content-Type', 'application/json').send(activity(SERVICE_URL));
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('chat actions on reports', () => {
+  beforeAll(async () => {
+    await storage.reports.create({
+      id: 'report-chat',
+      title: 'Checkout total ignores the discount code',
+      status: 'open',
+      reporter_id: 'slack:T1:U1',
+      content_json: { title: 'Checkout total ignores the discount code' }
+    });
+  });
+
+  test('are refused on reports of other users', async () => {
+    await postSlack(buttonPress(ACTIONS.confirm, 'report-chat', 'U2'));
+    await nextReply();
+
+    expect(replies[0].text).toBe('Sorry, something went wrong: Bug report not found');
+    expect((await storage.reports.get('report-chat')).status).toBe('open');
+  });
+
+  test('are carried out on the user\'s own reports', async () => {
+    await postSlack(buttonPress(ACTIONS.addInfo, 'report-chat', 'U1'));
+    await nextReply();
+
+    expect(replies[0].text).toBe('Bug report: Checkout total ignores the discount code');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Crash Group API Routes
+ *
+ * Lists reports grouped by crash fingerprint, with occurrence counts and the
+ * tracker issue each group is filed under. Groups name every reporter, so
+ * only triagers can read them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const bugReportController = require('../controllers/bugReportController');
+const { requireRole } = require('../auth');
+
+router.use(requireRole('triager'));
+
+/**
+ * GET /api/crash-groups
+ * List crash groups, most recently seen first (optionally ?project=key&limit=n)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const groups = await bugReportController.listCrashGroups({
+      project: req.query.project,
+      limit: parseInt(req.query.limit, 10) || undefined
+    });
+    res.json({ groups });
+  } catch (error) {
+    console.error('Route error - list crash groups:', error);
+    res.status(500).json({ 
+      message: "An error occurred while listing crash groups",
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/crash-groups/:fingerprint
+ * Get a crash group with its reporters and reports
+ */
+router.get('/:fingerprint', async (req, res) => {
+  try {
+    const group = await bugReportController.getCrashGroup(req.params.fingerprint);
+    res.json(group);
+  } catch (error) {
+    console.error('Route error - get crash group:', error);
+    res.status(404).json({ 
+      message: "Crash group not found",
+      error: error.message 
+    });
+  }
+});
+
+module.exports = router;
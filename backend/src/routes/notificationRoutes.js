@@ -0,0 +1,77 @@
+/**
+ * Notification Routes
+ *
+ * Unsubscribe links from reporter emails. They are opened from a mail
+ * client, not the app, so they are authenticated by the signed token in the
+ * link instead of an API key or session and mounted outside `/api`.
+ *
+ * Opening the link shows a confirmation page (link scanners in mail systems
+ * open links too, so GET changes nothing); the page's button, and mail
+ * clients' one-click unsubscribe (RFC 8058), POST to the same URL.
+ */
+
+const express = require('express');
+const router = express.Router();
+const reporterLinks = require('../services/reporterLinks');
+const { unsubscribe } = require('../services/emailChannel');
+const { escapeHtml } = require('../email/templates');
+
+/**
+ * Minimal HTML page
+ */
+function page(title, body) {
+  return [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>`,
+    '<body style="font-family: sans-serif; max-width: 480px; margin: 48px auto; line-height: 1.5;">',
+    `<h1 style="font-size: 20px;">${escapeHtml(title)}</h1>`,
+    body,
+    '</body></html>'
+  ].join('\n');
+}
+
+/**
+ * Answer an invalid unsubscribe link
+ */
+function invalidLink(res) {
+  res.status(400).type('html').send(page('Invalid link', '<p>This unsubscribe link is invalid. Use the link from the most recent email you received.</p>'));
+}
+
+/**
+ * GET /notifications/unsubscribe?token=...
+ * Confirmation page for an unsubscribe link
+ */
+router.get('/unsubscribe', (req, res) => {
+  const address = reporterLinks.verifyUnsubscribeToken(req.query.token);
+  if (!address) {
+    return invalidLink(res);
+  }
+
+  res.type('html').send(page('Unsubscribe from bug report emails', [
+    `<p>Stop emails about your bug reports to <strong>${escapeHtml(address)}</strong>?</p>`,
+    `<form method="post" action="?token=${encodeURIComponent(req.query.token)}">`,
+    '<button type="submit">Unsubscribe</button>',
+    '</form>'
+  ].join('\n')));
+});
+
+/**
+ * POST /notifications/unsubscribe?token=...
+ * Stop all reporter emails to the link's address
+ */
+router.post('/unsubscribe', async (req, res) => {
+  const address = reporterLinks.verifyUnsubscribeToken(req.query.token);
+  if (!address) {
+    return invalidLink(res);
+  }
+
+  try {
+    await unsubscribe(address);
+    res.type('html').send(page('You are unsubscribed', `<p>We won't email ${escapeHtml(address)} about bug reports anymore.</p>`));
+  } catch (error) {
+    console.error('Route error - unsubscribe:', error);
+    res.status(500).type('html').send(page('Something went wrong', '<p>We couldn\'t unsubscribe you. Please try again later.</p>'));
+  }
+});
+
+module.exports = router;
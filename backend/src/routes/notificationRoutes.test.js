@@ -0,0 +1,56 @@
+const express = require('express');
+const request = require('supertest');
+const notificationRoutes = require('./notificationRoutes');
+const reporterLinks = require('../services/reporterLinks');
+const { isUnsubscribed } = require('../services/emailChannel');
+
+const app = express();
+app.use('/notifications', notificationRoutes);
+
+beforeAll(() => {
+  reporterLinks.configure({ secret: 'test-notification-secret', apiUrl: 'https://api.example.com' });
+});
+
+afterAll(() => {
+  reporterLinks.configure({});
+});
+
+/**
+ * Path and query of the unsubscribe link for an address
+ */
+function unsubscribePath(address) {
+  const url = new URL(reporterLinks.unsubscribeUrl(address));
+  return `${url.pathname}${url.search}`;
+}
+
+describe('unsubscribe links', () => {
+  test('show a confirmation page without unsubscribing', async () => {
+    const response = await request(app).get(unsubscribePath('kim@example.com'));
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<strong>kim@example.com</strong>');
+    expect(response.text).toContain('<form method="post" action="?token=');
+    expect(await isUnsubscribed('kim@example.com')).toBe(false);
+  });
+
+  test('unsubscribe the address when posted', async () => {
+    const response = await request(app).post(unsubscribePath('Lee@Example.com'));
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('You are unsubscribed');
+    expect(await isUnsubscribed('lee@example.com')).toBe(true);
+    expect(await isUnsubscribed('LEE@example.com')).toBe(true);
+  });
+
+  test('reject tampered and follow-up tokens', async () => {
+    const followUpToken = new URL(reporterLinks.followUpUrl({ id: 'report-1' })).searchParams.get('token');
+    const tampered = unsubscribePath('max@example.com').replace(/token=[^.]+/, `token=${
+      Buffer.from(JSON.stringify({ email: 'other@example.com', purpose: 'unsubscribe' })).toString('base64url')
+    }`);
+
+    expect((await request(app).post(tampered)).status).toBe(400);
+    expect((await request(app).post(`/notifications/unsubscribe?token=${encodeURIComponent(followUpToken)}`)).status).toBe(400);
+    expect((await request(app).get('/notifications/unsubscribe')).status).toBe(400);
+    expect(await isUnsubscribed('other@example.com')).toBe(false);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Project API Routes
+ *
+ * Lists the registered projects so the bug report form can offer a product area picker.
+ */
+
+const express = require('express');
+const router = express.Router();
+const projectRegistry = require('../services/projectRegistry');
+
+/**
+ * GET /api/projects
+ * List projects (public fields only; repository paths stay server-side)
+ */
+router.get('/', (req, res) => {
+  res.json({
+    projects: projectRegistry.listProjects().map(project => ({
+      key: project.key,
+      name: project.name,
+      description: project.description
+    }))
+  });
+});
+
+module.exports = router;
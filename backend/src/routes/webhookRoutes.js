@@ -0,0 +1,57 @@
+/**
+ * Tracker Webhook Routes
+ *
+ * Receives issue and comment webhooks from the issue trackers so filed
+ * reports follow their issues. Deliveries aren't API calls: they are
+ * authenticated by the tracker's signature over the raw body instead of an
+ * API key or session, so these routes are mounted outside `/api`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const trackerSync = require('../services/trackerSync');
+const { getTracker } = require('../trackers');
+
+// Poll tracker issues for missed deliveries
+trackerSync.configure({
+  reconcileIntervalMinutes: parseInt(process.env.TRACKER_SYNC_INTERVAL_MINUTES, 10) || 0
+});
+
+// Signatures are computed over the body exactly as sent
+router.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+/**
+ * POST /webhooks/:tracker
+ * Apply a webhook delivery from linear, github, jira or gitlab
+ */
+router.post('/:tracker', async (req, res) => {
+  const tracker = getTracker(req.params.tracker);
+  if (!tracker) {
+    return res.status(404).json({ message: "Issue tracker not configured" });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!tracker.verifyWebhook(rawBody, req.headers)) {
+    return res.status(401).json({ message: "Invalid webhook signature", code: 'INVALID_SIGNATURE' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ message: "Webhook body must be JSON" });
+  }
+
+  try {
+    const result = await trackerSync.applyWebhookEvents(tracker, tracker.parseWebhook(payload, req.headers));
+    res.json(result);
+  } catch (error) {
+    console.error(`Route error - ${tracker.displayName} webhook:`, error);
+    res.status(500).json({ 
+      message: "An error occurred while applying the webhook",
+      error: error.message 
+    });
+  }
+});
+
+module.exports = router;
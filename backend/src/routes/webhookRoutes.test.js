@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const webhookRoutes = require('./webhookRoutes');
+const storage = require('../storage');
+const notifications = require('../services/notifications');
+const { initializeTrackers } = require('../trackers');
+
+const GITHUB_SECRET = 'test-github-webhook-secret';
+const LINEAR_SECRET = 'test-linear-webhook-secret';
+const ISSUE_URL = 'https://github.com/acme/shop/issues/7';
+
+const app = express();
+app.use('/webhooks', webhookRoutes);
+
+let sent;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  storage.initializeStorage({ driver: 'memory' });
+  initializeTrackers({
+    github: { token: 'test-token', owner: 'acme', repo: 'shop', webhookSecret: GITHUB_SECRET },
+    linear: { apiKey: 'test-key', webhookSecret: LINEAR_SECRET }
+  }, 'github');
+  notifications.configure({ channels: [{ name: 'test', send: notification => sent.push(notification) }] });
+});
+
+afterAll(() => {
+  notifications.configure({});
+  initializeTrackers({});
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  sent = [];
+});
+
+/**
+ * Store a report filed under a tracker issue
+ */
+async function fileReport(id, fields) {
+  return storage.reports.create({
+    id,
+    title: 'Checkout total ignores the discount code',
+    tracker: 'github',
+    tracker_issue_id: '7',
+    tracker_issue_url: ISSUE_URL,
+    ...fields
+  });
+}
+
+/**
+ * Deliver a signed GitHub webhook
+ */
+function deliverGithub(event, payload, signature) {
+  const body = JSON.stringify(payload);
+  const digest = crypto.createHmac('sha256', GITHUB_SECRET).update(body).digest('hex');
+  return request(app)
+    .post('/webhooks/github')
+    .set('Content-Type', 'application/json')
+    .set('X-GitHub-Event', event)
+    .set('X-Hub-Signature-256', signature === undefined ? `sha256=${digest}` : signature)
+    .send(body);
+}
+
+/**
+ * GitHub `issues` delivery for issue #7
+ */
+function issueEvent(action, state, stateReason = null, number = 7) {
+  return {
+    action,
+    issue: { number, html_url: `https://github.com/acme/shop/issues/${number}`, state, state_reason: stateReason }
+  };
+}
+
+/**
+ * Deliver a signed Linear webhook
+ */
+function deliverLinear(payload) {
+  const body = JSON.stringify({ ...payload, webhookTimestamp: Date.now() });
+  return request(app)
+    .post('/webhooks/linear')
+    .set('Content-Type', 'application/json')
+    .set('Linear-Signature', crypto.createHmac('sha256', LINEAR_SECRET).update(body).digest('hex'))
+    .send(body);
+}
+
+describe('tracker webhooks', () => {
+  test('reject deliveries with a missing or wrong signature', async () => {
+    await fileReport('report-unsigned', { status: 'confirmed' });
+    const payload = issueEvent('closed', 'closed', 'completed');
+
+    const missing = await deliverGithub('issues', payload, '');
+    const wrong = await deliverGithub('issues', payload, `sha256=${'0'.repeat(64)}`);
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.code).toBe('INVALID_SIGNATURE');
+    expect((await storage.reports.get('report-unsigned')).status).toBe('confirmed');
+  });
+
+  test('reject deliveries for trackers that aren\'t configured', async () => {
+    const response = await request(app).post('/webhooks/jira').send('{}');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('accept deliveries about issues no report is filed under', async () => {
+    const response = await deliverGithub('issues', issueEvent('closed', 'closed', 'completed', 404));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ events: 1, updated: 0 });
+  });
+
+  test('resolve confirmed reports when their issue is closed as completed', async () => {
+    await fileReport('report-confirmed', { status: 'confirmed' });
+
+    await deliverGithub('issues', issueEvent('closed', 'closed', 'completed'));
+
+    const report = await storage.reports.get('report-confirmed');
+    expect(report.status).toBe('resolved');
+    expect(report.tracker_issue_state).toBe('closed');
+    expect(report.status_history[0]).toEqual(expect.objectContaining({
+      from: 'confirmed',
+      to: 'resolved',
+      reason: 'GitHub issue closed (closed as completed)'
+    }));
+    expect(sent).toContainEqual(expect.objectContaining({
+      type: 'status_changed',
+      details: expect.objectContaining({ from: 'confirmed', to: 'resolved', resolution: 'completed' })
+    }));
+  });
+
+  test('resolve duplicate reports when their issue is closed as not planned', async () => {
+    await fileReport('report-duplicate', { status: 'duplicate', duplicate_of: 'report-confirmed' });
+
+    await deliverGithub('issues', issueEvent('closed', 'closed', 'not_planned'));
+
+    expect((await storage.reports.get('report-duplicate')).status).toBe('resolved');
+    expect(sent).toContainEqual(expect.objectContaining({
+      report: expect.objectContaining({ id: 'report-duplicate' }),
+      details: expect.objectContaining({ from: 'duplicate', resolution: 'not_planned' })
+    }));
+  });
+
+  test('return resolved reports to confirmed or duplicate when their issue is reopened', async () => {
+    await deliverGithub('issues', issueEvent('reopened', 'open'));
+
+    expect((await storage.reports.get('report-confirmed')).status).toBe('confirmed');
+    expect((await storage.reports.get('report-duplicate')).status).toBe('duplicate');
+  });
+
+  test('only record the issue state of reports that aren\'t confirmed yet', async () => {
+    await fileReport('report-open', { status: 'open', tracker_issue_id: '8', tracker_issue_url: 'https://github.com/acme/shop/issues/8' });
+
+    const response = await deliverGithub('issues', issueEvent('closed', 'closed', 'completed', 8));
+
+    const report = await storage.reports.get('report-open');
+    expect(response.body).toEqual({ events: 1, updated: 1 });
+    expect(report.status).toBe('open');
+    expect(report.tracker_issue_state).toBe('closed');
+    expect(sent).toEqual([]);
+  });
+
+  test('mirror new issue comments into the report', async () => {
+    const comment = { id: 99, user: { login: 'lee' }, body: 'Fixed in #12', created_at: '2026-03-01T10:00:00Z' };
+
+    await deliverGithub('issue_comment', { action: 'created', issue: issueEvent('created', 'open').issue, comment });
+
+    expect((await storage.reports.get('report-confirmed')).tracker_comments).toEqual([
+      { id: '99', author: 'lee', body: 'Fixed in #12', created_at: '2026-03-01T10:00:00Z' }
+    ]);
+  });
+
+  test('map Linear completed and canceled states to closed issues and others to open ones', async () => {
+    await fileReport('report-linear', { status: 'confirmed', tracker: 'linear', tracker_issue_id: 'lin-1', tracker_issue_url: null });
+    const stateChange = state => ({ type: 'Issue', action: 'update', updatedFrom: { stateId: 'previous' }, data: { id: 'lin-1', state } });
+
+    await deliverLinear(stateChange({ type: 'canceled', name: 'Canceled' }));
+    const canceled = await storage.reports.get('report-linear');
+    await deliverLinear(stateChange({ type: 'started', name: 'In Progress' }));
+    const started = await storage.reports.get('report-linear');
+    await deliverLinear(stateChange({ type: 'completed', name: 'Done' }));
+    const completed = await storage.reports.get('report-linear');
+
+    expect(canceled.status).toBe('resolved');
+    expect(started.status).toBe('confirmed');
+    expect(completed.status).toBe('resolved');
+    expect(sent.map(notification => notification.details.resolution)).toEqual(['not_planned', null, 'completed']);
+  });
+});
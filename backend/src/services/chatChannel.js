@@ -0,0 +1,43 @@
+/**
+ * Chat Notification Channel
+ *
+ * Announces new tracker issues in the team's chat channels (Slack channel,
+ * Teams incoming webhook) so the team sees what was filed. Reports filed
+ * under an existing issue and all other notifications aren't announced.
+ */
+
+const { getChatAdapters } = require('../chat');
+const { issueCreatedMessage } = require('../chat/messages');
+
+/**
+ * Create the chat channel
+ * @returns {Object} - Notification channel ({ name, send })
+ */
+function createChatChannel() {
+  return {
+    name: 'chat',
+
+    async send(notification) {
+      const { type, report, details } = notification;
+      if (type !== 'ticket_created' || details.duplicate) {
+        return false;
+      }
+
+      const message = issueCreatedMessage(report, details.issue);
+      let posted = false;
+      for (const adapter of getChatAdapters()) {
+        // One platform failing doesn't keep the others from announcing
+        try {
+          posted = (await adapter.notify(message)) || posted;
+        } catch (error) {
+          console.error(`Error announcing report ${report.id} in ${adapter.displayName}:`, error);
+        }
+      }
+      return posted;
+    }
+  };
+}
+
+module.exports = {
+  createChatChannel
+};
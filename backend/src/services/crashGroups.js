@@ -0,0 +1,195 @@
+/**
+ * Crash Groups
+ *
+ * Groups reports that share a crash fingerprint, tracking the occurrence
+ * count, first and last sighting, affected reporters and the single tracker
+ * issue the group is filed under. Groups are kept in the `crash_groups`
+ * table of the configured storage.
+ */
+
+const storage = require('../storage');
+
+/**
+ * Occurrence counts at which the group's tracker issue gets a comment
+ */
+const DEFAULT_THRESHOLDS = [5, 10, 25, 50, 100];
+
+/**
+ * Conditional writes tried before giving up on a group that keeps changing
+ */
+const MAX_UPDATE_ATTEMPTS = 25;
+
+let thresholds = DEFAULT_THRESHOLDS;
+
+/**
+ * Configure crash group notifications
+ * @param {Object} config - Configuration object
+ * @param {number[]} [config.thresholds] - Occurrence counts that trigger a tracker comment
+ */
+function configure(config = {}) {
+  if (config.thresholds && config.thresholds.length > 0) {
+    thresholds = [...config.thresholds].filter(Number.isInteger).sort((a, b) => a - b);
+  }
+}
+
+/**
+ * Get a crash group
+ * @param {string} fingerprint - Crash fingerprint
+ * @returns {Promise<Object|null>}
+ */
+async function getGroup(fingerprint) {
+  return storage.crashGroups.get(fingerprint);
+}
+
+/**
+ * Apply a change to a crash group. Every write bumps the group's revision and
+ * only succeeds on the revision it was computed from, so a change that lost
+ * a race with another analysis is recomputed from the latest group.
+ * @param {string} fingerprint - Crash fingerprint
+ * @param {Function} change - Maps the current group to the fields to store, or null to leave it
+ * @returns {Promise<Object|null>} - Updated (or unchanged) group, or null when it doesn't exist
+ */
+async function updateGroup(fingerprint, change) {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const group = await getGroup(fingerprint);
+    if (!group) {
+      return null;
+    }
+    const fields = change(group);
+    if (!fields) {
+      return group;
+    }
+
+    const revision = group.revision === undefined ? null : group.revision;
+    const updated = await storage.crashGroups.update(fingerprint, { ...fields, revision: (revision || 0) + 1 }, { revision });
+    if (updated) {
+      return updated;
+    }
+  }
+  throw new Error(`Crash group ${fingerprint} kept changing while updating it`);
+}
+
+/**
+ * List crash groups, most recently seen first
+ * @param {Object} [options] - { project, limit }
+ * @returns {Promise<Object[]>}
+ */
+async function listGroups(options = {}) {
+  return storage.crashGroups.list(options);
+}
+
+/**
+ * Record a report as an occurrence of its crash, creating the group on first sight
+ * @param {Object} crash - Fingerprint from computeFingerprint
+ * @param {Object} report - Stored report (id, project, reporter_email, created_at)
+ * @returns {Promise<Object>} - Updated group
+ */
+async function recordOccurrence(crash, report) {
+  const seenAt = report.created_at || new Date().toISOString();
+
+  if (!(await getGroup(crash.fingerprint))) {
+    try {
+      await storage.crashGroups.create({
+        fingerprint: crash.fingerprint,
+        project: report.project || null,
+        title: crash.message ? `${crash.error_type}: ${crash.message}` : crash.error_type,
+        error_type: crash.error_type,
+        message: crash.message,
+        frames: crash.frames,
+        occurrence_count: 0,
+        first_seen: seenAt,
+        last_seen: seenAt,
+        reporters: [],
+        report_ids: [],
+        tracker: null,
+        tracker_issue_id: null,
+        tracker_issue_number: null,
+        tracker_issue_url: null,
+        notified_thresholds: [],
+        revision: 0
+      });
+    } catch (error) {
+      // Another analysis of the same crash created it first
+      if (!(await getGroup(crash.fingerprint))) {
+        throw error;
+      }
+    }
+  }
+
+  return updateGroup(crash.fingerprint, group => ({
+    occurrence_count: group.occurrence_count + 1,
+    last_seen: seenAt,
+    reporters: report.reporter_email && !group.reporters.includes(report.reporter_email)
+      ? [...group.reporters, report.reporter_email]
+      : group.reporters,
+    report_ids: [...group.report_ids, report.id]
+  }));
+}
+
+/**
+ * Thresholds the group has reached but not yet commented on
+ * @param {Object} group - Crash group
+ * @returns {number[]}
+ */
+function pendingThresholds(group) {
+  return thresholds.filter(threshold =>
+    group.occurrence_count >= threshold && !(group.notified_thresholds || []).includes(threshold));
+}
+
+/**
+ * Mark the group's pending thresholds as commented on before commenting, so
+ * concurrent analyses don't announce the same threshold twice
+ * @param {Object} group - Crash group
+ * @returns {Promise<Object>} - { group (latest), reached (thresholds this caller announces) }
+ */
+async function claimThresholds(group) {
+  let reached = [];
+  const claimed = await updateGroup(group.fingerprint, latest => {
+    reached = pendingThresholds(latest);
+    return reached.length > 0
+      ? { notified_thresholds: [...(latest.notified_thresholds || []), ...reached] }
+      : null;
+  });
+  return { group: claimed || group, reached: claimed ? reached : [] };
+}
+
+/**
+ * Return claimed thresholds whose comment failed, so the next occurrence announces them
+ * @param {Object} group - Crash group
+ * @param {number[]} reached - Thresholds that weren't announced
+ * @returns {Promise<Object|null>} - Updated group
+ */
+async function releaseThresholds(group, reached) {
+  return updateGroup(group.fingerprint, latest => ({
+    notified_thresholds: (latest.notified_thresholds || []).filter(threshold => !reached.includes(threshold))
+  }));
+}
+
+/**
+ * Link a group to the tracker issue it is filed under, unless it already has
+ * one. Thresholds already reached count as announced, since the new issue
+ * starts from the current totals.
+ * @param {Object} group - Crash group
+ * @param {Object} issue - { tracker, id, number, url }
+ * @returns {Promise<Object|null>} - Updated group
+ */
+async function linkIssue(group, issue) {
+  return updateGroup(group.fingerprint, latest => (latest.tracker_issue_id ? null : {
+    tracker: issue.tracker,
+    tracker_issue_id: issue.id,
+    tracker_issue_number: issue.number,
+    tracker_issue_url: issue.url,
+    notified_thresholds: [...new Set([...(latest.notified_thresholds || []), ...pendingThresholds(latest)])]
+  }));
+}
+
+module.exports = {
+  configure,
+  getGroup,
+  listGroups,
+  recordOccurrence,
+  pendingThresholds,
+  claimThresholds,
+  releaseThresholds,
+  linkIssue
+};
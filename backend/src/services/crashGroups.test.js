@@ -0,0 +1,81 @@
+const storage = require('../storage');
+const crashGroups = require('./crashGroups');
+
+const CRASH = {
+  fingerprint: 'crash-checkout-total',
+  error_type: 'TypeError',
+  message: "Cannot read properties of undefined (reading 'amount')",
+  frames: ['applyDiscount (src/cart.js)']
+};
+
+const ISSUE = { tracker: 'github', id: '7', number: 7, url: 'https://github.com/acme/shop/issues/7' };
+
+/**
+ * Stored report that crashed with CRASH
+ */
+function crashReport(n) {
+  return { id: `report-${n}`, project: 'shop', reporter_email: `user${n % 3}@example.com`, created_at: `2026-03-01T10:00:0${n % 10}.000Z` };
+}
+
+describe.each([
+  ['memory', { driver: 'memory' }],
+  ['sqlite', { driver: 'sqlite', sqlitePath: ':memory:' }]
+])('crash groups on %s storage', (name, storageConfig) => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await storage.initializeStorage(storageConfig).ready;
+    crashGroups.configure({ thresholds: [5, 10] });
+  });
+
+  afterAll(async () => {
+    await storage.getStorage().close();
+    storage.initializeStorage({ driver: 'memory' });
+    crashGroups.configure({ thresholds: [5, 10, 25, 50, 100] });
+    jest.restoreAllMocks();
+  });
+
+  test('count every occurrence recorded at the same time', async () => {
+    const reports = Array.from({ length: 8 }, (_, n) => crashReport(n));
+
+    await Promise.all(reports.map(report => crashGroups.recordOccurrence(CRASH, report)));
+
+    const group = await crashGroups.getGroup(CRASH.fingerprint);
+    expect(group.occurrence_count).toBe(8);
+    expect([...group.report_ids].sort()).toEqual(reports.map(report => report.id).sort());
+    expect([...group.reporters].sort()).toEqual(['user0@example.com', 'user1@example.com', 'user2@example.com']);
+    expect(group.revision).toBe(8);
+  });
+
+  test('link the group to the first issue it is filed under', async () => {
+    const group = await crashGroups.getGroup(CRASH.fingerprint);
+
+    await Promise.all([
+      crashGroups.linkIssue(group, ISSUE),
+      crashGroups.linkIssue(group, { ...ISSUE, id: '8', number: 8 })
+    ]);
+
+    const linked = await crashGroups.getGroup(CRASH.fingerprint);
+    expect(linked.tracker_issue_id).toBe('7');
+    expect(linked.notified_thresholds).toEqual([5]);
+    expect(linked.occurrence_count).toBe(8);
+  });
+
+  test('let only one analysis announce a threshold', async () => {
+    const groups = await Promise.all([8, 9].map(n => crashGroups.recordOccurrence(CRASH, crashReport(n))));
+
+    const claims = await Promise.all(groups.map(group => crashGroups.claimThresholds(group)));
+
+    expect(claims.map(claim => claim.reached)).toEqual([[10], []]);
+    expect((await crashGroups.getGroup(CRASH.fingerprint)).notified_thresholds).toEqual([5, 10]);
+  });
+
+  test('give back thresholds whose announcement failed', async () => {
+    const group = await crashGroups.getGroup(CRASH.fingerprint);
+
+    const released = await crashGroups.releaseThresholds(group, [10]);
+
+    expect(released.notified_thresholds).toEqual([5]);
+    expect(crashGroups.pendingThresholds(released)).toEqual([10]);
+  });
+});
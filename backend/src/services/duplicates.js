@@ -0,0 +1,221 @@
+/**
+ * Duplicate Detection
+ *
+ * Scores how likely a new bug report describes the same problem as a stored
+ * report or an open tracker issue, comparing titles, suspected root causes,
+ * stack signatures and the files involved.
+ */
+
+const path = require('path');
+const { tokenize } = require('./retrieval/tokenizer');
+
+/**
+ * Weight of each signal; signals missing on either side are left out and the
+ * remaining weights renormalized
+ */
+const WEIGHTS = {
+  title: 0.3,
+  rootCause: 0.25,
+  stack: 0.25,
+  files: 0.2
+};
+
+/**
+ * In-app frames that make up a stack signature
+ */
+const SIGNATURE_FRAMES = 3;
+
+/**
+ * Minimum score for a candidate to be shown as a likely duplicate, and how many to show
+ */
+let threshold = 0.45;
+let limit = 5;
+
+/**
+ * Configure duplicate detection
+ * @param {Object} config - Configuration object
+ * @param {number} [config.threshold] - Minimum score (0 to 1) for a likely duplicate
+ * @param {number} [config.limit] - Maximum duplicates returned per report
+ */
+function configure(config = {}) {
+  if (typeof config.threshold === 'number' && config.threshold >= 0 && config.threshold <= 1) {
+    threshold = config.threshold;
+  }
+  if (Number.isInteger(config.limit) && config.limit > 0) {
+    limit = config.limit;
+  }
+}
+
+/**
+ * Signature of a parsed stack trace: the error type plus the innermost in-app
+ * frames as file:function, independent of line numbers and checkout location
+ * @param {Object} stackTrace - { errors, frames } as stored on a report
+ * @returns {string|null} - Signature, or null when there are no in-app frames
+ */
+function stackSignature(stackTrace) {
+  const frames = ((stackTrace && stackTrace.frames) || [])
+    .filter(frame => !frame.external)
+    .slice(0, SIGNATURE_FRAMES);
+
+  if (frames.length === 0) {
+    return null;
+  }
+
+  const errorType = stackTrace.errors && stackTrace.errors[0] ? stackTrace.errors[0].type : 'Error';
+  const parts = frames.map(frame =>
+    `${path.basename(frame.resolvedFile || frame.file)}:${frame.function || '<anonymous>'}`);
+
+  return [errorType, ...parts].join('|');
+}
+
+/**
+ * Compare files by their last two path segments, so the same file matches
+ * across checkouts and against paths quoted in tracker issues
+ * @param {string} file - File path
+ * @returns {string}
+ */
+function fileKey(file) {
+  return file.replace(/\\/g, '/').split('/').filter(Boolean).slice(-2).join('/').toLowerCase();
+}
+
+/**
+ * File paths quoted in free text (e.g. the "Files Examined" section of an issue)
+ * @param {string} text - Issue description
+ * @returns {string[]}
+ */
+function extractFilePaths(text) {
+  return [...new Set(String(text || '').match(/[\w.-]+(?:\/[\w.-]+)+\.[A-Za-z0-9]{1,6}\b/g) || [])];
+}
+
+/**
+ * Cosine similarity of the term frequencies of two texts
+ * @param {string} a
+ * @param {string} b
+ * @returns {number|null} - Similarity, or null when either text has no terms
+ */
+function textSimilarity(a, b) {
+  const counts = text => tokenize(String(text || '')).reduce((map, term) =>
+    map.set(term, (map.get(term) || 0) + 1), new Map());
+  const left = counts(a);
+  const right = counts(b);
+
+  if (left.size === 0 || right.size === 0) {
+    return null;
+  }
+
+  let dot = 0;
+  for (const [term, count] of left) {
+    dot += count * (right.get(term) || 0);
+  }
+  const norm = map => Math.sqrt([...map.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(left) * norm(right));
+}
+
+/**
+ * Jaccard overlap of two lists
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number|null} - Overlap, or null when either list is empty
+ */
+function overlap(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return null;
+  }
+
+  const left = new Set(a);
+  const right = new Set(b);
+  const shared = [...left].filter(item => right.has(item)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Score a candidate against a report
+ * @param {Object} report - { title, rootCause, signature, files }
+ * @param {Object} candidate - { title, text, signature, files } where `text` is the
+ *   candidate's root cause or issue description
+ * @returns {{score: number, reasons: string[]}}
+ */
+function scoreCandidate(report, candidate) {
+  const reportFiles = (report.files || []).map(fileKey);
+  const candidateFiles = (candidate.files || []).map(fileKey);
+  const reportFrames = report.signature ? report.signature.split('|') : [];
+  const candidateFrames = candidate.signature ? candidate.signature.split('|') : [];
+
+  const signals = {
+    title: textSimilarity(report.title, candidate.title),
+    rootCause: textSimilarity(report.rootCause, candidate.text),
+    stack: reportFrames.length > 0 && candidateFrames.length > 0
+      ? (report.signature === candidate.signature ? 1 : overlap(reportFrames, candidateFrames))
+      : null,
+    files: overlap(reportFiles, candidateFiles)
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value !== null) {
+      weighted += WEIGHTS[signal] * value;
+      totalWeight += WEIGHTS[signal];
+    }
+  }
+
+  const reasons = [];
+  if (signals.title >= 0.5) {
+    reasons.push('Similar title');
+  }
+  if (signals.rootCause >= 0.5) {
+    reasons.push('Similar root cause');
+  }
+  if (signals.stack === 1) {
+    reasons.push('Same stack signature');
+  } else if (signals.stack >= 0.5) {
+    reasons.push('Similar stack trace');
+  }
+  if (signals.files > 0) {
+    const shared = new Set(reportFiles.filter(file => candidateFiles.includes(file))).size;
+    reasons.push(`${shared} file${shared === 1 ? '' : 's'} in common`);
+  }
+
+  return {
+    score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) / 100 : 0,
+    reasons
+  };
+}
+
+/**
+ * Rank candidates by similarity to a report, keeping those above the threshold
+ * @param {Object} report - { title, rootCause, signature, files }
+ * @param {Object[]} candidates - Candidates with { title, text, signature, files } plus any display fields
+ * @returns {Object[]} - Likely duplicates (display fields, score and reasons), best first
+ */
+function findDuplicates(report, candidates) {
+  return candidates
+    .map(candidate => {
+      const { text, signature, files, ...display } = candidate;
+      return { ...display, ...scoreCandidate(report, candidate) };
+    })
+    .filter(candidate => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Keywords for searching a tracker for issues similar to a report
+ * @param {string} title - Report title
+ * @param {number} [count] - Maximum keywords
+ * @returns {string[]}
+ */
+function searchKeywords(title, count = 5) {
+  return [...new Set(tokenize(String(title || '')))]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, count);
+}
+
+module.exports = {
+  configure,
+  stackSignature,
+  extractFilePaths,
+  scoreCandidate,
+  findDuplicates,
+  searchKeywords
+};
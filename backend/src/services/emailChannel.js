@@ -0,0 +1,106 @@
+/**
+ * Email Notification Channel
+ *
+ * Delivers reporter notifications as emails through the configured email
+ * transport. Notifications map to templates:
+ *
+ * - received, needs_info, ticket_created: the template of the same name
+ * - status_changed to resolved: fixed (unless the issue was closed as not planned)
+ *
+ * Other notifications aren't emailed. Reporters without an email address and
+ * addresses that unsubscribed get nothing. Every email carries an unsubscribe
+ * link (also as a one-click List-Unsubscribe header), and questions link
+ * back to the report's follow-up form.
+ */
+
+const email = require('../email');
+const { renderEmail } = require('../email/templates');
+const reporterLinks = require('./reporterLinks');
+const storage = require('../storage');
+
+/**
+ * Template for a notification, or null when it isn't emailed
+ * @param {Object} notification - { type, report, details }
+ * @returns {string|null}
+ */
+function templateFor({ type, details }) {
+  switch (type) {
+    case 'received':
+    case 'needs_info':
+    case 'ticket_created':
+      return type;
+    case 'status_changed':
+      return details.to === 'resolved' && details.resolution !== 'not_planned' ? 'fixed' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether an address unsubscribed from reporter emails
+ * @param {string} address - Email address
+ * @returns {Promise<boolean>}
+ */
+async function isUnsubscribed(address) {
+  const preferences = await storage.notificationPreferences.get(reporterLinks.normalizeEmail(address));
+  return Boolean(preferences && preferences.unsubscribed_at);
+}
+
+/**
+ * Stop all reporter emails to an address
+ * @param {string} address - Email address
+ * @returns {Promise<Object>} - Stored preferences
+ */
+async function unsubscribe(address) {
+  const now = new Date().toISOString();
+  return storage.notificationPreferences.save({
+    email: reporterLinks.normalizeEmail(address),
+    unsubscribed_at: now,
+    updated_at: now
+  });
+}
+
+/**
+ * Create the email channel
+ * @returns {Object} - Notification channel ({ name, send })
+ */
+function createEmailChannel() {
+  return {
+    name: 'email',
+
+    async send(notification) {
+      const { report, details } = notification;
+      const template = templateFor(notification);
+      if (!template || !report.reporter_email || !email.isEmailConfigured()) {
+        return false;
+      }
+      if (await isUnsubscribed(report.reporter_email)) {
+        return false;
+      }
+
+      const unsubscribeUrl = reporterLinks.unsubscribeUrl(report.reporter_email);
+      const message = renderEmail(template, {
+        report,
+        details,
+        followUpUrl: reporterLinks.followUpUrl(report),
+        unsubscribeUrl
+      });
+
+      await email.sendEmail({
+        to: report.reporter_name ? { name: report.reporter_name, address: report.reporter_email } : report.reporter_email,
+        ...message,
+        headers: unsubscribeUrl ? {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        } : {}
+      });
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createEmailChannel,
+  isUnsubscribed,
+  unsubscribe
+};
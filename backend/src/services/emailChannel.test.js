@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const email = require('../email');
+const createFileTransport = require('../email/fileTransport');
+const reporterLinks = require('./reporterLinks');
+const { createEmailChannel, unsubscribe } = require('./emailChannel');
+
+const REPORT = {
+  id: 'report-42',
+  title: 'Checkout total ignores the discount code',
+  status: 'open',
+  reporter_email: 'Sam@Example.com',
+  reporter_name: 'Sam'
+};
+
+const QUESTIONS = {
+  needs_more_info: true,
+  requests: [{ type: 'browser', question: 'Which browser were you using?', answer_type: 'text', options: [] }]
+};
+
+const ISSUE = { trackerName: 'GitHub', number: 7, url: 'https://github.test/acme/shop/issues/7' };
+
+let outputDir;
+let sent;
+let channel;
+
+beforeAll(async () => {
+  outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'email-test-'));
+  const fileTransport = createFileTransport({ dir: outputDir });
+  // Keep the messages handed to the file transport to check them unencoded
+  email.initializeEmail({
+    from: 'Bug Reports <bugs@example.com>',
+    transport: {
+      name: 'file',
+      send: message => {
+        sent.push(message);
+        return fileTransport.send(message);
+      }
+    }
+  });
+  reporterLinks.configure({
+    secret: 'test-notification-secret',
+    appUrl: 'https://app.example.com/report',
+    apiUrl: 'https://api.example.com/'
+  });
+  channel = createEmailChannel();
+});
+
+afterAll(async () => {
+  email.initializeEmail({});
+  reporterLinks.configure({});
+  await fs.promises.rm(outputDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  sent = [];
+});
+
+/**
+ * Query parameter of a link
+ */
+function linkParam(url, name) {
+  return new URL(url).searchParams.get(name);
+}
+
+describe('email channel', () => {
+  test('emails the received confirmation with the follow-up questions and link', async () => {
+    const report = { ...REPORT, status: 'needs_info', needs_more_info: QUESTIONS };
+
+    expect(await channel.send({ type: 'received', report, details: {} })).toBe(true);
+
+    expect(sent).toHaveLength(1);
+    const [message] = sent;
+    expect(message.from).toBe('Bug Reports <bugs@example.com>');
+    expect(message.to.name).toBe('Sam');
+    expect(message.to.address.toLowerCase()).toBe('sam@example.com');
+    expect(message.subject).toBe(`We received your bug report: ${REPORT.title}`);
+    expect(message.text).toContain('Hi Sam,');
+    expect(message.text).toContain('- Which browser were you using?');
+
+    const followUpUrl = message.text.match(/Answer the questions: (\S+)/)[1];
+    expect(followUpUrl.startsWith('https://app.example.com/report?report=report-42&token=')).toBe(true);
+    expect(reporterLinks.verifyFollowUpToken(linkParam(followUpUrl, 'token'))).toBe('report-42');
+    expect(message.html).toContain('<li>Which browser were you using?</li>');
+
+    const files = await fs.promises.readdir(outputDir);
+    expect(files.filter(file => file.endsWith('.eml')).length).toBeGreaterThan(0);
+  });
+
+  test('emails a triager\'s follow-up questions', async () => {
+    const report = { ...REPORT, status: 'needs_info', needs_more_info: QUESTIONS };
+
+    await channel.send({ type: 'needs_info', report, details: { question: 'Which browser were you using?' } });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].subject).toBe(`We need more information about your bug report: ${REPORT.title}`);
+    expect(sent[0].text).toContain('- Which browser were you using?');
+    expect(sent[0].text).toMatch(/Answer the questions: https:\/\/app\.example\.com\/report\?report=report-42&token=/);
+  });
+
+  test('emails the filed issue, new or existing', async () => {
+    await channel.send({ type: 'ticket_created', report: REPORT, details: { issue: ISSUE, duplicate: false } });
+    await channel.send({ type: 'ticket_created', report: REPORT, details: { issue: ISSUE, duplicate: true } });
+
+    expect(sent.map(message => message.subject)).toEqual([
+      `Your bug report was filed: ${REPORT.title}`,
+      `Your bug report was filed: ${REPORT.title}`
+    ]);
+    expect(sent[0].text).toContain(`"${REPORT.title}" was filed as GitHub issue #7.`);
+    expect(sent[1].text).toContain('matches a problem we already track, so your report was added to GitHub issue #7.');
+  });
+
+  test('emails the fix only for issues resolved as completed', async () => {
+    await channel.send({ type: 'status_changed', report: REPORT, details: { from: 'confirmed', to: 'resolved' } });
+    await channel.send({ type: 'status_changed', report: REPORT, details: { to: 'resolved', resolution: 'not_planned' } });
+    await channel.send({ type: 'status_changed', report: REPORT, details: { to: 'in_progress' } });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].subject).toBe(`Fixed: ${REPORT.title}`);
+  });
+
+  test('adds a one-click unsubscribe link for the normalized address', async () => {
+    await channel.send({ type: 'ticket_created', report: REPORT, details: { issue: ISSUE } });
+
+    const unsubscribeUrl = sent[0].headers['List-Unsubscribe'].slice(1, -1);
+    expect(unsubscribeUrl.startsWith('https://api.example.com/notifications/unsubscribe?token=')).toBe(true);
+    expect(sent[0].headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    expect(sent[0].text).toContain(`Unsubscribe: ${unsubscribeUrl}`);
+    expect(reporterLinks.verifyUnsubscribeToken(linkParam(unsubscribeUrl, 'token'))).toBe('sam@example.com');
+  });
+
+  test('skips reporters without an address and unsubscribed addresses', async () => {
+    const unsubscribedReport = { ...REPORT, reporter_email: 'gone@example.com' };
+    await unsubscribe('Gone@Example.com');
+
+    expect(await channel.send({ type: 'received', report: { ...REPORT, reporter_email: null }, details: {} })).toBe(false);
+    expect(await channel.send({ type: 'received', report: unsubscribedReport, details: {} })).toBe(false);
+    expect(sent).toHaveLength(0);
+  });
+
+  test('sends no links without a notification secret', async () => {
+    reporterLinks.configure({});
+    try {
+      await channel.send({ type: 'needs_info', report: { ...REPORT, needs_more_info: QUESTIONS }, details: {} });
+    } finally {
+      reporterLinks.configure({ secret: 'test-notification-secret' });
+    }
+
+    expect(sent[0].headers).toEqual({});
+    expect(sent[0].text).not.toContain('Answer the questions:');
+    expect(sent[0].text).not.toContain('Unsubscribe:');
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * File Access Service
+ *
+ * The only way request-driven code touches repository files. Repository
+ * paths must sit inside a configured root (the project registry plus
+ * ALLOWED_REPO_PATHS), and every read is checked for path traversal,
+ * symlinks escaping the root, .gitignore'd files and a secrets deny-list.
+ * Violations throw a 400 ApiError.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { badRequest } = require('../utils/errors');
+
+/**
+ * Files that are never read, whatever the repository's .gitignore says
+ */
+const DEFAULT_DENY_PATTERNS = [
+  '.env',
+  '.env.*',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  '*.jks',
+  '*.keystore',
+  'id_rsa*',
+  'id_dsa*',
+  'id_ecdsa*',
+  'id_ed25519*',
+  '.npmrc',
+  '.pypirc',
+  '.netrc',
+  '.htpasswd',
+  '.git-credentials',
+  'credentials.json',
+  'secrets.*',
+  '**/.ssh/**',
+  '**/.aws/**',
+  '**/.git/**'
+];
+
+/**
+ * Parsed .gitignore rules are reloaded after this long
+ */
+const IGNORE_CACHE_TTL_MS = 60 * 1000;
+
+const MATCH_OPTIONS = { dot: true };
+
+/**
+ * Allowed roots as { path, realPath }
+ */
+let allowedRoots = [];
+
+/**
+ * Deny-list globs (patterns without a slash match at any depth)
+ */
+let denyPatterns = DEFAULT_DENY_PATTERNS.map(toAnyDepthGlob);
+
+/**
+ * Parsed .gitignore rules keyed by directory
+ */
+const ignoreCache = new Map();
+
+/**
+ * Turn a gitignore-style pattern into a glob relative to its base directory
+ * @param {string} pattern - Pattern such as "*.pem", "/build" or "config/secrets.json"
+ * @returns {string}
+ */
+function toAnyDepthGlob(pattern) {
+  const anchored = pattern.replace(/\/+$/, '').includes('/');
+  const glob = pattern.replace(/^\//, '');
+  return anchored ? glob : `**/${glob}`;
+}
+
+/**
+ * Whether a path is the root itself or inside it
+ * @param {string} root - Root directory
+ * @param {string} target - Path to check
+ * @returns {boolean}
+ */
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Configure the allowed roots and deny-list
+ * @param {Object} config - Configuration object
+ * @param {string[]} [config.allowedRoots] - Directories requests may read from
+ * @param {string[]} [config.denyPatterns] - Extra deny-list globs, added to the defaults
+ */
+function configure(config = {}) {
+  if (config.allowedRoots) {
+    allowedRoots = config.allowedRoots
+      .filter(Boolean)
+      .map(root => {
+        const resolved = path.resolve(root);
+        let realPath = resolved;
+        try {
+          realPath = fs.realpathSync(resolved);
+        } catch (error) {
+          console.warn(`Warning: Allowed repository root ${resolved} does not exist`);
+        }
+        return { path: resolved, realPath };
+      });
+  }
+
+  if (config.denyPatterns) {
+    denyPatterns = [...DEFAULT_DENY_PATTERNS, ...config.denyPatterns.filter(Boolean)].map(toAnyDepthGlob);
+  }
+
+  ignoreCache.clear();
+}
+
+/**
+ * Find the allowed root containing a path
+ * @param {string} target - Absolute path
+ * @returns {Object|null} - { path, realPath }
+ */
+function findRoot(target) {
+  return allowedRoots
+    .filter(root => isInside(root.path, target) || isInside(root.realPath, target))
+    .sort((a, b) => b.path.length - a.path.length)[0] || null;
+}
+
+/**
+ * Validate a repository path requested by a client
+ * @param {string} repoPath - Requested repository path
+ * @returns {string} - Resolved repository path
+ * @throws {ApiError} - 400 when the path is not inside an allowed root
+ */
+function resolveRepoPath(repoPath) {
+  if (typeof repoPath !== 'string' || repoPath.includes('\0')) {
+    throw badRequest('Repository path is invalid', 'INVALID_REPO_PATH');
+  }
+
+  const resolved = path.resolve(repoPath);
+  const root = findRoot(resolved);
+  if (!root) {
+    throw badRequest(`Repository path ${repoPath} is not an allowed repository`, 'REPO_PATH_NOT_ALLOWED');
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(resolved);
+  } catch (error) {
+    throw badRequest(`Repository path ${repoPath} does not exist`, 'REPO_PATH_NOT_FOUND');
+  }
+  if (!isInside(root.realPath, realPath)) {
+    throw badRequest(`Repository path ${repoPath} resolves outside the allowed repositories`, 'REPO_PATH_NOT_ALLOWED');
+  }
+
+  return resolved;
+}
+
+/**
+ * Parse a .gitignore file into ordered rules
+ * @param {string} content - .gitignore content
+ * @returns {Object[]} - Rules with { glob, negated, directoryOnly }
+ */
+function parseGitignore(content) {
+  return content.split(/\r?\n/)
+    .map(line => line.replace(/(?<!\\)\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negated = line.startsWith('!');
+      const pattern = (negated ? line.slice(1) : line).replace(/^\\([#!])/, '$1');
+      return {
+        glob: toAnyDepthGlob(pattern.replace(/\/+$/, '')),
+        negated,
+        directoryOnly: pattern.endsWith('/')
+      };
+    });
+}
+
+/**
+ * Load the .gitignore rules of a directory (cached)
+ * @param {string} dir - Directory
+ * @returns {Promise<Object[]>}
+ */
+async function loadIgnoreRules(dir) {
+  const cached = ignoreCache.get(dir);
+  if (cached && Date.now() - cached.loadedAt < IGNORE_CACHE_TTL_MS) {
+    return cached.rules;
+  }
+
+  let rules = [];
+  try {
+    rules = parseGitignore(await fs.promises.readFile(path.join(dir, '.gitignore'), 'utf8'));
+  } catch (error) {
+    // No .gitignore in this directory
+  }
+
+  ignoreCache.set(dir, { rules, loadedAt: Date.now() });
+  return rules;
+}
+
+/**
+ * Whether a path inside a repository is excluded by .gitignore files or the deny-list
+ * @param {string} root - Repository root
+ * @param {string} target - Absolute path inside the root
+ * @param {boolean} [isDirectory] - Whether the target is a directory
+ * @returns {Promise<boolean>}
+ */
+async function isExcluded(root, target, isDirectory = false) {
+  const relative = path.relative(root, target).split(path.sep).join('/');
+  if (!relative) {
+    return false;
+  }
+
+  if (!isDirectory && denyPatterns.some(glob => minimatch(relative, glob, MATCH_OPTIONS))) {
+    return true;
+  }
+
+  // Apply .gitignore files from the root down; the last matching rule wins
+  const segments = relative.split('/');
+  let ignored = false;
+
+  for (let depth = 0; depth < segments.length; depth++) {
+    const rules = await loadIgnoreRules(path.join(root, ...segments.slice(0, depth)));
+    const below = segments.slice(depth);
+
+    for (const rule of rules) {
+      const matches = below.some((segment, i) => {
+        const isLast = i === below.length - 1;
+        if (rule.directoryOnly && isLast && !isDirectory) {
+          return false;
+        }
+        return minimatch(below.slice(0, i + 1).join('/'), rule.glob, MATCH_OPTIONS);
+      });
+      if (matches) {
+        ignored = !rule.negated;
+      }
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Check that a file may be read and return its real path
+ * @param {string} filePath - Requested file path
+ * @returns {Promise<string>} - Real path of the file
+ * @throws {ApiError} - 400 when the file is outside the allowed roots, escapes via a symlink, or is ignored/denied
+ */
+async function assertReadable(filePath) {
+  if (typeof filePath !== 'string' || filePath.includes('\0')) {
+    throw badRequest('File path is invalid', 'INVALID_FILE_PATH');
+  }
+
+  // path.resolve collapses any ../ segments before the root check
+  const resolved = path.resolve(filePath);
+  const root = findRoot(resolved);
+  if (!root) {
+    throw badRequest(`File ${filePath} is outside the allowed repositories`, 'FILE_NOT_ALLOWED');
+  }
+
+  const realPath = await fs.promises.realpath(resolved);
+  if (!isInside(root.realPath, realPath)) {
+    throw badRequest(`File ${filePath} links outside its repository`, 'FILE_NOT_ALLOWED');
+  }
+
+  // Check both the requested path and its target, so an in-repo link can't expose a denied file
+  const base = isInside(root.path, resolved) ? root.path : root.realPath;
+  if (await isExcluded(base, resolved) || await isExcluded(root.realPath, realPath)) {
+    throw badRequest(`File ${filePath} is ignored or on the secrets deny-list`, 'FILE_NOT_ALLOWED');
+  }
+
+  return realPath;
+}
+
+/**
+ * Read a repository file through the sandbox
+ * @param {string} filePath - Requested file path
+ * @returns {Promise<string>} - File content
+ */
+async function readFile(filePath) {
+  return fs.promises.readFile(await assertReadable(filePath), 'utf8');
+}
+
+module.exports = {
+  configure,
+  resolveRepoPath,
+  isExcluded,
+  assertReadable,
+  readFile,
+  DEFAULT_DENY_PATTERNS
+};
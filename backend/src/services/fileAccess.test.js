@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fileAccess = require('./fileAccess');
+
+let tmpDir;
+let repo;
+
+/**
+ * Write a file, creating its directories
+ */
+async function writeFile(filePath, content) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, content);
+}
+
+beforeAll(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-access-test-'));
+  repo = path.join(tmpDir, 'shop');
+
+  await writeFile(path.join(repo, 'src', 'checkout.js'), 'module.exports = {};\n');
+  await writeFile(path.join(repo, '.env'), 'STRIPE_KEY=sk_test\n');
+  await writeFile(path.join(repo, '.gitignore'), 'logs/*.log\n!logs/keep.log\nbuild/\n');
+  await writeFile(path.join(repo, 'logs', 'debug.log'), 'debug\n');
+  await writeFile(path.join(repo, 'logs', 'keep.log'), 'keep\n');
+  await writeFile(path.join(repo, 'build', 'bundle.js'), 'bundle\n');
+  await writeFile(path.join(tmpDir, 'outside.txt'), 'outside\n');
+  await fs.promises.symlink(path.join(tmpDir, 'outside.txt'), path.join(repo, 'src', 'outside.txt'));
+  await fs.promises.symlink('../.env', path.join(repo, 'src', 'cfg.txt'));
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  fileAccess.configure({ allowedRoots: [repo] });
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  fileAccess.configure({ allowedRoots: [] });
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Expect a read to be refused with FILE_NOT_ALLOWED
+ */
+async function expectDenied(filePath) {
+  await expect(fileAccess.readFile(filePath)).rejects.toMatchObject({ statusCode: 400, code: 'FILE_NOT_ALLOWED' });
+}
+
+describe('file access', () => {
+  test('reads repository files', async () => {
+    expect(await fileAccess.readFile(path.join(repo, 'src', 'checkout.js'))).toBe('module.exports = {};\n');
+  });
+
+  test('refuses ../ traversal out of the repository', async () => {
+    await expectDenied(path.join(repo, 'src', '..', '..', 'outside.txt'));
+    await expectDenied(`${repo}/../outside.txt`);
+  });
+
+  test('refuses symlinks that escape the repository', async () => {
+    await expectDenied(path.join(repo, 'src', 'outside.txt'));
+  });
+
+  test('refuses in-repository symlinks to denied files', async () => {
+    await expectDenied(path.join(repo, '.env'));
+    await expectDenied(path.join(repo, 'src', 'cfg.txt'));
+  });
+
+  test('applies .gitignore rules and their negations', async () => {
+    await expectDenied(path.join(repo, 'logs', 'debug.log'));
+    await expectDenied(path.join(repo, 'build', 'bundle.js'));
+    expect(await fileAccess.readFile(path.join(repo, 'logs', 'keep.log'))).toBe('keep\n');
+  });
+
+  test('refuses repository paths outside the allowed roots', () => {
+    expect(() => fileAccess.resolveRepoPath(tmpDir)).toThrow(expect.objectContaining({ code: 'REPO_PATH_NOT_ALLOWED' }));
+    expect(fileAccess.resolveRepoPath(`${repo}/src/..`)).toBe(repo);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Crash Fingerprints
+ *
+ * Deterministic fingerprints for parsed stack traces: the error type, the
+ * error message with volatile values (ids, numbers, URLs, quoted values)
+ * masked, and the innermost in-app frames without line numbers. Reports of
+ * the same exception get the same fingerprint regardless of machine, build
+ * or reporter.
+ */
+
+const crypto = require('crypto');
+const { normalizeFramePath } = require('./stackTrace');
+
+/**
+ * Innermost frames that make up a fingerprint
+ */
+const FINGERPRINT_FRAMES = 5;
+
+/**
+ * Mask the values in an error message that differ between occurrences
+ * @param {string} message - Error message
+ * @returns {string}
+ */
+function normalizeMessage(message) {
+  return String(message || '')
+    .replace(/\[REDACTED_[A-Z_]+?_\d+\]/g, '<redacted>')
+    .replace(/[a-z]+:\/\/\S+/gi, '<url>')
+    .replace(/"[^"]*"|'[^']*'|`[^`]*`/g, '<value>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+    .replace(/\b[0-9a-f]*\d[0-9a-f]*\b/gi, match => (match.length >= 12 ? '<hash>' : match))
+    .replace(/\d+(\.\d+)*/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Location-independent name of a frame: its last two path segments (with
+ * bundle content hashes masked) and function name
+ * @param {Object} frame - Parsed or resolved stack frame
+ * @returns {string}
+ */
+function normalizeFrame(frame) {
+  const file = normalizeFramePath(frame.resolvedFile || frame.file)
+    .split('/')
+    .filter(Boolean)
+    .slice(-2)
+    .join('/')
+    .replace(/([.-])[0-9a-f]{6,}(?=\.)/gi, '$1<hash>');
+
+  return `${file}:${frame.function || '<anonymous>'}`;
+}
+
+/**
+ * Compute the crash fingerprint of a parsed stack trace
+ * @param {Object} stackTrace - { errors, frames } as stored on a report
+ * @returns {Object|null} - { fingerprint, error_type, message, frames }, or null when the
+ *   logs contained no error or stack frames
+ */
+function computeFingerprint(stackTrace) {
+  const errors = (stackTrace && stackTrace.errors) || [];
+  const allFrames = (stackTrace && stackTrace.frames) || [];
+
+  if (errors.length === 0 && allFrames.length === 0) {
+    return null;
+  }
+
+  // Prefer application frames; a crash entirely inside a library keys on the library frames
+  const inAppFrames = allFrames.filter(frame => !frame.external);
+  const frames = (inAppFrames.length > 0 ? inAppFrames : allFrames)
+    .slice(0, FINGERPRINT_FRAMES)
+    .map(normalizeFrame);
+
+  const errorType = errors[0] ? errors[0].type : 'Error';
+  const message = normalizeMessage(errors[0] ? errors[0].message : '');
+  const fingerprint = crypto.createHash('sha256')
+    .update([errorType, message, ...frames].join('\n'))
+    .digest('hex')
+    .substring(0, 16);
+
+  return {
+    fingerprint,
+    error_type: errorType,
+    message,
+    frames
+  };
+}
+
+module.exports = {
+  computeFingerprint,
+  normalizeMessage
+};
@@ -0,0 +1,300 @@
+/**
+ * Git History Correlation
+ *
+ * Looks through the local git history of the files and lines a report
+ * implicates for the commit that most likely introduced the bug. Commits are
+ * ranked by how many implicated lines they last changed (lines named by the
+ * stack trace count most), how many implicated files they touched, how
+ * shortly before the report they landed and how much their message overlaps
+ * with the described behaviour.
+ */
+
+const path = require('path');
+const { tokenize } = require('./retrieval/tokenizer');
+const { runGit, blameRanges } = require('../utils/git');
+
+/**
+ * Weight of each signal in a candidate's score (they add up to 1)
+ */
+const WEIGHTS = {
+  lines: 0.4,
+  recency: 0.25,
+  text: 0.2,
+  files: 0.15
+};
+
+/**
+ * A commit's recency signal halves for every this many days before the report
+ */
+const RECENCY_HALF_LIFE_DAYS = 14;
+
+/**
+ * A line named by a stack frame counts as this many implicated lines
+ */
+const FRAME_LINE_WEIGHT = 5;
+
+/**
+ * Implicated files whose history is inspected, and commits read per repository
+ */
+const MAX_HISTORY_FILES = 5;
+const MAX_LOG_COMMITS = 50;
+
+/**
+ * Lines of diff kept per candidate
+ */
+const DIFF_EXCERPT_LINES = 40;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let enabled = true;
+let lookbackDays = 90;
+let maxCandidates = 3;
+let minScore = 0.25;
+let timeoutMs = 5000;
+
+/**
+ * Configure history correlation
+ * @param {Object} config - Configuration object
+ * @param {boolean} [config.enabled] - Inspect git history at all (default true)
+ * @param {number} [config.lookbackDays] - How far before the report to look for commits (default 90)
+ * @param {number} [config.maxCandidates] - Candidates kept per report (default 3)
+ * @param {number} [config.minScore] - Minimum score (0 to 1) for a candidate (default 0.25)
+ * @param {number} [config.timeoutMs] - Time limit for each git call
+ */
+function configure(config = {}) {
+  if (config.enabled !== undefined) {
+    enabled = config.enabled;
+  }
+  lookbackDays = config.lookbackDays || lookbackDays;
+  maxCandidates = config.maxCandidates || maxCandidates;
+  minScore = config.minScore !== undefined ? config.minScore : minScore;
+  timeoutMs = config.timeoutMs || timeoutMs;
+}
+
+/**
+ * Commits that touched the given files in the lookback window before the report
+ * @param {string} repoPath - Repository root
+ * @param {string[]} relativePaths - Files relative to the repository root
+ * @param {Date} reportedAt - When the bug was reported
+ * @returns {Promise<Object[]>} - [{ commit, name, time, summary, files }]
+ */
+async function logCommits(repoPath, relativePaths, reportedAt) {
+  const since = new Date(reportedAt.getTime() - lookbackDays * DAY_MS).toISOString();
+  const stdout = await runGit(repoPath, [
+    'log', '--no-merges', `-n${MAX_LOG_COMMITS}`,
+    `--since=${since}`, `--until=${reportedAt.toISOString()}`,
+    '--format=%x1e%H%x1f%an%x1f%at%x1f%s', '--name-only',
+    '--', ...relativePaths
+  ], { timeout: timeoutMs });
+
+  return stdout
+    .split('\x1e')
+    .filter(record => record.trim())
+    .map(record => {
+      const [header, ...files] = record.split('\n');
+      const [commit, name, time, summary] = header.split('\x1f');
+      return { commit, name, time: parseInt(time, 10), summary, files: files.filter(Boolean) };
+    });
+}
+
+/**
+ * Diff of a commit limited to the implicated files, cut to a short excerpt
+ * @param {string} repoPath - Repository root
+ * @param {string} commit - Commit hash
+ * @param {string[]} relativePaths - Implicated files the commit touched
+ * @returns {Promise<string>}
+ */
+async function diffExcerpt(repoPath, commit, relativePaths) {
+  try {
+    const stdout = await runGit(repoPath, [
+      'show', '--format=', '--no-color', '--unified=2', commit, '--', ...relativePaths
+    ], { timeout: timeoutMs });
+    const lines = stdout.split('\n').filter(line => !line.startsWith('index '));
+    return lines.length > DIFF_EXCERPT_LINES
+      ? [...lines.slice(0, DIFF_EXCERPT_LINES), `... (${lines.length - DIFF_EXCERPT_LINES} more lines)`].join('\n')
+      : lines.join('\n').trim();
+  } catch (error) {
+    console.warn(`git show failed for ${commit.substring(0, 8)}, continuing without a diff:`, error.message);
+    return '';
+  }
+}
+
+/**
+ * Score one candidate commit
+ * @param {Object} candidate - { time, summary, files, lines, weightedLines, frameLines }
+ * @param {Object} context - { totalLines, totalWeightedLines, fileCount, terms, reportedAt }
+ * @returns {Object} - { score, reasons }
+ */
+function scoreCandidate(candidate, context) {
+  const reasons = [];
+
+  const lineShare = context.totalWeightedLines > 0 ? candidate.weightedLines / context.totalWeightedLines : 0;
+  if (candidate.frameLines.length > 0) {
+    reasons.push(`last changed ${candidate.frameLines.join(', ')} from the stack trace`);
+  }
+  if (candidate.lines > 0) {
+    reasons.push(`last changed ${candidate.lines} of the ${context.totalLines} implicated lines`);
+  }
+
+  const fileShare = context.fileCount > 0 ? candidate.files.length / context.fileCount : 0;
+  if (candidate.files.length > 1) {
+    reasons.push(`touches ${candidate.files.length} implicated files`);
+  }
+
+  const ageDays = Math.max(0, (context.reportedAt.getTime() - candidate.time * 1000) / DAY_MS);
+  const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  reasons.push(`committed ${Math.round(ageDays)} day${Math.round(ageDays) === 1 ? '' : 's'} before the report`);
+
+  const commitTerms = new Set(tokenize(candidate.summary || ''));
+  const shared = [...context.terms].filter(term => commitTerms.has(term));
+  const textOverlap = context.terms.size > 0 ? Math.min(1, shared.length / Math.min(context.terms.size, 5)) : 0;
+  if (shared.length > 0) {
+    reasons.push(`mentions ${shared.slice(0, 4).join(', ')}`);
+  }
+
+  const score = WEIGHTS.lines * lineShare +
+    WEIGHTS.recency * recency +
+    WEIGHTS.text * textOverlap +
+    WEIGHTS.files * Math.min(1, fileShare);
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Rank the commits that may have introduced the reported bug
+ * @param {Object} context - Correlation inputs
+ * @param {string[]} context.files - Implicated files (absolute paths, most relevant first)
+ * @param {Object[]} [context.snippetRanges] - Snippet manifest ({ path, startLine, endLine, status })
+ * @param {Object[]} [context.frames] - Resolved stack frames ({ resolvedFile, resolvedLine })
+ * @param {string} context.text - Described behaviour (description, error messages)
+ * @param {string|Date} [context.reportedAt] - When the bug was reported (defaults to now)
+ * @param {Object} context.project - Project with repoPaths
+ * @returns {Promise<Object[]>} - [{ hash, short_hash, author, date, message, files, score, reasons, diff_excerpt }],
+ *   most likely first
+ */
+async function findRegressionCandidates(context) {
+  if (!enabled) {
+    return [];
+  }
+
+  const { files = [], snippetRanges = [], frames = [], text = '', project } = context;
+  const reportedAt = context.reportedAt ? new Date(context.reportedAt) : new Date();
+
+  // Implicated files grouped by repository
+  const repos = new Map();
+  for (const file of files) {
+    const repoPath = project.repoPaths.find(root => file.startsWith(root + path.sep));
+    if (!repoPath) {
+      continue;
+    }
+    const repoFiles = repos.get(repoPath) || [];
+    if (repoFiles.length < MAX_HISTORY_FILES) {
+      repoFiles.push({ file, relativePath: path.relative(repoPath, file).split(path.sep).join('/') });
+    }
+    repos.set(repoPath, repoFiles);
+  }
+
+  const terms = new Set(tokenize(text));
+  const candidates = [];
+
+  for (const [repoPath, repoFiles] of repos) {
+    const commits = new Map();
+    const addCommit = (entry, relativePath) => {
+      const commit = commits.get(entry.commit) || {
+        commit: entry.commit,
+        name: entry.name,
+        time: entry.time,
+        summary: entry.summary,
+        files: [],
+        lines: 0,
+        weightedLines: 0,
+        frameLines: []
+      };
+      if (relativePath && !commit.files.includes(relativePath)) {
+        commit.files.push(relativePath);
+      }
+      commits.set(entry.commit, commit);
+      return commit;
+    };
+
+    // Commits that last changed the implicated lines, however old
+    let totalLines = 0;
+    let totalWeightedLines = 0;
+    for (const repoFile of repoFiles) {
+      const ranges = snippetRanges.filter(range => range.path === repoFile.file && range.status !== 'excluded');
+      if (ranges.length === 0) {
+        continue;
+      }
+      const frameLines = new Set(frames
+        .filter(frame => frame.resolvedFile === repoFile.file)
+        .map(frame => frame.resolvedLine));
+      try {
+        for (const line of await blameRanges(repoPath, repoFile.relativePath, ranges, { timeout: timeoutMs })) {
+          const commit = addCommit(line, repoFile.relativePath);
+          const weight = frameLines.has(line.line) ? FRAME_LINE_WEIGHT : 1;
+          if (weight > 1) {
+            commit.frameLines.push(`${repoFile.relativePath}:${line.line}`);
+          }
+          commit.lines++;
+          commit.weightedLines += weight;
+          totalLines++;
+          totalWeightedLines += weight;
+        }
+      } catch (error) {
+        console.warn(`git blame failed for ${repoFile.relativePath}, skipping:`, error.message);
+      }
+    }
+
+    // Recent commits to the implicated files, even where later commits changed the same lines
+    const relativePaths = repoFiles.map(repoFile => repoFile.relativePath);
+    try {
+      for (const entry of await logCommits(repoPath, relativePaths, reportedAt)) {
+        const commit = addCommit(entry);
+        for (const file of entry.files.filter(file => relativePaths.includes(file))) {
+          if (!commit.files.includes(file)) {
+            commit.files.push(file);
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(`git log failed in ${repoPath}, skipping:`, error.message);
+    }
+
+    for (const commit of commits.values()) {
+      // Commits after the report (e.g. on re-analysis) can't have introduced the bug
+      if (commit.time * 1000 > reportedAt.getTime()) {
+        continue;
+      }
+      const { score, reasons } = scoreCandidate(commit, {
+        totalLines,
+        totalWeightedLines,
+        fileCount: repoFiles.length,
+        terms,
+        reportedAt
+      });
+      candidates.push({ repoPath, commit, score, reasons });
+    }
+  }
+
+  const ranked = candidates
+    .filter(candidate => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score || b.commit.time - a.commit.time)
+    .slice(0, maxCandidates);
+
+  return Promise.all(ranked.map(async ({ repoPath, commit, score, reasons }) => ({
+    hash: commit.commit,
+    short_hash: commit.commit.substring(0, 8),
+    author: commit.name,
+    date: new Date(commit.time * 1000).toISOString(),
+    message: commit.summary,
+    files: commit.files,
+    score,
+    reasons,
+    diff_excerpt: await diffExcerpt(repoPath, commit.commit, commit.files)
+  })));
+}
+
+module.exports = {
+  configure,
+  findRegressionCandidates
+};
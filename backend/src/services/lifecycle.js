@@ -0,0 +1,136 @@
+/**
+ * Report Lifecycle
+ *
+ * The states a bug report moves through and the moves allowed between them:
+ *
+ * - open: analyzed, waiting for the reporter (or a triager) to confirm it
+ * - needs_info: waiting for the reporter to answer follow-up questions
+ * - confirmed: filed as a new tracker issue
+ * - duplicate: added to an existing issue, or merged into another report
+ * - rejected: won't be filed (always with a reason)
+ * - resolved: the issue it is filed under was fixed
+ * - closed: done; nothing more happens to the report
+ *
+ *   open <-> needs_info
+ *   open, needs_info -> confirmed, duplicate, rejected
+ *   confirmed, duplicate -> resolved -> closed
+ *   resolved -> confirmed or duplicate (reopened)
+ *   rejected -> open (reopened)
+ *   confirmed, duplicate, rejected -> closed
+ *
+ * Each move is recorded in the report's `status_history` and the time each
+ * state was last entered in `status_timestamps`.
+ */
+
+const { conflict } = require('../utils/errors');
+
+const STATES = ['open', 'needs_info', 'confirmed', 'duplicate', 'rejected', 'resolved', 'closed'];
+
+const TRANSITIONS = {
+  open: ['needs_info', 'confirmed', 'duplicate', 'rejected'],
+  needs_info: ['open', 'confirmed', 'duplicate', 'rejected'],
+  confirmed: ['resolved', 'closed'],
+  duplicate: ['resolved', 'closed'],
+  rejected: ['open', 'closed'],
+  resolved: ['confirmed', 'duplicate', 'closed'],
+  closed: []
+};
+
+/**
+ * States in which a report hasn't been filed or rejected yet
+ */
+const PENDING_STATES = ['open', 'needs_info'];
+
+/**
+ * Current state of a report (reports stored before the lifecycle may have none)
+ * @param {Object} report - Stored report
+ * @returns {string}
+ */
+function currentState(report) {
+  return STATES.includes(report.status) ? report.status : 'open';
+}
+
+/**
+ * Whether a report in one state may move to another
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Fields that record entering a state
+ * @param {Object|null} report - Stored report (null for a new one)
+ * @param {string} to - State entered
+ * @param {Object} [details] - { actor, reason, at }
+ * @returns {Object} - { status, status_timestamps, status_history }
+ */
+function enterState(report, to, details = {}) {
+  const at = details.at || new Date().toISOString();
+  return {
+    status: to,
+    status_timestamps: { ...(report && report.status_timestamps), [to]: at },
+    status_history: [...(report && report.status_history) || [], {
+      from: report ? currentState(report) : null,
+      to,
+      at,
+      actor: details.actor || null,
+      reason: details.reason || null
+    }]
+  };
+}
+
+/**
+ * Move a report to another state
+ * @param {Object} report - Stored report
+ * @param {string} to - Requested state
+ * @param {Object} [details] - { actor, reason, at }
+ * @returns {Object} - Fields to store ({ status, status_timestamps, status_history })
+ * @throws {ApiError} - 409 when the move isn't allowed from the report's state
+ */
+function transition(report, to, details = {}) {
+  const from = currentState(report);
+  if (!canTransition(from, to)) {
+    throw conflict(`A ${from.replace('_', ' ')} report can't be moved to ${to.replace('_', ' ')}`, 'INVALID_TRANSITION');
+  }
+  return enterState(report, to, details);
+}
+
+/**
+ * State a report returns to when it is reopened
+ * @param {Object} report - Stored report
+ * @returns {string|null} - null when the report can't be reopened
+ */
+function reopenState(report) {
+  switch (currentState(report)) {
+    case 'rejected':
+      return 'open';
+    case 'resolved':
+      return report.duplicate_of ? 'duplicate' : 'confirmed';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a report still takes follow-up answers (not rejected or closed)
+ * @param {Object} report - Stored report
+ * @returns {boolean}
+ */
+function acceptsAnswers(report) {
+  return !['rejected', 'closed'].includes(currentState(report));
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  PENDING_STATES,
+  currentState,
+  canTransition,
+  enterState,
+  transition,
+  reopenState,
+  acceptsAnswers
+};
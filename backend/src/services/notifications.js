@@ -0,0 +1,61 @@
+/**
+ * Report Notifications
+ *
+ * Tells reporters what happened to the reports they filed, and the team
+ * about new tracker issues. Notifications go out through the configured
+ * channels, each deciding which notifications it delivers and to whom;
+ * every channel exposes the same interface:
+ *
+ * - name
+ * - send(notification) -> delivers one notification (throws on failure), or
+ *   returns false when the channel has nothing to send for it
+ *
+ * where `notification` is { type, report, details }. Types:
+ *
+ * - received: the report was analyzed and stored
+ * - needs_info: the reporter was asked follow-up questions, by a triager ({ question })
+ *   or by the re-analysis of their answers
+ * - ticket_created: the report was filed under a tracker issue ({ issue:
+ *   { trackerName, number, url }, duplicate } where `duplicate` means an existing issue)
+ * - status_changed: the report moved to another state ({ from, to, reason, actor },
+ *   plus the issue's `resolution` when the tracker closed it)
+ *
+ * A failing channel never fails the change that triggered the notification.
+ */
+
+let channels = [];
+
+/**
+ * Configure notification channels
+ * @param {Object} config - Configuration object
+ * @param {Object[]} [config.channels] - Channels notifications are sent through
+ */
+function configure(config = {}) {
+  channels = config.channels || [];
+}
+
+/**
+ * Send a notification about a report through every channel
+ * @param {string} type - Notification type
+ * @param {Object} report - Stored report
+ * @param {Object} [details] - Type-specific details
+ * @returns {Promise<string[]>} - Names of the channels that delivered it
+ */
+async function notify(type, report, details = {}) {
+  const delivered = [];
+  for (const channel of channels) {
+    try {
+      if (await channel.send({ type, report, details }) !== false) {
+        delivered.push(channel.name);
+      }
+    } catch (error) {
+      console.error(`Error sending ${type} notification for report ${report.id} via ${channel.name}:`, error);
+    }
+  }
+  return delivered;
+}
+
+module.exports = {
+  configure,
+  notify
+};
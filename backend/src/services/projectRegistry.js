@@ -0,0 +1,168 @@
+/**
+ * Project Registry
+ *
+ * Loads per-project configuration (repositories, include/exclude globs,
+ * tracker destination, team, labels and prompt overrides) so requests refer
+ * to a project key instead of a filesystem path. `severity` marks critical
+ * components and maps severities to tracker priorities; `routing` maps paths
+ * and CODEOWNERS owners to teams, component labels and assignees.
+ *
+ * Example projects.json:
+ * {
+ *   "projects": [{
+ *     "key": "checkout",
+ *     "name": "Checkout",
+ *     "description": "Cart, payments and order confirmation",
+ *     "repoPaths": ["/srv/repos/checkout-web", "/srv/repos/payments-api"],
+ *     "include": ["src/**"],
+ *     "exclude": ["**\/*.test.js"],
+ *     "tracker": { "type": "linear", "teamId": "TEAM_ID" },
+ *     "labels": ["checkout"],
+ *     "prompts": { "analysis": "Payments use Stripe webhooks...", "fileSelection": "" },
+ *     "severity": { "criticalPaths": ["src/payments/**"], "priorities": { "medium": "high" } },
+ *     "routing": {
+ *       "paths": [{ "pattern": "src/payments/**", "teamId": "PAY_TEAM_ID", "component": "payments" }],
+ *       "owners": { "@acme/checkout": { "teamId": "TEAM_ID", "component": "checkout" } }
+ *     }
+ *   }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+/**
+ * Registered projects keyed by project key
+ */
+const projects = new Map();
+
+/**
+ * Validate and normalize a project definition
+ * @param {Object} definition - Raw project definition
+ * @returns {Object} - Normalized project
+ */
+function normalizeProject(definition) {
+  if (!definition.key) {
+    throw new Error('Project definition is missing a key');
+  }
+
+  const repoPaths = definition.repoPaths || (definition.repoPath ? [definition.repoPath] : []);
+  if (repoPaths.length === 0) {
+    throw new Error(`Project "${definition.key}" has no repoPaths`);
+  }
+
+  return {
+    key: definition.key,
+    name: definition.name || definition.key,
+    description: definition.description || '',
+    repoPaths: repoPaths.map(repoPath => path.resolve(repoPath)),
+    include: definition.include || [],
+    exclude: definition.exclude || [],
+    tracker: definition.tracker || {},
+    labels: definition.labels || [],
+    prompts: definition.prompts || {},
+    severity: {
+      criticalPaths: (definition.severity && definition.severity.criticalPaths) || [],
+      priorities: (definition.severity && definition.severity.priorities) || {}
+    },
+    routing: {
+      paths: (definition.routing && definition.routing.paths) || [],
+      owners: (definition.routing && definition.routing.owners) || {}
+    }
+  };
+}
+
+/**
+ * Load projects from a config object or JSON file
+ * @param {Object|string} source - { projects: [...] } or a path to a JSON file
+ * @returns {number} - Number of projects loaded
+ */
+function loadProjects(source) {
+  projects.clear();
+
+  if (!source) {
+    return 0;
+  }
+
+  let config = source;
+  if (typeof source === 'string') {
+    if (!fs.existsSync(source)) {
+      console.warn(`Project config ${source} not found, running without a project registry`);
+      return 0;
+    }
+    config = JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
+
+  for (const definition of config.projects || []) {
+    const project = normalizeProject(definition);
+    projects.set(project.key, project);
+  }
+
+  console.log(`Loaded ${projects.size} project(s) from registry`);
+  return projects.size;
+}
+
+/**
+ * Get a project by key
+ * @param {string} key - Project key
+ * @returns {Object|null}
+ */
+function getProject(key) {
+  return projects.get(key) || null;
+}
+
+/**
+ * List all registered projects
+ * @returns {Object[]}
+ */
+function listProjects() {
+  return [...projects.values()];
+}
+
+/**
+ * Whether any projects are registered
+ * @returns {boolean}
+ */
+function hasProjects() {
+  return projects.size > 0;
+}
+
+/**
+ * Build an ad-hoc project for a single repository path (used when no registry is configured)
+ * @param {string} repoPath - Repository path
+ * @returns {Object}
+ */
+function createAdHocProject(repoPath) {
+  return {
+    ...normalizeProject({ key: 'ad-hoc', repoPaths: [repoPath] }),
+    key: null,
+    name: null
+  };
+}
+
+/**
+ * Whether a file inside one of the project's repositories passes its include/exclude globs
+ * @param {Object} project - Project
+ * @param {string} repoPath - Repository root the file belongs to
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean}
+ */
+function matchesProject(project, repoPath, filePath) {
+  const relativePath = path.relative(repoPath, filePath).split(path.sep).join('/');
+  const options = { dot: true };
+
+  if (project.include.length > 0 && !project.include.some(glob => minimatch(relativePath, glob, options))) {
+    return false;
+  }
+  return !project.exclude.some(glob => minimatch(relativePath, glob, options));
+}
+
+module.exports = {
+  loadProjects,
+  getProject,
+  listProjects,
+  hasProjects,
+  createAdHocProject,
+  matchesProject
+};
@@ -0,0 +1,196 @@
+/**
+ * Redaction Service
+ *
+ * Detects secrets (API keys, tokens, passwords, private keys) and personal
+ * data (emails, phone numbers, card numbers) in free text and code, and
+ * replaces them with stable placeholders such as [REDACTED_EMAIL_1] before
+ * anything leaves the server. The audit records what was redacted where,
+ * identified by a keyed hash so raw values are never stored.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Detectors in priority order. `group` names the capture group holding the
+ * sensitive value when the match includes surrounding context.
+ */
+const DETECTORS = [
+  { type: 'PRIVATE_KEY', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { type: 'API_KEY', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'API_KEY', pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { type: 'API_KEY', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { type: 'API_KEY', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'API_KEY', pattern: /\blin_api_[A-Za-z0-9]{20,}/g },
+  { type: 'TOKEN', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|glpat-[A-Za-z0-9_-]{20,})/g },
+  { type: 'TOKEN', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { type: 'TOKEN', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g },
+  { type: 'TOKEN', pattern: /\b(?:Bearer|Basic|token)\s+(?<value>[A-Za-z0-9._~+/-]{16,}=*)/g, group: 'value' },
+  { type: 'PASSWORD', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^/\s:@]+:(?<value>[^@\s/]+)@/gi, group: 'value' },
+  // key=value pairs in logs, URLs and env files, and quoted literals in code
+  { type: 'PASSWORD', pattern: /\b(?:password|passwd|pwd|secret|client_secret|api[_-]?key|access[_-]?token|auth[_-]?token|token)=(?<value>[^\s&"',;]{4,})/gi, group: 'value' },
+  { type: 'PASSWORD', pattern: /\b(?:password|passwd|pwd|secret|clientSecret|client_secret|api[_-]?key|apiKey|access[_-]?token|accessToken|auth[_-]?token|authToken)["']?\s*[:=]\s*(?<quote>["'`])(?<value>[^"'`\s]{4,})\k<quote>/gi, group: 'value' },
+  { type: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: isLuhnValid },
+  { type: 'PHONE', pattern: /(?<![\w.:/-])\+?\(?\d{1,4}\)?(?:[ .-]\(?\d{2,4}\)?){2,4}(?![\w:/-]|\.\d)/g, validate: isPhoneNumber }
+];
+
+/**
+ * Service configuration
+ */
+let enabled = true;
+let hashKey = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Configure the redaction service
+ * @param {Object} config - Configuration object
+ * @param {boolean} [config.enabled] - Turn redaction off (e.g. for local development)
+ * @param {string} [config.salt] - Key for value hashes; set it so placeholders stay stable across restarts
+ */
+function configure(config = {}) {
+  if (config.enabled !== undefined) {
+    enabled = Boolean(config.enabled);
+  }
+  if (config.salt) {
+    hashKey = config.salt;
+  }
+}
+
+/**
+ * Luhn checksum for card numbers
+ * @param {string} value - Candidate card number
+ * @returns {boolean}
+ */
+function isLuhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = +digits[digits.length - 1 - i];
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Phone numbers need 10-15 digits; dates and versions are ruled out by the pattern's separators
+ * @param {string} value - Candidate phone number
+ * @returns {boolean}
+ */
+function isPhoneNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 15 && !/^\d{4}[-.]\d{2}[-.]\d{2}/.test(value);
+}
+
+/**
+ * Keyed hash identifying a redacted value without storing it
+ * @param {string} value - Sensitive value
+ * @returns {string}
+ */
+function hashValue(value) {
+  return crypto.createHmac('sha256', hashKey).update(value).digest('hex').substring(0, 16);
+}
+
+/**
+ * Create a redactor that assigns stable placeholders for one report
+ * @param {Object} [audit] - Audit from an earlier redaction of the same report, so values keep their placeholders
+ * @returns {Object} - { redact(text, source), redactFields(object, source), getAudit() }
+ */
+function createRedactor(audit = null) {
+  const entries = new Map();
+  const counters = {};
+
+  for (const entry of (audit && audit.entries) || []) {
+    entries.set(entry.hash, { ...entry, sources: [...entry.sources] });
+    const number = +entry.placeholder.match(/_(\d+)\]$/)[1];
+    counters[entry.type] = Math.max(counters[entry.type] || 0, number);
+  }
+
+  /**
+   * Placeholder for a value, recording where it was seen
+   */
+  function placeholderFor(type, value, source) {
+    const hash = hashValue(value);
+    let entry = entries.get(hash);
+    if (!entry) {
+      counters[type] = (counters[type] || 0) + 1;
+      entry = { placeholder: `[REDACTED_${type}_${counters[type]}]`, type, hash, count: 0, sources: [] };
+      entries.set(hash, entry);
+    }
+    entry.count++;
+    if (source && !entry.sources.includes(source)) {
+      entry.sources.push(source);
+    }
+    return entry.placeholder;
+  }
+
+  /**
+   * Redact sensitive values in a string
+   * @param {string} text - Text to redact
+   * @param {string} source - Where the text came from (e.g. "description", "snippet:/path")
+   * @returns {string}
+   */
+  function redact(text, source) {
+    if (!enabled || typeof text !== 'string' || !text) {
+      return text;
+    }
+
+    let result = text;
+    for (const detector of DETECTORS) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const value = detector.group ? groups[detector.group] : match;
+
+        // Leave earlier placeholders and values that fail validation (e.g. Luhn) alone
+        if (value.includes('[REDACTED_') || (detector.validate && !detector.validate(value))) {
+          return match;
+        }
+
+        const placeholder = placeholderFor(detector.type, value, source);
+        return detector.group ? match.replace(value, placeholder) : placeholder;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Redact every string value of a flat object (e.g. follow-up answers)
+   * @param {Object} fields - Object with string values
+   * @param {string} source - Source prefix; each field is recorded as "source:key"
+   * @returns {Object}
+   */
+  function redactFields(fields, source) {
+    return Object.fromEntries(Object.entries(fields || {})
+      .map(([key, value]) => [key, redact(value, `${source}:${key}`)]));
+  }
+
+  /**
+   * Redaction audit: placeholders, types, counts and sources (no raw values)
+   * @returns {{entries: Object[], total: number}}
+   */
+  function getAudit() {
+    const list = [...entries.values()];
+    return {
+      entries: list,
+      total: list.reduce((sum, entry) => sum + entry.count, 0)
+    };
+  }
+
+  return { redact, redactFields, getAudit };
+}
+
+module.exports = {
+  configure,
+  createRedactor,
+  isLuhnValid
+};
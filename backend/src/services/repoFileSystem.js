@@ -0,0 +1,30 @@
+/**
+ * Repository File System
+ *
+ * The file system interface the report controller reads code through
+ * (listFiles, searchFiles, searchChunks, readFile), backed by the repository
+ * index, code retrieval and the file access sandbox. Shared by every route
+ * that analyzes reports.
+ */
+
+const repoIndex = require('./repoIndex');
+const retrieval = require('./retrieval');
+const fileAccess = require('./fileAccess');
+
+module.exports = {
+  async listFiles(repoPath) {
+    return repoIndex.listFiles(repoPath);
+  },
+  
+  async searchFiles(repoPath, query, limit) {
+    return repoIndex.searchFiles(repoPath, query, limit);
+  },
+  
+  async searchChunks(repoPath, query, topK) {
+    return retrieval.searchChunks(repoPath, query, { topK });
+  },
+  
+  async readFile(filePath) {
+    return fileAccess.readFile(filePath);
+  }
+};
@@ -0,0 +1,483 @@
+/**
+ * Repository Index Service
+ *
+ * Maintains a persistent, incrementally-updated index of each repository
+ * (file tree, sizes, mtimes, symbols and exports) so that requests query the
+ * index instead of re-walking the repository every time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isExcluded } = require('./fileAccess');
+
+/**
+ * Directories that are never indexed
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', 'dist']);
+
+/**
+ * Only include relevant file types (Python and JVM sources so stack traces resolve)
+ */
+const INDEXED_FILE_PATTERN = /\.(js|jsx|ts|tsx|mjs|cjs|css|html|json|py|java|kt)$/;
+
+/**
+ * Files larger than this are listed but not parsed for symbols
+ */
+const MAX_SYMBOL_FILE_SIZE = 512 * 1024;
+
+/**
+ * Bump when the persisted index format changes
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * Service configuration
+ */
+let indexDir = path.resolve('.bug-report-index');
+let watchEnabled = false;
+let maxAgeMs = 10 * 60 * 1000;
+
+/**
+ * Loaded indexes keyed by absolute repository path
+ */
+const indexes = new Map();
+
+/**
+ * Configure the index service
+ * @param {Object} config - Configuration object
+ * @param {string} [config.indexDir] - Directory where indexes are persisted
+ * @param {boolean} [config.watch] - Keep indexes fresh with a file watcher
+ * @param {number} [config.maxAgeMs] - Refresh unwatched indexes older than this
+ */
+function configure(config = {}) {
+  if (config.indexDir) {
+    indexDir = path.resolve(config.indexDir);
+  }
+  if (config.watch !== undefined) {
+    watchEnabled = Boolean(config.watch);
+  }
+  if (config.maxAgeMs) {
+    maxAgeMs = config.maxAgeMs;
+  }
+}
+
+/**
+ * Directory where indexes (and derived data such as embeddings) are persisted
+ * @returns {string}
+ */
+function getIndexDir() {
+  return indexDir;
+}
+
+/**
+ * Extract top-level symbols and exports from JavaScript/TypeScript source
+ * @param {string} content - File content
+ * @returns {{symbols: Object[], exports: string[]}}
+ */
+function extractSymbols(content) {
+  const symbols = [];
+  const exports = new Set();
+  const lines = content.split('\n');
+
+  const declarationPatterns = [
+    { kind: 'function', pattern: /^\s*(?<exported>export\s+)?(default\s+)?(async\s+)?function\s*\*?\s*(?<name>[A-Za-z_$][\w$]*)/ },
+    { kind: 'class', pattern: /^\s*(?<exported>export\s+)?(default\s+)?class\s+(?<name>[A-Za-z_$][\w$]*)/ },
+    { kind: 'function', pattern: /^\s*(?<exported>export\s+)?(const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)\s*=\s*(async\s+)?(\([^)]*\)|[A-Za-z_$][\w$]*)\s*=>/ },
+    { kind: 'variable', pattern: /^(?<exported>export\s+)?(const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)\s*=/ },
+    { kind: 'type', pattern: /^\s*(?<exported>export\s+)?(interface|type|enum)\s+(?<name>[A-Za-z_$][\w$]*)/ }
+  ];
+
+  lines.forEach((line, index) => {
+    for (const { kind, pattern } of declarationPatterns) {
+      const match = line.match(pattern);
+      if (match) {
+        symbols.push({ name: match.groups.name, kind, line: index + 1 });
+        if (match.groups.exported) {
+          exports.add(match.groups.name);
+        }
+        break;
+      }
+    }
+  });
+
+  // CommonJS exports: module.exports = { a, b: c } and exports.name = ...
+  const moduleExports = content.match(/module\.exports\s*=\s*\{([^}]*)\}/);
+  if (moduleExports) {
+    moduleExports[1].split(',')
+      .map(entry => entry.split(':')[0].trim())
+      .filter(name => /^[A-Za-z_$][\w$]*$/.test(name))
+      .forEach(name => exports.add(name));
+  }
+  const singleExport = content.match(/module\.exports\s*=\s*([A-Za-z_$][\w$]*)\s*;?/);
+  if (singleExport) {
+    exports.add(singleExport[1]);
+  }
+  for (const match of content.matchAll(/exports\.([A-Za-z_$][\w$]*)\s*=/g)) {
+    exports.add(match[1]);
+  }
+
+  return { symbols, exports: [...exports] };
+}
+
+/**
+ * Build an index entry for a single file
+ * @param {string} filePath - Absolute file path
+ * @param {fs.Stats} stat - File stats
+ * @returns {Promise<Object>} - Index entry
+ */
+async function indexFile(filePath, stat) {
+  const entry = {
+    path: filePath,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    symbols: [],
+    exports: []
+  };
+
+  if (/\.(js|jsx|ts|tsx)$/.test(filePath) && stat.size <= MAX_SYMBOL_FILE_SIZE) {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      Object.assign(entry, extractSymbols(content));
+    } catch (error) {
+      console.warn(`Warning: Could not parse symbols in ${filePath}: ${error.message}`);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Walk the repository and collect stats for every indexable file,
+ * skipping .gitignore'd paths and deny-listed secrets
+ * @param {string} repoPath - Repository root
+ * @param {string} dir - Directory to walk
+ * @param {Map<string, fs.Stats>} found - Accumulator of file stats
+ * @returns {Promise<Map<string, fs.Stats>>}
+ */
+async function walkRepository(repoPath, dir = repoPath, found = new Map()) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    console.warn(`Warning: Could not read directory ${dir}: ${error.message}`);
+    return found;
+  }
+
+  for (const entry of entries) {
+    if (IGNORED_DIRECTORIES.has(entry.name)) {
+      continue;
+    }
+
+    const filePath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!await isExcluded(repoPath, filePath, true)) {
+        await walkRepository(repoPath, filePath, found);
+      }
+    } else if (entry.isFile() && INDEXED_FILE_PATTERN.test(entry.name) && !await isExcluded(repoPath, filePath)) {
+      try {
+        found.set(filePath, await fs.promises.stat(filePath));
+      } catch (error) {
+        console.warn(`Warning: Could not stat ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Location of the persisted index for a repository
+ * @param {string} repoPath - Absolute repository path
+ * @returns {string}
+ */
+function indexFilePath(repoPath) {
+  const hash = crypto.createHash('sha1').update(repoPath).digest('hex').substring(0, 16);
+  return path.join(indexDir, `${hash}.json`);
+}
+
+/**
+ * Load a persisted index from disk
+ * @param {string} repoPath - Absolute repository path
+ * @returns {Promise<Object|null>}
+ */
+async function loadIndex(repoPath) {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(indexFilePath(repoPath), 'utf8'));
+    if (data.version !== INDEX_VERSION || data.repoPath !== repoPath) {
+      return null;
+    }
+    return {
+      repoPath,
+      files: new Map(data.files.map(entry => [entry.path, entry])),
+      updatedAt: data.updatedAt
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Persist an index to disk
+ * @param {Object} index - Repository index
+ */
+async function saveIndex(index) {
+  try {
+    await fs.promises.mkdir(indexDir, { recursive: true });
+    await fs.promises.writeFile(indexFilePath(index.repoPath), JSON.stringify({
+      version: INDEX_VERSION,
+      repoPath: index.repoPath,
+      updatedAt: index.updatedAt,
+      files: [...index.files.values()]
+    }));
+  } catch (error) {
+    console.warn(`Warning: Could not persist index for ${index.repoPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Incrementally refresh an index, re-parsing only added or modified files
+ * @param {Object} index - Repository index
+ * @param {Object} options - Refresh options
+ * @param {boolean} [options.full] - Re-parse every file regardless of mtime
+ * @returns {Promise<Object>} - Counts of added, updated and removed files
+ */
+async function refreshIndex(index, options = {}) {
+  const stats = await walkRepository(index.repoPath);
+  const summary = { added: 0, updated: 0, removed: 0, total: stats.size };
+
+  for (const filePath of index.files.keys()) {
+    if (!stats.has(filePath)) {
+      index.files.delete(filePath);
+      summary.removed++;
+    }
+  }
+
+  for (const [filePath, stat] of stats) {
+    const existing = index.files.get(filePath);
+    if (!options.full && existing && existing.mtimeMs === stat.mtimeMs && existing.size === stat.size) {
+      continue;
+    }
+    index.files.set(filePath, await indexFile(filePath, stat));
+    summary[existing ? 'updated' : 'added']++;
+  }
+
+  index.updatedAt = new Date().toISOString();
+  index.pendingChanges = new Set();
+  await saveIndex(index);
+
+  return summary;
+}
+
+/**
+ * Apply file changes reported by the watcher
+ * @param {Object} index - Repository index
+ */
+async function applyPendingChanges(index) {
+  const changed = [...index.pendingChanges];
+  index.pendingChanges.clear();
+
+  for (const filePath of changed) {
+    try {
+      // lstat so symlinks created under the repository are never followed
+      const stat = await fs.promises.lstat(filePath);
+      if (stat.isFile() && !await isExcluded(index.repoPath, filePath)) {
+        index.files.set(filePath, await indexFile(filePath, stat));
+      } else {
+        index.files.delete(filePath);
+      }
+    } catch (error) {
+      // File was removed
+      index.files.delete(filePath);
+    }
+  }
+
+  index.updatedAt = new Date().toISOString();
+  await saveIndex(index);
+}
+
+/**
+ * Start watching a repository for changes
+ * @param {Object} index - Repository index
+ */
+function watchIndex(index) {
+  try {
+    index.watcher = fs.watch(index.repoPath, { recursive: true }, (eventType, fileName) => {
+      if (!fileName) {
+        return;
+      }
+      const segments = fileName.split(path.sep);
+      if (segments.some(segment => IGNORED_DIRECTORIES.has(segment)) || !INDEXED_FILE_PATTERN.test(fileName)) {
+        return;
+      }
+      index.pendingChanges.add(path.join(index.repoPath, fileName));
+    });
+    index.watcher.on('error', error => {
+      console.warn(`Warning: Stopped watching ${index.repoPath}: ${error.message}`);
+      index.watcher = null;
+    });
+  } catch (error) {
+    console.warn(`Warning: Could not watch ${index.repoPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Refresh an index, one refresh at a time: callers during a refresh get the
+ * running one, and a full refresh runs after it
+ * @param {Object} index - Repository index
+ * @param {Object} [options] - See refreshIndex
+ * @returns {Promise<Object>} - Refresh summary
+ */
+function refreshOnce(index, options = {}) {
+  if (index.refreshing && !options.full) {
+    return index.refreshing;
+  }
+
+  const running = index.refreshing || Promise.resolve();
+  const refresh = running
+    .catch(() => {})
+    .then(() => refreshIndex(index, options))
+    .finally(() => {
+      if (index.refreshing === refresh) {
+        index.refreshing = null;
+      }
+    });
+  index.refreshing = refresh;
+  return refresh;
+}
+
+/**
+ * Build an index on first use: load the persisted copy, refresh it and start watching
+ * @param {Object} index - Empty repository index
+ * @returns {Promise<Object>} - Refresh summary
+ */
+async function buildIndex(index) {
+  const persisted = await loadIndex(index.repoPath);
+  if (persisted) {
+    index.files = persisted.files;
+    index.updatedAt = persisted.updatedAt;
+  }
+
+  const summary = await refreshIndex(index);
+  if (watchEnabled) {
+    watchIndex(index);
+  }
+  return summary;
+}
+
+/**
+ * Get the up-to-date index for a repository, building it on first use
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Object>} - Repository index
+ */
+async function getIndex(repoPath) {
+  const resolvedPath = path.resolve(repoPath);
+  let index = indexes.get(resolvedPath);
+
+  if (!index) {
+    // Registered before the first await, so concurrent first requests wait for the same build
+    index = { repoPath: resolvedPath, files: new Map(), updatedAt: null, pendingChanges: new Set(), refreshing: null };
+    indexes.set(resolvedPath, index);
+    const build = buildIndex(index).finally(() => {
+      if (index.refreshing === build) {
+        index.refreshing = null;
+      }
+    });
+    index.refreshing = build;
+  }
+
+  // A partly built or refreshed index isn't served
+  if (index.refreshing) {
+    await index.refreshing;
+    return index;
+  }
+
+  if (index.watcher) {
+    if (index.pendingChanges.size > 0) {
+      await applyPendingChanges(index);
+    }
+  } else if (Date.now() - new Date(index.updatedAt).getTime() > maxAgeMs) {
+    await refreshOnce(index);
+  }
+
+  return index;
+}
+
+/**
+ * Rebuild or incrementally refresh the index for a repository
+ * @param {string} repoPath - Path to the repository
+ * @param {Object} options - Refresh options
+ * @param {boolean} [options.full] - Re-parse every file
+ * @returns {Promise<Object>} - Refresh summary
+ */
+async function reindex(repoPath, options = {}) {
+  const resolvedPath = path.resolve(repoPath);
+
+  if (!indexes.has(resolvedPath)) {
+    const index = await getIndex(resolvedPath);
+    return { repoPath: resolvedPath, updatedAt: index.updatedAt, total: index.files.size };
+  }
+
+  const index = indexes.get(resolvedPath);
+  const summary = await refreshOnce(index, options);
+  return { repoPath: resolvedPath, updatedAt: index.updatedAt, ...summary };
+}
+
+/**
+ * List every indexed file in a repository
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(repoPath) {
+  const index = await getIndex(repoPath);
+  return [...index.files.keys()];
+}
+
+/**
+ * Rank indexed files against a free-text query using path, symbol and export matches
+ * @param {string} repoPath - Path to the repository
+ * @param {string} query - Free-text query, e.g. a bug description
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Promise<Object[]>} - Index entries with a relevance score, best first
+ */
+async function searchFiles(repoPath, query, limit = 50) {
+  const index = await getIndex(repoPath);
+  const keywords = [...new Set(query.toLowerCase().split(/[^a-z0-9_$]+/).filter(word => word.length > 2))];
+
+  return [...index.files.values()]
+    .map(entry => {
+      const lowerPath = path.relative(index.repoPath, entry.path).toLowerCase();
+      const symbolNames = entry.symbols.map(symbol => symbol.name.toLowerCase());
+      const score = keywords.reduce((sum, keyword) =>
+        sum +
+        (lowerPath.includes(keyword) ? 2 : 0) +
+        (symbolNames.some(name => name.includes(keyword)) ? 1 : 0), 0);
+      return { ...entry, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Stop all file watchers (used on shutdown and in tests)
+ */
+function closeWatchers() {
+  for (const index of indexes.values()) {
+    if (index.watcher) {
+      index.watcher.close();
+      index.watcher = null;
+    }
+  }
+}
+
+module.exports = {
+  configure,
+  getIndexDir,
+  getIndex,
+  reindex,
+  listFiles,
+  searchFiles,
+  extractSymbols,
+  closeWatchers
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const repoIndex = require('./repoIndex');
+
+let tmpDir;
+let repo;
+
+/**
+ * Number of times the repository root was walked since the spy was set up
+ */
+function rootWalks() {
+  return fs.promises.readdir.mock.calls.filter(([dir]) => dir === repo).length;
+}
+
+beforeAll(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'repo-index-test-'));
+  repo = path.join(tmpDir, 'shop');
+  await fs.promises.mkdir(path.join(repo, 'src'), { recursive: true });
+  await fs.promises.writeFile(path.join(repo, 'src', 'cart.js'), 'function applyDiscount() {}\nmodule.exports = { applyDiscount };\n');
+  await fs.promises.writeFile(path.join(repo, 'src', 'checkout.js'), 'export function checkout() {}\n');
+
+  repoIndex.configure({ indexDir: path.join(tmpDir, 'index'), watch: false });
+});
+
+afterAll(async () => {
+  repoIndex.closeWatchers();
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(fs.promises, 'readdir');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('repository index', () => {
+  test('is built once for concurrent first requests', async () => {
+    const indexes = await Promise.all([
+      repoIndex.getIndex(repo),
+      repoIndex.getIndex(repo),
+      repoIndex.listFiles(repo)
+    ]);
+
+    expect(indexes[0]).toBe(indexes[1]);
+    expect(indexes[0].files.size).toBe(2);
+    expect(indexes[2]).toHaveLength(2);
+    expect(rootWalks()).toBe(1);
+  });
+
+  test('is refreshed once for requests during a refresh', async () => {
+    repoIndex.configure({ maxAgeMs: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const refreshing = repoIndex.reindex(repo);
+    await Promise.all([repoIndex.getIndex(repo), repoIndex.searchFiles(repo, 'discount'), refreshing]);
+
+    expect(rootWalks()).toBe(1);
+    repoIndex.configure({ maxAgeMs: 10 * 60 * 1000 });
+  });
+
+  test('runs a full reindex after the refresh in progress', async () => {
+    const index = await repoIndex.getIndex(repo);
+    index.updatedAt = null;
+
+    const [, summary] = await Promise.all([repoIndex.getIndex(repo), repoIndex.reindex(repo, { full: true })]);
+
+    expect(summary).toEqual(expect.objectContaining({ updated: 2, total: 2 }));
+    expect(rootWalks()).toBe(2);
+  });
+});
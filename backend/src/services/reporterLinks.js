@@ -0,0 +1,121 @@
+/**
+ * Reporter Links
+ *
+ * Links in the emails sent to reporters:
+ *
+ * - follow-up: opens the follow-up form of one report without signing in
+ *   (`APP_URL?report=<id>&token=<token>`); the token only authenticates that
+ *   report's follow-up endpoints (see the report link auth provider) and
+ *   expires
+ * - unsubscribe: stops all emails to the reporter's address
+ *   (`PUBLIC_API_URL/notifications/unsubscribe?token=<token>`)
+ *
+ * Both are signed with the notification secret; without one no links are
+ * generated.
+ */
+
+const { createToken, verifyToken } = require('../utils/signedTokens');
+
+const FOLLOW_UP_PURPOSE = 'follow_up';
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+
+let settings = {
+  secret: null,
+  appUrl: 'http://localhost:3000',
+  apiUrl: 'http://localhost:3001',
+  followUpDays: 14
+};
+
+/**
+ * Configure link signing and the URLs links point to
+ * @param {Object} config - Configuration object
+ * @param {string} [config.secret] - Secret links are signed with
+ * @param {string} [config.appUrl] - URL of the page hosting the bug report form
+ * @param {string} [config.apiUrl] - Public URL of this API
+ * @param {number} [config.followUpDays] - Days a follow-up link stays valid (default 14)
+ */
+function configure(config = {}) {
+  settings = {
+    secret: config.secret || null,
+    appUrl: (config.appUrl || 'http://localhost:3000').replace(/\/$/, ''),
+    apiUrl: (config.apiUrl || 'http://localhost:3001').replace(/\/$/, ''),
+    followUpDays: config.followUpDays > 0 ? config.followUpDays : 14
+  };
+}
+
+/**
+ * Whether links can be generated
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(settings.secret);
+}
+
+/**
+ * Normalized form of an email address (unsubscribes apply to the address in any case)
+ * @param {string} email - Email address
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Link to a report's follow-up form
+ * @param {Object} report - Stored report
+ * @returns {string|null}
+ */
+function followUpUrl(report) {
+  if (!isConfigured()) {
+    return null;
+  }
+  const token = createToken(FOLLOW_UP_PURPOSE, { report: report.id }, settings.secret, {
+    expiresInSeconds: settings.followUpDays * 24 * 60 * 60
+  });
+  const separator = settings.appUrl.includes('?') ? '&' : '?';
+  return `${settings.appUrl}${separator}report=${encodeURIComponent(report.id)}&token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Link that unsubscribes an address from reporter emails
+ * @param {string} email - Reporter's email address
+ * @returns {string|null}
+ */
+function unsubscribeUrl(email) {
+  if (!isConfigured()) {
+    return null;
+  }
+  const token = createToken(UNSUBSCRIBE_PURPOSE, { email: normalizeEmail(email) }, settings.secret);
+  return `${settings.apiUrl}/notifications/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Report a follow-up link token opens
+ * @param {string} token - Token from the link
+ * @param {string} [secret] - Signing secret (defaults to the configured one)
+ * @returns {string|null} - Report ID, or null for an invalid or expired token
+ */
+function verifyFollowUpToken(token, secret = settings.secret) {
+  const claims = verifyToken(token, FOLLOW_UP_PURPOSE, secret);
+  return claims && typeof claims.report === 'string' ? claims.report : null;
+}
+
+/**
+ * Address an unsubscribe link token is for
+ * @param {string} token - Token from the link
+ * @returns {string|null} - Normalized email address, or null for an invalid token
+ */
+function verifyUnsubscribeToken(token) {
+  const claims = verifyToken(token, UNSUBSCRIBE_PURPOSE, settings.secret);
+  return claims && typeof claims.email === 'string' ? claims.email : null;
+}
+
+module.exports = {
+  configure,
+  isConfigured,
+  normalizeEmail,
+  followUpUrl,
+  unsubscribeUrl,
+  verifyFollowUpToken,
+  verifyUnsubscribeToken
+};
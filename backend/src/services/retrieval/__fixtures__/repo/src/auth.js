@@ -0,0 +1,35 @@
+/**
+ * Login sessions
+ */
+
+const sessions = new Map();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Whether a password is long enough
+ */
+function validatePassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+}
+
+/**
+ * Start a session for a user after checking the password
+ */
+function login(user, password) {
+  if (!validatePassword(password) || password !== user.password) {
+    throw new Error('Invalid username or password');
+  }
+  const token = `${user.id}-${Date.now()}`;
+  sessions.set(token, user.id);
+  return token;
+}
+
+/**
+ * End a session
+ */
+function logout(token) {
+  sessions.delete(token);
+}
+
+module.exports = { validatePassword, login, logout };
@@ -0,0 +1,46 @@
+/**
+ * Shopping cart
+ */
+
+const { formatCurrency } = require('./format');
+
+const TAX_RATE = 0.2;
+
+/**
+ * Total of the cart's items including tax
+ */
+function calculateTotal(cart) {
+  if (!cart.items || cart.items.length === 0) {
+    return 0;
+  }
+  const subtotal = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return Math.round(subtotal * (1 + TAX_RATE) * 100) / 100;
+}
+
+/**
+ * Apply a percentage discount code to the cart total
+ */
+function applyDiscount(cart, code) {
+  const total = calculateTotal(cart);
+  if (!code || !code.percent) {
+    return total;
+  }
+  return total - (total * code.percent) / 100;
+}
+
+/**
+ * Remove every item from the cart
+ */
+function emptyCart(cart) {
+  cart.items = [];
+  return cart;
+}
+
+/**
+ * Checkout summary line shown above the pay button
+ */
+function checkoutSummary(cart) {
+  return `${cart.items.length} items, total ${formatCurrency(calculateTotal(cart))}`;
+}
+
+module.exports = { calculateTotal, applyDiscount, emptyCart, checkoutSummary };
@@ -0,0 +1,12 @@
+/**
+ * Formatting helpers
+ */
+
+/**
+ * Format an amount of money for display
+ */
+function formatCurrency(amount, currency = 'EUR') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+module.exports = { formatCurrency };
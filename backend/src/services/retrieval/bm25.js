@@ -0,0 +1,82 @@
+/**
+ * BM25 Content Index
+ *
+ * Okapi BM25 ranking over chunk contents. Used as the keyword fallback when
+ * no embedder is available, replacing path-substring matching.
+ */
+
+const { tokenize } = require('./tokenizer');
+
+/**
+ * BM25 tuning constants
+ */
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Build a BM25 index over a set of documents
+ * @param {Object[]} documents - Documents with a `text` field (path is indexed too when present)
+ * @returns {Object} - Index with a search(query, topK) method
+ */
+function createBm25Index(documents) {
+  const termFrequencies = [];
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  for (const document of documents) {
+    const terms = tokenize(`${document.path || ''}\n${document.text}`);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const term of frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    termFrequencies.push({ frequencies, length: terms.length });
+    totalLength += terms.length;
+  }
+
+  const averageLength = documents.length > 0 ? totalLength / documents.length : 0;
+
+  /**
+   * Inverse document frequency (BM25+ variant, always positive)
+   */
+  function idf(term) {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+  }
+
+  return {
+    size: documents.length,
+
+    /**
+     * Rank documents against a query
+     * @param {string} query - Free-text query
+     * @param {number} topK - Maximum results
+     * @returns {Array<{document: Object, score: number}>} - Matches with score > 0, best first
+     */
+    search(query, topK = 10) {
+      const queryTerms = [...new Set(tokenize(query))];
+
+      return termFrequencies
+        .map(({ frequencies, length }, index) => {
+          const score = queryTerms.reduce((sum, term) => {
+            const tf = frequencies.get(term);
+            if (!tf) {
+              return sum;
+            }
+            const denominator = tf + K1 * (1 - B + B * (length / (averageLength || 1)));
+            return sum + idf(term) * ((tf * (K1 + 1)) / denominator);
+          }, 0);
+          return { document: documents[index], score };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    }
+  };
+}
+
+module.exports = {
+  createBm25Index
+};
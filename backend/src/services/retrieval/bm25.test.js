@@ -0,0 +1,37 @@
+const { createBm25Index } = require('./bm25');
+
+const DOCUMENTS = [
+  { path: 'src/cart.js', text: 'function calculateTotal(cart) { return cart.items.reduce(sum, 0); }' },
+  { path: 'src/cart.js', text: 'function applyDiscount(cart, code) { const total = calculateTotal(cart); }' },
+  { path: 'src/auth.js', text: 'function login(user, password) { validatePassword(password); }' }
+];
+
+describe('createBm25Index', () => {
+  test('ranks documents by query term relevance', () => {
+    const matches = createBm25Index(DOCUMENTS).search('discount code applied to the total', 10);
+
+    expect(matches[0].document).toBe(DOCUMENTS[1]);
+    expect(matches.map(match => match.document)).not.toContain(DOCUMENTS[2]);
+    expect(matches[0].score).toBeGreaterThan(matches[1].score);
+  });
+
+  test('matches identifiers split on camelCase and file paths', () => {
+    const index = createBm25Index(DOCUMENTS);
+
+    expect(index.search('password validation', 10)[0].document).toBe(DOCUMENTS[2]);
+    expect(index.search('auth', 10).map(match => match.document)).toEqual([DOCUMENTS[2]]);
+  });
+
+  test('limits results to topK and drops documents without matching terms', () => {
+    const index = createBm25Index(DOCUMENTS);
+
+    expect(index.search('cart', 1)).toHaveLength(1);
+    expect(index.search('invoice pdf export', 10)).toEqual([]);
+  });
+
+  test('handles an empty index', () => {
+    const index = createBm25Index([]);
+    expect(index.size).toBe(0);
+    expect(index.search('cart', 10)).toEqual([]);
+  });
+});
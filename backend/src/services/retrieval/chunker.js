@@ -0,0 +1,80 @@
+/**
+ * Source Chunker
+ *
+ * Splits source files into line-ranged chunks aligned to top-level symbol
+ * boundaries where possible, so each chunk is roughly one function or class.
+ */
+
+/**
+ * Chunk sizing (in lines)
+ */
+const MIN_CHUNK_LINES = 10;
+const MAX_CHUNK_LINES = 80;
+const WINDOW_OVERLAP = 10;
+
+/**
+ * Split a long line range into overlapping fixed-size windows
+ * @param {number} start - First line (1-based, inclusive)
+ * @param {number} end - Last line (inclusive)
+ * @returns {Array<[number, number]>}
+ */
+function windowRange(start, end) {
+  const ranges = [];
+  for (let from = start; from <= end; from += MAX_CHUNK_LINES - WINDOW_OVERLAP) {
+    const to = Math.min(from + MAX_CHUNK_LINES - 1, end);
+    ranges.push([from, to]);
+    if (to === end) {
+      break;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Chunk a file's content
+ * @param {string} content - File content
+ * @param {Object[]} symbols - Symbols from the repository index ({ name, line })
+ * @returns {Object[]} - Chunks with { startLine, endLine, symbol, text }
+ */
+function chunkFile(content, symbols = []) {
+  const lines = content.split('\n');
+  if (lines.length === 0 || content.trim() === '') {
+    return [];
+  }
+
+  // Segment boundaries start at each symbol declaration
+  const boundaries = [...new Set([1, ...symbols.map(symbol => symbol.line)])]
+    .filter(line => line >= 1 && line <= lines.length)
+    .sort((a, b) => a - b);
+
+  const segments = [];
+  boundaries.forEach((start, index) => {
+    const end = index + 1 < boundaries.length ? boundaries[index + 1] - 1 : lines.length;
+    const symbol = symbols.find(item => item.line === start);
+    const previous = segments[segments.length - 1];
+
+    // Merge tiny segments (imports, one-line constants) into their predecessor
+    if (previous && previous.endLine - previous.startLine + 1 < MIN_CHUNK_LINES) {
+      previous.endLine = end;
+      previous.symbol = previous.symbol || (symbol && symbol.name);
+      return;
+    }
+    segments.push({ startLine: start, endLine: end, symbol: symbol ? symbol.name : null });
+  });
+
+  const chunks = [];
+  for (const segment of segments) {
+    for (const [startLine, endLine] of windowRange(segment.startLine, segment.endLine)) {
+      const text = lines.slice(startLine - 1, endLine).join('\n');
+      if (text.trim() !== '') {
+        chunks.push({ startLine, endLine, symbol: segment.symbol, text });
+      }
+    }
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  chunkFile
+};
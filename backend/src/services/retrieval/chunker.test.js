@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { chunkFile } = require('./chunker');
+
+const CART = fs.readFileSync(path.join(__dirname, '__fixtures__/repo/src/cart.js'), 'utf8');
+
+describe('chunkFile', () => {
+  test('returns no chunks for empty content', () => {
+    expect(chunkFile('')).toEqual([]);
+    expect(chunkFile('\n  \n')).toEqual([]);
+  });
+
+  test('starts a chunk at each symbol and merges short segments into the next symbol', () => {
+    const chunks = chunkFile(CART, [
+      { name: 'calculateTotal', line: 12 },
+      { name: 'applyDiscount', line: 23 },
+      { name: 'emptyCart', line: 34 },
+      { name: 'checkoutSummary', line: 42 }
+    ]);
+
+    // emptyCart spans fewer than 10 lines, so checkoutSummary joins its chunk
+    expect(chunks.map(chunk => [chunk.startLine, chunk.endLine, chunk.symbol])).toEqual([
+      [1, 11, null],
+      [12, 22, 'calculateTotal'],
+      [23, 33, 'applyDiscount'],
+      [34, CART.split('\n').length, 'emptyCart']
+    ]);
+    expect(chunks[0].text).toContain('const TAX_RATE = 0.2;');
+    expect(chunks[3].text).toContain('function checkoutSummary');
+  });
+
+  test('splits long segments into overlapping windows', () => {
+    const content = Array.from({ length: 200 }, (_, i) => `line${i + 1}();`).join('\n');
+    const chunks = chunkFile(content);
+
+    expect(chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([[1, 80], [71, 150], [141, 200]]);
+    expect(chunks[1].text.split('\n')[0]).toBe('line71();');
+  });
+});
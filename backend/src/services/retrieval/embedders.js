@@ -0,0 +1,141 @@
+/**
+ * Embedders
+ *
+ * Pluggable text embedders for semantic code retrieval. Every embedder
+ * exposes { name, dimensions, embed(texts) -> Promise<number[][]> }.
+ *
+ * - hash: local, deterministic feature-hashing embedder (no network, stable
+ *   across runs, suitable for offline use and tests)
+ * - openai: OpenAI embeddings API
+ */
+
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { tokenize } = require('./tokenizer');
+
+/**
+ * Scale a vector to unit length
+ * @param {number[]} vector
+ * @returns {number[]}
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Create the local deterministic hashing embedder
+ * @param {Object} config - Embedder configuration
+ * @param {number} [config.dimensions] - Vector size (defaults to 384)
+ * @returns {Object} - Embedder
+ */
+function createHashEmbedder(config = {}) {
+  const dimensions = config.dimensions || 384;
+
+  /**
+   * Hash a feature into a signed bucket
+   */
+  function bucket(feature) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    return {
+      index: digest.readUInt32LE(0) % dimensions,
+      sign: digest[4] & 1 ? 1 : -1
+    };
+  }
+
+  return {
+    name: `hash-${dimensions}`,
+    dimensions,
+
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        const terms = tokenize(text);
+        const counts = new Map();
+
+        // Unigrams plus adjacent-term bigrams for a little word-order signal
+        terms.forEach((term, index) => {
+          counts.set(term, (counts.get(term) || 0) + 1);
+          if (index > 0) {
+            const bigram = `${terms[index - 1]}_${term}`;
+            counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+          }
+        });
+
+        for (const [feature, count] of counts) {
+          const { index, sign } = bucket(feature);
+          vector[index] += sign * (1 + Math.log(count));
+        }
+
+        return normalize(vector);
+      });
+    }
+  };
+}
+
+/**
+ * Create an OpenAI embeddings embedder
+ * @param {Object} config - Embedder configuration
+ * @param {string} config.apiKey - OpenAI API key
+ * @param {string} [config.model] - Embedding model (defaults to text-embedding-3-small)
+ * @returns {Object} - Embedder
+ */
+function createOpenAIEmbedder(config) {
+  const client = new OpenAI({ apiKey: config.apiKey });
+  const model = config.model || 'text-embedding-3-small';
+  const batchSize = 100;
+
+  return {
+    name: `openai-${model}`,
+    dimensions: null,
+
+    async embed(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const response = await client.embeddings.create({
+          model,
+          input: texts.slice(i, i + batchSize).map(text => text.substring(0, 8000))
+        });
+        vectors.push(...response.data.map(item => item.embedding));
+      }
+      return vectors;
+    }
+  };
+}
+
+/**
+ * Build an embedder from configuration
+ * @param {Object|string} config - Embedder name, config object, or a custom embedder instance
+ * @returns {Object} - Embedder
+ */
+function createEmbedder(config = {}) {
+  if (typeof config === 'string') {
+    config = { type: config };
+  }
+
+  // Allow callers to inject their own embedder implementation
+  if (typeof config.embed === 'function') {
+    return config;
+  }
+
+  switch (config.type) {
+    case 'openai':
+      if (!config.apiKey) {
+        console.warn('OpenAI embedder requested without an API key, using local hash embedder');
+        return createHashEmbedder(config);
+      }
+      return createOpenAIEmbedder(config);
+    case 'hash':
+    case undefined:
+      return createHashEmbedder(config);
+    default:
+      throw new Error(`Unknown embedder type: ${config.type}`);
+  }
+}
+
+module.exports = {
+  createEmbedder,
+  createHashEmbedder,
+  createOpenAIEmbedder,
+  normalize
+};
@@ -0,0 +1,62 @@
+const { createEmbedder, createHashEmbedder } = require('./embedders');
+
+/**
+ * Cosine similarity of unit vectors
+ */
+function similarity(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+describe('hash embedder', () => {
+  test('is deterministic across instances', async () => {
+    const [first] = await createHashEmbedder().embed(['Checkout total is wrong after a discount']);
+    const [second] = await createHashEmbedder().embed(['Checkout total is wrong after a discount']);
+
+    expect(first).toEqual(second);
+    expect(first).toHaveLength(384);
+  });
+
+  test('returns unit vectors of the configured size', async () => {
+    const [vector] = await createHashEmbedder({ dimensions: 64 }).embed(['calculateTotal(cart)']);
+
+    expect(vector).toHaveLength(64);
+    expect(similarity(vector, vector)).toBeCloseTo(1, 10);
+  });
+
+  test('places related texts closer than unrelated ones', async () => {
+    const [query, related, unrelated] = await createHashEmbedder().embed([
+      'cart total applies the discount twice',
+      'function applyDiscount(cart, code) { const total = calculateTotal(cart); }',
+      'function login(user, password) { validatePassword(password); }'
+    ]);
+
+    expect(similarity(query, related)).toBeGreaterThan(similarity(query, unrelated));
+  });
+
+  test('leaves empty text as a zero vector', async () => {
+    const [vector] = await createHashEmbedder({ dimensions: 8 }).embed(['']);
+    expect(vector).toEqual(new Array(8).fill(0));
+  });
+});
+
+describe('createEmbedder', () => {
+  test('defaults to the hash embedder', () => {
+    expect(createEmbedder().name).toBe('hash-384');
+    expect(createEmbedder('hash').name).toBe('hash-384');
+  });
+
+  test('falls back to the hash embedder when OpenAI has no API key', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(createEmbedder({ type: 'openai' }).name).toBe('hash-384');
+    warn.mockRestore();
+  });
+
+  test('accepts a custom embedder instance', () => {
+    const custom = { name: 'custom', dimensions: 2, embed: async texts => texts.map(() => [1, 0]) };
+    expect(createEmbedder(custom)).toBe(custom);
+  });
+
+  test('rejects unknown embedder types', () => {
+    expect(() => createEmbedder('word2vec')).toThrow('Unknown embedder type: word2vec');
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Code Retrieval Service
+ *
+ * Chunks indexed source files, embeds the chunks with a pluggable embedder,
+ * stores the vectors locally and returns the top-k chunks for a bug
+ * description. Falls back to a BM25 content index when embedding fails.
+ */
+
+const fs = require('fs');
+const repoIndex = require('../repoIndex');
+const { chunkFile } = require('./chunker');
+const { createEmbedder } = require('./embedders');
+const { createBm25Index } = require('./bm25');
+const { loadStore, saveStore, searchStore } = require('./vectorStore');
+const { createRedactor } = require('../redaction');
+
+/**
+ * Files larger than this are not chunked
+ */
+const MAX_CHUNKED_FILE_SIZE = 256 * 1024;
+
+/**
+ * Active embedder
+ */
+let embedder = createEmbedder('hash');
+
+/**
+ * Loaded stores and their BM25 indexes keyed by repository path
+ */
+const stores = new Map();
+
+/**
+ * Configure the retrieval service
+ * @param {Object} config - Configuration object
+ * @param {Object|string} [config.embedder] - Embedder name, config, or custom embedder instance
+ */
+function configure(config = {}) {
+  if (config.embedder) {
+    embedder = createEmbedder(config.embedder);
+    stores.clear();
+  }
+}
+
+/**
+ * Bring the chunk store for a repository in line with its index, re-chunking
+ * and re-embedding only files whose size or mtime changed
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Object>} - Store with a cached BM25 index
+ */
+async function syncRepository(repoPath) {
+  const index = await repoIndex.getIndex(repoPath);
+  let store = stores.get(index.repoPath);
+
+  if (!store) {
+    store = await loadStore(repoIndex.getIndexDir(), index.repoPath, embedder.name);
+    stores.set(index.repoPath, store);
+  }
+
+  let changed = false;
+
+  for (const filePath of store.files.keys()) {
+    if (!index.files.has(filePath)) {
+      store.files.delete(filePath);
+      changed = true;
+    }
+  }
+
+  for (const [filePath, entry] of index.files) {
+    const existing = store.files.get(filePath);
+    if (existing && existing.mtimeMs === entry.mtimeMs && existing.size === entry.size) {
+      continue;
+    }
+
+    let chunks = [];
+    if (entry.size <= MAX_CHUNKED_FILE_SIZE) {
+      try {
+        chunks = chunkFile(await fs.promises.readFile(filePath, 'utf8'), entry.symbols);
+      } catch (error) {
+        console.warn(`Warning: Could not chunk ${filePath}: ${error.message}`);
+      }
+    }
+
+    store.files.set(filePath, { mtimeMs: entry.mtimeMs, size: entry.size, chunks });
+    changed = true;
+  }
+
+  // Embed new chunks, plus any left unembedded by an earlier failure
+  // (redacted, since remote embedders receive the text)
+  const pending = [...store.files.values()].flatMap(entry => entry.chunks.filter(chunk => !chunk.vector));
+  if (pending.length > 0) {
+    try {
+      const redactor = createRedactor();
+      const vectors = await embedder.embed(pending.map(chunk => redactor.redact(chunk.text, 'embedding')));
+      pending.forEach((chunk, i) => {
+        chunk.vector = vectors[i];
+      });
+      changed = true;
+    } catch (error) {
+      console.error(`Error embedding chunks with ${embedder.name}:`, error);
+    }
+  }
+
+  if (changed || !store.bm25) {
+    store.bm25 = createBm25Index(
+      [...store.files].flatMap(([filePath, entry]) =>
+        entry.chunks.map(chunk => ({ ...chunk, path: filePath })))
+    );
+  }
+
+  if (changed) {
+    await saveStore(repoIndex.getIndexDir(), store);
+  }
+
+  return store;
+}
+
+/**
+ * Shape a chunk for callers (vectors are internal)
+ */
+function toResult(filePath, chunk, score, method) {
+  return {
+    path: filePath,
+    startLine: chunk.startLine,
+    endLine: chunk.endLine,
+    symbol: chunk.symbol,
+    text: chunk.text,
+    score,
+    method
+  };
+}
+
+/**
+ * Retrieve the chunks most relevant to a query
+ * @param {string} repoPath - Path to the repository
+ * @param {string} query - Free-text query, e.g. a bug description
+ * @param {Object} options - Search options
+ * @param {number} [options.topK] - Maximum number of chunks (defaults to 20)
+ * @param {string} [options.method] - Force 'bm25' to skip embeddings
+ * @returns {Promise<Object[]>} - Chunks with { path, startLine, endLine, symbol, text, score, method }
+ */
+async function searchChunks(repoPath, query, options = {}) {
+  const topK = options.topK || 20;
+  const store = await syncRepository(repoPath);
+
+  if (options.method !== 'bm25') {
+    try {
+      const [queryVector] = await embedder.embed([query]);
+      const matches = searchStore(store, queryVector, topK);
+      if (matches.length > 0) {
+        return matches.map(match => toResult(match.path, match.chunk, match.score, 'semantic'));
+      }
+    } catch (error) {
+      console.error(`Error embedding query with ${embedder.name}:`, error);
+      // Fall through to BM25
+    }
+  }
+
+  console.log('Using BM25 content index for retrieval');
+  return store.bm25.search(query, topK)
+    .map(match => toResult(match.document.path, match.document, match.score, 'bm25'));
+}
+
+/**
+ * Rank files by aggregating their best chunk scores
+ * @param {Object[]} chunks - Results from searchChunks
+ * @returns {string[]} - File paths, best first
+ */
+function rankFiles(chunks) {
+  const fileScores = new Map();
+  for (const chunk of chunks) {
+    fileScores.set(chunk.path, Math.max(fileScores.get(chunk.path) || 0, chunk.score));
+  }
+  return [...fileScores]
+    .sort((a, b) => b[1] - a[1])
+    .map(([filePath]) => filePath);
+}
+
+module.exports = {
+  configure,
+  syncRepository,
+  searchChunks,
+  rankFiles
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const repoIndex = require('../repoIndex');
+const retrieval = require('./index');
+
+const REPO_PATH = path.join(__dirname, '__fixtures__/repo');
+
+let indexDir;
+
+beforeAll(async () => {
+  indexDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'retrieval-test-'));
+  repoIndex.configure({ indexDir });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await fs.promises.rm(indexDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  retrieval.configure({ embedder: 'hash' });
+});
+
+describe('searchChunks', () => {
+  test('returns the top-k chunks by semantic similarity', async () => {
+    const chunks = await retrieval.searchChunks(REPO_PATH, 'the discount is applied to the cart total twice', { topK: 2 });
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks.every(chunk => chunk.method === 'semantic')).toBe(true);
+    expect(chunks[0].path).toBe(path.join(REPO_PATH, 'src/cart.js'));
+    expect(chunks[0].score).toBeGreaterThanOrEqual(chunks[1].score);
+    expect(chunks[0]).toEqual(expect.objectContaining({
+      startLine: expect.any(Number),
+      endLine: expect.any(Number),
+      text: expect.stringContaining('Discount')
+    }));
+    expect(chunks[0]).not.toHaveProperty('vector');
+  });
+
+  test('gives the same results on every run', async () => {
+    const query = 'login fails with a valid password';
+    const first = await retrieval.searchChunks(REPO_PATH, query, { topK: 3 });
+    retrieval.configure({ embedder: 'hash' });
+    const second = await retrieval.searchChunks(REPO_PATH, query, { topK: 3 });
+
+    expect(second).toEqual(first);
+    expect(first[0].path).toBe(path.join(REPO_PATH, 'src/auth.js'));
+  });
+
+  test('persists the embedded chunks next to the repository index', async () => {
+    await retrieval.searchChunks(REPO_PATH, 'cart', { topK: 1 });
+    const stores = (await fs.promises.readdir(indexDir)).filter(name => name.endsWith('.vectors.json'));
+    expect(stores).toHaveLength(1);
+  });
+
+  test('uses the BM25 index when asked to skip embeddings', async () => {
+    const chunks = await retrieval.searchChunks(REPO_PATH, 'password', { topK: 5, method: 'bm25' });
+
+    expect(chunks.length).toBeGreaterThan(0);
+    expect(chunks.every(chunk => chunk.method === 'bm25')).toBe(true);
+    expect(chunks[0].path).toBe(path.join(REPO_PATH, 'src/auth.js'));
+  });
+
+  test('falls back to BM25 when the embedder fails', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    retrieval.configure({
+      embedder: { name: 'failing', dimensions: 3, embed: async () => { throw new Error('embedding service down'); } }
+    });
+
+    const chunks = await retrieval.searchChunks(REPO_PATH, 'currency format', { topK: 3 });
+
+    expect(chunks[0]).toEqual(expect.objectContaining({ method: 'bm25', path: path.join(REPO_PATH, 'src/format.js') }));
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
+
+describe('rankFiles', () => {
+  test('orders files by their best chunk score', () => {
+    expect(retrieval.rankFiles([
+      { path: 'a.js', score: 0.2 },
+      { path: 'b.js', score: 0.5 },
+      { path: 'a.js', score: 0.9 }
+    ])).toEqual(['a.js', 'b.js']);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Code-aware Tokenizer
+ *
+ * Splits prose and source code into lowercase terms, breaking identifiers on
+ * camelCase, snake_case and kebab-case boundaries so "getUserName" matches
+ * "user name" in a bug description.
+ */
+
+/**
+ * Terms too common to carry any signal
+ */
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'this', 'that', 'with', 'from', 'they', 'when', 'what', 'then',
+  'there', 'which', 'their', 'will', 'would', 'should', 'could', 'into', 'just', 'like', 'also',
+  'const', 'let', 'var', 'return', 'function', 'import', 'export', 'require', 'module', 'exports',
+  'true', 'false', 'null', 'undefined', 'new', 'else', 'async', 'await'
+]);
+
+/**
+ * Tokenize text into normalized terms
+ * @param {string} text - Prose or source code
+ * @returns {string[]} - Terms in order of appearance (with repeats)
+ */
+function tokenize(text) {
+  const terms = [];
+  const words = text.match(/[A-Za-z][A-Za-z0-9]*/g) || [];
+
+  for (const word of words) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .split(' ');
+
+    if (parts.length > 1) {
+      const whole = word.toLowerCase();
+      if (!STOP_WORDS.has(whole)) {
+        terms.push(whole);
+      }
+    }
+
+    for (const part of parts) {
+      if (part.length > 2 && !STOP_WORDS.has(part)) {
+        terms.push(part);
+      }
+    }
+  }
+
+  return terms;
+}
+
+module.exports = {
+  tokenize
+};
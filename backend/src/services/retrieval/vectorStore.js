@@ -0,0 +1,114 @@
+/**
+ * Local Vector Store
+ *
+ * Persists chunk embeddings per repository as JSON next to the repository
+ * index and answers cosine-similarity queries in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Bump when the persisted store format changes
+ */
+const STORE_VERSION = 1;
+
+/**
+ * Location of the persisted store for a repository
+ * @param {string} storeDir - Directory for persisted stores
+ * @param {string} repoPath - Absolute repository path
+ * @returns {string}
+ */
+function storeFilePath(storeDir, repoPath) {
+  const hash = crypto.createHash('sha1').update(repoPath).digest('hex').substring(0, 16);
+  return path.join(storeDir, `${hash}.vectors.json`);
+}
+
+/**
+ * Load the vector store for a repository, or an empty one if none exists or
+ * it was built with a different embedder
+ * @param {string} storeDir - Directory for persisted stores
+ * @param {string} repoPath - Absolute repository path
+ * @param {string} embedderName - Name of the active embedder
+ * @returns {Promise<Object>} - Store with a `files` map of path -> { mtimeMs, size, chunks }
+ */
+async function loadStore(storeDir, repoPath, embedderName) {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(storeFilePath(storeDir, repoPath), 'utf8'));
+    if (data.version === STORE_VERSION && data.repoPath === repoPath && data.embedder === embedderName) {
+      return { repoPath, embedder: embedderName, files: new Map(Object.entries(data.files)) };
+    }
+  } catch (error) {
+    // No persisted store yet
+  }
+
+  return { repoPath, embedder: embedderName, files: new Map() };
+}
+
+/**
+ * Persist a vector store to disk
+ * @param {string} storeDir - Directory for persisted stores
+ * @param {Object} store - Vector store
+ */
+async function saveStore(storeDir, store) {
+  try {
+    await fs.promises.mkdir(storeDir, { recursive: true });
+    await fs.promises.writeFile(storeFilePath(storeDir, store.repoPath), JSON.stringify({
+      version: STORE_VERSION,
+      repoPath: store.repoPath,
+      embedder: store.embedder,
+      files: Object.fromEntries(store.files)
+    }));
+  } catch (error) {
+    console.warn(`Warning: Could not persist vector store for ${store.repoPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Find the chunks most similar to a query vector
+ * @param {Object} store - Vector store
+ * @param {number[]} queryVector - Embedded query
+ * @param {number} topK - Maximum results
+ * @returns {Array<{chunk: Object, path: string, score: number}>} - Best first
+ */
+function searchStore(store, queryVector, topK = 10) {
+  const matches = [];
+
+  for (const [filePath, entry] of store.files) {
+    for (const chunk of entry.chunks) {
+      if (chunk.vector) {
+        matches.push({ chunk, path: filePath, score: cosineSimilarity(queryVector, chunk.vector) });
+      }
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+module.exports = {
+  loadStore,
+  saveStore,
+  searchStore,
+  cosineSimilarity
+};
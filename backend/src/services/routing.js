@@ -0,0 +1,308 @@
+/**
+ * Issue Routing
+ *
+ * Works out who should own a report from the files its analysis touched:
+ * the project's `routing.paths` rules and the repository's CODEOWNERS file
+ * (with owners mapped to teams through `routing.owners`) pick a team, a
+ * component label and a suggested assignee, and `git blame` over the
+ * analyzed line ranges lists the people who changed that code most recently.
+ *
+ * Example project routing:
+ * {
+ *   "paths": [{ "pattern": "src/payments/**", "teamId": "PAY_TEAM_ID", "component": "payments" }],
+ *   "owners": { "@acme/checkout": { "teamId": "CHECKOUT_TEAM_ID", "component": "checkout" } }
+ * }
+ */
+
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { blameRanges } = require('../utils/git');
+
+/**
+ * Where CODEOWNERS may live in a repository, in GitHub's lookup order
+ */
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Parsed CODEOWNERS files are reloaded after this long
+ */
+const CODEOWNERS_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Analyzed files (in analysis order) that take part in routing and blame
+ */
+const MAX_ROUTED_FILES = 10;
+const MAX_BLAMED_FILES = 5;
+
+/**
+ * Recent committers suggested per report
+ */
+const MAX_RECENT_COMMITTERS = 3;
+
+const MATCH_OPTIONS = { dot: true };
+
+let blameEnabled = true;
+let blameTimeoutMs = 5000;
+
+/**
+ * Parsed CODEOWNERS rules keyed by repository root
+ */
+const codeownersCache = new Map();
+
+/**
+ * Configure routing
+ * @param {Object} config - Configuration object
+ * @param {boolean} [config.blame] - Suggest recent committers from git blame (default true)
+ * @param {number} [config.blameTimeoutMs] - Time limit for each git blame call
+ */
+function configure(config = {}) {
+  if (config.blame !== undefined) {
+    blameEnabled = config.blame;
+  }
+  if (config.blameTimeoutMs) {
+    blameTimeoutMs = config.blameTimeoutMs;
+  }
+  codeownersCache.clear();
+}
+
+/**
+ * Turn a CODEOWNERS pattern into globs relative to the repository root
+ * @param {string} pattern - Pattern such as "*.js", "/docs/" or "src/payments/*"
+ * @returns {string[]}
+ */
+function toGlobs(pattern) {
+  const directory = pattern.endsWith('/');
+  const trimmed = pattern.replace(/\/+$/, '');
+  const anchored = trimmed.includes('/');
+  const glob = anchored ? trimmed.replace(/^\//, '') : `**/${trimmed}`;
+
+  if (directory) {
+    return [`${glob}/**`];
+  }
+  // "docs/*" owns only the files directly inside docs; other patterns also own directory contents
+  return glob.endsWith('/*') ? [glob] : [glob, `${glob}/**`];
+}
+
+/**
+ * Parse a CODEOWNERS file
+ * @param {string} content - File content
+ * @returns {Object[]} - Rules in file order as { pattern, globs, owners }
+ */
+function parseCodeowners(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    // GitLab section headers ("[Docs]", "^[Optional]") group rules but don't change matching
+    .filter(line => line && !/^\^?\[/.test(line))
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, globs: toGlobs(pattern), owners };
+    });
+}
+
+/**
+ * Load the CODEOWNERS rules of a repository
+ * @param {string} repoPath - Repository root
+ * @param {Object} fileSystem - File system interface (readFile)
+ * @returns {Promise<Object[]>} - Rules, empty when the repository has no CODEOWNERS
+ */
+async function loadCodeowners(repoPath, fileSystem) {
+  const cached = codeownersCache.get(repoPath);
+  if (cached && Date.now() - cached.loadedAt < CODEOWNERS_CACHE_TTL_MS) {
+    return cached.rules;
+  }
+
+  let rules = [];
+  for (const location of CODEOWNERS_LOCATIONS) {
+    try {
+      rules = parseCodeowners(await fileSystem.readFile(path.join(repoPath, location)));
+      break;
+    } catch (error) {
+      // Not at this location, try the next one
+    }
+  }
+
+  codeownersCache.set(repoPath, { rules, loadedAt: Date.now() });
+  return rules;
+}
+
+/**
+ * The last rule matching a path, as in CODEOWNERS
+ * @param {Object[]} rules - Rules with globs
+ * @param {string} relativePath - Path relative to the repository root
+ * @returns {Object|null}
+ */
+function lastMatch(rules, relativePath) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].globs.some(glob => minimatch(relativePath, glob, MATCH_OPTIONS))) {
+      return rules[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Routing decided for one file: a project path rule wins over CODEOWNERS,
+ * field by field
+ * @param {string} relativePath - Path relative to the repository root
+ * @param {Object[]} codeowners - The repository's CODEOWNERS rules
+ * @param {Object} routing - Project routing ({ paths, owners })
+ * @returns {Object|null} - { source, pattern, owners, teamId, component, assignee }
+ */
+function routeFile(relativePath, codeowners, routing) {
+  const pathRules = (routing.paths || []).map(rule => ({ ...rule, globs: toGlobs(rule.pattern) }));
+  const pathRule = lastMatch(pathRules, relativePath);
+  const ownerRule = lastMatch(codeowners, relativePath);
+  const owners = ownerRule ? ownerRule.owners : [];
+
+  if (!pathRule && owners.length === 0) {
+    return null;
+  }
+
+  // The first owner with a team mapping gives team and component; individual owners can be assigned
+  const mapped = owners.map(owner => (routing.owners || {})[owner]).find(Boolean) || {};
+  const person = owners.find(owner => !owner.includes('/'));
+  const rule = pathRule || {};
+  return {
+    source: pathRule ? 'routing' : 'codeowners',
+    pattern: (pathRule || ownerRule).pattern,
+    owners,
+    teamId: rule.teamId || mapped.teamId || null,
+    component: rule.component || mapped.component || null,
+    assignee: rule.assignee || mapped.assignee || person || null
+  };
+}
+
+/**
+ * Pick the value with the most weight across files
+ * @param {Object[]} matches - Per-file matches with a weight
+ * @param {string} field - Field to vote on
+ * @returns {Object|null} - { value, files }
+ */
+function vote(matches, field) {
+  const tally = new Map();
+  for (const match of matches) {
+    if (!match[field]) {
+      continue;
+    }
+    const entry = tally.get(match[field]) || { value: match[field], weight: 0, files: [] };
+    entry.weight += match.weight;
+    entry.files.push(match.file);
+    tally.set(match[field], entry);
+  }
+
+  const [winner] = [...tally.values()].sort((a, b) => b.weight - a.weight);
+  return winner ? { value: winner.value, files: winner.files } : null;
+}
+
+/**
+ * People who most recently changed the analyzed code
+ * @param {Object[]} files - { repoPath, relativePath, ranges } for each file
+ * @returns {Promise<Object[]>} - [{ name, email, lines, last_commit_at }], most recent first
+ */
+async function findRecentCommitters(files) {
+  const authors = new Map();
+
+  for (const file of files.slice(0, MAX_BLAMED_FILES)) {
+    if (file.ranges.length === 0) {
+      continue;
+    }
+    try {
+      for (const line of await blameRanges(file.repoPath, file.relativePath, file.ranges, { timeout: blameTimeoutMs })) {
+        const author = authors.get(line.email) || { name: line.name, email: line.email, lines: 0, time: 0 };
+        author.lines++;
+        author.time = Math.max(author.time, line.time || 0);
+        authors.set(line.email, author);
+      }
+    } catch (error) {
+      console.warn(`git blame failed for ${file.relativePath}, skipping:`, error.message);
+    }
+  }
+
+  return [...authors.values()]
+    .sort((a, b) => b.time - a.time || b.lines - a.lines)
+    .slice(0, MAX_RECENT_COMMITTERS)
+    .map(author => ({
+      name: author.name,
+      email: author.email,
+      lines: author.lines,
+      last_commit_at: new Date(author.time * 1000).toISOString()
+    }));
+}
+
+/**
+ * Route a report to a team, component and assignee from the files it touches
+ * @param {Object} context - Routing inputs
+ * @param {string[]} context.files - Analyzed files (absolute paths, most relevant first)
+ * @param {Object[]} [context.snippetRanges] - Snippet manifest ({ path, startLine, endLine, status })
+ * @param {Object} context.project - Project with repoPaths and optional `routing: { paths, owners }`
+ * @param {Object} fileSystem - File system interface (readFile)
+ * @returns {Promise<Object>} - { team_id, component, assignee, owners, recent_committers, matches, reasons }
+ */
+async function routeReport(context, fileSystem) {
+  const { files = [], snippetRanges = [], project } = context;
+  const routing = project.routing || {};
+
+  // Files inside the project's repositories, most relevant first
+  const routedFiles = files
+    .map(file => {
+      const repoPath = project.repoPaths.find(root => file.startsWith(root + path.sep));
+      return repoPath ? { file, repoPath, relativePath: path.relative(repoPath, file).split(path.sep).join('/') } : null;
+    })
+    .filter(Boolean)
+    .slice(0, MAX_ROUTED_FILES);
+
+  const matches = [];
+  for (const [index, routedFile] of routedFiles.entries()) {
+    const codeowners = await loadCodeowners(routedFile.repoPath, fileSystem);
+    const match = routeFile(routedFile.relativePath, codeowners, routing);
+    if (match) {
+      // Earlier files (stack frames, top search hits) count for more
+      matches.push({ file: routedFile.relativePath, weight: 1 / (index + 1), ...match });
+    }
+  }
+
+  const team = vote(matches, 'teamId');
+  const component = vote(matches, 'component');
+  const assignee = vote(matches, 'assignee');
+  const owners = [...new Set(matches.flatMap(match => match.owners))];
+
+  const recentCommitters = blameEnabled
+    ? await findRecentCommitters(routedFiles.map(routedFile => ({
+      ...routedFile,
+      ranges: snippetRanges.filter(range => range.path === routedFile.file && range.status !== 'excluded')
+    })))
+    : [];
+
+  const reasons = [];
+  if (team) {
+    reasons.push(`team ${team.value} owns ${team.files.slice(0, 3).join(', ')}`);
+  }
+  if (component) {
+    reasons.push(`component ${component.value} covers ${component.files.slice(0, 3).join(', ')}`);
+  }
+  if (assignee) {
+    reasons.push(`${assignee.value} owns ${assignee.files.slice(0, 3).join(', ')}`);
+  }
+
+  return {
+    team_id: team ? team.value : null,
+    component: component ? component.value : null,
+    assignee: assignee ? assignee.value : null,
+    owners,
+    recent_committers: recentCommitters,
+    matches: matches.map(({ weight, ...match }) => ({
+      file: match.file,
+      source: match.source,
+      pattern: match.pattern,
+      owners: match.owners
+    })),
+    reasons
+  };
+}
+
+module.exports = {
+  configure,
+  parseCodeowners,
+  routeReport
+};
@@ -0,0 +1,167 @@
+/**
+ * Severity Classifier
+ *
+ * Combines the model's severity judgement with signals from the report
+ * (data loss and security wording, crash and outage wording, how many users
+ * hit the problem, and whether it touches the project's critical components)
+ * into a severity level, a tracker priority and a justification explaining
+ * every point of the score.
+ */
+
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+/**
+ * Severity levels, most severe first, with the minimum score for each
+ */
+const SEVERITY_LEVELS = [
+  { level: 'critical', minScore: 70 },
+  { level: 'high', minScore: 45 },
+  { level: 'medium', minScore: 20 },
+  { level: 'low', minScore: 0 }
+];
+
+/**
+ * Tracker priority (urgent | high | medium | low) for each severity,
+ * overridable per project with `severity.priorities`
+ */
+const DEFAULT_PRIORITIES = {
+  critical: 'urgent',
+  high: 'high',
+  medium: 'medium',
+  low: 'low'
+};
+
+/**
+ * Points for the model's own severity judgement: enough to reach that level
+ * on its own, so the other signals can only escalate it
+ */
+const MODEL_POINTS = {
+  critical: 70,
+  high: 45,
+  medium: 20,
+  low: 0
+};
+
+/**
+ * Wording signals looked for in the reporter's description and the analysis
+ */
+const KEYWORD_SIGNALS = [
+  {
+    signal: 'security',
+    points: 30,
+    label: 'mentions a security problem',
+    pattern: /\b(security|vulnerab\w*|exploit\w*|xss|csrf|\w*injection|unauthori[sz]ed|privilege escalation|auth(entication)? bypass|(data|credentials?|passwords?|tokens?) (leak|exposed)\w*|leak(ed|ing|s)? (data|credentials?|passwords?|tokens?))\b/i
+  },
+  {
+    signal: 'data_loss',
+    points: 25,
+    label: 'mentions data loss or corruption',
+    pattern: /\b(data loss|lost (all |my |our |their )?(data|work|changes|orders?|files?)|(got|was|were|been|are|is) (deleted|wiped|erased)|wiped|corrupt(ed|ion)?|overwritten)\b/i
+  },
+  {
+    signal: 'outage',
+    points: 15,
+    label: 'describes a crash or outage',
+    pattern: /\b(crash(es|ed|ing)?|outage|(site|app|service|server|api) (is |was |went )?down|unavailable|unresponsive|hangs?|freez(es|ing)|500|can(not|'t) (log ?in|sign ?in|check ?out|pay))\b/i
+  }
+];
+
+/**
+ * Classify a report's severity
+ * @param {Object} context - Classification inputs
+ * @param {Object} context.reportJson - Model report (may carry `severity: { level, reason }`)
+ * @param {Object} [context.inputs] - Redacted reporter inputs (description, logs, steps)
+ * @param {string[]} [context.files] - Files involved in the analysis
+ * @param {number} [context.occurrences] - Reports of the same crash, including this one
+ * @param {number} [context.duplicateCount] - Likely duplicates found
+ * @param {Object} [context.project] - Project with optional `severity: { criticalPaths, priorities }`
+ * @returns {Object} - { level, priority, score, signals, justification }
+ */
+function classifySeverity(context) {
+  const { reportJson, inputs = {}, files = [], occurrences = 1, duplicateCount = 0, project } = context;
+  const projectSeverity = (project && project.severity) || {};
+  const signals = [];
+
+  // The model's judgement
+  const modelSeverity = reportJson.severity;
+  if (modelSeverity && MODEL_POINTS[modelSeverity.level] !== undefined) {
+    signals.push({
+      signal: 'model',
+      points: MODEL_POINTS[modelSeverity.level],
+      detail: `model assessed ${modelSeverity.level} severity${modelSeverity.reason ? ` (${modelSeverity.reason})` : ''}`
+    });
+  }
+
+  // Wording in the report and the analysis
+  const text = [inputs.description, inputs.steps, reportJson.title, reportJson.suspected_root_cause]
+    .filter(Boolean)
+    .join('\n');
+  for (const keyword of KEYWORD_SIGNALS) {
+    if (keyword.pattern.test(text)) {
+      signals.push({ signal: keyword.signal, points: keyword.points, detail: keyword.label });
+    }
+  }
+
+  // How many users are affected
+  if (occurrences >= 10) {
+    signals.push({ signal: 'affected_users', points: 20, detail: `same crash reported ${occurrences} times` });
+  } else if (occurrences >= 3) {
+    signals.push({ signal: 'affected_users', points: 10, detail: `same crash reported ${occurrences} times` });
+  }
+  if (duplicateCount > 0) {
+    signals.push({
+      signal: 'duplicates',
+      points: Math.min(duplicateCount * 5, 15),
+      detail: `${duplicateCount} similar report${duplicateCount === 1 ? '' : 's'} already filed`
+    });
+  }
+
+  // Critical components of the project
+  const criticalFiles = criticalFilesTouched(files, project, projectSeverity.criticalPaths || []);
+  if (criticalFiles.length > 0) {
+    signals.push({
+      signal: 'critical_component',
+      points: 15,
+      detail: `involves critical component${criticalFiles.length === 1 ? '' : 's'} ${criticalFiles.slice(0, 3).join(', ')}`
+    });
+  }
+
+  const score = Math.min(signals.reduce((sum, signal) => sum + signal.points, 0), 100);
+  const { level } = SEVERITY_LEVELS.find(candidate => score >= candidate.minScore);
+  const priority = { ...DEFAULT_PRIORITIES, ...projectSeverity.priorities }[level];
+
+  const justification = signals.length > 0
+    ? `${level.charAt(0).toUpperCase() + level.slice(1)} severity (score ${score}/100): ` +
+      signals.map(signal => `${signal.detail} (+${signal.points})`).join('; ') + '.'
+    : `Low severity (score 0/100): no severity signals found.`;
+
+  return { level, priority, score, signals, justification };
+}
+
+/**
+ * Files that fall under the project's critical path globs
+ * @param {string[]} files - Absolute file paths
+ * @param {Object} [project] - Project (for repository roots)
+ * @param {string[]} criticalPaths - Globs relative to a repository root
+ * @returns {string[]} - Matching files, relative to their repository
+ */
+function criticalFilesTouched(files, project, criticalPaths) {
+  if (!project || criticalPaths.length === 0) {
+    return [];
+  }
+
+  return files
+    .map(file => {
+      const repoPath = project.repoPaths.find(root => file.startsWith(root + path.sep));
+      return repoPath ? path.relative(repoPath, file).split(path.sep).join('/') : null;
+    })
+    .filter(relativePath => relativePath &&
+      criticalPaths.some(glob => minimatch(relativePath, glob, { dot: true })));
+}
+
+module.exports = {
+  classifySeverity,
+  SEVERITY_LEVELS: SEVERITY_LEVELS.map(({ level }) => level),
+  DEFAULT_PRIORITIES
+};
@@ -0,0 +1,188 @@
+/**
+ * Snippet Extraction Service
+ *
+ * Pulls only the relevant line ranges out of selected files, numbers the
+ * lines, and enforces a token budget across all files so the analysis prompt
+ * stays within model limits. Returns a manifest of which ranges were included,
+ * truncated or dropped so it can be stored with the report.
+ */
+
+/**
+ * Default token budget for all snippets in one prompt
+ */
+const DEFAULT_TOKEN_BUDGET = 12000;
+
+/**
+ * Lines taken from the top of a file that has no retrieved chunks
+ */
+const FALLBACK_HEAD_LINES = 80;
+
+/**
+ * Ranges that would be truncated below this many tokens are dropped instead
+ */
+const MIN_RANGE_TOKENS = 50;
+
+/**
+ * Rough token estimate (~4 characters per token for code)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Merge overlapping or adjacent line ranges
+ * @param {Object[]} ranges - Ranges with startLine/endLine
+ * @returns {Object[]} - Merged ranges sorted by startLine
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.startLine - b.startLine);
+  const merged = [];
+
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.startLine <= last.endLine + 1) {
+      last.endLine = Math.max(last.endLine, range.endLine);
+      last.truncated = last.truncated || range.truncated;
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Render a line range with line numbers
+ * @param {string[]} lines - File lines
+ * @param {Object} range - Range with startLine/endLine
+ * @returns {string}
+ */
+function renderRange(lines, range) {
+  const width = String(range.endLine).length;
+  return lines
+    .slice(range.startLine - 1, range.endLine)
+    .map((line, i) => `${String(range.startLine + i).padStart(width)} | ${line}`)
+    .join('\n');
+}
+
+/**
+ * Extract budgeted, line-numbered snippets from files
+ * @param {string[]} filePaths - Files selected for analysis, most relevant first
+ * @param {Object} fileSystem - File system interface with readFile
+ * @param {Object} options - Extraction options
+ * @param {Object[]} [options.ranges] - Ranges that take priority over chunks, e.g. stack frame windows ({ path, startLine, endLine, reason })
+ * @param {Object[]} [options.chunks] - Retrieved chunks ({ path, startLine, endLine, score })
+ * @param {number} [options.tokenBudget] - Token budget across all files
+ * @returns {Promise<{snippets: Object, ranges: Object[], tokensUsed: number, tokenBudget: number}>}
+ */
+async function extractSnippets(filePaths, fileSystem, options = {}) {
+  const tokenBudget = options.tokenBudget || DEFAULT_TOKEN_BUDGET;
+  const chunks = options.chunks || [];
+  const priorityRanges = options.ranges || [];
+
+  // Load each file once
+  const fileLines = new Map();
+  const readErrors = {};
+  for (const filePath of filePaths) {
+    try {
+      fileLines.set(filePath, (await fileSystem.readFile(filePath)).split('\n'));
+    } catch (error) {
+      console.error(`Error reading file ${filePath}:`, error);
+      readErrors[filePath] = error.message;
+    }
+  }
+
+  // Build candidate ranges in priority order: explicit ranges, retrieved chunks, then file heads
+  const candidates = [];
+  for (const range of priorityRanges) {
+    if (fileLines.has(range.path)) {
+      candidates.push({ ...range, reason: range.reason || 'priority' });
+    }
+  }
+  for (const chunk of [...chunks].sort((a, b) => b.score - a.score)) {
+    if (fileLines.has(chunk.path)) {
+      candidates.push({ path: chunk.path, startLine: chunk.startLine, endLine: chunk.endLine, reason: 'retrieval' });
+    }
+  }
+  for (const [filePath, lines] of fileLines) {
+    if (!candidates.some(candidate => candidate.path === filePath)) {
+      candidates.push({ path: filePath, startLine: 1, endLine: Math.min(lines.length, FALLBACK_HEAD_LINES), reason: 'file_head' });
+    }
+  }
+
+  // Greedily fill the budget, truncating the range that crosses it
+  let tokensUsed = 0;
+  const included = new Map();
+  const manifest = [];
+
+  for (const candidate of candidates) {
+    const lines = fileLines.get(candidate.path);
+    const startLine = Math.max(1, candidate.startLine);
+    const endLine = Math.min(lines.length, candidate.endLine);
+    if (endLine < startLine) {
+      continue;
+    }
+
+    // Skip ranges already fully covered by an included range
+    const fileRanges = included.get(candidate.path) || [];
+    if (fileRanges.some(range => range.startLine <= startLine && range.endLine >= endLine)) {
+      continue;
+    }
+
+    const remaining = tokenBudget - tokensUsed;
+    let lastLine = endLine;
+    let cost = estimateTokens(renderRange(lines, { startLine, endLine }));
+
+    if (cost > remaining) {
+      // Shrink line by line until it fits
+      while (lastLine > startLine && cost > remaining) {
+        lastLine--;
+        cost = estimateTokens(renderRange(lines, { startLine, endLine: lastLine }));
+      }
+      if (cost > remaining || cost < MIN_RANGE_TOKENS) {
+        manifest.push({ path: candidate.path, startLine, endLine, status: 'excluded', reason: candidate.reason });
+        continue;
+      }
+    }
+
+    const truncated = lastLine < endLine;
+    fileRanges.push({ startLine, endLine: lastLine, truncated });
+    included.set(candidate.path, fileRanges);
+    tokensUsed += cost;
+    manifest.push({
+      path: candidate.path,
+      startLine,
+      endLine: lastLine,
+      status: truncated ? 'truncated' : 'included',
+      requestedEndLine: truncated ? endLine : undefined,
+      reason: candidate.reason,
+      tokens: cost
+    });
+  }
+
+  // Render each file's merged ranges, in the original file order
+  const snippets = {};
+  for (const filePath of filePaths) {
+    if (readErrors[filePath]) {
+      snippets[filePath] = `Error reading file: ${readErrors[filePath]}`;
+      continue;
+    }
+    if (!included.has(filePath)) {
+      continue;
+    }
+    const lines = fileLines.get(filePath);
+    snippets[filePath] = mergeRanges(included.get(filePath))
+      .map(range => `Lines ${range.startLine}-${range.endLine}${range.truncated ? ' (truncated)' : ''}:\n${renderRange(lines, range)}`)
+      .join('\n...\n');
+  }
+
+  return { snippets, ranges: manifest, tokensUsed, tokenBudget };
+}
+
+module.exports = {
+  extractSnippets,
+  estimateTokens,
+  DEFAULT_TOKEN_BUDGET
+};
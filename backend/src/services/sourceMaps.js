@@ -0,0 +1,233 @@
+/**
+ * Source Map Resolver
+ *
+ * Decodes source map v3 mappings so stack frames pointing into minified
+ * bundles can be translated back to original source files and lines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directories (relative to the repository) searched for bundle source maps
+ */
+const DEFAULT_SOURCE_MAP_DIRS = ['dist', 'build', 'public', 'out', '.next/static'];
+
+/**
+ * Maximum directory depth searched for a source map
+ */
+const MAX_SEARCH_DEPTH = 6;
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode a base64 VLQ segment into integers
+ * @param {string} segment - Encoded segment
+ * @returns {number[]}
+ */
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_CHARS.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid VLQ character: ${char}`);
+    }
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      const negative = value & 1;
+      value >>>= 1;
+      values.push(negative ? -value : value);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Decode the `mappings` field into per-line segment lists with absolute values
+ * @param {string} mappings - Encoded mappings
+ * @returns {Array<Array<{generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex}>>}
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+  let nameIndex = 0;
+
+  for (const line of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+
+    for (const encoded of line.split(',')) {
+      if (!encoded) {
+        continue;
+      }
+      const fields = decodeVlq(encoded);
+      generatedColumn += fields[0];
+      if (fields.length >= 4) {
+        sourceIndex += fields[1];
+        originalLine += fields[2];
+        originalColumn += fields[3];
+        if (fields.length >= 5) {
+          nameIndex += fields[4];
+        }
+        segments.push({
+          generatedColumn,
+          sourceIndex,
+          originalLine,
+          originalColumn,
+          nameIndex: fields.length >= 5 ? nameIndex : null
+        });
+      }
+    }
+
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+/**
+ * Parsed source maps keyed by map file path, and map locations keyed by bundle
+ */
+const mapCache = new Map();
+const mapLocationCache = new Map();
+
+/**
+ * Load and decode a source map file
+ * @param {string} mapPath - Path to the .map file
+ * @returns {Promise<Object|null>} - { sources, names, lines, mapPath } or null
+ */
+async function loadSourceMap(mapPath) {
+  if (mapCache.has(mapPath)) {
+    return mapCache.get(mapPath);
+  }
+
+  try {
+    const raw = JSON.parse(await fs.promises.readFile(mapPath, 'utf8'));
+    if (raw.sections) {
+      console.warn(`Warning: Indexed source maps are not supported (${mapPath})`);
+      return null;
+    }
+    const sourceRoot = raw.sourceRoot || '';
+    const map = {
+      mapPath,
+      sources: (raw.sources || []).map(source => sourceRoot && !source.startsWith(sourceRoot) ? `${sourceRoot.replace(/\/$/, '')}/${source}` : source),
+      names: raw.names || [],
+      lines: decodeMappings(raw.mappings || '')
+    };
+    mapCache.set(mapPath, map);
+    return map;
+  } catch (error) {
+    console.warn(`Warning: Could not load source map ${mapPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Look up the original position for a generated position
+ * @param {Object} map - Decoded source map
+ * @param {number} line - Generated line (1-based)
+ * @param {number} column - Generated column (1-based, as printed in stack traces)
+ * @returns {Object|null} - { source, line, column, name } (line 1-based) or null
+ */
+function originalPositionFor(map, line, column) {
+  const segments = map.lines[line - 1];
+  if (!segments || segments.length === 0) {
+    return null;
+  }
+
+  const target = Math.max(0, (column || 1) - 1);
+  let match = null;
+  for (const segment of segments) {
+    if (segment.generatedColumn > target) {
+      break;
+    }
+    match = segment;
+  }
+  match = match || segments[0];
+
+  return {
+    source: map.sources[match.sourceIndex],
+    line: match.originalLine + 1,
+    column: match.originalColumn + 1,
+    name: match.nameIndex !== null ? map.names[match.nameIndex] : null
+  };
+}
+
+/**
+ * Find a file by name under a directory (bounded depth, skipping node_modules)
+ * @param {string} dir - Directory to search
+ * @param {string} fileName - File name to find
+ * @param {number} depth - Current depth
+ * @returns {Promise<string|null>}
+ */
+async function findFile(dir, fileName, depth = 0) {
+  if (depth > MAX_SEARCH_DEPTH) {
+    return null;
+  }
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return null;
+  }
+
+  const direct = entries.find(entry => entry.isFile() && entry.name === fileName);
+  if (direct) {
+    return path.join(dir, direct.name);
+  }
+
+  for (const entry of entries) {
+    if (entry.isDirectory() && entry.name !== 'node_modules' && entry.name !== '.git') {
+      const found = await findFile(path.join(dir, entry.name), fileName, depth + 1);
+      if (found) {
+        return found;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Locate the source map for a bundle referenced by a stack frame
+ * @param {string} repoPath - Repository root
+ * @param {string} bundleName - Bundle file name (e.g. main.3f2a1c.js)
+ * @param {string[]} [sourceMapDirs] - Directories to search, relative to the repository
+ * @returns {Promise<string|null>} - Path to the .map file
+ */
+async function findSourceMap(repoPath, bundleName, sourceMapDirs = DEFAULT_SOURCE_MAP_DIRS) {
+  const cacheKey = `${repoPath}:${sourceMapDirs.join(',')}:${bundleName}`;
+  if (mapLocationCache.has(cacheKey)) {
+    return mapLocationCache.get(cacheKey);
+  }
+
+  let found = null;
+  for (const dir of sourceMapDirs) {
+    found = await findFile(path.join(repoPath, dir), `${bundleName}.map`);
+    if (found) {
+      break;
+    }
+  }
+
+  mapLocationCache.set(cacheKey, found);
+  return found;
+}
+
+module.exports = {
+  decodeVlq,
+  decodeMappings,
+  loadSourceMap,
+  originalPositionFor,
+  findSourceMap
+};
@@ -0,0 +1,232 @@
+/**
+ * Stack Trace Parser
+ *
+ * Extracts frames (file, function, line, column) and error messages from
+ * JavaScript/Node, browser, Python and Java stack traces, and resolves the
+ * frames against the indexed repository, following source maps for
+ * minified bundles.
+ */
+
+const path = require('path');
+const { loadSourceMap, originalPositionFor, findSourceMap } = require('./sourceMaps');
+
+/**
+ * Frame patterns per trace format
+ */
+const FRAME_PATTERNS = [
+  {
+    // V8 / Node: "    at fn (file:line:col)"
+    language: 'javascript',
+    pattern: /^\s*at\s+(?:async\s+)?(?:new\s+)?(.+?)\s+\((.+?):(\d+):(\d+)\)\s*$/,
+    map: match => ({ function: match[1], file: match[2], line: +match[3], column: +match[4] })
+  },
+  {
+    // V8 / Node anonymous: "    at file:line:col"
+    language: 'javascript',
+    pattern: /^\s*at\s+(?:async\s+)?((?:[a-z]+:\/\/|\/|\.|[A-Za-z]:\\)?[^\s()]+?):(\d+):(\d+)\s*$/,
+    map: match => ({ function: null, file: match[1], line: +match[2], column: +match[3] })
+  },
+  {
+    // Firefox / Safari: "fn@url:line:col" or "@url:line:col"
+    language: 'javascript',
+    pattern: /^\s*([^@\s]*)@(.+?):(\d+):(\d+)\s*$/,
+    map: match => ({ function: match[1] || null, file: match[2], line: +match[3], column: +match[4] })
+  },
+  {
+    // Python: '  File "path.py", line 42, in func'
+    language: 'python',
+    pattern: /^\s*File "(.+?)", line (\d+)(?:, in (.+))?\s*$/,
+    map: match => ({ function: match[3] || null, file: match[1], line: +match[2], column: null })
+  },
+  {
+    // Java: "\tat com.acme.Service.method(Service.java:123)"
+    language: 'java',
+    pattern: /^\s*at\s+([\w$.<>]+)\.([\w$<>]+)\(([\w$]+\.(?:java|kt|scala|groovy)):(\d+)\)\s*$/,
+    map: match => {
+      const className = match[1].split('$')[0];
+      const packagePath = className.split('.').slice(0, -1).join('/');
+      return {
+        function: `${match[1]}.${match[2]}`,
+        file: packagePath ? `${packagePath}/${match[3]}` : match[3],
+        line: +match[4],
+        column: null
+      };
+    }
+  }
+];
+
+/**
+ * Error message patterns (e.g. "TypeError: x is undefined", "java.lang.NullPointerException: ...")
+ */
+const ERROR_PATTERNS = [
+  /^\s*(?:Uncaught\s+)?((?:[\w$]+\.)*[\w$]*(?:Error|Exception|Warning))(?::\s*(.*))?$/,
+  /^\s*Caused by:\s*((?:[\w$]+\.)*[\w$]+)(?::\s*(.*))?$/,
+  /^\s*Exception in thread "[^"]*"\s+((?:[\w$]+\.)*[\w$]+)(?::\s*(.*))?$/
+];
+
+/**
+ * Parse stack traces out of free-form log text
+ * @param {string} text - Logs or pasted trace
+ * @returns {{frames: Object[], errors: Object[]}}
+ */
+function parseStackTrace(text) {
+  const frames = [];
+  const errors = [];
+
+  if (!text) {
+    return { frames, errors };
+  }
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+$/, '');
+
+    const frame = FRAME_PATTERNS
+      .map(({ language, pattern, map }) => {
+        const match = line.match(pattern);
+        return match ? { ...map(match), language, raw: line.trim() } : null;
+      })
+      .find(Boolean);
+
+    if (frame) {
+      frames.push(frame);
+      continue;
+    }
+
+    for (const pattern of ERROR_PATTERNS) {
+      const match = line.match(pattern);
+      if (match) {
+        errors.push({ type: match[1], message: (match[2] || '').trim() });
+        break;
+      }
+    }
+  }
+
+  return { frames, errors };
+}
+
+/**
+ * Normalize a frame location into a relative-looking path
+ * (strips URL origins, query strings, webpack:// prefixes and leading ./)
+ * @param {string} file - Frame file or URL
+ * @returns {string}
+ */
+function normalizeFramePath(file) {
+  return file
+    .replace(/^file:\/\//, '')
+    .replace(/^webpack(-internal)?:\/\/\/?(\([^)]*\)\/)?/, '')
+    .replace(/^[a-z]+:\/\/[^/]+/i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\\/g, '/')
+    .replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Whether a frame points at third-party or runtime code
+ * @param {string} file - Normalized frame path
+ * @returns {boolean}
+ */
+function isExternalFrame(file) {
+  return /(^|\/)node_modules\//.test(file) ||
+    /^node:/.test(file) ||
+    /^internal\//.test(file) ||
+    /site-packages\//.test(file) ||
+    /^<.*>$/.test(file);
+}
+
+/**
+ * Find the indexed file that best matches a frame path by longest path suffix
+ * @param {string} framePath - Normalized frame path
+ * @param {string[]} repoFiles - Absolute paths of indexed files
+ * @returns {string|null}
+ */
+function matchRepoFile(framePath, repoFiles) {
+  const frameSegments = framePath.split('/').filter(Boolean);
+  if (frameSegments.length === 0) {
+    return null;
+  }
+
+  // A bare file name may match on its own; longer paths need a directory to agree too
+  const minimumScore = Math.min(2, frameSegments.length);
+  let best = null;
+  let bestScore = minimumScore - 1;
+
+  for (const repoFile of repoFiles) {
+    const fileSegments = repoFile.replace(/\\/g, '/').split('/');
+    let score = 0;
+    while (
+      score < frameSegments.length &&
+      score < fileSegments.length &&
+      frameSegments[frameSegments.length - 1 - score] === fileSegments[fileSegments.length - 1 - score]
+    ) {
+      score++;
+    }
+    if (score > bestScore) {
+      best = repoFile;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Resolve parsed frames to repository files and lines
+ * @param {Object[]} frames - Frames from parseStackTrace
+ * @param {string[]} repoPaths - Repository roots searched for source maps
+ * @param {string[]} repoFiles - Absolute paths of indexed files
+ * @param {Object} options - Resolution options
+ * @param {string[]} [options.sourceMapDirs] - Directories searched for bundle source maps
+ * @returns {Promise<Object[]>} - Frames with `resolvedFile`, `resolvedLine`, `external` and `sourceMapped`
+ */
+async function resolveFrames(frames, repoPaths, repoFiles, options = {}) {
+  const resolved = [];
+
+  for (const frame of frames) {
+    let framePath = normalizeFramePath(frame.file);
+    let line = frame.line;
+    let functionName = frame.function;
+    let sourceMapped = false;
+
+    if (isExternalFrame(framePath)) {
+      resolved.push({ ...frame, resolvedFile: null, resolvedLine: null, external: true, sourceMapped });
+      continue;
+    }
+
+    // Minified bundles: translate through the bundle's source map when one exists
+    if (frame.language === 'javascript') {
+      let mapPath = null;
+      for (const repoPath of repoPaths) {
+        mapPath = mapPath || await findSourceMap(repoPath, path.basename(framePath), options.sourceMapDirs);
+      }
+      const map = mapPath ? await loadSourceMap(mapPath) : null;
+      const original = map ? originalPositionFor(map, frame.line, frame.column) : null;
+      if (original && original.source) {
+        framePath = normalizeFramePath(original.source);
+        line = original.line;
+        functionName = original.name || functionName;
+        sourceMapped = true;
+      }
+    }
+
+    const absoluteMatch = path.isAbsolute(framePath) && repoFiles.includes(framePath) ? framePath : null;
+    const resolvedFile = absoluteMatch || matchRepoFile(framePath, repoFiles);
+
+    resolved.push({
+      ...frame,
+      function: functionName,
+      resolvedFile,
+      resolvedLine: resolvedFile ? line : null,
+      external: false,
+      sourceMapped
+    });
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  parseStackTrace,
+  resolveFrames,
+  normalizeFramePath,
+  matchRepoFile
+};
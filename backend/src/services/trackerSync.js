@@ -0,0 +1,265 @@
+/**
+ * Tracker Sync
+ *
+ * Keeps filed reports in step with the tracker issues they are filed under.
+ * Webhook deliveries apply issue changes as they happen, and a periodic
+ * reconciliation polls the issues of unfinished reports for deliveries that
+ * were missed:
+ *
+ * - issue closed: confirmed and duplicate reports become resolved
+ * - issue reopened: resolved reports go back to confirmed or duplicate
+ * - new comments are mirrored into the report (`tracker_comments`)
+ *
+ * Only changes of the issue's state are applied (the last state seen is kept
+ * in `tracker_issue_state`), so a report a triager resolved or reopened by
+ * hand isn't flipped back by the next poll. Reporters are notified of the
+ * status changes.
+ */
+
+const storage = require('../storage');
+const lifecycle = require('./lifecycle');
+const notifications = require('./notifications');
+const { createRedactor } = require('./redaction');
+const { getProject } = require('./projectRegistry');
+const { getTracker } = require('../trackers');
+
+/**
+ * States of reports whose issues are polled (closed reports are finished)
+ */
+const SYNCED_STATES = ['confirmed', 'duplicate', 'resolved'];
+
+/**
+ * Comments this service posts itself (see the report controller); they aren't mirrored back
+ */
+const SERVICE_COMMENT_HEADINGS = ['## Duplicate Report', '## Additional Information From User', '## Crash Group Update'];
+
+/**
+ * Most recent tracker comments kept on a report
+ */
+const MAX_MIRRORED_COMMENTS = 200;
+
+/**
+ * Reports loaded per reconciliation page
+ */
+const RECONCILE_PAGE_SIZE = 100;
+
+let reconcileTimer = null;
+let reconciling = null;
+
+/**
+ * Configure the periodic reconciliation
+ * @param {Object} config - Configuration object
+ * @param {number} [config.reconcileIntervalMinutes] - Minutes between reconciliations (0 or unset: never)
+ */
+function configure(config = {}) {
+  if (reconcileTimer) {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+  }
+
+  const minutes = config.reconcileIntervalMinutes;
+  if (minutes > 0) {
+    reconcileTimer = setInterval(() => {
+      reconcile()
+        .then(summary => {
+          if (summary.updated > 0 || summary.failed > 0) {
+            console.log(`Tracker reconciliation: ${summary.checked} checked, ${summary.updated} updated, ${summary.failed} failed`);
+          }
+        })
+        .catch(error => console.error('Tracker reconciliation failed:', error));
+    }, minutes * 60 * 1000);
+    // Don't keep the process alive just for the next run
+    reconcileTimer.unref();
+  }
+}
+
+/**
+ * Actor recorded for changes made by the tracker
+ */
+function trackerActor(tracker) {
+  return { type: 'tracker', id: tracker.name, name: tracker.displayName };
+}
+
+/**
+ * Tracker adapter for a report's issue, using its project's tracker overrides
+ */
+function reportTracker(report) {
+  const project = report.project ? getProject(report.project) : null;
+  return getTracker(report.tracker, project && project.tracker.type === report.tracker ? project.tracker : {});
+}
+
+/**
+ * Whether a comment was posted by this service
+ */
+function isServiceComment(body) {
+  return SERVICE_COMMENT_HEADINGS.some(heading => String(body || '').startsWith(heading));
+}
+
+/**
+ * State a report moves to when its issue changes state, or null
+ */
+function targetState(report, issueState) {
+  const state = lifecycle.currentState(report);
+  if (issueState === 'closed' && (state === 'confirmed' || state === 'duplicate')) {
+    return 'resolved';
+  }
+  if (issueState === 'open' && state === 'resolved') {
+    return lifecycle.reopenState(report);
+  }
+  return null;
+}
+
+/**
+ * Apply issue changes to a report: a state change and new comments
+ * @param {Object} report - Stored report
+ * @param {Object} tracker - Tracker adapter of its issue
+ * @param {Object} changes - { issue ({ state, resolution, stateName }), comments }
+ * @returns {Promise<Object|null>} - Updated report, or null when nothing changed
+ */
+async function applyIssueChanges(report, tracker, changes) {
+  const now = new Date().toISOString();
+  const updates = {};
+  let statusChange = null;
+
+  const issue = changes.issue;
+  if (issue && issue.state !== (report.tracker_issue_state || 'open')) {
+    updates.tracker_issue_state = issue.state;
+    const to = targetState(report, issue.state);
+    if (to) {
+      const actor = trackerActor(tracker);
+      const reason = `${tracker.displayName} issue ${issue.state === 'closed' ? 'closed' : 'reopened'}` +
+        `${issue.stateName ? ` (${issue.stateName})` : ''}`;
+      statusChange = { from: lifecycle.currentState(report), to, reason, actor, resolution: issue.resolution || null };
+      Object.assign(updates, lifecycle.transition(report, to, { actor, reason, at: now }));
+    }
+  }
+
+  // Comments are redacted like everything else stored on the report
+  const mirrored = report.tracker_comments || [];
+  const known = new Set(mirrored.map(comment => comment.id));
+  const redactor = createRedactor(report.redactions);
+  const added = (changes.comments || [])
+    .filter(comment => !known.has(comment.id) && !isServiceComment(comment.body))
+    .map(comment => ({ ...comment, body: redactor.redact(comment.body, 'mirrored_comment') }));
+  if (added.length > 0) {
+    updates.tracker_comments = [...mirrored, ...added].slice(-MAX_MIRRORED_COMMENTS);
+    updates.redactions = redactor.getAudit();
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return null;
+  }
+
+  // Comments arriving at the same moment can overwrite each other; the next reconciliation restores them
+  const updatedReport = await storage.reports.update(report.id, {
+    ...updates,
+    tracker_synced_at: now,
+    last_updated: now
+  }, { status: report.status === undefined ? null : report.status });
+  if (!updatedReport) {
+    console.warn(`Report ${report.id} changed while syncing it with ${tracker.displayName}; the next reconciliation retries`);
+    return null;
+  }
+
+  if (statusChange) {
+    await notifications.notify('status_changed', updatedReport, statusChange);
+  }
+  return updatedReport;
+}
+
+/**
+ * Reports filed under the issue a webhook event is about
+ */
+async function reportsForIssue(trackerName, event) {
+  const reports = await storage.reports.list({ tracker: trackerName, trackerIssueId: event.issueId, limit: 100 });
+  // Issue numbers are only unique within a repository, so the URL tells same-numbered issues apart
+  return event.url ? reports.filter(report => !report.tracker_issue_url || report.tracker_issue_url === event.url) : reports;
+}
+
+/**
+ * Apply the issue events of a verified webhook delivery
+ * @param {Object} tracker - Tracker adapter that received the delivery
+ * @param {Object[]} events - Events from the adapter's parseWebhook
+ * @returns {Promise<Object>} - { events, updated } (number of events and of reports changed)
+ */
+async function applyWebhookEvents(tracker, events) {
+  let updated = 0;
+  for (const event of events) {
+    const reports = await reportsForIssue(tracker.name, event);
+    for (const report of reports) {
+      const changes = event.type === 'issue_state'
+        ? { issue: { state: event.state, resolution: event.resolution, stateName: event.stateName } }
+        : { comments: [event.comment] };
+      if (await applyIssueChanges(report, tracker, changes)) {
+        updated += 1;
+      }
+    }
+  }
+  return { events: events.length, updated };
+}
+
+/**
+ * Poll the issues of every filed, unfinished report and apply what changed.
+ * Runs one at a time; a call while a run is in progress gets that run's result.
+ * @returns {Promise<Object>} - { checked, updated, failed }
+ */
+async function reconcile() {
+  if (!reconciling) {
+    reconciling = runReconciliation().finally(() => {
+      reconciling = null;
+    });
+  }
+  return reconciling;
+}
+
+async function runReconciliation() {
+  const summary = { checked: 0, updated: 0, failed: 0 };
+  // Reports filed under the same issue share one fetch (tracker rate limits)
+  const issues = new Map();
+
+  for (let offset = 0; ; offset += RECONCILE_PAGE_SIZE) {
+    const page = await storage.reports.list({
+      status: SYNCED_STATES,
+      hasTrackerIssue: true,
+      limit: RECONCILE_PAGE_SIZE,
+      offset
+    });
+
+    for (const report of page) {
+      const tracker = reportTracker(report);
+      if (!tracker) {
+        continue;
+      }
+      summary.checked += 1;
+
+      try {
+        const key = `${tracker.name}:${report.tracker_issue_url || report.tracker_issue_id}`;
+        if (!issues.has(key)) {
+          issues.set(key, Promise.all([
+            tracker.getIssue(report.tracker_issue_id),
+            tracker.listComments(report.tracker_issue_id)
+          ]));
+        }
+        const [issue, comments] = await issues.get(key);
+        if (await applyIssueChanges(report, tracker, { issue, comments })) {
+          summary.updated += 1;
+        }
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Error syncing report ${report.id} with ${tracker.displayName} issue ${report.tracker_issue_id}:`, error.message);
+      }
+    }
+
+    if (page.length < RECONCILE_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  configure,
+  applyWebhookEvents,
+  reconcile
+};
@@ -0,0 +1,220 @@
+/**
+ * Storage Registry
+ *
+ * Builds the configured storage backend and exposes the repositories the
+ * rest of the backend uses. Every backend provides the same table interface:
+ *
+ * - get(id) -> row or null
+ * - insert(row) -> stored row (throws when a row with its key exists)
+ * - update(id, fields, expected) -> updated row, or null when the row doesn't exist or
+ *   its current values differ from `expected` ({ column: value }, optional)
+ * - upsert(row) -> stored row
+ * - list(query) -> rows matching the query, newest `orderBy` first
+ * - count(query) -> number of rows matching the query
+ *
+ * where `query` is { filters, exists, ranges, search, orderBy, limit, offset }:
+ * `filters` maps columns to required values (arrays: any of them; null: unset),
+ * `exists` to whether they must be set, `ranges` to inclusive { from, to }
+ * bounds, and `search` ({ columns, terms }) requires every term to appear
+ * (case-insensitively) in one of the columns. Undefined values are ignored.
+ *
+ * Backends: `sqlite` (default, a local file), `postgres`, `supabase` and
+ * `memory` (lost on restart). Storage errors are thrown to the caller rather
+ * than papered over, so a report is never silently kept only in memory.
+ */
+
+const path = require('path');
+const createMemoryStorage = require('./memoryStorage');
+const createSupabaseStorage = require('./supabaseStorage');
+const createSqlStorage = require('./sqlStorage');
+const createSqliteDriver = require('./sqliteDriver');
+const createPostgresDriver = require('./postgresDriver');
+
+/**
+ * Where the SQLite database lives when no path is configured
+ */
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '../../data/bug-reports.sqlite');
+
+let storage = null;
+
+/**
+ * Build a storage backend
+ * @param {Object} config - Configuration object
+ * @param {string} [config.driver] - sqlite, postgres, supabase or memory (defaults to postgres when a
+ *   database URL is set, then supabase when configured, then sqlite)
+ * @param {string} [config.sqlitePath] - SQLite database file
+ * @param {string} [config.databaseUrl] - Postgres connection URL
+ * @param {boolean} [config.databaseSsl] - Connect to Postgres over TLS
+ * @param {string} [config.supabaseUrl] - Supabase project URL
+ * @param {string} [config.supabaseKey] - Supabase service role key
+ * @param {boolean} [config.migrate] - Apply pending migrations on startup (SQL backends, default true)
+ * @returns {Object} - Storage adapter
+ */
+function createStorage(config = {}) {
+  const driver = config.driver ||
+    (config.databaseUrl ? 'postgres' : config.supabaseUrl && config.supabaseKey ? 'supabase' : 'sqlite');
+
+  switch (driver) {
+    case 'sqlite':
+      return createSqlStorage(createSqliteDriver({ path: config.sqlitePath || DEFAULT_SQLITE_PATH }), config);
+    case 'postgres':
+      if (!config.databaseUrl) {
+        throw new Error('Postgres storage requires a database URL');
+      }
+      return createSqlStorage(createPostgresDriver({
+        connectionString: config.databaseUrl,
+        ssl: config.databaseSsl
+      }), config);
+    case 'supabase':
+      if (!config.supabaseUrl || !config.supabaseKey) {
+        throw new Error('Supabase storage requires a project URL and service role key');
+      }
+      return createSupabaseStorage({ url: config.supabaseUrl, key: config.supabaseKey });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+/**
+ * Storage settings from environment variables (used by the server and `npm run migrate`)
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} - Config for createStorage
+ */
+function configFromEnv(env) {
+  return {
+    driver: env.STORAGE_DRIVER,
+    sqlitePath: env.SQLITE_PATH,
+    databaseUrl: env.DATABASE_URL,
+    databaseSsl: env.DATABASE_SSL === 'true',
+    supabaseUrl: env.SUPABASE_URL,
+    supabaseKey: env.SUPABASE_SERVICE_ROLE_KEY,
+    migrate: env.STORAGE_AUTO_MIGRATE !== 'false'
+  };
+}
+
+/**
+ * Initialize the storage backend used by the repositories
+ * @param {Object} config - See createStorage
+ * @returns {Object} - Storage adapter
+ */
+function initializeStorage(config = {}) {
+  storage = createStorage(config);
+  console.log(`Using ${storage.name} storage`);
+  if (storage.name === 'memory') {
+    console.warn('Reports are kept in memory and will be lost on restart');
+  }
+
+  storage.ready.catch(error => console.error('Failed to apply storage migrations:', error));
+  return storage;
+}
+
+/**
+ * The active storage backend (in-memory until initialized)
+ * @returns {Object}
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createMemoryStorage();
+  }
+  return storage;
+}
+
+/**
+ * Columns searched by a report query's `search` text
+ */
+const REPORT_SEARCH_COLUMNS = ['title', 'content_markdown'];
+
+/**
+ * Keep the severity level in its own column so reports can be filtered by it
+ */
+function withSeverityLevel(fields) {
+  return fields.severity !== undefined
+    ? { ...fields, severity_level: fields.severity ? fields.severity.level : null }
+    : fields;
+}
+
+/**
+ * Table query for report list options
+ * @param {Object} options - See reports.list
+ */
+function reportQuery(options) {
+  const terms = String(options.search || '').split(/\s+/).filter(Boolean);
+  return {
+    filters: {
+      project: options.project,
+      fingerprint: options.fingerprint,
+      stack_signature: options.stackSignature,
+      reporter_id: options.reporterId,
+      reporter_email: options.reporterEmail,
+      status: options.status,
+      severity_level: options.severity,
+      merged_into: options.mergedInto,
+      tracker: options.tracker,
+      tracker_issue_id: options.trackerIssueId
+    },
+    exists: { tracker_issue_id: options.hasTrackerIssue },
+    ranges: { created_at: { from: options.createdFrom, to: options.createdTo } },
+    search: terms.length > 0 ? { columns: REPORT_SEARCH_COLUMNS, terms } : undefined,
+    orderBy: 'created_at',
+    limit: options.limit || 100,
+    offset: options.offset || 0
+  };
+}
+
+/**
+ * Bug report repository
+ */
+const reports = {
+  get: id => getStorage().table('bug_reports', 'id').get(id),
+  create: report => getStorage().table('bug_reports', 'id').insert(withSeverityLevel(report)),
+  update: (id, updates, expected) => getStorage().table('bug_reports', 'id').update(id, withSeverityLevel(updates), expected),
+
+  /**
+   * @param {Object} [options] - { project, fingerprint, stackSignature, reporterId, reporterEmail, status (one or an array),
+   *   severity, mergedInto, tracker, trackerIssueId, hasTrackerIssue, createdFrom, createdTo, search, limit, offset }
+   */
+  list: (options = {}) => getStorage().table('bug_reports', 'id').list(reportQuery(options)),
+
+  /**
+   * @param {Object} [options] - Filters as for list
+   */
+  count: (options = {}) => getStorage().table('bug_reports', 'id').count(reportQuery(options))
+};
+
+/**
+ * Crash group repository
+ */
+const crashGroups = {
+  get: fingerprint => getStorage().table('crash_groups', 'fingerprint').get(fingerprint),
+  create: group => getStorage().table('crash_groups', 'fingerprint').insert(group),
+  update: (fingerprint, updates, expected) => getStorage().table('crash_groups', 'fingerprint').update(fingerprint, updates, expected),
+
+  /**
+   * @param {Object} [options] - { project, limit }
+   */
+  list: (options = {}) => getStorage().table('crash_groups', 'fingerprint').list({
+    filters: { project: options.project },
+    orderBy: 'last_seen',
+    limit: options.limit || 50
+  })
+};
+
+/**
+ * Reporter notification preference repository (keyed by lowercased email address)
+ */
+const notificationPreferences = {
+  get: email => getStorage().table('notification_preferences', 'email').get(email),
+  save: preferences => getStorage().table('notification_preferences', 'email').upsert(preferences)
+};
+
+module.exports = {
+  configFromEnv,
+  createStorage,
+  initializeStorage,
+  getStorage,
+  reports,
+  crashGroups,
+  notificationPreferences
+};
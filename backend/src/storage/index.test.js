@@ -0,0 +1,59 @@
+const { createStorage } = require('./index');
+
+const REPORTS = [
+  { id: 'report-1', project: null, fingerprint: 'crash-a', title: 'Checkout crashes', status: 'open', created_at: '2026-03-01T10:00:00.000Z' },
+  { id: 'report-2', project: 'shop', fingerprint: 'crash-a', title: 'Checkout crashes again', status: 'open', created_at: '2026-03-02T10:00:00.000Z' },
+  { id: 'report-3', fingerprint: 'crash-b', title: 'Avatar upload fails', status: 'rejected', created_at: '2026-03-03T10:00:00.000Z' }
+];
+
+describe.each([
+  ['memory', { driver: 'memory' }],
+  ['sqlite', { driver: 'sqlite', sqlitePath: ':memory:' }]
+])('%s storage', (name, config) => {
+  let storage;
+  let reports;
+
+  beforeAll(async () => {
+    storage = createStorage(config);
+    await storage.ready;
+    reports = storage.table('bug_reports', 'id');
+    for (const report of REPORTS) {
+      await reports.insert(report);
+    }
+  });
+
+  afterAll(async () => {
+    if (storage.close) {
+      await storage.close();
+    }
+  });
+
+  /**
+   * IDs of the reports matching a query, newest first
+   */
+  async function listIds(query) {
+    const rows = await reports.list({ orderBy: 'created_at', limit: 10, ...query });
+    return rows.map(row => row.id);
+  }
+
+  test('matches unset columns with a null filter', async () => {
+    expect(await listIds({ filters: { fingerprint: 'crash-a', project: null } })).toEqual(['report-1']);
+    expect(await listIds({ filters: { project: null } })).toEqual(['report-3', 'report-1']);
+    expect(await reports.count({ filters: { project: null } })).toBe(2);
+  });
+
+  test('ignores undefined filters and matches values and lists of values', async () => {
+    expect(await listIds({ filters: { fingerprint: 'crash-a', project: undefined } })).toEqual(['report-2', 'report-1']);
+    expect(await listIds({ filters: { status: ['rejected', 'closed'] } })).toEqual(['report-3']);
+  });
+
+  test('requires every search term in one of the columns', async () => {
+    expect(await listIds({ search: { columns: ['title'], terms: ['CHECKOUT', 'again'] } })).toEqual(['report-2']);
+  });
+
+  test('updates only rows that still have the expected values', async () => {
+    expect(await reports.update('report-3', { status: 'open' }, { status: 'open' })).toBeNull();
+    expect(await reports.update('report-3', { title: 'Avatar upload fails for PNGs' }, { project: null }))
+      .toEqual(expect.objectContaining({ title: 'Avatar upload fails for PNGs' }));
+  });
+});
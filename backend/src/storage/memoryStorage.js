@@ -0,0 +1,99 @@
+/**
+ * Memory Storage
+ *
+ * Keeps tables in process memory. Everything is lost on restart, so this is
+ * only meant for tests and throwaway local runs.
+ */
+
+/**
+ * Whether a row matches a list/count query ({ filters, exists, ranges, search })
+ */
+function matches(row, { filters = {}, exists = {}, ranges = {}, search } = {}) {
+  const present = column => row[column] !== undefined && row[column] !== null;
+  // Unset columns match a null filter, as IS NULL does in SQL
+  const stored = column => (present(column) ? row[column] : null);
+  return Object.entries(filters).every(([column, value]) =>
+    value === undefined || (Array.isArray(value) ? value.includes(stored(column)) : stored(column) === value)) &&
+    Object.entries(exists).every(([column, value]) => value === undefined || present(column) === value) &&
+    Object.entries(ranges).every(([column, { from, to } = {}]) =>
+      (from === undefined || (present(column) && row[column] >= from)) &&
+      (to === undefined || (present(column) && row[column] <= to))) &&
+    (!search || search.terms.every(term =>
+      search.columns.some(column => present(column) && String(row[column]).toLowerCase().includes(term.toLowerCase()))));
+}
+
+/**
+ * Create in-memory storage
+ * @returns {Object} - Storage adapter ({ name, ready, table, close })
+ */
+function createMemoryStorage() {
+  const tables = new Map();
+
+  /**
+   * Access a table by primary key
+   * @param {string} name - Table name
+   * @param {string} key - Primary key column
+   */
+  function table(name, key) {
+    if (!tables.has(name)) {
+      tables.set(name, new Map());
+    }
+    const rows = tables.get(name);
+
+    // Callers get copies, as they would from a database
+    const copy = row => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+    return {
+      async get(id) {
+        return copy(rows.get(id));
+      },
+
+      async insert(record) {
+        // Like a primary key, an existing row isn't overwritten
+        if (rows.has(record[key])) {
+          throw new Error(`Duplicate key ${record[key]} in ${name}`);
+        }
+        rows.set(record[key], copy(record));
+        return copy(record);
+      },
+
+      async update(id, updates, expected = {}) {
+        const current = rows.get(id);
+        const unchanged = Object.entries(expected)
+          .every(([column, value]) => (current && current[column] !== undefined ? current[column] : null) === value);
+        if (!current || !unchanged) {
+          return null;
+        }
+        rows.set(id, copy({ ...rows.get(id), ...updates, [key]: id }));
+        return copy(rows.get(id));
+      },
+
+      async upsert(record) {
+        rows.set(record[key], copy({ ...rows.get(record[key]), ...record }));
+        return copy(rows.get(record[key]));
+      },
+
+      async list(query) {
+        const offset = query.offset || 0;
+        return [...rows.values()]
+          .filter(row => matches(row, query))
+          .sort((a, b) => (query.orderBy ? String(b[query.orderBy]).localeCompare(String(a[query.orderBy])) : 0))
+          .slice(offset, offset + query.limit)
+          .map(copy);
+      },
+
+      async count(query) {
+        return [...rows.values()].filter(row => matches(row, query)).length;
+      }
+    };
+  }
+
+  return {
+    name: 'memory',
+    ready: Promise.resolve([]),
+    table,
+    close: async () => tables.clear()
+  };
+}
+
+module.exports = createMemoryStorage;
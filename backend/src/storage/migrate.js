@@ -0,0 +1,36 @@
+/**
+ * Apply pending schema migrations to the configured SQL database
+ *
+ * Usage: npm run migrate
+ *
+ * Reads the same STORAGE_DRIVER / SQLITE_PATH / DATABASE_URL settings as the
+ * server. For Supabase, point DATABASE_URL at the project's Postgres
+ * connection string.
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { configFromEnv, createStorage } = require('./index');
+
+async function main() {
+  const config = configFromEnv(process.env);
+  if (!config.driver && !config.databaseUrl && config.supabaseUrl) {
+    throw new Error('Supabase migrations run over Postgres: set DATABASE_URL to the project\'s connection string');
+  }
+
+  const storage = createStorage({ ...config, migrate: true });
+  if (storage.name === 'supabase' || storage.name === 'memory') {
+    throw new Error(`The ${storage.name} driver has no schema to migrate`);
+  }
+
+  const applied = await storage.ready;
+  console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+  await storage.close();
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
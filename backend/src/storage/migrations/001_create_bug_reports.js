@@ -0,0 +1,46 @@
+/**
+ * Bug reports: the analysis, reporter, tracker issue, revision log and the
+ * derived data (duplicates, severity, routing) of every report
+ */
+
+module.exports = {
+  up: type => `
+    CREATE TABLE IF NOT EXISTS bug_reports (
+      id TEXT PRIMARY KEY,
+      title TEXT,
+      content_json ${type.json},
+      content_markdown TEXT,
+      created_at ${type.timestamp},
+      last_updated ${type.timestamp},
+      status TEXT,
+      feedback_requested BOOLEAN,
+      reporter_email TEXT,
+      reporter_name TEXT,
+      project TEXT,
+      repo_paths ${type.json},
+      inputs ${type.json},
+      files_analyzed ${type.json},
+      screenshots ${type.json},
+      snippet_ranges ${type.json},
+      snippet_tokens ${type.json},
+      stack_trace ${type.json},
+      stack_signature TEXT,
+      fingerprint TEXT,
+      duplicates ${type.json},
+      duplicate_of TEXT,
+      severity ${type.json},
+      routing ${type.json},
+      redactions ${type.json},
+      needs_more_info ${type.json},
+      follow_up_rounds INTEGER,
+      revision INTEGER,
+      revisions ${type.json},
+      tracker TEXT,
+      tracker_issue_id TEXT,
+      tracker_issue_number TEXT,
+      tracker_issue_url TEXT
+    );
+    CREATE INDEX IF NOT EXISTS bug_reports_project_idx ON bug_reports (project, created_at);
+    CREATE INDEX IF NOT EXISTS bug_reports_fingerprint_idx ON bug_reports (fingerprint);
+  `
+};
@@ -0,0 +1,27 @@
+/**
+ * Crash groups: reports sharing a crash fingerprint and the tracker issue they are filed under
+ */
+
+module.exports = {
+  up: type => `
+    CREATE TABLE IF NOT EXISTS crash_groups (
+      fingerprint TEXT PRIMARY KEY,
+      project TEXT,
+      title TEXT,
+      error_type TEXT,
+      message TEXT,
+      frames ${type.json},
+      occurrence_count INTEGER NOT NULL DEFAULT 0,
+      first_seen ${type.timestamp},
+      last_seen ${type.timestamp},
+      reporters ${type.json},
+      report_ids ${type.json},
+      tracker TEXT,
+      tracker_issue_id TEXT,
+      tracker_issue_number TEXT,
+      tracker_issue_url TEXT,
+      notified_thresholds ${type.json}
+    );
+    CREATE INDEX IF NOT EXISTS crash_groups_project_idx ON crash_groups (project, last_seen);
+  `
+};
@@ -0,0 +1,10 @@
+/**
+ * Report ownership: the principal (signed-in user or API key) that submitted each report
+ */
+
+module.exports = {
+  up: () => `
+    ALTER TABLE bug_reports ADD COLUMN reporter_id TEXT;
+    CREATE INDEX IF NOT EXISTS bug_reports_reporter_idx ON bug_reports (reporter_id, created_at);
+  `
+};
@@ -0,0 +1,15 @@
+/**
+ * Triage: the severity level as its own column (for filtering), the report a
+ * report was merged into and why a report was rejected
+ */
+
+module.exports = {
+  up: type => `
+    ALTER TABLE bug_reports ADD COLUMN severity_level TEXT;
+    ALTER TABLE bug_reports ADD COLUMN merged_into TEXT;
+    ALTER TABLE bug_reports ADD COLUMN rejection_reason TEXT;
+    UPDATE bug_reports SET severity_level = ${type.jsonText('severity', 'level')} WHERE severity IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS bug_reports_status_idx ON bug_reports (status, created_at);
+    CREATE INDEX IF NOT EXISTS bug_reports_merged_into_idx ON bug_reports (merged_into);
+  `
+};
@@ -0,0 +1,15 @@
+/**
+ * Report lifecycle: when each state was entered and every status change.
+ * Reports stored without a status are open, or waiting for answers when they
+ * still have unanswered follow-up questions.
+ */
+
+module.exports = {
+  up: type => `
+    ALTER TABLE bug_reports ADD COLUMN status_timestamps ${type.json};
+    ALTER TABLE bug_reports ADD COLUMN status_history ${type.json};
+    UPDATE bug_reports SET status = 'open' WHERE status IS NULL;
+    UPDATE bug_reports SET status = 'needs_info'
+      WHERE status = 'open' AND needs_more_info IS NOT NULL AND tracker_issue_id IS NULL;
+  `
+};
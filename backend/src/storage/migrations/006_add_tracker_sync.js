@@ -0,0 +1,15 @@
+/**
+ * Tracker sync: comments mirrored from the tracker issue a report is filed
+ * under, the issue state last seen, when the report last took a change from
+ * the tracker, and lookup of reports by issue (webhook events name the issue,
+ * not the report)
+ */
+
+module.exports = {
+  up: type => `
+    ALTER TABLE bug_reports ADD COLUMN tracker_comments ${type.json};
+    ALTER TABLE bug_reports ADD COLUMN tracker_issue_state TEXT;
+    ALTER TABLE bug_reports ADD COLUMN tracker_synced_at ${type.timestamp};
+    CREATE INDEX IF NOT EXISTS bug_reports_tracker_issue_idx ON bug_reports (tracker, tracker_issue_id);
+  `
+};
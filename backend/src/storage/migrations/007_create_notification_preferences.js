@@ -0,0 +1,14 @@
+/**
+ * Notification preferences: reporter addresses that unsubscribed from email
+ * notifications (keyed by the lowercased address)
+ */
+
+module.exports = {
+  up: type => `
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      email TEXT PRIMARY KEY,
+      unsubscribed_at ${type.timestamp},
+      updated_at ${type.timestamp}
+    );
+  `
+};
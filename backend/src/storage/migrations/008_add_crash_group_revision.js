@@ -0,0 +1,10 @@
+/**
+ * Crash group revision: bumped on every write, so concurrent analyses of the
+ * same crash update the group conditionally instead of overwriting each other
+ */
+
+module.exports = {
+  up: () => `
+    ALTER TABLE crash_groups ADD COLUMN revision INTEGER;
+  `
+};
@@ -0,0 +1,60 @@
+/**
+ * Schema Migrations
+ *
+ * Numbered migration modules in this directory (`001_create_bug_reports.js`,
+ * ...) are applied in order, each inside a transaction, and recorded in
+ * `schema_migrations`. A migration exports `up(type)` returning SQL, where
+ * `type` holds the dialect's column types ({ json, timestamp }) so the same
+ * migration runs on Postgres (and Supabase) and SQLite; `type.jsonText(column,
+ * key)` reads a text field of a JSON column. Never edit an applied
+ * migration; add a new one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Migration modules in apply order
+ * @returns {Object[]} - [{ id, up }]
+ */
+function loadMigrations() {
+  return fs.readdirSync(__dirname)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => ({ id: file.replace(/\.js$/, ''), ...require(path.join(__dirname, file)) }));
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} driver - SQL driver ({ types, query, exec, transaction })
+ * @returns {Promise<string[]>} - IDs of the migrations applied now
+ */
+async function runMigrations(driver) {
+  await driver.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      applied_at ${driver.types.timestamp}
+    )
+  `);
+
+  const applied = new Set((await driver.query('SELECT id FROM schema_migrations')).map(row => row.id));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.id));
+
+  for (const migration of pending) {
+    await driver.transaction(async () => {
+      await driver.exec(migration.up(driver.types));
+      await driver.query('INSERT INTO schema_migrations (id, applied_at) VALUES (?, ?)', [
+        migration.id,
+        new Date().toISOString()
+      ]);
+    });
+    console.log(`Applied migration ${migration.id}`);
+  }
+
+  return pending.map(migration => migration.id);
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations
+};
@@ -0,0 +1,88 @@
+/**
+ * Postgres Driver
+ *
+ * Runs the SQL repositories against Postgres through node-postgres, for
+ * self-hosted deployments and for Supabase's database when migrations are
+ * applied directly. Repositories write `?` placeholders, which are numbered
+ * here; timestamps are returned as ISO strings like every other driver.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Create a Postgres driver
+ * @param {Object} config - Postgres configuration
+ * @param {string} config.connectionString - postgres:// connection URL
+ * @param {boolean} [config.ssl] - Connect over TLS (without verifying the certificate chain)
+ * @returns {Object} - SQL driver
+ */
+function createPostgresDriver(config) {
+  const { Pool } = require('pg');
+  const pool = new Pool({
+    connectionString: config.connectionString,
+    ssl: config.ssl ? { rejectUnauthorized: false } : undefined
+  });
+
+  // Queries inside transaction() run on the transaction's client
+  const transactionClient = new AsyncLocalStorage();
+
+  function clientFor() {
+    return transactionClient.getStore() || pool;
+  }
+
+  function numberPlaceholders(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+  }
+
+  function toParam(value) {
+    // node-postgres sends arrays as Postgres arrays, but our JSON columns want JSON
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+      return JSON.stringify(value);
+    }
+    return value === undefined ? null : value;
+  }
+
+  return {
+    dialect: 'postgres',
+    types: { json: 'JSONB', timestamp: 'TIMESTAMPTZ', jsonText: (column, key) => `(${column}->>'${key}')` },
+
+    async query(sql, params = []) {
+      const result = await clientFor().query(numberPlaceholders(sql), params.map(toParam));
+      return result.rows;
+    },
+
+    async exec(sql) {
+      await clientFor().query(sql);
+    },
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await transactionClient.run(client, fn);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    fromRow(table, row) {
+      const record = {};
+      for (const [column, value] of Object.entries(row)) {
+        record[column] = value instanceof Date ? value.toISOString() : value;
+      }
+      return record;
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = createPostgresDriver;
@@ -0,0 +1,162 @@
+/**
+ * SQL Storage
+ *
+ * Table access on top of a SQL driver (Postgres or SQLite). Pending schema
+ * migrations are applied before the first query.
+ */
+
+const { runMigrations } = require('./migrations');
+
+/**
+ * Column names come from code, never from requests, but are checked anyway
+ * since they are interpolated into SQL
+ */
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*$/;
+
+function assertColumns(columns) {
+  const invalid = columns.find(column => !COLUMN_NAME.test(column));
+  if (invalid) {
+    throw new Error(`Invalid column name: ${invalid}`);
+  }
+  return columns;
+}
+
+/**
+ * Escape LIKE wildcards so search terms match literally
+ */
+function likePattern(term) {
+  return `%${term.toLowerCase().replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+/**
+ * WHERE clause for a list/count query
+ * @param {Object} query - { filters, exists, ranges, search }
+ * @returns {Object} - { sql, params }
+ */
+function whereClause({ filters = {}, exists = {}, ranges = {}, search } = {}) {
+  const conditions = [];
+  const params = [];
+
+  for (const column of assertColumns(Object.keys(filters).filter(column => filters[column] !== undefined))) {
+    if (Array.isArray(filters[column])) {
+      conditions.push(filters[column].length > 0 ? `${column} IN (${filters[column].map(() => '?').join(', ')})` : '1 = 0');
+      params.push(...filters[column]);
+    } else if (filters[column] === null) {
+      conditions.push(`${column} IS NULL`);
+    } else {
+      conditions.push(`${column} = ?`);
+      params.push(filters[column]);
+    }
+  }
+  for (const column of assertColumns(Object.keys(exists).filter(column => exists[column] !== undefined))) {
+    conditions.push(`${column} IS ${exists[column] ? 'NOT NULL' : 'NULL'}`);
+  }
+  for (const column of assertColumns(Object.keys(ranges))) {
+    const { from, to } = ranges[column] || {};
+    if (from !== undefined) {
+      conditions.push(`${column} >= ?`);
+      params.push(from);
+    }
+    if (to !== undefined) {
+      conditions.push(`${column} <= ?`);
+      params.push(to);
+    }
+  }
+  if (search && search.terms.length > 0) {
+    const columns = assertColumns(search.columns);
+    for (const term of search.terms) {
+      conditions.push(`(${columns.map(column => `LOWER(${column}) LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+      params.push(...columns.map(() => likePattern(term)));
+    }
+  }
+
+  return {
+    sql: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Create SQL-backed storage
+ * @param {Object} driver - SQL driver ({ dialect, types, query, exec, transaction, fromRow, close })
+ * @param {Object} [options] - { migrate } (apply pending migrations first, default true)
+ * @returns {Object} - Storage adapter ({ name, ready, table, close })
+ */
+function createSqlStorage(driver, options = {}) {
+  const ready = options.migrate === false ? Promise.resolve([]) : runMigrations(driver);
+
+  async function run(table, sql, params) {
+    await ready;
+    const rows = await driver.query(sql, params);
+    return rows.map(row => driver.fromRow(table, row));
+  }
+
+  /**
+   * Access a table by primary key
+   * @param {string} name - Table name
+   * @param {string} key - Primary key column
+   */
+  function table(name, key) {
+    return {
+      async get(id) {
+        const [row] = await run(name, `SELECT * FROM ${name} WHERE ${key} = ?`, [id]);
+        return row || null;
+      },
+
+      async insert(record) {
+        const columns = assertColumns(Object.keys(record).filter(column => record[column] !== undefined));
+        const [row] = await run(name,
+          `INSERT INTO ${name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`,
+          columns.map(column => record[column]));
+        return row;
+      },
+
+      async update(id, updates, expected = {}) {
+        const columns = assertColumns(Object.keys(updates).filter(column => updates[column] !== undefined && column !== key));
+        if (columns.length === 0) {
+          return this.get(id);
+        }
+        const conditions = assertColumns(Object.keys(expected));
+        const [row] = await run(name,
+          `UPDATE ${name} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${key} = ?` +
+          conditions.map(column => (expected[column] === null ? ` AND ${column} IS NULL` : ` AND ${column} = ?`)).join('') +
+          ' RETURNING *',
+          [...columns.map(column => updates[column]), id, ...conditions.filter(column => expected[column] !== null).map(column => expected[column])]);
+        return row || null;
+      },
+
+      async upsert(record) {
+        const columns = assertColumns(Object.keys(record).filter(column => record[column] !== undefined));
+        const updates = columns.filter(column => column !== key);
+        const [row] = await run(name,
+          `INSERT INTO ${name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+          `ON CONFLICT (${key}) DO UPDATE SET ${updates.map(column => `${column} = excluded.${column}`).join(', ')} RETURNING *`,
+          columns.map(column => record[column]));
+        return row;
+      },
+
+      async list(query) {
+        const where = whereClause(query);
+        const order = query.orderBy ? ` ORDER BY ${assertColumns([query.orderBy])[0]} DESC` : '';
+        return run(name, `SELECT * FROM ${name}${where.sql}${order} LIMIT ? OFFSET ?`,
+          [...where.params, query.limit, query.offset || 0]);
+      },
+
+      async count(query) {
+        await ready;
+        const where = whereClause(query);
+        const [row] = await driver.query(`SELECT COUNT(*) AS total FROM ${name}${where.sql}`, where.params);
+        return Number(row.total);
+      }
+    };
+  }
+
+  return {
+    name: driver.dialect,
+    ready,
+    table,
+    close: () => driver.close()
+  };
+}
+
+module.exports = createSqlStorage;
@@ -0,0 +1,99 @@
+/**
+ * SQLite Driver
+ *
+ * Runs the SQL repositories against a local SQLite file through
+ * better-sqlite3, for single-server and local deployments without a
+ * database server. JSON columns are stored as text and booleans as 0/1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a SQLite driver
+ * @param {Object} config - SQLite configuration
+ * @param {string} config.path - Database file (created with its directory when missing)
+ * @returns {Object} - SQL driver
+ */
+function createSqliteDriver(config) {
+  const Database = require('better-sqlite3');
+
+  if (config.path !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(config.path)), { recursive: true });
+  }
+  const db = new Database(config.path);
+  db.pragma('journal_mode = WAL');
+
+  /**
+   * Declared column types keyed by table, used to turn stored values back into JSON and booleans
+   */
+  const columnTypes = new Map();
+
+  function columnsOf(table) {
+    if (!columnTypes.has(table)) {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+      columnTypes.set(table, new Map(columns.map(column => [column.name, column.type.toUpperCase()])));
+    }
+    return columnTypes.get(table);
+  }
+
+  function toParam(value) {
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (value !== null && typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return value === undefined ? null : value;
+  }
+
+  return {
+    dialect: 'sqlite',
+    types: { json: 'JSON', timestamp: 'TEXT', jsonText: (column, key) => `json_extract(${column}, '$.${key}')` },
+
+    async query(sql, params = []) {
+      const statement = db.prepare(sql);
+      const values = params.map(toParam);
+      return statement.reader ? statement.all(values) : (statement.run(values), []);
+    },
+
+    async exec(sql) {
+      db.exec(sql);
+      columnTypes.clear();
+    },
+
+    async transaction(fn) {
+      db.exec('BEGIN');
+      try {
+        const result = await fn();
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    fromRow(table, row) {
+      const types = columnsOf(table);
+      const record = {};
+      for (const [column, value] of Object.entries(row)) {
+        const type = types.get(column);
+        if (value !== null && type === 'JSON') {
+          record[column] = JSON.parse(value);
+        } else if (value !== null && type === 'BOOLEAN') {
+          record[column] = Boolean(value);
+        } else {
+          record[column] = value;
+        }
+      }
+      return record;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = createSqliteDriver;
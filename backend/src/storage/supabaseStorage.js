@@ -0,0 +1,114 @@
+/**
+ * Supabase Storage
+ *
+ * Table access through the Supabase client. The schema is the Postgres one
+ * from ./migrations; apply it with `npm run migrate` against the project's
+ * database connection string.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Create Supabase-backed storage
+ * @param {Object} config - Supabase configuration
+ * @param {string} config.url - Project URL
+ * @param {string} config.key - Service role key
+ * @returns {Object} - Storage adapter ({ name, ready, table, close })
+ */
+function createSupabaseStorage(config) {
+  const supabase = createClient(config.url, config.key);
+
+  /**
+   * Resolve a Supabase query, throwing its error
+   */
+  async function run(query) {
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Supabase query failed: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Apply a list/count query's conditions ({ filters, exists, ranges, search })
+   */
+  function applyConditions(query, { filters = {}, exists = {}, ranges = {}, search } = {}) {
+    for (const [column, value] of Object.entries(filters)) {
+      if (value !== undefined) {
+        query = Array.isArray(value) ? query.in(column, value) : value === null ? query.is(column, null) : query.eq(column, value);
+      }
+    }
+    for (const [column, value] of Object.entries(exists)) {
+      if (value !== undefined) {
+        query = value ? query.not(column, 'is', null) : query.is(column, null);
+      }
+    }
+    for (const [column, { from, to } = {}] of Object.entries(ranges)) {
+      if (from !== undefined) {
+        query = query.gte(column, from);
+      }
+      if (to !== undefined) {
+        query = query.lte(column, to);
+      }
+    }
+    if (search) {
+      for (const term of search.terms) {
+        // PostgREST filter syntax reserves these characters, and % is a LIKE wildcard
+        const safe = term.replace(/[,()*%\\"]/g, ' ').trim();
+        if (safe) {
+          query = query.or(search.columns.map(column => `${column}.ilike.*${safe}*`).join(','));
+        }
+      }
+    }
+    return query;
+  }
+
+  /**
+   * Access a table by primary key
+   * @param {string} name - Table name
+   * @param {string} key - Primary key column
+   */
+  function table(name, key) {
+    return {
+      get: id => run(supabase.from(name).select('*').eq(key, id).maybeSingle()),
+
+      insert: record => run(supabase.from(name).insert([record]).select().single()),
+
+      update(id, updates, expected = {}) {
+        let query = supabase.from(name).update(updates).eq(key, id);
+        for (const [column, value] of Object.entries(expected)) {
+          query = value === null ? query.is(column, null) : query.eq(column, value);
+        }
+        return run(query.select().maybeSingle());
+      },
+
+      upsert: record => run(supabase.from(name).upsert(record, { onConflict: key }).select().single()),
+
+      list(options) {
+        let query = applyConditions(supabase.from(name).select('*'), options);
+        if (options.orderBy) {
+          query = query.order(options.orderBy, { ascending: false });
+        }
+        const offset = options.offset || 0;
+        return run(query.range(offset, offset + options.limit - 1));
+      },
+
+      async count(options) {
+        const { count, error } = await applyConditions(supabase.from(name).select('*', { count: 'exact', head: true }), options);
+        if (error) {
+          throw new Error(`Supabase query failed: ${error.message}`);
+        }
+        return count;
+      }
+    };
+  }
+
+  return {
+    name: 'supabase',
+    ready: Promise.resolve([]),
+    table,
+    close: async () => {}
+  };
+}
+
+module.exports = createSupabaseStorage;
@@ -0,0 +1,238 @@
+/**
+ * GitHub Issues Tracker Adapter
+ *
+ * Creates, comments on and searches issues through the GitHub REST API, and
+ * reads issue and comment webhooks (`issues`, `issue_comment`).
+ */
+
+const { requestJson } = require('../utils/httpClient');
+const { verifyHmac } = require('../utils/webhookSignature');
+
+/**
+ * Issue state and resolution from a GitHub issue (closed as completed or as not planned)
+ */
+function issueState(issue) {
+  return {
+    state: issue.state === 'closed' ? 'closed' : 'open',
+    resolution: issue.state === 'closed' ? (issue.state_reason === 'not_planned' ? 'not_planned' : 'completed') : null,
+    stateName: issue.state === 'closed' && issue.state_reason ? `closed as ${issue.state_reason.replace('_', ' ')}` : issue.state
+  };
+}
+
+/**
+ * Generic comment from a GitHub issue comment
+ */
+function toComment(comment) {
+  return {
+    id: String(comment.id),
+    author: comment.user ? comment.user.login : null,
+    body: comment.body || '',
+    created_at: comment.created_at
+  };
+}
+
+/**
+ * Create a GitHub Issues tracker adapter
+ * @param {Object} config - GitHub configuration
+ * @param {string} config.token - Personal access token or app installation token
+ * @param {string} config.owner - Repository owner
+ * @param {string} config.repo - Repository name
+ * @param {string} [config.apiUrl] - API base URL (for GitHub Enterprise)
+ * @param {string} [config.webhookSecret] - Secret the repository webhook signs deliveries with
+ * @returns {Object} - Tracker adapter
+ */
+function createGithubTracker(config) {
+  const apiUrl = (config.apiUrl || 'https://api.github.com').replace(/\/$/, '');
+  const repoUrl = `${apiUrl}/repos/${config.owner}/${config.repo}`;
+  const headers = {
+    'Authorization': `Bearer ${config.token}`,
+    'Accept': 'application/vnd.github+json'
+  };
+
+  /**
+   * Create a label on the repository
+   * @param {string} name - Label name
+   * @returns {Promise<boolean>} - Whether the label exists now
+   */
+  async function createLabel(name) {
+    try {
+      await requestJson(`${repoUrl}/labels`, { method: 'POST', headers, body: { name } });
+      return true;
+    } catch (error) {
+      // 422: it exists already (beyond the first page of labels, or created meanwhile)
+      return error.status === 422;
+    }
+  }
+
+  /**
+   * Use the repository's labels, creating the missing ones (priority, component)
+   * @param {string[]} names - Label names
+   * @returns {Promise<string[]>} - Label names that exist on the repository
+   */
+  async function resolveLabels(names = []) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    let labels;
+    try {
+      labels = await requestJson(`${repoUrl}/labels?per_page=100`, { headers });
+    } catch (error) {
+      console.error(`Error fetching GitHub labels, continuing without labels (${names.join(', ')}):`, error);
+      return [];
+    }
+
+    const existing = new Map(labels.map(label => [label.name.toLowerCase(), label.name]));
+    const resolved = [];
+    const dropped = [];
+    for (const name of names) {
+      const key = name.toLowerCase();
+      if (!existing.has(key) && await createLabel(name)) {
+        existing.set(key, name);
+      }
+      if (!existing.has(key)) {
+        dropped.push(name);
+      } else if (!resolved.includes(existing.get(key))) {
+        resolved.push(existing.get(key));
+      }
+    }
+
+    if (dropped.length > 0) {
+      console.warn(`GitHub labels could not be created, continuing without them: ${[...new Set(dropped)].join(', ')}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Map an owner handle to a login that can be assigned on the repository
+   * @param {string} handle - "@login" or "login" (teams and emails can't be assigned)
+   * @returns {Promise<string|null>} - Assignable login
+   */
+  async function resolveAssignee(handle) {
+    const login = handle ? handle.replace(/^@/, '') : '';
+    if (!login || login.includes('/') || login.includes('@')) {
+      return null;
+    }
+
+    try {
+      // Responds 204 when the user can be assigned and 404 otherwise
+      await requestJson(`${repoUrl}/assignees/${encodeURIComponent(login)}`, { headers });
+      return login;
+    } catch (error) {
+      console.warn(`GitHub user ${login} can't be assigned, continuing without an assignee:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * GitHub has no native priority; express it as a label
+   * @param {string} priority - urgent | high | medium | low
+   * @returns {string} - Priority label name
+   */
+  function mapPriority(priority) {
+    return `priority: ${priority || 'medium'}`;
+  }
+
+  /**
+   * Map a generic issue to the GitHub create issue payload
+   * @param {Object} issue - Generic issue fields
+   * @returns {Promise<Object>} - GitHub issue payload
+   */
+  async function mapFields(issue) {
+    const labels = await resolveLabels([...(issue.labels || []), mapPriority(issue.priority)]);
+    const assignee = await resolveAssignee(issue.assignee);
+    return {
+      title: issue.title,
+      body: issue.description,
+      labels,
+      ...(assignee ? { assignees: [assignee] } : {})
+    };
+  }
+
+  return {
+    name: 'github',
+    displayName: 'GitHub',
+    resolveLabels,
+    resolveAssignee,
+    mapPriority,
+    mapFields,
+
+    async createIssue(issue) {
+      const created = await requestJson(`${repoUrl}/issues`, {
+        method: 'POST',
+        headers,
+        body: await mapFields(issue)
+      });
+
+      return {
+        id: String(created.number),
+        number: created.number,
+        url: created.html_url,
+        title: created.title
+      };
+    },
+
+    async addComment(issueId, body) {
+      await requestJson(`${repoUrl}/issues/${issueId}/comments`, {
+        method: 'POST',
+        headers,
+        body: { body }
+      });
+    },
+
+    async searchIssues(keywords, options = {}) {
+      const query = `repo:${config.owner}/${config.repo} is:issue is:open ${keywords.join(' OR ')}`;
+      const result = await requestJson(
+        `${apiUrl}/search/issues?q=${encodeURIComponent(query)}&per_page=${options.limit || 20}`,
+        { headers }
+      );
+
+      return result.items.map(item => ({
+        id: String(item.number),
+        number: item.number,
+        url: item.html_url,
+        title: item.title,
+        description: item.body || ''
+      }));
+    },
+
+    async getIssue(issueId) {
+      const issue = await requestJson(`${repoUrl}/issues/${issueId}`, { headers });
+      return {
+        id: String(issue.number),
+        number: issue.number,
+        url: issue.html_url,
+        title: issue.title,
+        ...issueState(issue)
+      };
+    },
+
+    async listComments(issueId) {
+      const comments = await requestJson(`${repoUrl}/issues/${issueId}/comments?per_page=100`, { headers });
+      return comments.map(toComment);
+    },
+
+    verifyWebhook(rawBody, requestHeaders) {
+      return verifyHmac(rawBody, config.webhookSecret, requestHeaders['x-hub-signature-256'], { prefix: 'sha256=' });
+    },
+
+    parseWebhook(payload, requestHeaders) {
+      const event = requestHeaders['x-github-event'];
+      // Pull requests share the issue events; only issues are filed by this service
+      if (!payload.issue || payload.issue.pull_request) {
+        return [];
+      }
+
+      const issue = { issueId: String(payload.issue.number), url: payload.issue.html_url };
+      if (event === 'issues' && ['closed', 'reopened'].includes(payload.action)) {
+        return [{ type: 'issue_state', ...issue, ...issueState(payload.issue) }];
+      }
+      if (event === 'issue_comment' && payload.action === 'created') {
+        return [{ type: 'comment', ...issue, comment: toComment(payload.comment) }];
+      }
+      return [];
+    }
+  };
+}
+
+module.exports = createGithubTracker;
@@ -0,0 +1,91 @@
+const http = require('http');
+const createGithubTracker = require('./githubTracker');
+
+let server;
+let tracker;
+let labels;
+let createdLabels;
+let labelStatus;
+
+/**
+ * Local stand-in for the GitHub labels API
+ */
+function startGithub() {
+  return new Promise(resolve => {
+    const githubServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'GET' && req.url === '/repos/acme/shop/labels?per_page=100') {
+          return res.end(JSON.stringify(labels.map(name => ({ name }))));
+        }
+        if (req.method === 'POST' && req.url === '/repos/acme/shop/labels') {
+          const { name } = JSON.parse(body);
+          res.statusCode = labelStatus(name);
+          if (res.statusCode === 201) {
+            createdLabels.push(name);
+          }
+          return res.end(JSON.stringify({ name }));
+        }
+        res.statusCode = 404;
+        res.end(JSON.stringify({ message: 'Not Found' }));
+      });
+    });
+    githubServer.listen(0, '127.0.0.1', () => resolve(githubServer));
+  });
+}
+
+beforeAll(async () => {
+  server = await startGithub();
+  tracker = createGithubTracker({
+    token: 'test-token',
+    owner: 'acme',
+    repo: 'shop',
+    apiUrl: `http://127.0.0.1:${server.address().port}`
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  labels = ['Bug', 'frontend'];
+  createdLabels = [];
+  labelStatus = () => 201;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('github tracker labels', () => {
+  test('use existing labels in their repository spelling and create the missing ones', async () => {
+    const fields = await tracker.mapFields({
+      title: 'Checkout total ignores the discount code',
+      description: 'Details',
+      labels: ['bug', 'checkout'],
+      priority: 'high'
+    });
+
+    expect(fields.labels).toEqual(['Bug', 'checkout', 'priority: high']);
+    expect(createdLabels).toEqual(['checkout', 'priority: high']);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('keep labels that already exist beyond the first page', async () => {
+    labelStatus = () => 422;
+
+    expect(await tracker.resolveLabels(['priority: low'])).toEqual(['priority: low']);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('log the labels that could not be created', async () => {
+    labelStatus = name => (name === 'frontend' ? 201 : 403);
+
+    expect(await tracker.resolveLabels(['frontend', 'checkout', 'priority: urgent'])).toEqual(['frontend']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('checkout, priority: urgent'));
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * GitLab Tracker Adapter
+ *
+ * Creates, comments on and searches issues through the GitLab REST API (v4),
+ * and reads issue and note webhooks (`Issue Hook`, `Note Hook`).
+ */
+
+const { requestJson } = require('../utils/httpClient');
+const { safeEqual } = require('../utils/webhookSignature');
+
+/**
+ * Issue state from a GitLab issue (GitLab doesn't record why an issue was closed)
+ */
+function issueState(issue) {
+  return {
+    state: issue.state === 'closed' ? 'closed' : 'open',
+    resolution: issue.state === 'closed' ? 'completed' : null,
+    stateName: issue.state
+  };
+}
+
+/**
+ * Create a GitLab tracker adapter
+ * @param {Object} config - GitLab configuration
+ * @param {string} config.token - Personal or project access token
+ * @param {string} config.projectId - Numeric project ID or URL-encoded path
+ * @param {string} [config.baseUrl] - GitLab instance URL (defaults to gitlab.com)
+ * @param {string} [config.webhookSecret] - Secret token the project webhook sends with deliveries
+ * @returns {Object} - Tracker adapter
+ */
+function createGitlabTracker(config) {
+  const baseUrl = (config.baseUrl || 'https://gitlab.com').replace(/\/$/, '');
+  const projectUrl = `${baseUrl}/api/v4/projects/${encodeURIComponent(config.projectId)}`;
+  const headers = {
+    'PRIVATE-TOKEN': config.token
+  };
+
+  /**
+   * GitLab creates missing labels on the fly, so names pass through unchanged
+   * @param {string[]} names - Label names
+   * @returns {Promise<string[]>}
+   */
+  async function resolveLabels(names = []) {
+    return names;
+  }
+
+  /**
+   * Map an owner handle to a GitLab user ID
+   * @param {string} handle - "@username", "username" or an email address
+   * @returns {Promise<number|null>} - User ID
+   */
+  async function resolveAssignee(handle) {
+    const name = handle ? handle.replace(/^@/, '') : '';
+    if (!name || name.includes('/')) {
+      return null;
+    }
+
+    try {
+      const query = name.includes('@') ? `search=${encodeURIComponent(name)}` : `username=${encodeURIComponent(name)}`;
+      const users = await requestJson(`${baseUrl}/api/v4/users?${query}`, { headers });
+      return users.length > 0 ? users[0].id : null;
+    } catch (error) {
+      console.warn(`Error looking up GitLab user ${name}, continuing without an assignee:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * GitLab has no native priority on issues; express it as a scoped label
+   * @param {string} priority - urgent | high | medium | low
+   * @returns {string} - Priority label name
+   */
+  function mapPriority(priority) {
+    return `priority::${priority || 'medium'}`;
+  }
+
+  /**
+   * Map a generic issue to the GitLab create issue payload
+   * @param {Object} issue - Generic issue fields
+   * @returns {Promise<Object>} - GitLab issue payload
+   */
+  async function mapFields(issue) {
+    const labels = await resolveLabels([...(issue.labels || []), mapPriority(issue.priority)]);
+    const assigneeId = await resolveAssignee(issue.assignee);
+    return {
+      title: issue.title,
+      description: issue.description,
+      labels: labels.join(','),
+      ...(assigneeId ? { assignee_ids: [assigneeId] } : {})
+    };
+  }
+
+  return {
+    name: 'gitlab',
+    displayName: 'GitLab',
+    resolveLabels,
+    resolveAssignee,
+    mapPriority,
+    mapFields,
+
+    async createIssue(issue) {
+      const created = await requestJson(`${projectUrl}/issues`, {
+        method: 'POST',
+        headers,
+        body: await mapFields(issue)
+      });
+
+      return {
+        id: String(created.iid),
+        number: created.iid,
+        url: created.web_url,
+        title: created.title
+      };
+    },
+
+    async addComment(issueId, body) {
+      await requestJson(`${projectUrl}/issues/${issueId}/notes`, {
+        method: 'POST',
+        headers,
+        body: { body }
+      });
+    },
+
+    async searchIssues(keywords, options = {}) {
+      // GitLab search matches every word, so search each keyword separately
+      const found = new Map();
+      for (const keyword of keywords.slice(0, 3)) {
+        const issues = await requestJson(
+          `${projectUrl}/issues?state=opened&search=${encodeURIComponent(keyword)}&per_page=${options.limit || 20}`,
+          { headers }
+        );
+        for (const issue of issues) {
+          found.set(issue.iid, {
+            id: String(issue.iid),
+            number: issue.iid,
+            url: issue.web_url,
+            title: issue.title,
+            description: issue.description || ''
+          });
+        }
+      }
+      return [...found.values()].slice(0, options.limit || 20);
+    },
+
+    async getIssue(issueId) {
+      const issue = await requestJson(`${projectUrl}/issues/${issueId}`, { headers });
+      return {
+        id: String(issue.iid),
+        number: issue.iid,
+        url: issue.web_url,
+        title: issue.title,
+        ...issueState(issue)
+      };
+    },
+
+    async listComments(issueId) {
+      const notes = await requestJson(`${projectUrl}/issues/${issueId}/notes?sort=asc&per_page=100`, { headers });
+      // System notes record changes (labels, assignees), not discussion
+      return notes.filter(note => !note.system).map(note => ({
+        id: String(note.id),
+        author: note.author ? note.author.username : null,
+        body: note.body || '',
+        created_at: note.created_at
+      }));
+    },
+
+    verifyWebhook(rawBody, requestHeaders) {
+      // GitLab sends the secret token itself rather than a signature
+      return Boolean(config.webhookSecret) && safeEqual(config.webhookSecret, requestHeaders['x-gitlab-token']);
+    },
+
+    parseWebhook(payload, requestHeaders) {
+      const event = requestHeaders['x-gitlab-event'];
+      const attributes = payload.object_attributes || {};
+
+      if (event === 'Issue Hook' && ['close', 'reopen'].includes(attributes.action)) {
+        return [{
+          type: 'issue_state',
+          issueId: String(attributes.iid),
+          url: attributes.url,
+          ...issueState(attributes)
+        }];
+      }
+      if (event === 'Note Hook' && attributes.noteable_type === 'Issue' && payload.issue && !attributes.system) {
+        return [{
+          type: 'comment',
+          issueId: String(payload.issue.iid),
+          url: payload.issue.url,
+          comment: {
+            id: String(attributes.id),
+            author: payload.user ? payload.user.username : null,
+            body: attributes.note || '',
+            created_at: attributes.created_at
+          }
+        }];
+      }
+      return [];
+    }
+  };
+}
+
+module.exports = createGitlabTracker;
@@ -0,0 +1,118 @@
+/**
+ * Issue Tracker Registry
+ *
+ * Builds tracker adapters from configuration and selects one per deployment
+ * or per request. Every adapter exposes the same interface:
+ *
+ * - name / displayName
+ * - createIssue(issue) -> { id, number, url, title }
+ * - addComment(issueId, body)
+ * - searchIssues(keywords, { limit }) -> open issues as [{ id, number, url, title, description }]
+ * - resolveLabels(names) -> tracker-specific label references
+ * - resolveAssignee(handle) -> tracker-specific user reference, or null when the owner isn't a tracker user
+ * - mapPriority(level) -> tracker-specific priority
+ * - mapFields(issue) -> tracker-specific create payload
+ * - getIssue(issueId) -> { id, number, url, title, state, resolution, stateName }
+ * - listComments(issueId) -> [{ id, author, body, created_at }]
+ * - verifyWebhook(rawBody, headers) -> whether a webhook delivery is signed with the configured secret
+ * - parseWebhook(payload, headers) -> issue events, as [{ type: 'issue_state', issueId, url, state,
+ *   resolution, stateName }] or [{ type: 'comment', issueId, url, comment }]
+ *
+ * where `issue` is { title, description, labels, priority, teamId, assignee },
+ * `state` is `open` or `closed` and `resolution` (closed issues) is
+ * `completed` or `not_planned`. Only Linear files issues by `teamId`; the
+ * other trackers file into their configured project or repository. Webhook
+ * events carry the issue URL when issue IDs are only unique within a
+ * repository (GitHub, GitLab).
+ */
+
+const createLinearTracker = require('./linearTracker');
+const createGithubTracker = require('./githubTracker');
+const createJiraTracker = require('./jiraTracker');
+const createGitlabTracker = require('./gitlabTracker');
+
+/**
+ * Adapter factories and the config keys each one requires
+ */
+const TRACKER_FACTORIES = {
+  linear: { create: createLinearTracker, required: ['apiKey'] },
+  github: { create: createGithubTracker, required: ['token', 'owner', 'repo'] },
+  jira: { create: createJiraTracker, required: ['baseUrl', 'email', 'apiToken', 'projectKey'] },
+  gitlab: { create: createGitlabTracker, required: ['token', 'projectId'] }
+};
+
+/**
+ * Initialized adapters keyed by tracker name, plus per-project adapters built
+ * from overrides (e.g. a different GitHub repository) keyed by their config
+ */
+const trackers = new Map();
+const overrideTrackers = new Map();
+let baseConfigs = {};
+let defaultTracker = null;
+
+/**
+ * Initialize every tracker that has complete configuration
+ * @param {Object} trackerConfigs - Config objects keyed by tracker name
+ * @param {string} [defaultName] - Tracker used when none is requested
+ */
+function initializeTrackers(trackerConfigs = {}, defaultName) {
+  trackers.clear();
+  overrideTrackers.clear();
+  baseConfigs = trackerConfigs;
+
+  for (const [name, factory] of Object.entries(TRACKER_FACTORIES)) {
+    const trackerConfig = trackerConfigs[name];
+    if (!trackerConfig || !factory.required.every(key => trackerConfig[key])) {
+      continue;
+    }
+
+    try {
+      trackers.set(name, factory.create(trackerConfig));
+      console.log(`${name} tracker initialized successfully`);
+    } catch (error) {
+      console.error(`Failed to initialize ${name} tracker:`, error);
+    }
+  }
+
+  defaultTracker = defaultName && trackers.has(defaultName)
+    ? defaultName
+    : trackers.keys().next().value || null;
+}
+
+/**
+ * Get a tracker adapter by name, or the default tracker
+ * @param {string} [name] - Tracker name (linear, github, jira, gitlab)
+ * @param {Object} [overrides] - Per-project config merged over the deployment config
+ *   (e.g. { owner, repo } for GitHub); `type` and `teamId` are ignored here
+ * @returns {Object|null} - Tracker adapter or null if not configured
+ */
+function getTracker(name, overrides = {}) {
+  const trackerName = name || defaultTracker;
+  if (!trackerName) {
+    return null;
+  }
+
+  const configOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([key]) => key !== 'type' && key !== 'teamId')
+  );
+  if (Object.keys(configOverrides).length === 0) {
+    return trackers.get(trackerName) || null;
+  }
+
+  const factory = TRACKER_FACTORIES[trackerName];
+  const trackerConfig = { ...baseConfigs[trackerName], ...configOverrides };
+  if (!factory || !factory.required.every(key => trackerConfig[key])) {
+    return null;
+  }
+
+  const cacheKey = `${trackerName}:${JSON.stringify(configOverrides)}`;
+  if (!overrideTrackers.has(cacheKey)) {
+    overrideTrackers.set(cacheKey, factory.create(trackerConfig));
+  }
+  return overrideTrackers.get(cacheKey);
+}
+
+module.exports = {
+  initializeTrackers,
+  getTracker
+};
@@ -0,0 +1,223 @@
+/**
+ * Jira Tracker Adapter
+ *
+ * Creates, comments on and searches issues through the Jira REST API (v2),
+ * and reads issue and comment webhooks (`jira:issue_updated`, `comment_created`).
+ */
+
+const { requestJson } = require('../utils/httpClient');
+const { verifyHmac } = require('../utils/webhookSignature');
+
+/**
+ * Jira default priority scheme names
+ */
+const PRIORITY_MAP = {
+  urgent: 'Highest',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+/**
+ * Resolutions meaning the issue was closed without a fix
+ */
+const NOT_PLANNED_RESOLUTIONS = ["won't do", "won't fix", 'declined', 'cannot reproduce', 'duplicate', 'incomplete'];
+
+/**
+ * Issue state from Jira issue fields: done when the status is in the Done category
+ */
+function issueState(fields) {
+  const status = fields.status || {};
+  const done = Boolean(status.statusCategory && status.statusCategory.key === 'done');
+  const resolution = fields.resolution ? fields.resolution.name : null;
+  return {
+    state: done ? 'closed' : 'open',
+    resolution: done ? (resolution && NOT_PLANNED_RESOLUTIONS.includes(resolution.toLowerCase()) ? 'not_planned' : 'completed') : null,
+    stateName: resolution && done ? `${status.name} (${resolution})` : status.name || null
+  };
+}
+
+/**
+ * Generic comment from a Jira comment
+ */
+function toComment(comment) {
+  return {
+    id: String(comment.id),
+    author: comment.author ? comment.author.displayName : null,
+    body: comment.body || '',
+    created_at: comment.created
+  };
+}
+
+/**
+ * Create a Jira tracker adapter
+ * @param {Object} config - Jira configuration
+ * @param {string} config.baseUrl - Jira site URL, e.g. https://acme.atlassian.net
+ * @param {string} config.email - Account email used for API token auth
+ * @param {string} config.apiToken - Jira API token
+ * @param {string} config.projectKey - Project key to file issues into
+ * @param {string} [config.issueType] - Issue type name (defaults to "Bug")
+ * @param {string} [config.webhookSecret] - Secret the Jira webhook signs deliveries with
+ * @returns {Object} - Tracker adapter
+ */
+function createJiraTracker(config) {
+  const baseUrl = config.baseUrl.replace(/\/$/, '');
+  const headers = {
+    'Authorization': `Basic ${Buffer.from(`${config.email}:${config.apiToken}`).toString('base64')}`
+  };
+
+  /**
+   * Jira labels are free-form, but may not contain spaces
+   * @param {string[]} names - Label names
+   * @returns {Promise<string[]>} - Jira-safe label names
+   */
+  async function resolveLabels(names = []) {
+    return names.map(name => name.trim().replace(/\s+/g, '-'));
+  }
+
+  /**
+   * Map an owner handle to a Jira user reference
+   * @param {string} handle - "@username", "username" or an email address
+   * @returns {Promise<Object|null>} - { accountId } on Jira Cloud, { name } on Jira Server
+   */
+  async function resolveAssignee(handle) {
+    const query = handle ? handle.replace(/^@/, '') : '';
+    if (!query || query.includes('/')) {
+      return null;
+    }
+
+    try {
+      const users = await requestJson(`${baseUrl}/rest/api/2/user/search?query=${encodeURIComponent(query)}`, { headers });
+      if (users.length === 0) {
+        return null;
+      }
+      return users[0].accountId ? { accountId: users[0].accountId } : { name: users[0].name };
+    } catch (error) {
+      console.warn(`Error looking up Jira user ${query}, continuing without an assignee:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Map a generic priority level to a Jira priority name
+   * @param {string} priority - urgent | high | medium | low
+   * @returns {Object} - Jira priority reference
+   */
+  function mapPriority(priority) {
+    return { name: PRIORITY_MAP[priority] || PRIORITY_MAP.medium };
+  }
+
+  /**
+   * Map a generic issue to the Jira create issue payload
+   * @param {Object} issue - Generic issue fields
+   * @returns {Promise<Object>} - Jira issue payload
+   */
+  async function mapFields(issue) {
+    const assignee = await resolveAssignee(issue.assignee);
+    return {
+      fields: {
+        // Routed team IDs are ignored: searches and webhooks only cover the configured project
+        project: { key: config.projectKey },
+        issuetype: { name: config.issueType || 'Bug' },
+        summary: issue.title,
+        description: issue.description,
+        labels: await resolveLabels(issue.labels),
+        priority: mapPriority(issue.priority),
+        ...(assignee ? { assignee } : {})
+      }
+    };
+  }
+
+  return {
+    name: 'jira',
+    displayName: 'Jira',
+    resolveLabels,
+    resolveAssignee,
+    mapPriority,
+    mapFields,
+
+    async createIssue(issue) {
+      const created = await requestJson(`${baseUrl}/rest/api/2/issue`, {
+        method: 'POST',
+        headers,
+        body: await mapFields(issue)
+      });
+
+      return {
+        id: created.key,
+        number: created.key,
+        url: `${baseUrl}/browse/${created.key}`,
+        title: issue.title
+      };
+    },
+
+    async addComment(issueId, body) {
+      await requestJson(`${baseUrl}/rest/api/2/issue/${issueId}/comment`, {
+        method: 'POST',
+        headers,
+        body: { body }
+      });
+    },
+
+    async searchIssues(keywords, options = {}) {
+      // Jira text search matches any of the terms
+      const text = keywords.map(keyword => keyword.replace(/["\\]/g, '')).join(' ');
+      const result = await requestJson(`${baseUrl}/rest/api/2/search`, {
+        method: 'POST',
+        headers,
+        body: {
+          jql: `project = "${config.projectKey}" AND statusCategory != Done AND text ~ "${text}" ORDER BY updated DESC`,
+          maxResults: options.limit || 20,
+          fields: ['summary', 'description']
+        }
+      });
+
+      return result.issues.map(issue => ({
+        id: issue.key,
+        number: issue.key,
+        url: `${baseUrl}/browse/${issue.key}`,
+        title: issue.fields.summary,
+        description: issue.fields.description || ''
+      }));
+    },
+
+    async getIssue(issueId) {
+      const issue = await requestJson(`${baseUrl}/rest/api/2/issue/${issueId}?fields=summary,status,resolution`, { headers });
+      return {
+        id: issue.key,
+        number: issue.key,
+        url: `${baseUrl}/browse/${issue.key}`,
+        title: issue.fields.summary,
+        ...issueState(issue.fields)
+      };
+    },
+
+    async listComments(issueId) {
+      const result = await requestJson(`${baseUrl}/rest/api/2/issue/${issueId}/comment?maxResults=100`, { headers });
+      return result.comments.map(toComment);
+    },
+
+    verifyWebhook(rawBody, requestHeaders) {
+      return verifyHmac(rawBody, config.webhookSecret, requestHeaders['x-hub-signature'], { prefix: 'sha256=' });
+    },
+
+    parseWebhook(payload) {
+      const issue = payload.issue;
+      // Webhooks may cover several projects; only this project's issues are filed here
+      if (!issue || (issue.fields && issue.fields.project && issue.fields.project.key !== config.projectKey)) {
+        return [];
+      }
+
+      if (payload.webhookEvent === 'jira:issue_updated') {
+        const changed = ((payload.changelog && payload.changelog.items) || []).some(item => ['status', 'resolution'].includes(item.field));
+        return changed && issue.fields ? [{ type: 'issue_state', issueId: issue.key, ...issueState(issue.fields) }] : [];
+      }
+      if (payload.webhookEvent === 'comment_created' && payload.comment) {
+        return [{ type: 'comment', issueId: issue.key, comment: toComment(payload.comment) }];
+      }
+      return [];
+    }
+  };
+}
+
+module.exports = createJiraTracker;
@@ -0,0 +1,58 @@
+const createJiraTracker = require('./jiraTracker');
+
+const tracker = createJiraTracker({
+  baseUrl: 'https://acme.atlassian.net/',
+  email: 'bot@example.com',
+  apiToken: 'test-token',
+  projectKey: 'BUG'
+});
+
+/**
+ * Jira webhook delivery for an issue of a project
+ */
+function statusChange(projectKey) {
+  return {
+    webhookEvent: 'jira:issue_updated',
+    issue: {
+      key: `${projectKey}-7`,
+      fields: {
+        project: { key: projectKey },
+        status: { name: 'Done', statusCategory: { key: 'done' } },
+        resolution: { name: 'Fixed' }
+      }
+    },
+    changelog: { items: [{ field: 'status' }] }
+  };
+}
+
+describe('jira tracker', () => {
+  test('files routed issues into the configured project', async () => {
+    const payload = await tracker.mapFields({
+      title: 'Checkout total ignores the discount code',
+      description: 'Details',
+      labels: ['bug', 'priority: high'],
+      priority: 'high',
+      teamId: 'CHECKOUT_TEAM_ID'
+    });
+
+    expect(payload.fields).toEqual({
+      project: { key: 'BUG' },
+      issuetype: { name: 'Bug' },
+      summary: 'Checkout total ignores the discount code',
+      description: 'Details',
+      labels: ['bug', 'priority:-high'],
+      priority: { name: 'High' }
+    });
+  });
+
+  test('reads state changes of the configured project\'s issues only', () => {
+    expect(tracker.parseWebhook(statusChange('BUG'))).toEqual([{
+      type: 'issue_state',
+      issueId: 'BUG-7',
+      state: 'closed',
+      resolution: 'completed',
+      stateName: 'Done (Fixed)'
+    }]);
+    expect(tracker.parseWebhook(statusChange('OPS'))).toEqual([]);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Linear Tracker Adapter
+ *
+ * Creates, comments on and searches issues in Linear through the official SDK,
+ * and reads Issue and Comment webhooks.
+ */
+
+const { LinearClient } = require('@linear/sdk');
+const { verifyHmac } = require('../utils/webhookSignature');
+
+/**
+ * Linear priority values (0 = none, 1 = urgent ... 4 = low)
+ */
+const PRIORITY_MAP = {
+  urgent: 1,
+  high: 2,
+  medium: 3,
+  low: 4
+};
+
+/**
+ * How old a webhook delivery may be before it is treated as a replay
+ */
+const WEBHOOK_MAX_AGE_MS = 60 * 1000;
+
+/**
+ * Issue state from a Linear workflow state (completed and canceled states close the issue)
+ */
+function issueState(state) {
+  const type = state ? state.type : null;
+  return {
+    state: type === 'completed' || type === 'canceled' ? 'closed' : 'open',
+    resolution: type === 'completed' ? 'completed' : type === 'canceled' ? 'not_planned' : null,
+    stateName: state ? state.name : null
+  };
+}
+
+/**
+ * Create a Linear tracker adapter
+ * @param {Object} config - Linear configuration
+ * @param {string} config.apiKey - Linear API key
+ * @param {string} [config.teamId] - Default team ID for new issues
+ * @param {string} [config.webhookSecret] - Signing secret of the Linear webhook
+ * @returns {Object} - Tracker adapter
+ */
+function createLinearTracker(config) {
+  const client = new LinearClient({ apiKey: config.apiKey });
+
+  /**
+   * Resolve the team to file into, falling back to the first team in the workspace
+   */
+  async function resolveTeamId(teamId) {
+    if (teamId || config.teamId) {
+      return teamId || config.teamId;
+    }
+
+    const teams = await client.teams();
+    if (teams.nodes.length === 0) {
+      throw new Error('No teams found in Linear account. Cannot create issue.');
+    }
+    return teams.nodes[0].id;
+  }
+
+  /**
+   * Map label names to Linear label IDs, ignoring labels that don't exist
+   * @param {string[]} names - Label names
+   * @returns {Promise<string[]>} - Linear label IDs
+   */
+  async function resolveLabels(names = []) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    try {
+      const labels = await client.issueLabels();
+      const wanted = names.map(name => name.toLowerCase());
+      return labels.nodes
+        .filter(label => wanted.includes(label.name.toLowerCase()))
+        .map(label => label.id);
+    } catch (error) {
+      console.error('Error fetching Linear labels, continuing without labels:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Map an owner handle to a Linear user ID
+   * @param {string} handle - Email address, "@displayName" or display name
+   * @returns {Promise<string|null>} - User ID
+   */
+  async function resolveAssignee(handle) {
+    const name = handle ? handle.replace(/^@/, '') : '';
+    if (!name || name.includes('/')) {
+      return null;
+    }
+
+    try {
+      const users = await client.users({
+        first: 1,
+        filter: name.includes('@')
+          ? { email: { eqIgnoreCase: name } }
+          : { or: [{ displayName: { eqIgnoreCase: name } }, { name: { eqIgnoreCase: name } }] }
+      });
+      return users.nodes.length > 0 ? users.nodes[0].id : null;
+    } catch (error) {
+      console.error('Error fetching Linear users, continuing without an assignee:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Map a generic priority level to Linear's numeric priority
+   * @param {string} priority - urgent | high | medium | low
+   * @returns {number}
+   */
+  function mapPriority(priority) {
+    return PRIORITY_MAP[priority] || PRIORITY_MAP.medium;
+  }
+
+  /**
+   * Map a generic issue to the Linear createIssue input
+   * @param {Object} issue - Generic issue fields
+   * @returns {Promise<Object>} - Linear IssueCreateInput
+   */
+  async function mapFields(issue) {
+    return {
+      teamId: await resolveTeamId(issue.teamId),
+      title: issue.title,
+      description: issue.description,
+      labelIds: await resolveLabels(issue.labels),
+      priority: mapPriority(issue.priority),
+      assigneeId: await resolveAssignee(issue.assignee) || undefined
+    };
+  }
+
+  return {
+    name: 'linear',
+    displayName: 'Linear',
+    resolveLabels,
+    resolveAssignee,
+    mapPriority,
+    mapFields,
+
+    async createIssue(issue) {
+      const payload = await client.createIssue(await mapFields(issue));
+      const created = await payload.issue;
+
+      return {
+        id: created.id,
+        number: created.number,
+        url: created.url,
+        title: created.title || issue.title
+      };
+    },
+
+    async addComment(issueId, body) {
+      await client.createComment({ issueId, body });
+    },
+
+    async searchIssues(keywords, options = {}) {
+      const issues = await client.issues({
+        first: options.limit || 20,
+        filter: {
+          state: { type: { nin: ['completed', 'canceled'] } },
+          or: keywords.map(keyword => ({ title: { containsIgnoreCase: keyword } }))
+        }
+      });
+
+      return issues.nodes.map(issue => ({
+        id: issue.id,
+        number: issue.number,
+        url: issue.url,
+        title: issue.title,
+        description: issue.description || ''
+      }));
+    },
+
+    async getIssue(issueId) {
+      const issue = await client.issue(issueId);
+      return {
+        id: issue.id,
+        number: issue.number,
+        url: issue.url,
+        title: issue.title,
+        ...issueState(await issue.state)
+      };
+    },
+
+    async listComments(issueId) {
+      const issue = await client.issue(issueId);
+      const comments = await issue.comments({ first: 100 });
+      return Promise.all(comments.nodes.map(async comment => {
+        const user = await comment.user;
+        return {
+          id: comment.id,
+          author: user ? user.displayName || user.name : null,
+          body: comment.body || '',
+          created_at: new Date(comment.createdAt).toISOString()
+        };
+      }));
+    },
+
+    verifyWebhook(rawBody, requestHeaders) {
+      if (!verifyHmac(rawBody, config.webhookSecret, requestHeaders['linear-signature'])) {
+        return false;
+      }
+      // Signed deliveries carry their send time; old ones are replays
+      try {
+        const { webhookTimestamp } = JSON.parse(rawBody.toString('utf8'));
+        return typeof webhookTimestamp === 'number' && Math.abs(Date.now() - webhookTimestamp) <= WEBHOOK_MAX_AGE_MS;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    parseWebhook(payload) {
+      const data = payload.data || {};
+
+      if (payload.type === 'Issue' && payload.action === 'update' && payload.updatedFrom && 'stateId' in payload.updatedFrom) {
+        return [{ type: 'issue_state', issueId: data.id, ...issueState(data.state) }];
+      }
+      if (payload.type === 'Comment' && payload.action === 'create' && data.issueId) {
+        return [{
+          type: 'comment',
+          issueId: data.issueId,
+          comment: {
+            id: data.id,
+            author: data.user ? data.user.name : null,
+            body: data.body || '',
+            created_at: data.createdAt
+          }
+        }];
+      }
+      return [];
+    }
+  };
+}
+
+module.exports = createLinearTracker;
@@ -0,0 +1,68 @@
+/**
+ * API Errors
+ *
+ * Errors that carry an HTTP status code so routes can tell client mistakes
+ * (bad input, forbidden paths) apart from server failures.
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {string} message - Message safe to return to the client
+   * @param {number} statusCode - HTTP status code
+   * @param {string} [code] - Machine-readable error code
+   */
+  constructor(message, statusCode = 500, code = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Create a 400 Bad Request error
+ * @param {string} message - Message safe to return to the client
+ * @param {string} [code] - Machine-readable error code
+ * @returns {ApiError}
+ */
+function badRequest(message, code) {
+  return new ApiError(message, 400, code);
+}
+
+/**
+ * Create a 401 Unauthorized error (missing or invalid credentials)
+ * @param {string} message - Message safe to return to the client
+ * @param {string} [code] - Machine-readable error code
+ * @returns {ApiError}
+ */
+function unauthorized(message, code = 'UNAUTHENTICATED') {
+  return new ApiError(message, 401, code);
+}
+
+/**
+ * Create a 403 Forbidden error (authenticated, but not allowed)
+ * @param {string} message - Message safe to return to the client
+ * @param {string} [code] - Machine-readable error code
+ * @returns {ApiError}
+ */
+function forbidden(message, code = 'FORBIDDEN') {
+  return new ApiError(message, 403, code);
+}
+
+/**
+ * Create a 409 Conflict error (the request doesn't fit the resource's current state)
+ * @param {string} message - Message safe to return to the client
+ * @param {string} [code] - Machine-readable error code
+ * @returns {ApiError}
+ */
+function conflict(message, code = 'CONFLICT') {
+  return new ApiError(message, 409, code);
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  conflict
+};
@@ -0,0 +1,77 @@
+/**
+ * Git Helpers
+ *
+ * Minimal wrappers around the local git CLI shared by ownership routing and
+ * regression commit correlation. Every call runs with a time limit and an
+ * output cap, since repositories can be large.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Output cap for a single git call
+ */
+const MAX_OUTPUT_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Run a git command in a repository
+ * @param {string} repoPath - Repository root
+ * @param {string[]} args - git arguments
+ * @param {Object} [options] - { timeout } in milliseconds (defaults to 5000)
+ * @returns {Promise<string>} - Standard output
+ */
+async function runGit(repoPath, args, options = {}) {
+  const { stdout } = await execFileAsync('git', ['-C', repoPath, ...args], {
+    timeout: options.timeout || 5000,
+    maxBuffer: MAX_OUTPUT_BYTES
+  });
+  return stdout;
+}
+
+/**
+ * The commit that last changed each line in a file's line ranges
+ * @param {string} repoPath - Repository root
+ * @param {string} relativePath - Path relative to the repository root
+ * @param {Object[]} ranges - Line ranges ({ startLine, endLine })
+ * @param {Object} [options] - { timeout } in milliseconds
+ * @returns {Promise<Object[]>} - One { commit, line, name, email, time, summary } per committed line
+ *   (uncommitted lines and bot authors are skipped)
+ */
+async function blameRanges(repoPath, relativePath, ranges, options = {}) {
+  const args = ['blame', '--line-porcelain'];
+  for (const range of ranges) {
+    args.push('-L', `${range.startLine},${range.endLine}`);
+  }
+  args.push('--', relativePath);
+
+  const stdout = await runGit(repoPath, args, options);
+
+  const lines = [];
+  let current = {};
+  for (const line of stdout.split('\n')) {
+    if (/^[0-9a-f]{40} /.test(line)) {
+      current = { commit: line.substring(0, 40), line: parseInt(line.split(' ')[2], 10) };
+    } else if (line.startsWith('author ')) {
+      current.name = line.substring(7);
+    } else if (line.startsWith('author-mail ')) {
+      current.email = line.substring(12).replace(/^<|>$/g, '');
+    } else if (line.startsWith('author-time ')) {
+      current.time = parseInt(line.substring(12), 10);
+    } else if (line.startsWith('summary ')) {
+      current.summary = line.substring(8);
+    } else if (line.startsWith('\t')) {
+      if (!/^0+$/.test(current.commit) && !/\[bot\]/.test(current.name || '')) {
+        lines.push(current);
+      }
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  runGit,
+  blameRanges
+};
@@ -0,0 +1,38 @@
+/**
+ * HTTP Client
+ *
+ * Minimal JSON-over-HTTP helper shared by the REST-based tracker adapters
+ * (GitHub, Jira, GitLab) and LLM providers without an SDK (Anthropic).
+ */
+
+/**
+ * Send a JSON request and parse the JSON response
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - fetch options (method, headers, body)
+ * @returns {Promise<Object|null>} - Parsed response body, or null for empty responses
+ */
+async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...options.headers
+    },
+    body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+  });
+
+  const text = await response.text();
+
+  if (!response.ok) {
+    const error = new Error(`Request to ${new URL(url).host} failed (${response.status}): ${text.substring(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return text ? JSON.parse(text) : null;
+}
+
+module.exports = {
+  requestJson
+};
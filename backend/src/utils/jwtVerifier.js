@@ -0,0 +1,202 @@
+/**
+ * JWT Verification
+ *
+ * Verifies JSON Web Tokens: either tokens signed with a shared HMAC secret,
+ * or tokens from an issuer that publishes its signing keys (JWKS), such as
+ * an OIDC identity provider or the Bot Framework.
+ *
+ * The signing algorithm decides which key is used: HS* only with the shared
+ * secret, RS*, PS* and ES* only with the issuer's keys, so a token can't pick
+ * a weaker check than the deployment configured. Unsigned tokens are never
+ * accepted.
+ */
+
+const crypto = require('crypto');
+const { requestJson } = require('./httpClient');
+const { unauthorized } = require('./errors');
+
+/**
+ * Algorithms verified with the shared secret (HMAC digest)
+ */
+const HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+/**
+ * Algorithms verified with the issuer's public keys (crypto.verify options)
+ */
+const PSS = { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST };
+const ECDSA = { dsaEncoding: 'ieee-p1363' };
+const PUBLIC_KEY_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', ...PSS },
+  PS384: { hash: 'sha384', ...PSS },
+  PS512: { hash: 'sha512', ...PSS },
+  ES256: { hash: 'sha256', ...ECDSA },
+  ES384: { hash: 'sha384', ...ECDSA },
+  ES512: { hash: 'sha512', ...ECDSA }
+};
+
+/**
+ * How long fetched signing keys are trusted, and how often an unknown key ID
+ * may trigger a refetch (issuers rotate keys)
+ */
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_REFETCH_MS = 60 * 1000;
+
+/**
+ * Decode a base64url JSON segment
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw unauthorized('Malformed token', 'INVALID_TOKEN');
+  }
+}
+
+/**
+ * Create a JWT verifier
+ * @param {Object} config - Verifier configuration
+ * @param {string} [config.secret] - Shared HMAC secret for self-signed tokens
+ * @param {string} [config.issuer] - Issuer URL (required `iss` claim of issuer-signed tokens; its JWKS is discovered)
+ * @param {string} [config.jwksUri] - Signing key URL, when the issuer doesn't publish discovery metadata
+ * @param {string} [config.audience] - Required `aud` claim of issuer-signed tokens
+ * @param {number} [config.clockToleranceSeconds] - Allowed clock skew for exp/nbf (default 60)
+ * @returns {Object} - { verify(token) -> { header, payload, fromIssuer } }
+ */
+function createJwtVerifier(config) {
+  const tolerance = config.clockToleranceSeconds !== undefined ? config.clockToleranceSeconds : 60;
+  const secret = config.secret ? Buffer.from(config.secret) : null;
+
+  let jwks = { keys: new Map(), fetchedAt: 0 };
+  let jwksRequest = null;
+
+  /**
+   * Fetch the issuer's signing keys, discovering the JWKS URL when it isn't configured
+   */
+  async function fetchKeys() {
+    let jwksUri = config.jwksUri;
+    if (!jwksUri) {
+      const discovery = await requestJson(`${config.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      jwksUri = discovery.jwks_uri;
+    }
+
+    const { keys = [] } = await requestJson(jwksUri);
+    const keyObjects = new Map();
+    for (const jwk of keys) {
+      if (jwk.use && jwk.use !== 'sig') {
+        continue;
+      }
+      try {
+        keyObjects.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.warn(`Skipping unsupported signing key ${jwk.kid}:`, error.message);
+      }
+    }
+    return { keys: keyObjects, fetchedAt: Date.now() };
+  }
+
+  /**
+   * Signing key for a token's key ID, refreshing the cached keys when needed
+   */
+  async function getSigningKey(kid = '') {
+    const age = Date.now() - jwks.fetchedAt;
+    if (age > JWKS_CACHE_MS || (!jwks.keys.has(kid) && age > JWKS_REFETCH_MS)) {
+      // Concurrent requests share one fetch
+      jwksRequest = jwksRequest || fetchKeys().finally(() => { jwksRequest = null; });
+      try {
+        jwks = await jwksRequest;
+      } catch (error) {
+        console.error('Failed to fetch token signing keys:', error.message);
+      }
+    }
+
+    // Tokens without a key ID are accepted when the issuer publishes a single key
+    if (!kid && jwks.keys.size === 1) {
+      return [...jwks.keys.values()][0];
+    }
+    return jwks.keys.get(kid) || null;
+  }
+
+  /**
+   * Check a token's signature
+   */
+  async function verifySignature(header, signingInput, signature) {
+    const data = Buffer.from(signingInput);
+
+    if (HMAC_ALGORITHMS[header.alg]) {
+      if (!secret) {
+        return false;
+      }
+      const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], secret).update(data).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const algorithm = PUBLIC_KEY_ALGORITHMS[header.alg];
+    if (!algorithm || !(config.issuer || config.jwksUri)) {
+      return false;
+    }
+    const key = await getSigningKey(header.kid);
+    if (!key) {
+      return false;
+    }
+    const { hash, ...options } = algorithm;
+    return crypto.verify(hash, data, { key, ...options }, signature);
+  }
+
+  /**
+   * Check the registered claims (issuer and audience only for tokens signed by the issuer)
+   */
+  function verifyClaims(payload, fromIssuer) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number' || payload.exp + tolerance < now) {
+      throw unauthorized('Session has expired', 'TOKEN_EXPIRED');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - tolerance > now) {
+      throw unauthorized('Token is not valid yet', 'INVALID_TOKEN');
+    }
+    if (fromIssuer && config.issuer && payload.iss !== config.issuer) {
+      throw unauthorized('Token was issued by an unknown issuer', 'INVALID_TOKEN');
+    }
+    if (fromIssuer && config.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(config.audience)) {
+        throw unauthorized('Token was issued for a different audience', 'INVALID_TOKEN');
+      }
+    }
+  }
+
+  return {
+    /**
+     * Verify a token's signature and registered claims
+     * @param {string} token - Compact JWT
+     * @returns {Promise<Object>} - { header, payload, fromIssuer }
+     * @throws {ApiError} - 401 for malformed, forged or expired tokens
+     */
+    async verify(token) {
+      const segments = String(token).split('.');
+      if (segments.length !== 3) {
+        throw unauthorized('Malformed token', 'INVALID_TOKEN');
+      }
+
+      const header = decodeSegment(segments[0]);
+      const payload = decodeSegment(segments[1]);
+      const signature = Buffer.from(segments[2], 'base64url');
+
+      if (!(await verifySignature(header, `${segments[0]}.${segments[1]}`, signature))) {
+        throw unauthorized('Invalid token signature', 'INVALID_TOKEN');
+      }
+      const fromIssuer = !HMAC_ALGORITHMS[header.alg];
+      verifyClaims(payload, fromIssuer);
+      return { header, payload, fromIssuer };
+    }
+  };
+}
+
+module.exports = createJwtVerifier;
@@ -0,0 +1,68 @@
+/**
+ * Signed Tokens
+ *
+ * Compact tokens for links sent to reporters (follow-up forms, unsubscribe):
+ * a base64url JSON payload and its HMAC-SHA256 signature. Every token names
+ * its purpose, so a token issued for one kind of link can't be used for
+ * another, and may carry an expiry (`exp`, seconds since the epoch).
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./webhookSignature');
+
+/**
+ * Signature of an encoded payload
+ */
+function sign(encodedPayload, secret) {
+  return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {string} purpose - What the token may be used for (e.g. `follow_up`)
+ * @param {Object} claims - Data carried by the token
+ * @param {string} secret - Signing secret
+ * @param {Object} [options] - { expiresInSeconds } (default: never expires)
+ * @returns {string}
+ */
+function createToken(purpose, claims, secret, options = {}) {
+  const payload = { ...claims, purpose };
+  if (options.expiresInSeconds) {
+    payload.exp = Math.floor(Date.now() / 1000) + options.expiresInSeconds;
+  }
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded, secret)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token from a link
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} - The token's claims, or null when it is malformed, forged, expired or for another purpose
+ */
+function verifyToken(token, purpose, secret) {
+  const [encoded, signature, ...rest] = String(token || '').split('.');
+  if (!secret || !encoded || !signature || rest.length > 0 || !safeEqual(sign(encoded, secret), signature)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!payload || payload.purpose !== purpose) {
+    return null;
+  }
+  if (typeof payload.exp === 'number' && payload.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  return payload;
+}
+
+module.exports = {
+  createToken,
+  verifyToken
+};
@@ -0,0 +1,59 @@
+const { createToken, verifyToken } = require('./signedTokens');
+
+const SECRET = 'test-notification-secret';
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('signed tokens', () => {
+  test('verify with the claims and purpose they were created with', () => {
+    const token = createToken('follow_up', { report: 'report-1' }, SECRET);
+
+    expect(verifyToken(token, 'follow_up', SECRET)).toEqual({ report: 'report-1', purpose: 'follow_up' });
+  });
+
+  test('are rejected for another purpose or secret', () => {
+    const token = createToken('follow_up', { report: 'report-1' }, SECRET);
+
+    expect(verifyToken(token, 'unsubscribe', SECRET)).toBeNull();
+    expect(verifyToken(token, 'follow_up', 'another-secret')).toBeNull();
+    expect(verifyToken(token, 'follow_up', null)).toBeNull();
+  });
+
+  test('are rejected when the payload or signature was tampered with', () => {
+    const token = createToken('follow_up', { report: 'report-1' }, SECRET);
+    const [, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ report: 'report-2', purpose: 'follow_up' })).toString('base64url');
+    const flipped = signature[0] === 'A' ? `B${signature.slice(1)}` : `A${signature.slice(1)}`;
+
+    expect(verifyToken(`${forgedPayload}.${signature}`, 'follow_up', SECRET)).toBeNull();
+    expect(verifyToken(`${token.split('.')[0]}.${flipped}`, 'follow_up', SECRET)).toBeNull();
+    expect(verifyToken(`${token}.extra`, 'follow_up', SECRET)).toBeNull();
+  });
+
+  test('are rejected when malformed', () => {
+    expect(verifyToken(undefined, 'follow_up', SECRET)).toBeNull();
+    expect(verifyToken('', 'follow_up', SECRET)).toBeNull();
+    expect(verifyToken('no-signature', 'follow_up', SECRET)).toBeNull();
+  });
+
+  test('expire after their lifetime', () => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+    const token = createToken('follow_up', { report: 'report-1' }, SECRET, { expiresInSeconds: 60 });
+
+    jest.setSystemTime(new Date('2026-03-01T12:01:00Z'));
+    expect(verifyToken(token, 'follow_up', SECRET)).toEqual(expect.objectContaining({ report: 'report-1' }));
+
+    jest.setSystemTime(new Date('2026-03-01T12:01:01Z'));
+    expect(verifyToken(token, 'follow_up', SECRET)).toBeNull();
+  });
+
+  test('without a lifetime never expire', () => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+    const token = createToken('unsubscribe', { email: 'sam@example.com' }, SECRET);
+
+    jest.setSystemTime(new Date('2036-03-01T12:00:00Z'));
+    expect(verifyToken(token, 'unsubscribe', SECRET)).toEqual({ email: 'sam@example.com', purpose: 'unsubscribe' });
+  });
+});
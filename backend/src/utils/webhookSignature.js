@@ -0,0 +1,42 @@
+/**
+ * Webhook Signatures
+ *
+ * Checks that webhook deliveries come from the tracker they claim to: the
+ * sender signs the raw request body with a shared secret, and the signature
+ * is compared in constant time.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} expected - Value computed locally
+ * @param {string} presented - Value from the request
+ * @returns {boolean}
+ */
+function safeEqual(expected, presented) {
+  const expectedBuffer = Buffer.from(String(expected));
+  const presentedBuffer = Buffer.from(String(presented || ''));
+  return expectedBuffer.length === presentedBuffer.length && crypto.timingSafeEqual(expectedBuffer, presentedBuffer);
+}
+
+/**
+ * Check a hex HMAC signature of the raw request body
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} secret - Shared webhook secret
+ * @param {string} signature - Signature header value
+ * @param {Object} [options] - { algorithm (default sha256), prefix (e.g. "sha256=") }
+ * @returns {boolean}
+ */
+function verifyHmac(rawBody, secret, signature, options = {}) {
+  if (!secret || !signature || rawBody === undefined) {
+    return false;
+  }
+  const digest = crypto.createHmac(options.algorithm || 'sha256', secret).update(rawBody).digest('hex');
+  return safeEqual(`${options.prefix || ''}${digest}`, signature.trim().toLowerCase());
+}
+
+module.exports = {
+  safeEqual,
+  verifyHmac
+};
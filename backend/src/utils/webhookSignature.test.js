@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { safeEqual, verifyHmac } = require('./webhookSignature');
+
+const SECRET = 'test-webhook-secret';
+const BODY = Buffer.from('{"action":"closed"}');
+const DIGEST = crypto.createHmac('sha256', SECRET).update(BODY).digest('hex');
+
+describe('webhook signatures', () => {
+  test('accept the HMAC of the raw body, with the sender\'s prefix and in any case', () => {
+    expect(verifyHmac(BODY, SECRET, DIGEST)).toBe(true);
+    expect(verifyHmac(BODY, SECRET, `sha256=${DIGEST.toUpperCase()}`, { prefix: 'sha256=' })).toBe(true);
+  });
+
+  test('reject missing, wrong and truncated signatures', () => {
+    expect(verifyHmac(BODY, SECRET, undefined)).toBe(false);
+    expect(verifyHmac(BODY, SECRET, '')).toBe(false);
+    expect(verifyHmac(BODY, 'another-secret', DIGEST)).toBe(false);
+    expect(verifyHmac(Buffer.from('{"action":"reopened"}'), SECRET, DIGEST)).toBe(false);
+    expect(verifyHmac(BODY, SECRET, DIGEST.slice(0, 40))).toBe(false);
+    expect(verifyHmac(BODY, SECRET, DIGEST, { prefix: 'sha256=' })).toBe(false);
+  });
+
+  test('reject every signature when no secret is configured', () => {
+    const unkeyed = crypto.createHmac('sha256', '').update(BODY).digest('hex');
+
+    expect(verifyHmac(BODY, undefined, unkeyed)).toBe(false);
+    expect(verifyHmac(BODY, '', unkeyed)).toBe(false);
+  });
+
+  test('compare tokens in full', () => {
+    expect(safeEqual('gitlab-token', 'gitlab-token')).toBe(true);
+    expect(safeEqual('gitlab-token', 'gitlab-toke')).toBe(false);
+    expect(safeEqual('gitlab-token', undefined)).toBe(false);
+  });
+});
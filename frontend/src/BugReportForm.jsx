@@ -6,19 +6,26 @@
  * 1. User inputs bug description (in any terminology)
  * 2. AI processes and analyzes the bug
  * 3. Shows follow-up questions or confirmation before creating a ticket
+ *
+ * Opened from the link in a follow-up email (`?report=<id>&token=<token>`),
+ * it goes straight to that report's follow-up questions.
  */
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { 
   Container, Box, Paper, Stepper, 
   Title, Text, Textarea, Button, 
   Group, FileInput, Image, Alert,
   Divider, Loader, SimpleGrid,
-  TextInput, Code, CopyButton, Tooltip
+  TextInput, Code, CopyButton, Tooltip, Link,
+  Select
 } from './ui-components'; // Import your UI components (Mantine, MUI, etc.)
+import RevisionHistory from './RevisionHistory';
+import { authHeaders } from './authHeaders';
 
 // Configure these based on your setup
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+// Only used when the backend has no project registry
 const REPO_PATH = process.env.REACT_APP_REPO_PATH || '/path/to/your/repo';
 
 // Initialize Supabase client (if used for image uploads)
@@ -28,9 +35,27 @@ const supabase = createClient(
   process.env.REACT_APP_SUPABASE_ANON_KEY
 );
 
-const BugReportForm = () => {
+// Alert style for each severity level
+const SEVERITY_ALERTS = {
+  critical: 'error',
+  high: 'warning',
+  medium: 'info',
+  low: 'success'
+};
+
+/**
+ * @param {Object} props
+ * @param {Function} [props.getAuthToken] - Returns the signed-in user's session token (OIDC ID/access token
+ *   or a JWT signed by the host app); omit it when the backend runs with authentication disabled
+ */
+const BugReportForm = ({ getAuthToken }) => {
   // Form state
   const [description, setDescription] = useState('');
+  const [logs, setLogs] = useState('');
+  
+  // Product area (project) state
+  const [projects, setProjects] = useState([]);
+  const [project, setProject] = useState('');
   
   // Image upload state
   const [screenshots, setScreenshots] = useState([]);
@@ -43,12 +68,106 @@ const BugReportForm = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [report, setReport] = useState(null);
-  const [linearCreated, setLinearCreated] = useState(false);
+  const [ticketCreated, setTicketCreated] = useState(false);
   
   // Follow-up questions state
   const [followUpResponses, setFollowUpResponses] = useState({});
   const [showFollowUp, setShowFollowUp] = useState(false);
+  
+  // Follow-up link state (token from the email link; it only opens that report's questions)
+  const [reportToken, setReportToken] = useState(null);
 
+  /**
+   * Load the product areas reporters can choose from
+   */
+  useEffect(() => {
+    const loadProjects = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/projects`, {
+          headers: await authHeaders(getAuthToken)
+        });
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        setProjects(data.projects || []);
+        if (data.projects && data.projects.length === 1) {
+          setProject(data.projects[0].key);
+        }
+      } catch (err) {
+        console.error('Error loading projects:', err);
+      }
+    };
+    
+    loadProjects();
+  }, []);
+  
+  /**
+   * Open the follow-up questions of the report named in a follow-up email link
+   */
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const reportId = params.get('report');
+    const token = params.get('token');
+    if (!reportId || !token) return;
+    
+    const loadFollowUp = async () => {
+      setLoading(true);
+      
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/bug-report/${encodeURIComponent(reportId)}/follow-up`, {
+          headers: await authHeaders(getAuthToken, token)
+        });
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.message || 'Failed to load the follow-up questions');
+        }
+        
+        const data = await response.json();
+        setReportToken(token);
+        setReport(data);
+        if (data.needs_more_info) {
+          const initialResponses = {};
+          data.needs_more_info.requests.forEach(request => {
+            initialResponses[request.type] = '';
+          });
+          setFollowUpResponses(initialResponses);
+          setShowFollowUp(true);
+        }
+        setActive(2);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    loadFollowUp();
+  }, []);
+  
+  /**
+   * Upload one file to Supabase storage
+   * @param {File} file - File to upload
+   * @returns {Promise<string>} Public URL of the file
+   */
+  const uploadFile = async (file) => {
+    const fileName = `${Date.now()}_${file.name.replace(/\s+/g, '_')}`;
+    
+    const { error } = await supabase.storage
+      .from('images')
+      .upload(`bug-reports/${fileName}`, file, {
+        cacheControl: '3600',
+        upsert: false
+      });
+      
+    if (error) throw error;
+    
+    const { data: urlData } = supabase.storage
+      .from('images')
+      .getPublicUrl(`bug-reports/${fileName}`);
+      
+    return urlData.publicUrl;
+  };
+  
   /**
    * Upload screenshots to Supabase storage
    * @returns {Promise<string[]>} Array of image URLs
@@ -63,25 +182,7 @@ const BugReportForm = () => {
     
     try {
       for (let i = 0; i < screenshots.length; i++) {
-        const file = screenshots[i];
-        const fileName = `${Date.now()}_${file.name.replace(/\s+/g, '_')}`;
-        
-        // Upload to Supabase
-        const { data, error } = await supabase.storage
-          .from('images')
-          .upload(`bug-reports/${fileName}`, file, {
-            cacheControl: '3600',
-            upsert: false
-          });
-          
-        if (error) throw error;
-        
-        // Get public URL
-        const { data: urlData } = supabase.storage
-          .from('images')
-          .getPublicUrl(`bug-reports/${fileName}`);
-          
-        uploadedUrls.push(urlData.publicUrl);
+        uploadedUrls.push(await uploadFile(screenshots[i]));
         
         // Update progress
         setUploadProgress(Math.round(((i + 1) / screenshots.length) * 100));
@@ -95,6 +196,89 @@ const BugReportForm = () => {
     }
   };
   
+  /**
+   * Upload a file answering a follow-up question and store its URL as the answer
+   * @param {string} type - Follow-up question key
+   * @param {File} file - Selected file
+   */
+  const handleFollowUpFile = async (type, file) => {
+    if (!file) return;
+    
+    try {
+      const url = await uploadFile(file);
+      setFollowUpResponses((responses) => ({ ...responses, [type]: url }));
+    } catch (err) {
+      console.error('Error uploading follow-up file:', err);
+      setError('Failed to upload file. Please try again or paste a link instead.');
+    }
+  };
+  
+  /**
+   * Update the answer to a follow-up question
+   * @param {string} type - Follow-up question key
+   * @param {string} value - Answer
+   */
+  const setFollowUpResponse = (type, value) => {
+    setFollowUpResponses((responses) => ({ ...responses, [type]: value }));
+  };
+  
+  /**
+   * Render the input matching a follow-up question's expected answer type
+   * @param {Object} request - { type, question, answer_type, options }
+   */
+  const renderFollowUpInput = (request) => {
+    const value = followUpResponses[request.type] || '';
+    
+    switch (request.answer_type) {
+      case 'choice':
+        return (
+          <Select
+            native
+            fullWidth
+            value={value}
+            onChange={(e) => setFollowUpResponse(request.type, e.target.value)}
+            variant="outlined"
+          >
+            <option value="">Choose an answer...</option>
+            {request.options.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Select>
+        );
+      case 'file':
+        return (
+          <>
+            <FileInput
+              placeholder="Choose a file..."
+              accept="image/*,video/*,.har,.log,.txt,.json,.csv"
+              onChange={(file) => handleFollowUpFile(request.type, Array.isArray(file) ? file[0] : file)}
+            />
+            {value && <Text variant="caption" mt={1}>Uploaded: <Link href={value} target="_blank" rel="noopener noreferrer">{value}</Link></Text>}
+          </>
+        );
+      case 'url':
+        return (
+          <TextInput
+            type="url"
+            placeholder="https://..."
+            fullWidth
+            value={value}
+            onChange={(e) => setFollowUpResponse(request.type, e.target.value)}
+          />
+        );
+      default:
+        return (
+          <Textarea
+            placeholder="Your answer..."
+            rows={2}
+            fullWidth
+            value={value}
+            onChange={(e) => setFollowUpResponse(request.type, e.target.value)}
+          />
+        );
+    }
+  };
+  
   /**
    * Initial bug report submission
    * Sends the user's description to the backend for AI analysis
@@ -110,6 +294,10 @@ const BugReportForm = () => {
         throw new Error('Bug description is required');
       }
       
+      if (projects.length > 0 && !project) {
+        throw new Error('Please choose the product area');
+      }
+      
       // Show the processing/loading step
       setActive(1);
       
@@ -123,11 +311,14 @@ const BugReportForm = () => {
       const response = await fetch(`${API_BASE_URL}/api/bug-report/analyze`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(await authHeaders(getAuthToken))
         },
         body: JSON.stringify({
           description,
-          repoPath: REPO_PATH,
+          logs,
+          // Send the project key when the backend has a registry, otherwise the configured repo path
+          ...(projects.length > 0 ? { project } : { repoPath: REPO_PATH }),
           screenshots: screenshotUrls
         })
       });
@@ -164,18 +355,19 @@ const BugReportForm = () => {
   };
   
   /**
-   * Confirm bug report and create Linear ticket
+   * Confirm bug report and create a tracker ticket
    * Called when user confirms the analysis is correct
    */
   const handleConfirmReport = async () => {
     setLoading(true);
     
     try {
-      // Create Linear ticket from the report
+      // Create tracker ticket from the report
       const response = await fetch(`${API_BASE_URL}/api/bug-report/confirm`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(await authHeaders(getAuthToken))
         },
         body: JSON.stringify({
           reportId: report.id,
@@ -188,10 +380,46 @@ const BugReportForm = () => {
         throw new Error(errorData.message || 'Failed to confirm bug report');
       }
       
-      // Update with Linear issue data
+      // Update with tracker issue data
       const data = await response.json();
       setReport(data);
-      setLinearCreated(true);
+      setTicketCreated(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  /**
+   * Add the report to an existing issue it duplicates instead of filing a new ticket,
+   * or merge it into a duplicate report that isn't filed yet
+   * @param {Object} duplicate - Likely duplicate
+   */
+  const handleAttachToIssue = async (duplicate) => {
+    setLoading(true);
+    
+    try {
+      const endpoint = duplicate.action === 'merge' ? 'merge' : 'attach';
+      const response = await fetch(`${API_BASE_URL}/api/bug-report/${report.id}/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await authHeaders(getAuthToken))
+        },
+        body: JSON.stringify({ duplicateKey: duplicate.key })
+      });
+      
+      // Handle API errors
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to add your report to the existing issue');
+      }
+      
+      // Show the existing issue (or the merged report) as the reporter's ticket
+      const data = await response.json();
+      setReport(data);
+      setTicketCreated(true);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -212,7 +440,8 @@ const BugReportForm = () => {
       const response = await fetch(`${API_BASE_URL}/api/bug-report/${report.id}/additional-info`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(await authHeaders(getAuthToken, reportToken))
         },
         body: JSON.stringify({
           responses: followUpResponses
@@ -225,11 +454,20 @@ const BugReportForm = () => {
         throw new Error(errorData.message || 'Failed to submit additional information');
       }
       
-      // Hide follow-up form
-      setShowFollowUp(false);
+      // Show the re-analyzed report
+      const data = await response.json();
+      setReport({ ...report, ...data });
       
-      // Automatically create Linear ticket after follow-up
-      await handleConfirmReport();
+      // Ask the next round of questions, or let the user confirm the updated report
+      if (data.needs_more_info) {
+        const initialResponses = {};
+        data.needs_more_info.requests.forEach(request => {
+          initialResponses[request.type] = '';
+        });
+        setFollowUpResponses(initialResponses);
+      } else {
+        setShowFollowUp(false);
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -240,14 +478,21 @@ const BugReportForm = () => {
   // Reset the form and process
   const handleReset = () => {
     setDescription('');
+    setLogs('');
     setActive(0);
     setError('');
     setReport(null);
     setFollowUpResponses({});
     setShowFollowUp(false);
-    setLinearCreated(false);
+    setTicketCreated(false);
     setScreenshots([]);
     setUploadedImages([]);
+    
+    // Leave the follow-up link behind
+    if (reportToken) {
+      setReportToken(null);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
   };
   
   // Helper to generate a user-friendly summary of the bug
@@ -275,6 +520,26 @@ const BugReportForm = () => {
           <form onSubmit={handleSubmit}>
             <Title variant="h6" gutterBottom>What's Not Working?</Title>
             
+            {projects.length > 0 && (
+              <Select
+                label="Product Area"
+                native
+                required
+                fullWidth
+                value={project}
+                onChange={(e) => setProject(e.target.value)}
+                margin="normal"
+                variant="outlined"
+              >
+                <option value="" disabled>Which part of the product is affected?</option>
+                {projects.map((item) => (
+                  <option key={item.key} value={item.key}>
+                    {item.description ? `${item.name} — ${item.description}` : item.name}
+                  </option>
+                ))}
+              </Select>
+            )}
+            
             <Textarea
               label="Bug Description"
               placeholder="What's not working? Describe the bug in as much detail as possible..."
@@ -288,6 +553,18 @@ const BugReportForm = () => {
               variant="outlined"
             />
             
+            <Textarea
+              label="Error Message or Stack Trace (Optional)"
+              placeholder="Paste any error message, console output or stack trace you saw..."
+              multiline
+              rows={4}
+              fullWidth
+              value={logs}
+              onChange={(e) => setLogs(e.target.value)}
+              margin="normal"
+              variant="outlined"
+            />
+            
             {/* Screenshot upload section */}
             <Box sx={{ mt: 3, mb: 3 }}>
               <Text fontWeight="bold" mb={1}>Upload Screenshots (Optional)</Text>
@@ -333,7 +610,7 @@ const BugReportForm = () => {
                 type="submit"
                 variant="contained"
                 color="primary"
-                disabled={loading || !description}
+                disabled={loading || !description || (projects.length > 0 && !project)}
               >
                 Submit Bug Report
               </Button>
@@ -406,28 +683,7 @@ const BugReportForm = () => {
                   {report.needs_more_info.requests.map((request) => (
                     <Box key={request.type} sx={{ mb: 3 }}>
                       <Text fontWeight="bold" gutterBottom>{request.question}</Text>
-                      {request.type === 'screenshot' ? (
-                        <TextInput
-                          placeholder="Paste a URL to your screenshot or describe what's visible"
-                          fullWidth
-                          value={followUpResponses[request.type] || ''}
-                          onChange={(e) => setFollowUpResponses({
-                            ...followUpResponses,
-                            [request.type]: e.target.value
-                          })}
-                        />
-                      ) : (
-                        <Textarea
-                          placeholder="Your answer..."
-                          rows={2}
-                          fullWidth
-                          value={followUpResponses[request.type] || ''}
-                          onChange={(e) => setFollowUpResponses({
-                            ...followUpResponses,
-                            [request.type]: e.target.value
-                          })}
-                        />
-                      )}
+                      {renderFollowUpInput(request)}
                     </Box>
                   ))}
                   
@@ -458,13 +714,72 @@ const BugReportForm = () => {
             </>
           )}
           
+          {/* Answers sent from a follow-up link; the team takes it from here */}
+          {!showFollowUp && reportToken && (
+            <>
+              <Title variant="h5" gutterBottom>Thanks for Your Answers</Title>
+              
+              <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+                <Title variant="h6" gutterBottom>{report.report_json.title}</Title>
+                <Text>
+                  We have everything we need for now and will email you when there's news about this report.
+                </Text>
+              </Paper>
+              
+              <Box display="flex" justifyContent="flex-end">
+                <Button
+                  variant="contained"
+                  color="primary"
+                  onClick={handleReset}
+                >
+                  Report Another Bug
+                </Button>
+              </Box>
+            </>
+          )}
+          
           {/* Confirmation screen */}
-          {!showFollowUp && !linearCreated && (
+          {!showFollowUp && !ticketCreated && !reportToken && (
             <>
               <Title variant="h5" gutterBottom>Confirm Bug Report</Title>
               
               <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
                 <Title variant="h6" gutterBottom>{report.report_json.title}</Title>
+                {report.revision > 1 && (
+                  <Text variant="body2" color="textSecondary" gutterBottom>
+                    Updated with your answers (revision {report.revision})
+                  </Text>
+                )}
+                
+                {report.severity && (
+                  <Alert severity={SEVERITY_ALERTS[report.severity.level]} sx={{ mb: 2 }}>
+                    <Text fontWeight="bold">
+                      Severity: {report.severity.level} (priority {report.severity.priority})
+                    </Text>
+                    <Text variant="body2">{report.severity.justification}</Text>
+                  </Alert>
+                )}
+                
+                {report.routing && (report.routing.team_id || report.routing.component || report.routing.assignee ||
+                  report.routing.recent_committers.length > 0) && (
+                  <Box sx={{ mb: 2 }}>
+                    <Text fontWeight="bold" gutterBottom>Routing:</Text>
+                    {report.routing.component && (
+                      <Text variant="body2">Component: {report.routing.component}</Text>
+                    )}
+                    {report.routing.team_id && (
+                      <Text variant="body2">Team: {report.routing.team_id}</Text>
+                    )}
+                    {report.routing.assignee && (
+                      <Text variant="body2">Suggested assignee: {report.routing.assignee}</Text>
+                    )}
+                    {report.routing.recent_committers.length > 0 && (
+                      <Text variant="body2" color="textSecondary">
+                        Recently changed by {report.routing.recent_committers.map(committer => committer.name).join(', ')}
+                      </Text>
+                    )}
+                  </Box>
+                )}
                 
                 <Text fontWeight="bold" variant="h6" gutterBottom>Is this the issue you're experiencing?</Text>
                 <Text gutterBottom variant="body1">
@@ -520,6 +835,42 @@ const BugReportForm = () => {
                 </ul>
               </Paper>
               
+              {/* Likely duplicates the report can be added to instead */}
+              {report.duplicates && report.duplicates.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 3 }}>
+                  <Text fontWeight="bold" gutterBottom>This may already be reported</Text>
+                  {report.duplicates.map((duplicate) => (
+                    <Box key={duplicate.key} display="flex" justifyContent="space-between" alignItems="center" sx={{ mt: 1 }}>
+                      <Box>
+                        {duplicate.issue_url ? (
+                          <Link href={duplicate.issue_url} target="_blank">
+                            #{duplicate.issue_number} {duplicate.title}
+                          </Link>
+                        ) : (
+                          <Text>{duplicate.title} (not filed yet)</Text>
+                        )}
+                        <Text variant="body2" color="textSecondary">
+                          {Math.round(duplicate.score * 100)}% match{duplicate.reasons.length > 0 ? ` — ${duplicate.reasons.join(', ')}` : ''}
+                        </Text>
+                      </Box>
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        onClick={() => handleAttachToIssue(duplicate)}
+                        disabled={loading}
+                      >
+                        {duplicate.action === 'merge' ? "Merge my report into this one" : "Add my report to this issue"}
+                      </Button>
+                    </Box>
+                  ))}
+                </Alert>
+              )}
+              
+              {/* Show what the follow-up answers changed */}
+              {report.revision > 1 && (
+                <RevisionHistory key={report.revision} reportId={report.id} apiBaseUrl={API_BASE_URL} getAuthToken={getAuthToken} />
+              )}
+              
               {error && (
                 <Alert severity="error" sx={{ mb: 2 }}>
                   {error}
@@ -546,7 +897,7 @@ const BugReportForm = () => {
           )}
           
           {/* Final report after confirmation */}
-          {!showFollowUp && linearCreated && (
+          {!showFollowUp && ticketCreated && (
             <>
               <Title variant="h5" gutterBottom>Bug Report Submitted</Title>
               
@@ -554,10 +905,10 @@ const BugReportForm = () => {
                 <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
                   <Title variant="h6" gutterBottom>{report.report_json.title}</Title>
                   <Box>
-                    {report.linear_issue && (
+                    {report.tracker_issue && (
                       <Button
                         component="a"
-                        href={report.linear_issue.url}
+                        href={report.tracker_issue.url}
                         target="_blank"
                         rel="noopener noreferrer"
                         variant="contained"
@@ -565,7 +916,7 @@ const BugReportForm = () => {
                         size="small"
                         sx={{ mr: 1 }}
                       >
-                        Linear #{report.linear_issue.number}
+                        {report.tracker_issue.tracker_name} #{report.tracker_issue.number}
                       </Button>
                     )}
                     <CopyButton value={report.report_markdown}>
@@ -584,17 +935,23 @@ const BugReportForm = () => {
                   </Box>
                 </Box>
                 
-                {report.linear_issue && (
+                {report.tracker_issue && (
                   <Alert severity="info" sx={{ mb: 2 }}>
                     <Box display="flex" alignItems="center">
-                      <Text fontWeight="bold" mr={1}>Created Linear Issue:</Text>
-                      <Link href={report.linear_issue.url} target="_blank">
-                        #{report.linear_issue.number}
+                      <Text fontWeight="bold" mr={1}>{report.duplicate_of ? "Added to existing" : "Created"} {report.tracker_issue.tracker_name} Issue:</Text>
+                      <Link href={report.tracker_issue.url} target="_blank">
+                        #{report.tracker_issue.number}
                       </Link>
                     </Box>
                   </Alert>
                 )}
                 
+                {report.merged_into && !report.tracker_issue && (
+                  <Alert severity="info" sx={{ mb: 2 }}>
+                    <Text>Your report was merged into a report of the same problem and will be added to its issue once it is filed.</Text>
+                  </Alert>
+                )}
+                
                 <Alert severity="success" sx={{ mb: 2 }}>
                   <Text>Thank you! Your bug report has been submitted and our team will investigate this issue.</Text>
                 </Alert>
@@ -654,6 +1011,8 @@ const BugReportForm = () => {
                 {report.files_analyzed.join('\n')}
               </Code>
               
+              <RevisionHistory reportId={report.id} apiBaseUrl={API_BASE_URL} getAuthToken={getAuthToken} />
+              
               <Box display="flex" justifyContent="flex-end">
                 <Button
                   variant="contained"
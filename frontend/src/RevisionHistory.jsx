@@ -0,0 +1,198 @@
+/**
+ * RevisionHistory.jsx
+ *
+ * Shows the revision log of a bug report and a line diff of the Markdown
+ * report between any two revisions.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box, Paper, Title, Text, Select, Alert, Loader
+} from './ui-components';
+import { authHeaders } from './authHeaders';
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array<{type: string, text: string}>} Lines marked 'same', 'removed' or 'added'
+ */
+export const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+};
+
+const TRIGGER_LABELS = {
+  analysis: 'Initial analysis',
+  follow_up: 'Follow-up answers',
+  confirmation: 'Confirmed',
+  duplicate: 'Added to an existing issue',
+  edit: 'Edited by a triager',
+  rejection: 'Rejected',
+  merge: 'Merged into another report'
+};
+
+const LINE_STYLES = {
+  same: { prefix: '  ', color: 'inherit', background: 'transparent' },
+  removed: { prefix: '- ', color: '#b71c1c', background: '#ffebee' },
+  added: { prefix: '+ ', color: '#1b5e20', background: '#e8f5e9' }
+};
+
+/**
+ * Describe a revision for the picker
+ * @param {Object} revision - Revision log entry
+ * @returns {string}
+ */
+const describeRevision = (revision) => {
+  const parts = [
+    `#${revision.revision}`,
+    TRIGGER_LABELS[revision.trigger] || revision.trigger,
+    new Date(revision.created_at).toLocaleString()
+  ];
+  if (revision.model) {
+    parts.push(`${revision.model} (prompt v${revision.prompt_version})`);
+  }
+  return parts.join(' — ');
+};
+
+const RevisionHistory = ({ reportId, apiBaseUrl, getAuthToken }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the revision log, comparing the first revision with the latest by default
+   */
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        const response = await fetch(`${apiBaseUrl}/api/bug-report/${reportId}/revisions`, {
+          headers: await authHeaders(getAuthToken)
+        });
+        if (!response.ok) {
+          throw new Error('Failed to load report revisions');
+        }
+
+        const data = await response.json();
+        setRevisions(data.revisions);
+        setFrom(String(data.revisions[0].revision));
+        setTo(String(data.revision));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRevisions();
+  }, [reportId, apiBaseUrl]);
+
+  if (loading) {
+    return <Loader size="small" />;
+  }
+
+  if (error) {
+    return <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>;
+  }
+
+  const findRevision = (number) => revisions.find(revision => String(revision.revision) === number);
+  const before = findRevision(from);
+  const after = findRevision(to);
+  const lines = before && after ? diffLines(before.content_markdown, after.content_markdown) : [];
+  const unchanged = lines.every(line => line.type === 'same');
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+      <Title variant="h6" gutterBottom>Revision History</Title>
+
+      <Box display="flex" sx={{ gap: 2, mb: 2 }}>
+        {[['Compare', from, setFrom], ['With', to, setTo]].map(([label, value, setValue]) => (
+          <Select
+            key={label}
+            label={label}
+            native
+            fullWidth
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            variant="outlined"
+          >
+            {revisions.map((revision) => (
+              <option key={revision.revision} value={String(revision.revision)}>
+                {describeRevision(revision)}
+              </option>
+            ))}
+          </Select>
+        ))}
+      </Box>
+
+      {after && after.actor && ['reporter', 'triager'].includes(after.actor.type) && (
+        <Text variant="body2" color="textSecondary" mb={1}>
+          Revision #{after.revision} by {after.actor.name || after.actor.email || after.actor.id}
+          {after.actor.type === 'triager' ? ' (triager)' : ''}
+        </Text>
+      )}
+
+      {unchanged ? (
+        <Text variant="body2" color="textSecondary">The report text is identical in these revisions.</Text>
+      ) : (
+        <Box
+          component="pre"
+          sx={{
+            m: 0,
+            maxHeight: 400,
+            overflow: 'auto',
+            fontFamily: 'monospace',
+            fontSize: 13
+          }}
+        >
+          {lines.map((line, index) => (
+            <Box
+              key={index}
+              component="span"
+              sx={{
+                display: 'block',
+                color: LINE_STYLES[line.type].color,
+                backgroundColor: LINE_STYLES[line.type].background
+              }}
+            >
+              {LINE_STYLES[line.type].prefix}{line.text}
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,564 @@
+/**
+ * TriageDashboard.jsx
+ *
+ * Triage queue for bug reports: search and filter the reports, open one to
+ * edit it and move it through its lifecycle (ask the reporter for more
+ * information, confirm, reject, resolve, close, reopen), and confirm, reject
+ * or merge reports in bulk.
+ * Filters live in the URL so a queue view can be shared. Mount it on a route
+ * with a trailing wildcard so report pages resolve:
+ *
+ *   <Route path="/triage/*" element={<TriageDashboard getAuthToken={getToken} />} />
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Routes, Route, Link as RouterLink, useParams, useSearchParams } from 'react-router-dom';
+import {
+  Container, Box, Paper, Title, Text, Textarea, Button,
+  Alert, Loader, TextInput, Link, Select, Checkbox, Chip,
+  Table, TableHead, TableBody, TableRow, TableCell
+} from './ui-components';
+import RevisionHistory from './RevisionHistory';
+import { authHeaders } from './authHeaders';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+
+const STATUSES = ['open', 'needs_info', 'confirmed', 'duplicate', 'rejected', 'resolved', 'closed'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Query parameters of GET /api/bug-report kept in the dashboard URL
+const FILTERS = ['q', 'status', 'project', 'severity', 'reporter', 'from', 'to', 'has_issue'];
+
+const statusLabel = (status) => (status || 'open').replace('_', ' ');
+
+// Chip color for each severity level
+const SEVERITY_COLORS = {
+  critical: 'error',
+  high: 'warning',
+  medium: 'info',
+  low: 'success'
+};
+
+/**
+ * Call the bug report API as the signed-in triager
+ * @param {Function} getAuthToken - Session token getter
+ * @param {string} path - API path
+ * @param {Object} [options] - fetch options; `body` is sent as JSON
+ * @returns {Promise<Object>} Parsed response
+ */
+const apiRequest = async (getAuthToken, path, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await authHeaders(getAuthToken))
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+  return data;
+};
+
+/**
+ * Outcome of a bulk action, listing the reports it couldn't update
+ */
+const BulkResult = ({ result }) => (
+  <Alert severity={result.failed > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+    {result.action}: {result.succeeded} updated{result.failed > 0 ? `, ${result.failed} failed` : ''}
+    {result.results.filter(item => !item.ok).map(item => (
+      <Text key={item.id} variant="body2">{item.id}: {item.error}</Text>
+    ))}
+  </Alert>
+);
+
+/**
+ * Filterable, paginated list of reports with bulk actions
+ */
+const ReportQueue = ({ getAuthToken }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [filters, setFilters] = useState(() => Object.fromEntries(FILTERS.map(key => [key, searchParams.get(key) || ''])));
+  const [projects, setProjects] = useState([]);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Bulk action state
+  const [selected, setSelected] = useState([]);
+  const [rejectReason, setRejectReason] = useState('');
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [bulkResult, setBulkResult] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+
+  /**
+   * Load the page of reports matching the URL's filters
+   */
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    try {
+      setData(await apiRequest(getAuthToken, `/api/bug-report?${searchParams.toString()}`));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [getAuthToken, searchParams]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  useEffect(() => {
+    apiRequest(getAuthToken, '/api/projects')
+      .then(result => setProjects(result.projects || []))
+      .catch(() => setProjects([]));
+  }, [getAuthToken]);
+
+  /**
+   * Put the filters in the URL (back on the first page)
+   */
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setSelected([]);
+    setSearchParams(Object.fromEntries(Object.entries(filters).filter(([, value]) => value)));
+  };
+
+  const goToPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('page', String(nextPage));
+    setSelected([]);
+    setSearchParams(params);
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(current => (current.includes(id) ? current.filter(item => item !== id) : [...current, id]));
+  };
+
+  /**
+   * Apply a triage action to the selected reports
+   * @param {string} action - confirm, reject or merge
+   * @param {Object} [options] - { reason } or { targetId }
+   */
+  const runBulkAction = async (action, options = {}) => {
+    setWorking(true);
+    try {
+      const result = await apiRequest(getAuthToken, '/api/bug-report/bulk', {
+        method: 'POST',
+        body: { action, reportIds: selected, ...options }
+      });
+      setBulkResult(result);
+      setSelected([]);
+      setRejectReason('');
+      setMergeTarget('');
+      await loadReports();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+  const reports = data ? data.reports : [];
+  const pageCount = data ? Math.max(1, Math.ceil(data.total / data.page_size)) : 1;
+
+  return (
+    <Box>
+      <Title variant="h4" gutterBottom>Triage Queue</Title>
+
+      <Paper elevation={3} sx={{ p: 2, mb: 3 }}>
+        <form onSubmit={applyFilters}>
+          <Box display="flex" flexWrap="wrap" sx={{ gap: 2 }}>
+            <TextInput label="Search" value={filters.q} onChange={setFilter('q')} variant="outlined" />
+            <Select label="Status" native value={filters.status} onChange={setFilter('status')} variant="outlined">
+              <option value="">Any status</option>
+              {STATUSES.map(status => <option key={status} value={status}>{statusLabel(status)}</option>)}
+            </Select>
+            <Select label="Severity" native value={filters.severity} onChange={setFilter('severity')} variant="outlined">
+              <option value="">Any severity</option>
+              {SEVERITIES.map(level => <option key={level} value={level}>{level}</option>)}
+            </Select>
+            {projects.length > 0 && (
+              <Select label="Product area" native value={filters.project} onChange={setFilter('project')} variant="outlined">
+                <option value="">Any product area</option>
+                {projects.map(item => <option key={item.key} value={item.key}>{item.name}</option>)}
+              </Select>
+            )}
+            <TextInput label="Reporter email" value={filters.reporter} onChange={setFilter('reporter')} variant="outlined" />
+            <TextInput label="From" type="date" value={filters.from} onChange={setFilter('from')} variant="outlined" InputLabelProps={{ shrink: true }} />
+            <TextInput label="To" type="date" value={filters.to} onChange={setFilter('to')} variant="outlined" InputLabelProps={{ shrink: true }} />
+            <Select label="Tracker issue" native value={filters.has_issue} onChange={setFilter('has_issue')} variant="outlined">
+              <option value="">Filed or not</option>
+              <option value="true">Filed</option>
+              <option value="false">Not filed</option>
+            </Select>
+            <Button type="submit" variant="contained">Apply</Button>
+          </Box>
+        </form>
+      </Paper>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {bulkResult && <BulkResult result={bulkResult} />}
+
+      {selected.length > 0 && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Text variant="subtitle2" gutterBottom>{selected.length} selected</Text>
+          <Box display="flex" flexWrap="wrap" alignItems="center" sx={{ gap: 2 }}>
+            <Button variant="contained" disabled={working} onClick={() => runBulkAction('confirm')}>
+              Confirm and file
+            </Button>
+            <TextInput
+              label="Rejection reason"
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+              variant="outlined"
+              size="small"
+            />
+            <Button variant="outlined" color="error" disabled={working || !rejectReason.trim()} onClick={() => runBulkAction('reject', { reason: rejectReason })}>
+              Reject
+            </Button>
+            <Select label="Merge into" native value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)} variant="outlined" size="small">
+              <option value="">Choose a report...</option>
+              {reports.filter(report => selected.includes(report.id)).map(report => (
+                <option key={report.id} value={report.id}>{report.title}</option>
+              ))}
+            </Select>
+            <Button variant="outlined" disabled={working || !mergeTarget} onClick={() => runBulkAction('merge', { targetId: mergeTarget })}>
+              Merge
+            </Button>
+          </Box>
+        </Paper>
+      )}
+
+      {loading ? (
+        <Loader />
+      ) : (
+        <Paper elevation={1}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={reports.length > 0 && selected.length === reports.length}
+                    onChange={(e) => setSelected(e.target.checked ? reports.map(report => report.id) : [])}
+                  />
+                </TableCell>
+                <TableCell>Report</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Severity</TableCell>
+                <TableCell>Reporter</TableCell>
+                <TableCell>Reported</TableCell>
+                <TableCell>Issue</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {reports.map(report => (
+                <TableRow key={report.id} hover>
+                  <TableCell padding="checkbox">
+                    <Checkbox checked={selected.includes(report.id)} onChange={() => toggleSelected(report.id)} />
+                  </TableCell>
+                  <TableCell>
+                    <Link component={RouterLink} to={report.id}>{report.title}</Link>
+                    {report.project && <Text variant="caption" display="block">{report.project}</Text>}
+                  </TableCell>
+                  <TableCell>{statusLabel(report.status)}</TableCell>
+                  <TableCell>
+                    {report.severity && <Chip size="small" label={report.severity} color={SEVERITY_COLORS[report.severity]} />}
+                  </TableCell>
+                  <TableCell>{report.reporter_name || report.reporter_email || '—'}</TableCell>
+                  <TableCell>{new Date(report.created_at).toLocaleString()}</TableCell>
+                  <TableCell>
+                    {report.tracker_issue_url
+                      ? <Link href={report.tracker_issue_url} target="_blank" rel="noopener noreferrer">#{report.tracker_issue_number}</Link>
+                      : '—'}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {reports.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7}>
+                    <Text variant="body2" color="textSecondary">No reports match these filters.</Text>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
+      {data && (
+        <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mt: 2 }}>
+          <Text variant="body2">Page {data.page} of {pageCount} ({data.total} reports)</Text>
+          <Box display="flex" sx={{ gap: 1 }}>
+            <Button variant="outlined" disabled={page <= 1} onClick={() => goToPage(page - 1)}>Previous</Button>
+            <Button variant="outlined" disabled={page >= pageCount} onClick={() => goToPage(page + 1)}>Next</Button>
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * When the report entered each state it has been in, in lifecycle order
+ */
+const StatusTimeline = ({ timestamps }) => (
+  <Box display="flex" flexWrap="wrap" sx={{ gap: 1, mb: 2 }}>
+    {STATUSES.filter(status => timestamps[status]).map(status => (
+      <Chip
+        key={status}
+        size="small"
+        variant="outlined"
+        label={`${statusLabel(status)} ${new Date(timestamps[status]).toLocaleString()}`}
+      />
+    ))}
+  </Box>
+);
+
+/**
+ * One report: edit its title and root cause, ask the reporter for more
+ * information, confirm or reject it, and resolve, close or reopen it once handled
+ */
+const ReportDetail = ({ getAuthToken }) => {
+  const { reportId } = useParams();
+  const [report, setReport] = useState(null);
+  const [title, setTitle] = useState('');
+  const [rootCause, setRootCause] = useState('');
+  const [rejectReason, setRejectReason] = useState('');
+  const [question, setQuestion] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the stored report and reset the edit form to it
+   */
+  const loadReport = useCallback(async () => {
+    try {
+      const data = await apiRequest(getAuthToken, `/api/bug-report/${reportId}`);
+      setReport(data);
+      setTitle(data.content_json.title);
+      setRootCause(data.content_json.suspected_root_cause);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [getAuthToken, reportId]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  /**
+   * Run an action on the report, then reload it
+   * @param {Function} action - Async API call
+   */
+  const act = async (action) => {
+    setWorking(true);
+    try {
+      await action();
+      await loadReport();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const saveEdits = () => act(() => apiRequest(getAuthToken, `/api/bug-report/${reportId}`, {
+    method: 'PATCH',
+    body: { title, suspected_root_cause: rootCause }
+  }));
+
+  /**
+   * Move the report through its lifecycle
+   * @param {string} action - confirm, reject, request-info, resolve, close or reopen
+   * @param {Object} [body] - { reason } or { question }
+   */
+  const moveReport = (action, body = {}) => act(async () => {
+    await apiRequest(getAuthToken, `/api/bug-report/${reportId}/${action}`, { method: 'POST', body });
+    setRejectReason('');
+    setQuestion('');
+    setNote('');
+  });
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  const filed = report && Boolean(report.tracker_issue_id);
+  const status = report ? report.status || 'open' : null;
+  const pending = status === 'open' || status === 'needs_info';
+  const canResolve = status === 'confirmed' || status === 'duplicate';
+  const canReopen = status === 'rejected' || status === 'resolved';
+  const edited = report && (title !== report.content_json.title || rootCause !== report.content_json.suspected_root_cause);
+
+  return (
+    <Box>
+      <Link component={RouterLink} to="..">← Back to the queue</Link>
+
+      {error && <Alert severity="error" sx={{ mt: 2, mb: 2 }}>{error}</Alert>}
+
+      {report && (
+        <>
+          <Title variant="h5" sx={{ mt: 2 }} gutterBottom>{report.content_json.title}</Title>
+          <Text variant="body2" color="textSecondary" gutterBottom>
+            {statusLabel(status)}
+            {report.severity ? ` · ${report.severity.level} severity` : ''}
+            {report.project ? ` · ${report.project}` : ''}
+            {' · '}reported by {report.reporter_name || report.reporter_email || 'an integration'} on {new Date(report.created_at).toLocaleString()}
+          </Text>
+
+          {filed && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Filed as <Link href={report.tracker_issue_url} target="_blank" rel="noopener noreferrer">#{report.tracker_issue_number}</Link>
+              {report.merged_into ? <> (merged into <Link component={RouterLink} to={`../${report.merged_into}`}>another report</Link>)</> : ''}
+            </Alert>
+          )}
+          {!filed && report.merged_into && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Merged into <Link component={RouterLink} to={`../${report.merged_into}`}>another report</Link>; it is filed along with it.
+            </Alert>
+          )}
+          {report.status_timestamps && <StatusTimeline timestamps={report.status_timestamps} />}
+
+          {status === 'rejected' && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Rejected{report.rejection_reason ? `: ${report.rejection_reason}` : ''}
+            </Alert>
+          )}
+          {status === 'needs_info' && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Waiting for the reporter to answer:
+              {((report.needs_more_info && report.needs_more_info.requests) || []).map(request => (
+                <Text key={request.type} variant="body2">• {request.question}</Text>
+              ))}
+            </Alert>
+          )}
+
+          <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+            <TextInput
+              label="Title"
+              fullWidth
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              disabled={filed || !pending}
+              variant="outlined"
+              sx={{ mb: 2 }}
+            />
+            <Textarea
+              label="Suspected root cause"
+              fullWidth
+              multiline
+              minRows={4}
+              value={rootCause}
+              onChange={(e) => setRootCause(e.target.value)}
+              disabled={filed || !pending}
+              variant="outlined"
+              sx={{ mb: 2 }}
+            />
+
+            {!filed && pending && (
+              <Box display="flex" flexWrap="wrap" alignItems="center" sx={{ gap: 2 }}>
+                <Button variant="outlined" disabled={working || !edited} onClick={saveEdits}>Save changes</Button>
+                <Button variant="contained" disabled={working || edited || Boolean(report.merged_into)} onClick={() => moveReport('confirm')}>
+                  Confirm and file
+                </Button>
+                <TextInput
+                  label="Rejection reason"
+                  value={rejectReason}
+                  onChange={(e) => setRejectReason(e.target.value)}
+                  variant="outlined"
+                  size="small"
+                />
+                <Button variant="outlined" color="error" disabled={working || !rejectReason.trim()} onClick={() => moveReport('reject', { reason: rejectReason })}>
+                  Reject
+                </Button>
+              </Box>
+            )}
+            {!filed && pending && (
+              <Box display="flex" flexWrap="wrap" alignItems="center" sx={{ gap: 2, mt: 2 }}>
+                <TextInput
+                  label="Question for the reporter"
+                  value={question}
+                  onChange={(e) => setQuestion(e.target.value)}
+                  variant="outlined"
+                  size="small"
+                  sx={{ flexGrow: 1 }}
+                />
+                <Button variant="outlined" disabled={working || !question.trim()} onClick={() => moveReport('request-info', { question })}>
+                  Ask for more information
+                </Button>
+              </Box>
+            )}
+            {(canResolve || canReopen) && (
+              <Box display="flex" flexWrap="wrap" alignItems="center" sx={{ gap: 2 }}>
+                <TextInput
+                  label="Note (optional)"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  variant="outlined"
+                  size="small"
+                />
+                {canResolve && (
+                  <Button variant="contained" disabled={working} onClick={() => moveReport('resolve', { reason: note })}>Resolve</Button>
+                )}
+                {canReopen && (
+                  <Button variant="outlined" disabled={working} onClick={() => moveReport('reopen', { reason: note })}>Reopen</Button>
+                )}
+                <Button variant="outlined" disabled={working} onClick={() => moveReport('close', { reason: note })}>Close</Button>
+              </Box>
+            )}
+          </Paper>
+
+          <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+            <Title variant="h6" gutterBottom>Report</Title>
+            <Box component="pre" sx={{ m: 0, whiteSpace: 'pre-wrap', fontFamily: 'monospace', fontSize: 13 }}>
+              {report.content_markdown}
+            </Box>
+          </Paper>
+
+          {report.tracker_comments && report.tracker_comments.length > 0 && (
+            <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+              <Title variant="h6" gutterBottom>Tracker comments</Title>
+              {report.tracker_comments.map(comment => (
+                <Box key={comment.id} sx={{ mb: 2 }}>
+                  <Text variant="caption" color="textSecondary">
+                    {comment.author || 'Unknown'} · {new Date(comment.created_at).toLocaleString()}
+                  </Text>
+                  <Text variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{comment.body}</Text>
+                </Box>
+              ))}
+            </Paper>
+          )}
+
+          <RevisionHistory key={report.revision} reportId={report.id} apiBaseUrl={API_BASE_URL} getAuthToken={getAuthToken} />
+        </>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * @param {Object} props
+ * @param {Function} [props.getAuthToken] - Returns the triager's session token
+ */
+const TriageDashboard = ({ getAuthToken }) => (
+  <Container maxWidth="lg">
+    <Routes>
+      <Route index element={<ReportQueue getAuthToken={getAuthToken} />} />
+      <Route path=":reportId" element={<ReportDetail getAuthToken={getAuthToken} />} />
+    </Routes>
+  </Container>
+);
+
+export default TriageDashboard;
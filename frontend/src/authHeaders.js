@@ -0,0 +1,19 @@
+/**
+ * authHeaders.js
+ *
+ * Request headers that identify the signed-in user to the bug report API.
+ */
+
+/**
+ * Build the Authorization header from the host app's session
+ * @param {Function} [getAuthToken] - Returns the user's OIDC/JWT session token (or a promise of it)
+ * @param {string} [reportToken] - Token from a follow-up email link, sent as X-Report-Token
+ * @returns {Promise<Object>} Headers to merge into a fetch request
+ */
+export const authHeaders = async (getAuthToken, reportToken) => {
+  const token = getAuthToken ? await getAuthToken() : null;
+  return {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(reportToken ? { 'X-Report-Token': reportToken } : {})
+  };
+};